@@ -0,0 +1,147 @@
+// Backend sign-in shared by the extension pages
+// The options page logs in, creates an API token for this install and stores it under AUTH_TOKEN_KEY.
+// Other pages call the backend through authFetch, which sends it as a bearer token.
+
+const AUTH_TOKEN_KEY = 'authToken';
+const AUTH_ACCOUNT_KEY = 'authAccount';
+
+// Name of the API token created for this install, shown in the account's token list
+const API_TOKEN_NAME = 'Chrome extension';
+
+/**
+ * fetch() with the stored API token
+ * A 401 becomes an error asking the user to sign in, so callers only handle their own failures
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} The response (never a 401)
+ */
+async function authFetch(url, options = {}) {
+  const stored = await chrome.storage.local.get([AUTH_TOKEN_KEY]);
+  const headers = { ...(options.headers || {}) };
+  if (stored[AUTH_TOKEN_KEY]) {
+    headers.Authorization = `Bearer ${stored[AUTH_TOKEN_KEY]}`;
+  }
+
+  const response = await fetch(url, { ...options, headers });
+  if (response.status === 401) {
+    throw new Error(stored[AUTH_TOKEN_KEY]
+      ? 'Your sign-in has expired. Sign in again in the extension settings.'
+      : 'Sign in to your account in the extension settings first.');
+  }
+  return response;
+}
+
+/**
+ * Follow a server-sent events stream through authFetch (EventSource cannot send an Authorization header)
+ * @param {string} url - Stream URL
+ * @param {Function} onEvent - Called with (eventName, data) for each event
+ * @param {Function} onError - Called with an Error when the stream fails or the server closes it
+ * @returns {{close: Function}} Call close() to stop following the stream; onError is not called after that
+ */
+function openEventStream(url, onEvent, onError) {
+  const controller = new AbortController();
+
+  (async () => {
+    const response = await authFetch(url, {
+      headers: { Accept: 'text/event-stream' },
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`Server error: ${response.status}`);
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += value;
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        // "event:" and "data:" lines; comment lines (heartbeats) start with ":"
+        let eventName = 'message';
+        const data = [];
+        block.split('\n').forEach(line => {
+          if (line.startsWith('event:')) eventName = line.slice(6).trim();
+          if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+        });
+        if (data.length > 0) {
+          onEvent(eventName, data.join('\n'));
+        }
+      }
+    }
+    throw new Error('Event stream closed');
+  })().catch(error => {
+    if (!controller.signal.aborted) {
+      onError(error);
+    }
+  });
+
+  return { close: () => controller.abort() };
+}
+
+/**
+ * Log in (or register) and store an API token for this install
+ * The login session is only used to create the API token and is ended straight after
+ * @param {string} backendUrl - Backend base URL
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @param {boolean} register - Create the account first
+ * @returns {Promise<Object>} The signed-in account
+ */
+async function signIn(backendUrl, email, password, register = false) {
+  const response = await fetch(`${backendUrl}/api/auth/${register ? 'register' : 'login'}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password })
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const details = Array.isArray(data.details) && data.details.length > 0 ? `: ${data.details[0]}` : '';
+    throw new Error(`${data.error || `Server error: ${response.status}`}${details}`);
+  }
+
+  const session = { Authorization: `Bearer ${data.token}` };
+  const tokenResponse = await fetch(`${backendUrl}/api/auth/tokens`, {
+    method: 'POST',
+    headers: { ...session, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: API_TOKEN_NAME })
+  });
+  if (!tokenResponse.ok) {
+    throw new Error(`Could not create an API token: ${tokenResponse.status}`);
+  }
+  const apiToken = await tokenResponse.json();
+
+  await fetch(`${backendUrl}/api/auth/logout`, { method: 'POST', headers: session }).catch(() => {});
+
+  const account = { ...data.user, tokenId: apiToken.tokenId };
+  await chrome.storage.local.set({ [AUTH_TOKEN_KEY]: apiToken.token, [AUTH_ACCOUNT_KEY]: account });
+  return account;
+}
+
+/**
+ * Revoke this install's API token and forget it
+ * @param {string} backendUrl - Backend base URL
+ */
+async function signOut(backendUrl) {
+  try {
+    await authFetch(`${backendUrl}/api/auth/logout`, { method: 'POST' });
+  } catch (error) {
+    // Already revoked or expired; forget it anyway
+    console.warn('Could not revoke API token:', error);
+  }
+  await chrome.storage.local.remove([AUTH_TOKEN_KEY, AUTH_ACCOUNT_KEY]);
+}
+
+/**
+ * The signed-in account, if any
+ * @returns {Promise<Object|null>} { userId, email, name, tokenId } or null
+ */
+async function getSignedInAccount() {
+  const stored = await chrome.storage.local.get([AUTH_TOKEN_KEY, AUTH_ACCOUNT_KEY]);
+  return stored[AUTH_TOKEN_KEY] ? (stored[AUTH_ACCOUNT_KEY] || null) : null;
+}
@@ -0,0 +1,357 @@
+// Resume editor page JavaScript
+// Opened from the history page as editor.html?id=<generationId>
+const BACKEND_URL_KEY = 'backendUrl';
+
+// Wait this long after the last change before refreshing the preview
+const PREVIEW_DELAY_MS = 400;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const saveBtn = document.getElementById('saveBtn');
+  const headerSubtitle = document.getElementById('headerSubtitle');
+  const errorMessage = document.getElementById('errorMessage');
+  const loadingIndicator = document.getElementById('loadingIndicator');
+  const editorLayout = document.getElementById('editorLayout');
+  const editorSections = document.getElementById('editorSections');
+  const saveStatus = document.getElementById('saveStatus');
+  const previewStatus = document.getElementById('previewStatus');
+  const previewFrame = document.getElementById('previewFrame');
+
+  const generationId = new URLSearchParams(window.location.search).get('id');
+  const result = await chrome.storage.local.get([BACKEND_URL_KEY]);
+  const backendUrl = result[BACKEND_URL_KEY] || 'http://localhost:8787';
+
+  // Working copy of tailoredResumeJson and the revision it was loaded at
+  let resume = null;
+  let revision = 0;
+
+  // Bumped on every change, so a save only clears the unsaved flag if nothing changed meanwhile
+  let editVersion = 0;
+  let savedVersion = 0;
+
+  let previewTimer = null;
+  let previewRequest = 0;
+
+  // Item being dragged: { list: path of its array, index }
+  let dragging = null;
+
+  if (!generationId) {
+    showError('No generation selected. Open the editor from the history page.');
+    return;
+  }
+
+  await loadResume();
+
+  saveBtn.addEventListener('click', saveResume);
+
+  window.addEventListener('beforeunload', (event) => {
+    if (editVersion !== savedVersion) {
+      event.preventDefault();
+      event.returnValue = '';
+    }
+  });
+
+  // Text edits update the working copy in place; the editor is only re-rendered for structural changes
+  editorSections.addEventListener('input', (event) => {
+    const path = event.target.dataset.path;
+    if (!path) return;
+
+    if (event.target.dataset.kind === 'list') {
+      setPath(path, event.target.value.split(',').map(item => item.trim()).filter(Boolean));
+    } else {
+      setPath(path, event.target.value);
+    }
+    markChanged();
+  });
+
+  editorSections.addEventListener('click', (event) => {
+    const toggle = event.target.closest('.hide-toggle');
+    if (!toggle) return;
+
+    const item = getPath(toggle.dataset.path);
+    if (item.hidden) {
+      delete item.hidden;
+    } else {
+      item.hidden = true;
+    }
+    markChanged();
+    renderEditor();
+  });
+
+  // Only the handle starts a drag, so text in the fields can still be selected with the mouse
+  editorSections.addEventListener('mousedown', (event) => {
+    const handle = event.target.closest('.drag-handle');
+    if (handle) {
+      handle.closest('[data-list]').draggable = true;
+    }
+  });
+
+  editorSections.addEventListener('mouseup', () => {
+    editorSections.querySelectorAll('[draggable="true"]').forEach(element => { element.draggable = false; });
+  });
+
+  editorSections.addEventListener('dragstart', (event) => {
+    const element = event.target.closest('[data-list]');
+    if (!element) return;
+    event.stopPropagation();
+    dragging = { list: element.dataset.list, index: Number(element.dataset.index) };
+    event.dataTransfer.effectAllowed = 'move';
+    element.classList.add('dragging');
+  });
+
+  editorSections.addEventListener('dragover', (event) => {
+    const target = dropTarget(event);
+    if (!target) return;
+    event.preventDefault();
+    editorSections.querySelectorAll('.drop-target').forEach(element => element.classList.remove('drop-target'));
+    target.classList.add('drop-target');
+  });
+
+  editorSections.addEventListener('drop', (event) => {
+    const target = dropTarget(event);
+    if (!target) return;
+    event.preventDefault();
+
+    const list = getPath(dragging.list);
+    const [item] = list.splice(dragging.index, 1);
+    list.splice(Number(target.dataset.index), 0, item);
+    markChanged();
+    renderEditor();
+  });
+
+  editorSections.addEventListener('dragend', () => {
+    dragging = null;
+    editorSections.querySelectorAll('[draggable="true"]').forEach(element => { element.draggable = false; });
+    editorSections.querySelectorAll('.dragging, .drop-target').forEach(element => element.classList.remove('dragging', 'drop-target'));
+  });
+
+  async function loadResume() {
+    try {
+      const response = await authFetch(`${backendUrl}/api/generation/${encodeURIComponent(generationId)}`);
+      if (!response.ok) {
+        throw new Error(response.status === 404 ? 'Generation not found' : `Server error: ${response.status}`);
+      }
+
+      const generation = await response.json();
+      if (generation.status !== 'done' || !generation.tailoredResumeJson) {
+        throw new Error('This generation has not finished yet');
+      }
+
+      resume = structuredClone(generation.tailoredResumeJson);
+      revision = generation.revision || 0;
+      headerSubtitle.textContent = formatJobTitle(generation.jobPosting) || generation.jobUrl || '';
+
+      loadingIndicator.style.display = 'none';
+      editorLayout.style.display = 'grid';
+      renderEditor();
+      refreshPreview();
+    } catch (error) {
+      console.error('Error loading resume:', error);
+      showError(`Error loading resume: ${error.message}`);
+    }
+  }
+
+  function renderEditor() {
+    const sections = [
+      `
+      <div class="editor-section">
+        <h2>Summary</h2>
+        <textarea data-path="summary" rows="4">${escapeHtml(resume.summary)}</textarea>
+      </div>
+      `,
+      `
+      <div class="editor-section">
+        <h2>Skills</h2>
+        <textarea data-path="skills" data-kind="list" rows="2">${escapeHtml((resume.skills || []).join(', '))}</textarea>
+        <div class="field-help">Separate skills with commas</div>
+      </div>
+      `
+    ];
+
+    if (resume.experience && resume.experience.length > 0) {
+      sections.push(itemsSection('Experience', 'experience', role => ({
+        title: `${role.title}${role.company ? ` — ${role.company}` : ''}`,
+        meta: [role.startDate, role.endDate].filter(Boolean).join(' – ')
+      })));
+    }
+    if (resume.projects && resume.projects.length > 0) {
+      sections.push(itemsSection('Projects', 'projects', project => ({
+        title: project.name,
+        meta: (project.technologies || []).join(', ')
+      })));
+    }
+    if (resume.education && resume.education.length > 0) {
+      sections.push(itemsSection('Education', 'education', education => ({
+        title: `${education.degree}${education.school ? `, ${education.school}` : ''}`,
+        meta: education.graduationDate || ''
+      })));
+    }
+
+    editorSections.innerHTML = sections.join('');
+  }
+
+  // A section of draggable, hideable roles, projects or degrees, each with its bullets
+  function itemsSection(title, section, describe) {
+    const items = resume[section].map((item, index) => {
+      const { title: itemTitle, meta } = describe(item);
+      const path = `${section}.${index}`;
+      const bullets = (item.bullets || []).map((bullet, bulletIndex) => `
+        <div class="editor-bullet ${bullet.hidden ? 'is-hidden' : ''}" data-list="${path}.bullets" data-index="${bulletIndex}">
+          <span class="drag-handle" title="Drag to reorder">⋮⋮</span>
+          <textarea data-path="${path}.bullets.${bulletIndex}.text" rows="2">${escapeHtml(bullet.text)}</textarea>
+          <button type="button" class="hide-toggle" data-path="${path}.bullets.${bulletIndex}">${bullet.hidden ? 'Show' : 'Hide'}</button>
+        </div>
+      `).join('');
+
+      return `
+        <div class="editor-item ${item.hidden ? 'is-hidden' : ''}" data-list="${section}" data-index="${index}">
+          <div class="editor-item-header">
+            <span class="drag-handle" title="Drag to reorder">⋮⋮</span>
+            <div class="editor-item-title">
+              ${escapeHtml(itemTitle)}
+              ${meta ? `<div class="editor-item-meta">${escapeHtml(meta)}</div>` : ''}
+            </div>
+            <button type="button" class="hide-toggle" data-path="${path}">${item.hidden ? 'Show' : 'Hide'}</button>
+          </div>
+          ${bullets ? `<div class="editor-bullets">${bullets}</div>` : ''}
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="editor-section">
+        <h2>${escapeHtml(title)}</h2>
+        ${items}
+      </div>
+    `;
+  }
+
+  // Items can only be dropped among their own siblings (bullets stay within their role)
+  // A role dragged over another role's bullet lands on that role
+  function dropTarget(event) {
+    if (!dragging) return null;
+    let target = event.target.closest('[data-list]');
+    while (target && target.dataset.list !== dragging.list) {
+      target = target.parentElement.closest('[data-list]');
+    }
+    return target;
+  }
+
+  function markChanged() {
+    editVersion++;
+    saveBtn.disabled = false;
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(refreshPreview, PREVIEW_DELAY_MS);
+  }
+
+  // Render the working copy with the generation's template on the backend
+  async function refreshPreview() {
+    const requestId = ++previewRequest;
+    previewStatus.textContent = 'Updating...';
+    previewStatus.classList.remove('error');
+
+    try {
+      const response = await authFetch(`${backendUrl}/api/generation/${encodeURIComponent(generationId)}/preview`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tailoredResumeJson: resume })
+      });
+
+      // A later change already asked for a newer preview
+      if (requestId !== previewRequest) return;
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(formatError(errorData, response.status));
+      }
+
+      previewFrame.srcdoc = await response.text();
+      previewStatus.textContent = '';
+    } catch (error) {
+      if (requestId !== previewRequest) return;
+      previewStatus.textContent = error.message;
+      previewStatus.classList.add('error');
+    }
+  }
+
+  async function saveResume() {
+    const versionAtSave = editVersion;
+    saveBtn.disabled = true;
+    showSaveStatus('Saving and re-verifying changed bullets...', '');
+
+    try {
+      const response = await authFetch(`${backendUrl}/api/generation/${encodeURIComponent(generationId)}/resume`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tailoredResumeJson: resume, expectedRevision: revision })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const message = formatError(errorData, response.status);
+        throw new Error(response.status === 409 ? `${message}. Reload the page to edit the latest version.` : message);
+      }
+
+      const data = await response.json();
+      revision = data.revision;
+      savedVersion = versionAtSave;
+
+      const verified = data.changedBulletIds.length;
+      const flagCount = (data.flags || []).length;
+      const pages = data.pageFit ? `, ${data.pageFit.pageCount} page${data.pageFit.pageCount === 1 ? '' : 's'}` : '';
+      showSaveStatus(
+        `Saved revision ${data.revision}: ${verified} bullet${verified === 1 ? '' : 's'} re-verified, ` +
+        `truth score ${data.truthScore}, ${flagCount} flag${flagCount === 1 ? '' : 's'}${pages}. The PDF has been re-rendered.`,
+        'success'
+      );
+    } catch (error) {
+      console.error('Error saving resume:', error);
+      showSaveStatus(`Save failed: ${error.message}`, 'error');
+    } finally {
+      saveBtn.disabled = editVersion === savedVersion;
+    }
+  }
+
+  function getPath(path) {
+    return path.split('.').reduce((value, key) => value[key], resume);
+  }
+
+  function setPath(path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => object[key], resume);
+    parent[last] = value;
+  }
+
+  // First validation problem, with the request path trimmed ("experience.0.bullets.1.text: Too small...")
+  function formatError(errorData, status) {
+    if (Array.isArray(errorData.details) && errorData.details.length > 0) {
+      return errorData.details[0].replace(/^tailoredResumeJson\./, '');
+    }
+    return errorData.error || `Server error: ${status}`;
+  }
+
+  function showSaveStatus(message, type) {
+    saveStatus.textContent = message;
+    saveStatus.className = `save-status ${type}`;
+    saveStatus.style.display = 'block';
+  }
+
+  function showError(message) {
+    loadingIndicator.style.display = 'none';
+    errorMessage.textContent = message;
+    errorMessage.style.display = 'block';
+  }
+
+  function formatJobTitle(jobPosting) {
+    if (!jobPosting) return null;
+    if (jobPosting.title && jobPosting.company) return `${jobPosting.title} at ${jobPosting.company}`;
+    return jobPosting.title || jobPosting.company || null;
+  }
+
+  function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+});
@@ -0,0 +1,99 @@
+// Per-flag actions shared by the popup and the history page
+// Each action is applied on the server (POST /api/generation/:id/flags/resolve), which updates the tailored
+// resume, re-verifies it, re-renders the PDF and logs the decision on the generation.
+
+const FLAG_ACTION_LABELS = {
+  apply_fix: 'Apply fix',
+  keep_original: 'Keep original',
+  remove_bullet: 'Remove bullet'
+};
+
+/**
+ * Actions that apply to a resume flag
+ * Cover letter and missing-requirement flags have none, and neither do flags already kept as written
+ * @param {Object} flag - Flag from the generation
+ * @returns {Array<string>} Action ids, in display order
+ */
+function availableFlagActions(flag) {
+  if (!flag.bulletId || flag.resolution || flag.section === 'cover' || flag.section === 'requirements') return [];
+  if (!/^[a-z]+(_[a-zA-Z0-9]+)+$/.test(flag.bulletId)) return [];
+
+  // Field fixes (dates) are only offered when they come from the same entry in the original resume
+  const actions = [];
+  if (flag.suggestedFix && (!flag.field || flag.suggestedFixSource === 'entry')) actions.push('apply_fix');
+  actions.push('keep_original');
+  if (/^(experience|projects)_\d+_\d+$/.test(flag.bulletId)) actions.push('remove_bullet');
+  return actions;
+}
+
+/**
+ * Buttons for a flag's actions; pages handle clicks on `.flag-action` with handleFlagActionClick
+ * @param {Object} flag - Flag from the generation
+ * @returns {string} HTML (empty when the flag has no actions)
+ */
+function flagActionsHTML(flag) {
+  if (flag.resolution === 'kept_original') {
+    return '<div class="flag-actions"><span class="flag-resolution">Kept as written</span></div>';
+  }
+
+  const actions = availableFlagActions(flag);
+  if (actions.length === 0) return '';
+
+  return `<div class="flag-actions">${actions.map(action =>
+    `<button type="button" class="flag-action ${action}" data-bullet-id="${flag.bulletId}" data-action="${action}">${FLAG_ACTION_LABELS[action]}</button>`
+  ).join('')}</div>`;
+}
+
+/**
+ * Apply a flag action on the server
+ * @param {string} backendUrl - Backend base URL
+ * @param {string} generationId - Generation id
+ * @param {string} bulletId - bulletId of the flagged bullet or field
+ * @param {string} action - apply_fix, keep_original or remove_bullet
+ * @param {number} expectedRevision - Revision the flags were loaded at
+ * @returns {Promise<Object>} Updated revision, truthScore, flags, matchScore, keywordCoverage, pageFit and the logged decision
+ */
+async function resolveFlagAction(backendUrl, generationId, bulletId, action, expectedRevision) {
+  const response = await authFetch(`${backendUrl}/api/generation/${encodeURIComponent(generationId)}/flags/resolve`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ bulletId, action, expectedRevision })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Server error: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Click handler for a list of flags: runs the clicked action and passes the result to onResolved
+ * Buttons in the list are disabled while the server re-verifies and re-renders
+ * @param {Event} event - Click event on the flags list
+ * @param {Object} generation - { generationId, revision } of the generation the flags belong to
+ * @param {Function} onResolved - Called with the server's response
+ */
+async function handleFlagActionClick(event, { generationId, revision }, onResolved) {
+  const button = event.target.closest('.flag-action');
+  if (!button) return;
+
+  const list = event.currentTarget;
+  const buttons = list.querySelectorAll('.flag-action');
+  const label = button.textContent;
+  buttons.forEach(element => { element.disabled = true; });
+  button.textContent = 'Working...';
+
+  try {
+    // Same storage key as BACKEND_URL_KEY in the pages
+    const stored = await chrome.storage.local.get(['backendUrl']);
+    const backendUrl = stored.backendUrl || 'http://localhost:8787';
+    const result = await resolveFlagAction(backendUrl, generationId, button.dataset.bulletId, button.dataset.action, revision);
+    await onResolved(result);
+  } catch (error) {
+    console.error('Error applying flag action:', error);
+    button.textContent = label;
+    buttons.forEach(element => { element.disabled = false; });
+    alert(`Could not apply "${label}": ${error.message}`);
+  }
+}
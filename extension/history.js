@@ -1,9 +1,14 @@
 // History page JavaScript
 const BACKEND_URL_KEY = 'backendUrl';
-const USER_ID = 'anonymous'; // TODO: Get from storage or generate
 
 let generations = [];
 
+// Resume templates from the backend's template registry (for re-rendering)
+let templates = [];
+
+// Open event streams for generations that are still running, keyed by generationId
+const activeStreams = new Map();
+
 document.addEventListener('DOMContentLoaded', async () => {
   const refreshBtn = document.getElementById('refreshBtn');
   const loadingIndicator = document.getElementById('loadingIndicator');
@@ -19,6 +24,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     await loadGenerations();
   });
 
+  // Downloads need the API token, so links are fetched and saved instead of followed
+  generationsList.addEventListener('click', (event) => {
+    const link = event.target.closest('a.download-btn[download]');
+    if (!link) return;
+    event.preventDefault();
+    downloadFile(link.href, link.getAttribute('download'));
+  });
+
   async function loadGenerations() {
     try {
       // Show loading, hide other states
@@ -31,8 +44,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       const result = await chrome.storage.local.get([BACKEND_URL_KEY]);
       const backendUrl = result[BACKEND_URL_KEY] || 'http://localhost:8787';
 
-      // Fetch generations from API
-      const response = await fetch(`${backendUrl}/api/generations?userId=${USER_ID}&limit=100`);
+      // Fetch the signed-in account's generations from API
+      const response = await authFetch(`${backendUrl}/api/generations?limit=100`);
       
       if (!response.ok) {
         throw new Error(`Server error: ${response.status}`);
@@ -41,6 +54,14 @@ document.addEventListener('DOMContentLoaded', async () => {
       const data = await response.json();
       generations = data.generations || [];
 
+      if (templates.length === 0) {
+        templates = await fetchTemplates(backendUrl);
+      }
+
+      // Drop streams from the previous render; unfinished jobs get new ones below
+      activeStreams.forEach(stream => stream.close());
+      activeStreams.clear();
+
       // Hide loading
       loadingIndicator.style.display = 'none';
 
@@ -67,6 +88,70 @@ document.addEventListener('DOMContentLoaded', async () => {
       const card = createGenerationCard(generation);
       listElement.appendChild(card);
     });
+
+    chrome.storage.local.get([BACKEND_URL_KEY]).then(result => {
+      const backendUrl = result[BACKEND_URL_KEY] || 'http://localhost:8787';
+      gens
+        .filter(generation => isInProgress(generation))
+        .forEach(generation => followGeneration(backendUrl, generation.generationId));
+    });
+  }
+
+  // Template list for the re-render picker; history still works without it
+  async function fetchTemplates(backendUrl) {
+    try {
+      const response = await fetch(`${backendUrl}/api/templates`);
+      if (!response.ok) throw new Error(`Server error: ${response.status}`);
+      const data = await response.json();
+      return data.templates || [];
+    } catch (error) {
+      console.warn('Could not load resume templates:', error);
+      return [];
+    }
+  }
+
+  function isInProgress(generation) {
+    return generation.status === 'queued' || generation.status === 'running';
+  }
+
+  // Stream live progress for an unfinished generation and refresh the list when it ends
+  function followGeneration(backendUrl, generationId) {
+    const stream = openEventStream(`${backendUrl}/api/generation/${generationId}/events`, (eventName, data) => {
+      if (eventName !== 'status') return;
+      const status = JSON.parse(data);
+      const badge = document.getElementById(`status-badge-${generationId}`);
+      if (badge) {
+        badge.textContent = status.stageLabel || status.stage;
+      }
+      if (status.status === 'done' || status.status === 'failed') {
+        stream.close();
+        activeStreams.delete(generationId);
+        loadGenerations();
+      }
+    }, () => {
+      // Leave the card as-is; the Refresh button picks up the final state
+      activeStreams.delete(generationId);
+    });
+    activeStreams.set(generationId, stream);
+  }
+
+  async function downloadFile(url, filename) {
+    try {
+      const response = await authFetch(url);
+      if (!response.ok) {
+        throw new Error(`Server error: ${response.status}`);
+      }
+
+      const blobUrl = URL.createObjectURL(await response.blob());
+      const a = document.createElement('a');
+      a.href = blobUrl;
+      a.download = filename;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(blobUrl), 100);
+    } catch (error) {
+      console.error('Error downloading file:', error);
+      alert(`Failed to download ${filename}: ${error.message}`);
+    }
   }
 
   function createGenerationCard(generation) {
@@ -83,10 +168,19 @@ document.addEventListener('DOMContentLoaded', async () => {
       minute: '2-digit'
     });
 
-    // Format job URL (title)
-    const jobUrlDisplay = generation.jobUrl 
-      ? `<a href="${escapeHtml(generation.jobUrl)}" target="_blank" rel="noopener noreferrer">${escapeHtml(generation.jobUrl)}</a>`
+    // Title from the parsed job posting, falling back to the job URL
+    const jobTitle = formatJobTitle(generation.jobPosting);
+    const titleText = jobTitle || generation.jobUrl;
+    const jobUrlDisplay = titleText
+      ? (generation.jobUrl
+        ? `<a href="${escapeHtml(generation.jobUrl)}" target="_blank" rel="noopener noreferrer">${escapeHtml(titleText)}</a>`
+        : escapeHtml(titleText))
       : '<span class="no-url">No job URL available</span>';
+    const jobDetails = formatJobDetails(generation.jobPosting);
+
+    // Job status for generations that are unfinished or failed
+    const inProgress = isInProgress(generation);
+    const failed = generation.status === 'failed';
 
     // Truth score color class
     const truthScore = generation.truthScore || 0;
@@ -99,19 +193,64 @@ document.addEventListener('DOMContentLoaded', async () => {
       scoreClass = 'low';
     }
 
+    // Cover letter fact-check score (only for generations with a checked cover letter)
+    const coverScore = generation.coverLetterTruthScore;
+    const hasCoverScore = coverScore !== null && coverScore !== undefined;
+    const coverScoreClass = !hasCoverScore || coverScore >= 80 ? '' : coverScore >= 60 ? 'medium' : 'low';
+    const coverFlags = generation.coverLetterFlags || [];
+
+    // Keyword match score (generations before keyword coverage have none)
+    const matchScore = generation.matchScore;
+    const hasMatchScore = matchScore !== null && matchScore !== undefined;
+    const matchScoreClass = !hasMatchScore || matchScore >= 80 ? '' : matchScore >= 60 ? 'medium' : 'low';
+    const missingKeywords = (generation.missingKeywords || []).map(item => item.keyword);
+
     // Create the card structure
     const header = document.createElement('div');
     header.className = 'generation-header';
     header.innerHTML = `
       <div class="generation-title">
         <h3>${jobUrlDisplay}</h3>
-        <div class="generation-meta">Generated on ${formattedDate}</div>
+        ${jobDetails ? `<div class="generation-meta">${escapeHtml(jobDetails)}</div>` : ''}
+        <div class="generation-meta">Generated on ${formattedDate}${generation.profileName ? ` from ${escapeHtml(generation.profileName)}` : ''}</div>
+        ${inProgress ? `
+        <div class="generation-status running">
+          <span class="status-spinner"></span>
+          <span id="status-badge-${escapeHtml(generation.generationId)}">${escapeHtml(formatStage(generation.stage))}</span>
+        </div>
+        ` : ''}
+        ${failed ? `
+        <div class="generation-status failed">Failed: ${escapeHtml(generation.error || 'Unknown error')}</div>
+        ` : ''}
+        ${generation.coverLetterBlocked ? `
+        <div class="generation-status blocked">Cover letter PDF blocked: it makes unsupported claims</div>
+        ` : ''}
       </div>
       <div class="generation-stats">
+        ${inProgress || failed ? '' : `
         <div class="stat-item">
           <span class="stat-label">Truth Score:</span>
           <span class="stat-value truth-score ${scoreClass}">${truthScore}</span>
         </div>
+        `}
+        ${!inProgress && hasMatchScore ? `
+        <div class="stat-item"${missingKeywords.length > 0 ? ` title="Missing: ${escapeHtml(missingKeywords.join(', '))}"` : ''}>
+          <span class="stat-label">Match Score:</span>
+          <span class="stat-value truth-score ${matchScoreClass}">${matchScore}</span>
+        </div>
+        ` : ''}
+        ${!inProgress && hasCoverScore ? `
+        <div class="stat-item">
+          <span class="stat-label">Cover Letter:</span>
+          <span class="stat-value truth-score ${coverScoreClass}">${coverScore}</span>
+        </div>
+        ` : ''}
+        ${!inProgress && generation.pageFit ? `
+        <div class="stat-item"${generation.pageFit.adjustments.length > 0 ? ` title="${escapeHtml(generation.pageFit.adjustments.join('; '))}"` : ''}>
+          <span class="stat-label">Pages:</span>
+          <span class="stat-value">${generation.pageFit.pageCount}/${generation.pageFit.targetPages}</span>
+        </div>
+        ` : ''}
         ${generation.flagsCount > 0 ? `
         <div class="stat-item">
           <span class="stat-label">Flags:</span>
@@ -121,27 +260,15 @@ document.addEventListener('DOMContentLoaded', async () => {
       </div>
     `;
 
-    // Create flags section if flags exist
+    // Create flags sections if flags exist
     let flagsSection = null;
     if (generation.flagsCount > 0 && generation.flags && generation.flags.length > 0) {
-      flagsSection = document.createElement('div');
-      flagsSection.className = 'flags-section';
-      
-      const flagsToggle = document.createElement('div');
-      flagsToggle.className = 'flags-toggle';
-      flagsToggle.onclick = () => toggleFlags(generation.generationId);
-      flagsToggle.innerHTML = `
-        <span class="flags-toggle-text">View Flags (${generation.flagsCount})</span>
-        <span class="flags-toggle-icon" id="flags-icon-${generation.generationId}">▼</span>
-      `;
-      
-      const flagsList = document.createElement('div');
-      flagsList.className = 'flags-list';
-      flagsList.id = `flags-list-${generation.generationId}`;
-      flagsList.innerHTML = generateFlagsHTML(generation.flags);
-      
-      flagsSection.appendChild(flagsToggle);
-      flagsSection.appendChild(flagsList);
+      flagsSection = createFlagsSection(generation.flags, generation.generationId, 'View Flags', generation);
+    }
+
+    let coverFlagsSection = null;
+    if (coverFlags.length > 0) {
+      coverFlagsSection = createFlagsSection(coverFlags, `cover-${generation.generationId}`, 'View Cover Letter Flags');
     }
 
     // Create actions section
@@ -154,6 +281,11 @@ document.addEventListener('DOMContentLoaded', async () => {
          ${generation.pdfUrl ? '' : 'onclick="return false;"'}>
         Download Resume PDF
       </a>
+      ${generation.pdfUrl && !inProgress ? `
+      <a href="editor.html?id=${encodeURIComponent(generation.generationId)}" class="download-btn secondary">
+        Edit Resume
+      </a>
+      ` : ''}
       ${generation.coverLetterPdfUrl ? `
       <a href="${generation.coverLetterPdfUrl}" 
          class="download-btn secondary" 
@@ -161,18 +293,432 @@ document.addEventListener('DOMContentLoaded', async () => {
         Download Cover Letter
       </a>
       ` : ''}
+      ${generation.docxUrl ? `
+      <a href="${generation.docxUrl}" 
+         class="download-btn secondary" 
+         download="resume-${generation.generationId}.docx">
+        Resume (Word)
+      </a>
+      ` : ''}
+      ${generation.coverLetterDocxUrl ? `
+      <a href="${generation.coverLetterDocxUrl}" 
+         class="download-btn secondary" 
+         download="cover-letter-${generation.generationId}.docx">
+        Cover Letter (Word)
+      </a>
+      ` : ''}
+      ${generation.jsonResumeUrl ? `
+      <a href="${generation.jsonResumeUrl}" 
+         class="download-btn secondary" 
+         download="resume-${generation.generationId}.json">
+        Export JSON Resume
+      </a>
+      ` : ''}
     `;
 
+    // Compare the tailored resume with the original, bullet by bullet
+    let diffSection = null;
+    if (generation.pdfUrl && !inProgress) {
+      diffSection = createDiffSection(generation);
+    }
+
+    // Long-lived links for sending a PDF to someone without an account
+    let shareSection = null;
+    if (generation.pdfUrl && !inProgress) {
+      shareSection = createShareSection(generation);
+    }
+
+    // Re-render the resume PDF with another template
+    let templateRow = null;
+    if (generation.pdfUrl && templates.length > 0) {
+      templateRow = createTemplateRow(generation, actions.querySelector('.download-btn'));
+    }
+
     // Assemble the card
     card.appendChild(header);
     if (flagsSection) {
       card.appendChild(flagsSection);
     }
+    if (coverFlagsSection) {
+      card.appendChild(coverFlagsSection);
+    }
+    if (diffSection) {
+      card.appendChild(diffSection);
+    }
+    if (shareSection) {
+      card.appendChild(shareSection);
+    }
     card.appendChild(actions);
+    if (templateRow) {
+      card.appendChild(templateRow);
+    }
 
     return card;
   }
 
+  function createTemplateRow(generation, resumeLink) {
+    const row = document.createElement('div');
+    row.className = 'template-row';
+    row.innerHTML = `
+      <label for="template-${escapeHtml(generation.generationId)}">Template:</label>
+      <select id="template-${escapeHtml(generation.generationId)}">
+        ${templates.map(template => `
+        <option value="${escapeHtml(template.id)}" title="${escapeHtml(template.description)}" ${template.id === generation.template ? 'selected' : ''}>${escapeHtml(template.name)}</option>
+        `).join('')}
+      </select>
+      <button type="button" disabled>Re-render PDF</button>
+      <span class="template-status"></span>
+    `;
+
+    const select = row.querySelector('select');
+    const button = row.querySelector('button');
+    const status = row.querySelector('.template-status');
+    let currentTemplate = generation.template;
+
+    select.addEventListener('change', () => {
+      button.disabled = select.value === currentTemplate;
+      status.textContent = '';
+    });
+
+    button.addEventListener('click', async () => {
+      button.disabled = true;
+      select.disabled = true;
+      status.textContent = 'Rendering...';
+
+      try {
+        const result = await chrome.storage.local.get([BACKEND_URL_KEY]);
+        const backendUrl = result[BACKEND_URL_KEY] || 'http://localhost:8787';
+        const response = await authFetch(`${backendUrl}/api/generation/${generation.generationId}/render`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ template: select.value })
+        });
+
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          throw new Error(errorData.error || `Server error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        currentTemplate = data.template;
+        // Freshly signed URL for the re-rendered PDF (signed URLs must not be modified)
+        resumeLink.href = data.pdfUrl;
+        status.textContent = data.pageFit
+          ? `Done (${data.pageFit.pageCount} page${data.pageFit.pageCount === 1 ? '' : 's'})`
+          : 'Done';
+      } catch (error) {
+        console.error('Error re-rendering resume:', error);
+        status.textContent = `Failed: ${error.message}`;
+        button.disabled = false;
+      } finally {
+        select.disabled = false;
+      }
+    });
+
+    return row;
+  }
+
+  function formatJobTitle(jobPosting) {
+    if (!jobPosting) return null;
+    if (jobPosting.title && jobPosting.company) return `${jobPosting.title} at ${jobPosting.company}`;
+    return jobPosting.title || jobPosting.company || null;
+  }
+
+  // Location, seniority and employment type on one line
+  function formatJobDetails(jobPosting) {
+    if (!jobPosting) return null;
+    const details = [
+      jobPosting.location,
+      jobPosting.seniority,
+      jobPosting.employmentType ? jobPosting.employmentType.replace(/_/g, ' ') : null
+    ].filter(Boolean);
+    return details.length > 0 ? details.join(' · ') : null;
+  }
+
+  // Resume flags (with a generation) get apply fix / keep original / remove bullet actions
+  function createFlagsSection(flags, listKey, title, generation = null) {
+    const flagsSection = document.createElement('div');
+    flagsSection.className = 'flags-section';
+    
+    const flagsToggle = document.createElement('div');
+    flagsToggle.className = 'flags-toggle';
+    flagsToggle.onclick = () => toggleFlags(listKey);
+    flagsToggle.innerHTML = `
+      <span class="flags-toggle-text">${escapeHtml(title)} (${flags.length})</span>
+      <span class="flags-toggle-icon" id="flags-icon-${listKey}">▼</span>
+    `;
+    
+    const flagsList = document.createElement('div');
+    flagsList.className = 'flags-list';
+    flagsList.id = `flags-list-${listKey}`;
+    flagsList.innerHTML = generateFlagsHTML(flags, Boolean(generation));
+    if (generation) {
+      // The action re-verifies and re-renders on the server; reload to show the new scores and flags
+      flagsList.addEventListener('click', event => handleFlagActionClick(event, generation, () => loadGenerations()));
+    }
+    
+    flagsSection.appendChild(flagsToggle);
+    flagsSection.appendChild(flagsList);
+    return flagsSection;
+  }
+
+  // Changes from the original resume; the diff is fetched the first time the section is opened
+  function createDiffSection(generation) {
+    const diffSection = document.createElement('div');
+    diffSection.className = 'flags-section';
+
+    const diffToggle = document.createElement('div');
+    diffToggle.className = 'flags-toggle';
+    diffToggle.innerHTML = `
+      <span class="flags-toggle-text">View Changes</span>
+      <span class="flags-toggle-icon">▼</span>
+    `;
+
+    const diffPanel = document.createElement('div');
+    diffPanel.className = 'diff-panel';
+
+    let loaded = false;
+    diffToggle.addEventListener('click', async () => {
+      const expanded = diffPanel.classList.toggle('expanded');
+      diffToggle.querySelector('.flags-toggle-icon').classList.toggle('expanded', expanded);
+      if (!expanded || loaded) return;
+
+      loaded = true;
+      diffPanel.innerHTML = '<div class="diff-message">Comparing with the original resume...</div>';
+      try {
+        const result = await chrome.storage.local.get([BACKEND_URL_KEY]);
+        const backendUrl = result[BACKEND_URL_KEY] || 'http://localhost:8787';
+        const response = await authFetch(`${backendUrl}/api/generation/${encodeURIComponent(generation.generationId)}/diff`);
+
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          throw new Error(errorData.error || `Server error: ${response.status}`);
+        }
+
+        diffPanel.innerHTML = generateDiffHTML(await response.json());
+      } catch (error) {
+        console.error('Error loading resume changes:', error);
+        // Try again next time the section is opened
+        loaded = false;
+        diffPanel.innerHTML = `<div class="diff-message error">Could not load changes: ${escapeHtml(error.message)}</div>`;
+      }
+    });
+
+    diffSection.appendChild(diffToggle);
+    diffSection.appendChild(diffPanel);
+    return diffSection;
+  }
+
+  function createShareSection(generation) {
+    const shareSection = document.createElement('div');
+    shareSection.className = 'flags-section';
+
+    const shareToggle = document.createElement('div');
+    shareToggle.className = 'flags-toggle';
+    shareToggle.innerHTML = `
+      <span class="flags-toggle-text">Share Links</span>
+      <span class="flags-toggle-icon">▼</span>
+    `;
+
+    const sharePanel = document.createElement('div');
+    sharePanel.className = 'share-panel';
+
+    const sharesUrl = async () => {
+      const result = await chrome.storage.local.get([BACKEND_URL_KEY]);
+      const backendUrl = result[BACKEND_URL_KEY] || 'http://localhost:8787';
+      return `${backendUrl}/api/generation/${encodeURIComponent(generation.generationId)}/shares`;
+    };
+
+    const loadShares = async () => {
+      sharePanel.innerHTML = '<div class="diff-message">Loading share links...</div>';
+      try {
+        const response = await authFetch(await sharesUrl());
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          throw new Error(errorData.error || `Server error: ${response.status}`);
+        }
+
+        const { shares } = await response.json();
+        sharePanel.innerHTML = generateShareHTML(generation, shares.filter(share => share.active));
+      } catch (error) {
+        console.error('Error loading share links:', error);
+        sharePanel.innerHTML = `<div class="diff-message error">Could not load share links: ${escapeHtml(error.message)}</div>`;
+      }
+    };
+
+    shareToggle.addEventListener('click', () => {
+      const expanded = sharePanel.classList.toggle('expanded');
+      shareToggle.querySelector('.flags-toggle-icon').classList.toggle('expanded', expanded);
+      if (expanded) {
+        loadShares();
+      }
+    });
+
+    sharePanel.addEventListener('click', async (event) => {
+      const button = event.target.closest('button[data-share-action]');
+      if (!button) return;
+
+      const { shareAction, file, shareId, url } = button.dataset;
+      if (shareAction === 'copy') {
+        await navigator.clipboard.writeText(url);
+        button.textContent = 'Copied';
+        setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+        return;
+      }
+      if (shareAction === 'revoke' && !confirm('Revoke this link? Anyone who has it will no longer be able to open the PDF.')) {
+        return;
+      }
+
+      button.disabled = true;
+      try {
+        const response = shareAction === 'create'
+          ? await authFetch(await sharesUrl(), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ file })
+          })
+          : await authFetch(`${await sharesUrl()}/${encodeURIComponent(shareId)}`, { method: 'DELETE' });
+
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          throw new Error(errorData.error || `Server error: ${response.status}`);
+        }
+
+        await loadShares();
+      } catch (error) {
+        console.error('Error updating share link:', error);
+        alert(`Failed to update share link: ${error.message}`);
+        button.disabled = false;
+      }
+    });
+
+    shareSection.appendChild(shareToggle);
+    shareSection.appendChild(sharePanel);
+    return shareSection;
+  }
+
+  function generateShareHTML(generation, shares) {
+    const sharesHTML = shares.map(share => {
+      const created = new Date(share.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+      const opened = share.accessCount === 1 ? 'opened once' : `opened ${share.accessCount} times`;
+      return `
+        <div class="share-row">
+          <div class="share-info">
+            <div class="share-label">${escapeHtml(share.label)}</div>
+            <div class="share-meta">Created ${created} · ${opened}</div>
+          </div>
+          <button data-share-action="copy" data-url="${escapeHtml(share.url)}">Copy</button>
+          <button data-share-action="revoke" data-share-id="${escapeHtml(share.shareId)}">Revoke</button>
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="share-actions">
+        <button data-share-action="create" data-file="resume.pdf">New resume link</button>
+        ${generation.coverLetterPdfUrl ? '<button data-share-action="create" data-file="cover.pdf">New cover letter link</button>' : ''}
+      </div>
+      ${sharesHTML || '<div class="diff-message">No active share links. Links keep working until you revoke them.</div>'}
+    `;
+  }
+
+  function generateDiffHTML(diff) {
+    const { counts, dropped } = diff;
+    const countsText = [
+      `${counts.reworded} reworded`,
+      `${counts.unchanged} unchanged`,
+      `${counts.new} without a source bullet`,
+      `${counts.dropped} dropped`,
+      counts.movedRoles > 0 ? `${counts.movedRoles} role${counts.movedRoles === 1 ? '' : 's'} moved` : null
+    ].filter(Boolean).join(' · ');
+
+    const itemsHTML = (items, describe) => items.map(item => {
+      const badges = [
+        item.moved ? `<span class="diff-badge moved">Moved from #${item.originalIndex + 1}</span>` : '',
+        item.originalIndex === null ? '<span class="diff-badge added">Not in original</span>' : '',
+        item.hidden ? '<span class="diff-badge">Hidden</span>' : ''
+      ].join('');
+      return `
+        <div class="diff-item">
+          <div class="diff-item-title">${escapeHtml(describe(item))}${badges}</div>
+          ${item.bullets.map(diffRowHTML).join('')}
+        </div>
+      `;
+    }).join('');
+
+    const droppedItems = [
+      ...dropped.roles.map(role => `Role: ${role.title} at ${role.company} (${role.bullets.length} bullet${role.bullets.length === 1 ? '' : 's'})`),
+      ...dropped.projects.map(project => `Project: ${project.name}`),
+      ...dropped.bullets.map(bullet => `${bullet.item}: ${bullet.text}`),
+      ...(dropped.skills.length > 0 ? [`Skills: ${dropped.skills.join(', ')}`] : [])
+    ];
+
+    return `
+      <div class="diff-counts">${escapeHtml(countsText)}</div>
+      <div class="diff-columns-header">
+        <span>Original</span>
+        <span>Tailored</span>
+      </div>
+      ${diff.summary.changes.length > 0 ? `
+      <div class="diff-item">
+        <div class="diff-item-title">Summary</div>
+        ${diffRowHTML(diff.summary)}
+      </div>
+      ` : ''}
+      ${itemsHTML(diff.experience, role => `${role.title} — ${role.company}`)}
+      ${itemsHTML(diff.projects, project => project.name)}
+      ${droppedItems.length > 0 ? `
+      <div class="diff-dropped">
+        <div class="diff-item-title">Left out of the tailored resume</div>
+        <ul>${droppedItems.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+      </div>
+      ` : ''}
+    `;
+  }
+
+  // Original (with removed words struck through) next to tailored (with added words highlighted)
+  function diffRowHTML(row) {
+    const side = type => row.changes
+      .filter(change => change.type === 'equal' || change.type === type)
+      .map(change => {
+        const text = escapeHtml(change.text);
+        if (change.type === 'insert') return `<ins class="diff-ins">${text}</ins>`;
+        if (change.type === 'delete') return `<del class="diff-del">${text}</del>`;
+        return text;
+      })
+      .join(' ');
+
+    let original;
+    if (!row.original) {
+      original = '<span class="diff-note">No matching original content</span>';
+    } else if (row.source === 'evidence') {
+      original = `<span class="diff-note">Cited evidence:</span> ${side('delete')}`;
+    } else {
+      original = side('delete');
+    }
+
+    return `
+      <div class="diff-row ${row.unchanged ? 'unchanged' : ''} ${row.hidden ? 'is-hidden' : ''}">
+        <div class="diff-cell">${original}</div>
+        <div class="diff-cell">${side('insert')}${row.hidden ? ' <span class="diff-note">(hidden)</span>' : ''}</div>
+      </div>
+    `;
+  }
+
+  function formatStage(stage) {
+    const labels = {
+      queued: 'Queued',
+      parsing_job: 'Parsing job posting',
+      generating: 'Generating tailored resume',
+      verifying: 'Verifying claims',
+      repairing: 'Repairing flagged bullets',
+      checking_cover: 'Fact-checking cover letter',
+      rendering_resume: 'Rendering resume PDF',
+      rendering_cover: 'Rendering cover letter PDF'
+    };
+    return labels[stage] || 'In progress';
+  }
+
   function escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
@@ -180,13 +726,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     return div.innerHTML;
   }
 
-  function generateFlagsHTML(flags) {
+  function generateFlagsHTML(flags, withActions = false) {
     if (!flags || flags.length === 0) return '';
     
     return flags.map((flag, index) => {
       const statusClass = flag.status === 'STRETCH' ? 'stretch' : 
-                          flag.status === 'MISSING_REQUIREMENT' ? 'missing-requirement' : '';
-      const statusDisplay = flag.status === 'MISSING_REQUIREMENT' ? 'MISSING REQUIREMENT' : flag.status;
+                          flag.status === 'MISSING_REQUIREMENT' ? 'missing-requirement' :
+                          flag.status === 'INVENTED_METRIC' ? 'invented-metric' : '';
+      const statusDisplay = (flag.status || '').replace(/_/g, ' ');
       
       return `
         <div class="flag-item ${statusClass}">
@@ -194,11 +741,14 @@ document.addEventListener('DOMContentLoaded', async () => {
             <span class="flag-status ${flag.status}">${escapeHtml(statusDisplay)}</span>
           </div>
           ${flag.bulletText ? `
-          <div class="flag-bullet-text">${escapeHtml(flag.bulletText)}</div>
+          <div class="flag-bullet-text">${flag.fieldLabel ? `${escapeHtml(flag.fieldLabel)}: ` : ''}${escapeHtml(flag.bulletText)}</div>
           ` : ''}
           ${flag.requirement ? `
           <div class="flag-bullet-text">Requirement: ${escapeHtml(flag.requirement)}</div>
           ` : ''}
+          ${flag.figure ? `
+          <div class="flag-bullet-text">Figure: ${escapeHtml(flag.figure)}</div>
+          ` : ''}
           ${flag.reason ? `
           <div class="flag-reason">${escapeHtml(flag.reason)}</div>
           ` : ''}
@@ -211,15 +761,16 @@ document.addEventListener('DOMContentLoaded', async () => {
             <div class="flag-suggested-fix-text">${escapeHtml(flag.suggestedFix)}</div>
           </div>
           ` : ''}
+          ${withActions ? flagActionsHTML(flag) : ''}
         </div>
       `;
     }).join('');
   }
 
   // Make toggleFlags available globally
-  window.toggleFlags = function(generationId) {
-    const flagsList = document.getElementById(`flags-list-${generationId}`);
-    const flagsIcon = document.getElementById(`flags-icon-${generationId}`);
+  window.toggleFlags = function(listKey) {
+    const flagsList = document.getElementById(`flags-list-${listKey}`);
+    const flagsIcon = document.getElementById(`flags-icon-${listKey}`);
     
     if (flagsList && flagsIcon) {
       const isExpanded = flagsList.classList.contains('expanded');
@@ -1,6 +1,6 @@
-// Options page JavaScript for resume input management
+// Options page JavaScript for resume input management and sign-in
+// Resume profiles are stored through resumeProfiles.js, the API token through auth.js
 
-const STORAGE_KEY = 'resumeText';
 const BACKEND_URL_KEY = 'backendUrl';
 
 // DOM elements
@@ -22,11 +22,33 @@ const inputMethodRadios = document.querySelectorAll('input[name="inputMethod"]')
 const backendUrlInput = document.getElementById('backendUrl');
 const saveBackendBtn = document.getElementById('saveBackendBtn');
 const backendStatusMessage = document.getElementById('backendStatusMessage');
+const profileSelect = document.getElementById('profileSelect');
+const newProfileBtn = document.getElementById('newProfileBtn');
+const renameProfileBtn = document.getElementById('renameProfileBtn');
+const duplicateProfileBtn = document.getElementById('duplicateProfileBtn');
+const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+const defaultProfileBtn = document.getElementById('defaultProfileBtn');
+const profileStatusMessage = document.getElementById('profileStatusMessage');
+const accountEmailInput = document.getElementById('accountEmail');
+const accountPasswordInput = document.getElementById('accountPassword');
+const signInBtn = document.getElementById('signInBtn');
+const registerBtn = document.getElementById('registerBtn');
+const signOutBtn = document.getElementById('signOutBtn');
+const signedOutView = document.getElementById('signedOutView');
+const signedInView = document.getElementById('signedInView');
+const accountSummary = document.getElementById('accountSummary');
+const accountStatusMessage = document.getElementById('accountStatusMessage');
+
+// Resume profiles and the one being edited
+let profiles = [];
+let defaultProfileId = null;
+let selectedProfileId = null;
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
-  loadSavedResume();
+  loadProfiles();
   loadBackendUrl();
+  loadAccount();
   setupEventListeners();
   updateCharCount();
 });
@@ -69,6 +91,171 @@ function setupEventListeners() {
 
   // Backend URL save
   saveBackendBtn.addEventListener('click', saveBackendUrl);
+
+  // Account
+  signInBtn.addEventListener('click', () => handleSignIn(false));
+  registerBtn.addEventListener('click', () => handleSignIn(true));
+  signOutBtn.addEventListener('click', handleSignOut);
+  accountPasswordInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleSignIn(false);
+  });
+
+  // Resume profiles
+  profileSelect.addEventListener('change', handleProfileChange);
+  newProfileBtn.addEventListener('click', createProfile);
+  renameProfileBtn.addEventListener('click', renameProfile);
+  duplicateProfileBtn.addEventListener('click', duplicateProfile);
+  deleteProfileBtn.addEventListener('click', deleteProfile);
+  defaultProfileBtn.addEventListener('click', setDefaultProfile);
+}
+
+// Load resume profiles and select the default one
+async function loadProfiles() {
+  try {
+    ({ profiles, defaultProfileId } = await loadResumeProfiles());
+    selectedProfileId = defaultProfileId;
+    renderProfileSelect();
+    showSelectedProfile();
+  } catch (error) {
+    console.error('Error loading resume profiles:', error);
+    showProfileStatus('Error loading resume profiles', 'error');
+  }
+}
+
+function getSelectedProfile() {
+  return profiles.find(profile => profile.id === selectedProfileId) || null;
+}
+
+// Fill the profile dropdown and enable the buttons that need a selected profile
+function renderProfileSelect() {
+  profileSelect.innerHTML = '';
+
+  if (profiles.length === 0) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = 'No profiles yet (saving a resume creates "Default")';
+    profileSelect.appendChild(option);
+  }
+
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.id === defaultProfileId ? `${profile.name} (default)` : profile.name;
+    profileSelect.appendChild(option);
+  });
+
+  profileSelect.value = selectedProfileId || '';
+  profileSelect.disabled = profiles.length === 0;
+  renameProfileBtn.disabled = !selectedProfileId;
+  duplicateProfileBtn.disabled = !selectedProfileId;
+  deleteProfileBtn.disabled = !selectedProfileId;
+  defaultProfileBtn.disabled = !selectedProfileId || selectedProfileId === defaultProfileId;
+}
+
+// Show the selected profile's resume in the editor and preview
+function showSelectedProfile() {
+  const profile = getSelectedProfile();
+  resumeTextarea.value = profile ? profile.resumeText : '';
+  updateCharCount();
+  updatePreview(profile && profile.resumeText ? profile.resumeText : null);
+}
+
+// Switch to another profile
+function handleProfileChange() {
+  selectedProfileId = profileSelect.value || null;
+  renderProfileSelect();
+  showSelectedProfile();
+}
+
+// Ask for a profile name until it is valid or the prompt is cancelled
+function promptProfileName(message, initialName, ignoreId = null) {
+  let name = initialName;
+  while (true) {
+    name = prompt(message, name);
+    if (name === null) return null;
+    name = name.trim();
+
+    const error = validateProfileName(profiles, name, ignoreId);
+    if (!error) return name;
+    alert(error);
+  }
+}
+
+// Persist profiles and refresh the dropdown
+async function persistProfiles(message) {
+  try {
+    await saveResumeProfiles(profiles, defaultProfileId);
+    renderProfileSelect();
+    if (message) showProfileStatus(message, 'success');
+  } catch (error) {
+    console.error('Error saving resume profiles:', error);
+    showProfileStatus('Error saving resume profiles', 'error');
+  }
+}
+
+// Create an empty profile
+async function createProfile() {
+  const name = promptProfileName('Name for the new resume profile:', '');
+  if (!name) return;
+
+  const profile = { id: createProfileId(), name, resumeText: '', updatedAt: Date.now() };
+  profiles.push(profile);
+  if (!defaultProfileId) defaultProfileId = profile.id;
+  selectedProfileId = profile.id;
+
+  await persistProfiles(`Profile "${name}" created. Paste or upload its resume, then click Save Resume.`);
+  showSelectedProfile();
+}
+
+// Rename the selected profile
+async function renameProfile() {
+  const profile = getSelectedProfile();
+  if (!profile) return;
+
+  const name = promptProfileName('New name for this profile:', profile.name, profile.id);
+  if (!name || name === profile.name) return;
+
+  profile.name = name;
+  profile.updatedAt = Date.now();
+  await persistProfiles(`Profile renamed to "${name}"`);
+}
+
+// Copy the selected profile's saved resume into a new profile
+async function duplicateProfile() {
+  const profile = getSelectedProfile();
+  if (!profile) return;
+
+  const copy = { id: createProfileId(), name: copyProfileName(profiles, profile.name), resumeText: profile.resumeText, updatedAt: Date.now() };
+  profiles.push(copy);
+  selectedProfileId = copy.id;
+
+  await persistProfiles(`Created "${copy.name}"`);
+  showSelectedProfile();
+}
+
+// Delete the selected profile; the first remaining profile becomes the default if needed
+async function deleteProfile() {
+  const profile = getSelectedProfile();
+  if (!profile) return;
+  if (!confirm(`Delete the resume profile "${profile.name}"? This cannot be undone.`)) return;
+
+  profiles = profiles.filter(candidate => candidate.id !== profile.id);
+  if (defaultProfileId === profile.id) {
+    defaultProfileId = profiles[0]?.id || null;
+  }
+  selectedProfileId = defaultProfileId;
+
+  await persistProfiles(`Profile "${profile.name}" deleted`);
+  showSelectedProfile();
+}
+
+// Make the selected profile the one the popup uses by default
+async function setDefaultProfile() {
+  const profile = getSelectedProfile();
+  if (!profile) return;
+
+  defaultProfileId = profile.id;
+  await persistProfiles(`"${profile.name}" is now the default profile`);
 }
 
 // Update character count
@@ -89,15 +276,39 @@ function handleInputMethodChange(e) {
   }
 }
 
+// File types the backend can extract text from
+const EXTRACTABLE_EXTENSIONS = ['.pdf', '.docx'];
+
+function isTextFile(file) {
+  return file.type === 'text/plain' || file.name.toLowerCase().endsWith('.txt');
+}
+
+function isExtractableFile(file) {
+  return EXTRACTABLE_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension));
+}
+
+function isJsonResumeFile(file) {
+  return file.type === 'application/json' || file.name.toLowerCase().endsWith('.json');
+}
+
+// Read a .txt file locally or send a PDF/DOCX to the backend for extraction
+function loadResumeFile(file) {
+  if (isTextFile(file)) {
+    readFile(file);
+  } else if (isExtractableFile(file)) {
+    extractFileText(file);
+  } else if (isJsonResumeFile(file)) {
+    importJsonResume(file);
+  } else {
+    showStatus('Please select a PDF, DOCX, .txt or JSON Resume file', 'error');
+  }
+}
+
 // Handle file selection
 function handleFileSelect(e) {
   const file = e.target.files[0];
   if (file) {
-    if (file.type === 'text/plain' || file.name.endsWith('.txt')) {
-      readFile(file);
-    } else {
-      showStatus('Please select a .txt file', 'error');
-    }
+    loadResumeFile(file);
   }
 }
 
@@ -123,15 +334,106 @@ function handleFileDrop(e) {
 
   const file = e.dataTransfer.files[0];
   if (file) {
-    if (file.type === 'text/plain' || file.name.endsWith('.txt')) {
+    if (isTextFile(file) || isExtractableFile(file) || isJsonResumeFile(file)) {
       fileInput.files = e.dataTransfer.files;
-      readFile(file);
-    } else {
-      showStatus('Please drop a .txt file', 'error');
     }
+    loadResumeFile(file);
   }
 }
 
+// Upload a PDF or DOCX to the backend and put the extracted text in the editor for review
+async function extractFileText(file) {
+  const backendUrl = backendUrlInput.value.trim() || 'http://localhost:8787';
+  const formData = new FormData();
+  formData.append('resume', file);
+
+  showFileInfo(file);
+  showStatus(`Extracting text from "${file.name}"...`, 'info');
+
+  try {
+    const response = await fetch(`${backendUrl}/api/resume/extract`, {
+      method: 'POST',
+      body: formData
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(typeof errorData.details === 'string' ? errorData.details : errorData.error || `HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!data.text) {
+      showStatus(data.warnings?.[0] || `No text found in "${file.name}"`, 'error');
+      return;
+    }
+
+    // Show the extracted text in the editor; nothing is saved until the user clicks Save Resume
+    resumeTextarea.value = data.text;
+    updateCharCount();
+    showPasteView();
+
+    const pages = data.pageCount ? ` (${data.pageCount} page${data.pageCount === 1 ? '' : 's'})` : '';
+    const warning = data.warnings?.length ? ` ${data.warnings.join(' ')}` : '';
+    showStatus(`Extracted text from "${file.name}"${pages}. Review it below, then click Save Resume.${warning}`, 'success');
+  } catch (error) {
+    console.error('Error extracting resume text:', error);
+    showStatus(`Could not extract text: ${error.message}`, 'error');
+  }
+}
+
+// Convert a JSON Resume (jsonresume.org) file into resume text on the backend and show it for review
+async function importJsonResume(file) {
+  const backendUrl = backendUrlInput.value.trim() || 'http://localhost:8787';
+  showFileInfo(file);
+
+  let jsonResume;
+  try {
+    jsonResume = JSON.parse(await file.text());
+  } catch (error) {
+    showStatus(`"${file.name}" is not valid JSON`, 'error');
+    return;
+  }
+
+  try {
+    const response = await fetch(`${backendUrl}/api/resume/import?format=jsonresume`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(jsonResume)
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const details = Array.isArray(errorData.details) ? errorData.details.slice(0, 3).join('; ') : errorData.details;
+      throw new Error(details || errorData.error || `HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    resumeTextarea.value = data.resumeText;
+    updateCharCount();
+    showPasteView();
+
+    const warning = data.warnings?.length ? ` Note: ${data.warnings.length} field(s) are incomplete (${data.warnings[0]}).` : '';
+    showStatus(`Imported JSON Resume "${file.name}". Review it below, then click Save Resume.${warning}`, 'success');
+  } catch (error) {
+    console.error('Error importing JSON Resume:', error);
+    showStatus(`Could not import JSON Resume: ${error.message}`, 'error');
+  }
+}
+
+// Show the selected file's name in the upload area
+function showFileInfo(file) {
+  fileName.textContent = file.name;
+  fileInfo.classList.remove('hidden');
+  fileUploadArea.querySelector('.upload-placeholder').classList.add('hidden');
+}
+
+// Switch to the text editor so extracted text can be reviewed and edited
+function showPasteView() {
+  document.querySelector('input[name="inputMethod"][value="paste"]').checked = true;
+  pasteContainer.classList.remove('hidden');
+  uploadContainer.classList.add('hidden');
+}
+
 // Read file content
 function readFile(file) {
   const reader = new FileReader();
@@ -141,9 +443,7 @@ function readFile(file) {
     updateCharCount();
     
     // Show file info
-    fileName.textContent = file.name;
-    fileInfo.classList.remove('hidden');
-    fileUploadArea.querySelector('.upload-placeholder').classList.add('hidden');
+    showFileInfo(file);
     
     showStatus(`File "${file.name}" loaded successfully`, 'success');
   };
@@ -162,7 +462,7 @@ function clearFile() {
   updateCharCount();
 }
 
-// Save resume to chrome.storage.local
+// Save resume text to the selected profile (creating a "Default" profile on first save)
 async function saveResume() {
   const resumeText = resumeTextarea.value.trim();
   
@@ -171,9 +471,20 @@ async function saveResume() {
     return;
   }
 
+  let profile = getSelectedProfile();
+  if (!profile) {
+    profile = { id: createProfileId(), name: 'Default', resumeText: '', updatedAt: Date.now() };
+    profiles.push(profile);
+    defaultProfileId = defaultProfileId || profile.id;
+    selectedProfileId = profile.id;
+  }
+  profile.resumeText = resumeText;
+  profile.updatedAt = Date.now();
+
   try {
-    await chrome.storage.local.set({ [STORAGE_KEY]: resumeText });
-    showStatus('Resume saved successfully!', 'success');
+    await saveResumeProfiles(profiles, defaultProfileId);
+    renderProfileSelect();
+    showStatus(`Resume saved to "${profile.name}"`, 'success');
     updatePreview(resumeText);
   } catch (error) {
     console.error('Error saving resume:', error);
@@ -181,17 +492,17 @@ async function saveResume() {
   }
 }
 
-// Load saved resume
+// Reload the selected profile's saved resume, discarding unsaved edits
 async function loadSavedResume() {
   try {
-    const result = await chrome.storage.local.get([STORAGE_KEY]);
-    if (result[STORAGE_KEY]) {
-      resumeTextarea.value = result[STORAGE_KEY];
-      updateCharCount();
-      updatePreview(result[STORAGE_KEY]);
-      showStatus('Resume loaded', 'success');
-    } else {
-      updatePreview(null);
+    ({ profiles, defaultProfileId } = await loadResumeProfiles());
+    if (!getSelectedProfile()) selectedProfileId = defaultProfileId;
+    renderProfileSelect();
+    showSelectedProfile();
+
+    const profile = getSelectedProfile();
+    if (profile && profile.resumeText) {
+      showStatus(`Resume "${profile.name}" loaded`, 'success');
     }
   } catch (error) {
     console.error('Error loading resume:', error);
@@ -238,6 +549,18 @@ function showStatus(message, type = 'info') {
   }, 3000);
 }
 
+// Show profile status message
+function showProfileStatus(message, type = 'info') {
+  profileStatusMessage.textContent = message;
+  profileStatusMessage.className = `status-message ${type}`;
+  profileStatusMessage.classList.remove('hidden');
+
+  // Auto-hide after 3 seconds
+  setTimeout(() => {
+    profileStatusMessage.classList.add('hidden');
+  }, 3000);
+}
+
 // Load backend URL
 async function loadBackendUrl() {
   try {
@@ -252,6 +575,79 @@ async function loadBackendUrl() {
   }
 }
 
+// Show whether this install is signed in
+async function loadAccount() {
+  try {
+    renderAccount(await getSignedInAccount());
+  } catch (error) {
+    console.error('Error loading account:', error);
+  }
+}
+
+function renderAccount(account) {
+  signedOutView.classList.toggle('hidden', Boolean(account));
+  signedInView.classList.toggle('hidden', !account);
+  accountSummary.textContent = account
+    ? `Signed in as ${account.email}. Your generations and history are saved to this account.`
+    : '';
+}
+
+// Sign in (or create an account) against the backend URL in the field above
+async function handleSignIn(register) {
+  const email = accountEmailInput.value.trim();
+  const password = accountPasswordInput.value;
+  if (!email || !password) {
+    showAccountStatus('Please enter your email and password', 'error');
+    return;
+  }
+
+  const backendUrl = backendUrlInput.value.trim() || 'http://localhost:8787';
+  signInBtn.disabled = true;
+  registerBtn.disabled = true;
+
+  try {
+    const account = await signIn(backendUrl, email, password, register);
+    accountPasswordInput.value = '';
+    renderAccount(account);
+    showAccountStatus(register ? 'Account created, you are signed in' : 'Signed in successfully!', 'success');
+  } catch (error) {
+    console.error('Error signing in:', error);
+    showAccountStatus(error.message, 'error');
+  } finally {
+    signInBtn.disabled = false;
+    registerBtn.disabled = false;
+  }
+}
+
+// Revoke this install's API token
+async function handleSignOut() {
+  const backendUrl = backendUrlInput.value.trim() || 'http://localhost:8787';
+  signOutBtn.disabled = true;
+
+  try {
+    await signOut(backendUrl);
+    renderAccount(null);
+    showAccountStatus('Signed out', 'success');
+  } catch (error) {
+    console.error('Error signing out:', error);
+    showAccountStatus('Error signing out', 'error');
+  } finally {
+    signOutBtn.disabled = false;
+  }
+}
+
+// Show account status message
+function showAccountStatus(message, type = 'info') {
+  accountStatusMessage.textContent = message;
+  accountStatusMessage.className = `status-message ${type}`;
+  accountStatusMessage.classList.remove('hidden');
+
+  // Auto-hide after 3 seconds
+  setTimeout(() => {
+    accountStatusMessage.classList.add('hidden');
+  }, 3000);
+}
+
 // Save backend URL
 async function saveBackendUrl() {
   const backendUrl = backendUrlInput.value.trim();
@@ -1,7 +1,10 @@
 // Popup JavaScript
 
-const STORAGE_KEY = 'resumeText';
 const BACKEND_URL_KEY = 'backendUrl';
+const TEMPLATE_KEY = 'resumeTemplate';
+const EXPORT_FORMAT_KEY = 'exportFormat';
+const PENDING_GENERATION_KEY = 'pendingGenerationId';
+const POLL_INTERVAL_MS = 2000;
 
 let currentGeneration = null;
 
@@ -14,25 +17,59 @@ document.addEventListener('DOMContentLoaded', async () => {
   const openSettingsBtn = document.getElementById('openSettings');
   const openHistoryBtn = document.getElementById('openHistoryBtn');
   const includeCoverLetterCheckbox = document.getElementById('includeCoverLetter');
+  const strictModeCheckbox = document.getElementById('strictMode');
+  const blockUnsupportedCoverCheckbox = document.getElementById('blockUnsupportedCover');
   const loadingSpinner = document.getElementById('loadingSpinner');
   const statusArea = document.getElementById('statusArea');
   const errorMessage = document.getElementById('errorMessage');
   const closeBtn = document.getElementById('closeBtn');
+  const profileSelect = document.getElementById('profileSelect');
+  const templateSelect = document.getElementById('templateSelect');
 
-  // Check if resume is saved
-  const result = await chrome.storage.local.get([STORAGE_KEY, BACKEND_URL_KEY]);
-  const hasResume = result[STORAGE_KEY] && result[STORAGE_KEY].trim().length > 0;
+  const result = await chrome.storage.local.get([BACKEND_URL_KEY]);
   const backendUrl = result[BACKEND_URL_KEY] || 'http://localhost:8787';
 
-  if (hasResume) {
-    statusIndicator.textContent = 'Resume ready';
-    statusIndicator.className = 'status-indicator ready';
-    generateBtn.disabled = false;
-  } else {
-    statusIndicator.textContent = 'No resume configured';
-    statusIndicator.className = 'status-indicator not-ready';
-    generateBtn.disabled = true;
+  // Generations belong to an account; the options page signs in
+  const account = await getSignedInAccount();
+
+  // Fill the profile picker, starting on the default profile
+  const { profiles, defaultProfileId } = await loadResumeProfiles();
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.id === defaultProfileId ? `${profile.name} (default)` : profile.name;
+    profileSelect.appendChild(option);
+  });
+  profileSelect.value = defaultProfileId || '';
+  document.getElementById('profilePicker').classList.toggle('hidden', profiles.length < 2);
+
+  // Check that the user is signed in and the selected profile has a resume saved
+  function updateResumeStatus() {
+    const profile = profiles.find(candidate => candidate.id === profileSelect.value);
+    const hasResume = profile && profile.resumeText && profile.resumeText.trim().length > 0;
+
+    if (!account) {
+      statusIndicator.textContent = 'Sign in from Settings to generate';
+      statusIndicator.className = 'status-indicator not-ready';
+      generateBtn.disabled = true;
+    } else if (hasResume) {
+      statusIndicator.textContent = profiles.length > 1 ? `Resume ready: ${profile.name}` : 'Resume ready';
+      statusIndicator.className = 'status-indicator ready';
+      generateBtn.disabled = false;
+    } else {
+      statusIndicator.textContent = profile ? `"${profile.name}" has no resume text` : 'No resume configured';
+      statusIndicator.className = 'status-indicator not-ready';
+      generateBtn.disabled = true;
+    }
   }
+  updateResumeStatus();
+  profileSelect.addEventListener('change', updateResumeStatus);
+
+  // Fill the template picker from the backend's template registry
+  await loadTemplates(backendUrl, templateSelect);
+  templateSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ [TEMPLATE_KEY]: templateSelect.value });
+  });
 
   // Close button - closes the popup
   closeBtn.addEventListener('click', () => {
@@ -54,11 +91,40 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Get fresh backend URL from storage
     const result = await chrome.storage.local.get([BACKEND_URL_KEY]);
     const currentBackendUrl = result[BACKEND_URL_KEY] || 'http://localhost:8787';
-    await generateResume(currentBackendUrl, includeCoverLetterCheckbox.checked);
+    await generateResume(currentBackendUrl, profileSelect.value, templateSelect.value, includeCoverLetterCheckbox.checked, strictModeCheckbox.checked, blockUnsupportedCoverCheckbox.checked);
   });
+
+  // Pick up a generation that was still running when the popup was last closed
+  await resumePendingGeneration(backendUrl);
 });
 
-async function generateResume(backendUrl, includeCoverLetter) {
+// Replace the template options with the backend's templates and select the last one used
+async function loadTemplates(backendUrl, templateSelect) {
+  const stored = await chrome.storage.local.get([TEMPLATE_KEY]);
+
+  try {
+    const response = await fetch(`${backendUrl}/api/templates`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const { templates, defaultTemplate } = await response.json();
+
+    templateSelect.innerHTML = '';
+    templates.forEach(template => {
+      const option = document.createElement('option');
+      option.value = template.id;
+      option.textContent = template.name;
+      option.title = template.description;
+      templateSelect.appendChild(option);
+    });
+    templateSelect.value = templates.some(template => template.id === stored[TEMPLATE_KEY])
+      ? stored[TEMPLATE_KEY]
+      : defaultTemplate;
+  } catch (error) {
+    // Keep the built-in Classic option when the backend is unreachable
+    console.warn('Could not load resume templates:', error);
+  }
+}
+
+async function generateResume(backendUrl, profileId, template, includeCoverLetter, strictMode, blockUnsupportedCoverLetter) {
   const generateBtn = document.getElementById('generateBtn');
   const loadingSpinner = document.getElementById('loadingSpinner');
   const statusArea = document.getElementById('statusArea');
@@ -70,11 +136,14 @@ async function generateResume(backendUrl, includeCoverLetter) {
   statusArea.classList.remove('visible');
   generateBtn.disabled = true;
   loadingSpinner.classList.add('visible');
+  document.getElementById('loadingText').textContent = 'Starting generation...';
+  document.getElementById('loadingDetail').textContent = '';
 
   try {
-    // Get resume text from storage
-    const result = await chrome.storage.local.get([STORAGE_KEY]);
-    const resumeText = result[STORAGE_KEY];
+    // Get the chosen profile's resume text from storage
+    const { profiles } = await loadResumeProfiles();
+    const profile = profiles.find(candidate => candidate.id === profileId);
+    const resumeText = profile ? profile.resumeText : null;
 
     if (!resumeText || !resumeText.trim()) {
       throw new Error('No resume text found. Please configure your resume in settings.');
@@ -95,11 +164,8 @@ async function generateResume(backendUrl, includeCoverLetter) {
       console.warn('Warning: No job description text was captured from the page');
     }
     
-    // Get userId (could be from storage or generate anonymous)
-    const userId = 'anonymous'; // TODO: Get from storage or generate
-
-    // Call backend API
-    const response = await fetch(`${backendUrl}/api/generate`, {
+    // Call backend API (the generation belongs to the signed-in account)
+    const response = await authFetch(`${backendUrl}/api/generate`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -107,8 +173,11 @@ async function generateResume(backendUrl, includeCoverLetter) {
       body: JSON.stringify({
         jobText: jobData.jobText,
         resumeText: resumeText,
+        profileName: profile.name,
+        template: template,
         includeCoverLetter: includeCoverLetter,
-        userId: userId,
+        strictMode: strictMode,
+        blockUnsupportedCoverLetter: blockUnsupportedCoverLetter,
         jobUrl: jobData.jobUrl,
       }),
     });
@@ -118,11 +187,12 @@ async function generateResume(backendUrl, includeCoverLetter) {
       throw new Error(errorData.error || `Server error: ${response.status}`);
     }
 
-    const data = await response.json();
-    currentGeneration = data;
+    const { generationId } = await response.json();
 
-    // Display results
-    displayResults(data);
+    // Remember the job so progress survives the popup closing
+    await chrome.storage.local.set({ [PENDING_GENERATION_KEY]: generationId });
+
+    await followGeneration(backendUrl, generationId);
 
   } catch (error) {
     console.error('Error generating resume:', error);
@@ -134,6 +204,106 @@ async function generateResume(backendUrl, includeCoverLetter) {
   }
 }
 
+// Resume following a generation started in an earlier popup session
+async function resumePendingGeneration(backendUrl) {
+  const result = await chrome.storage.local.get([PENDING_GENERATION_KEY]);
+  const generationId = result[PENDING_GENERATION_KEY];
+  if (!generationId) return;
+
+  const generateBtn = document.getElementById('generateBtn');
+  const loadingSpinner = document.getElementById('loadingSpinner');
+  const errorMessage = document.getElementById('errorMessage');
+  const wasDisabled = generateBtn.disabled;
+
+  generateBtn.disabled = true;
+  loadingSpinner.classList.add('visible');
+
+  try {
+    await followGeneration(backendUrl, generationId);
+  } catch (error) {
+    console.error('Error resuming generation:', error);
+    errorMessage.textContent = error.message || 'An error occurred while generating the resume.';
+    errorMessage.classList.add('visible');
+  } finally {
+    loadingSpinner.classList.remove('visible');
+    generateBtn.disabled = wasDisabled;
+  }
+}
+
+// Wait for a generation job to finish, showing progress, then display its results
+async function followGeneration(backendUrl, generationId) {
+  const finalStatus = await watchGeneration(backendUrl, generationId, updateProgress);
+
+  // The job is finished either way; stop tracking it
+  await chrome.storage.local.remove(PENDING_GENERATION_KEY);
+
+  if (finalStatus.status === 'failed') {
+    throw new Error(finalStatus.error || 'Generation failed');
+  }
+
+  const data = { generationId, ...finalStatus.result };
+  currentGeneration = data;
+
+  // Display results
+  displayResults(data);
+}
+
+// Follow job progress over server-sent events, falling back to polling
+function watchGeneration(backendUrl, generationId, onProgress) {
+  return new Promise((resolve, reject) => {
+    const isFinished = (status) => status.status === 'done' || status.status === 'failed';
+
+    const poll = async () => {
+      try {
+        const response = await authFetch(`${backendUrl}/api/generation/${generationId}/status`);
+        if (response.status === 404) {
+          await chrome.storage.local.remove(PENDING_GENERATION_KEY);
+          throw new Error('Generation not found');
+        }
+        if (!response.ok) {
+          throw new Error(`Server error: ${response.status}`);
+        }
+        const status = await response.json();
+        onProgress(status);
+        if (isFinished(status)) {
+          resolve(status);
+        } else {
+          setTimeout(poll, POLL_INTERVAL_MS);
+        }
+      } catch (error) {
+        reject(error);
+      }
+    };
+
+    // Streamed with fetch so the request carries the API token
+    const stream = openEventStream(`${backendUrl}/api/generation/${generationId}/events`, (eventName, data) => {
+      if (eventName !== 'status') return;
+      const status = JSON.parse(data);
+      onProgress(status);
+      if (isFinished(status)) {
+        stream.close();
+        resolve(status);
+      }
+    }, () => {
+      // Stream dropped or unsupported - poll the status endpoint instead
+      poll();
+    });
+  });
+}
+
+// Show the current pipeline stage under the spinner
+function updateProgress(status) {
+  const loadingText = document.getElementById('loadingText');
+  const loadingDetail = document.getElementById('loadingDetail');
+
+  loadingText.textContent = `${status.stageLabel || 'Working'}...`;
+  if (status.stageCount && status.status !== 'done' && status.status !== 'failed') {
+    loadingDetail.textContent = `Step ${Math.min(status.stageIndex + 1, status.stageCount)} of ${status.stageCount}`;
+  } else {
+    loadingDetail.textContent = '';
+  }
+}
+
 async function captureJobDescription(tabId) {
   try {
     // Inject content script to capture page text
@@ -180,50 +350,53 @@ function displayResults(data) {
   const downloadResumeBtn = document.getElementById('downloadResumeBtn');
   const downloadCoverBtn = document.getElementById('downloadCoverBtn');
   const downloadBothBtn = document.getElementById('downloadBothBtn');
+  const downloadResumeDocxBtn = document.getElementById('downloadResumeDocxBtn');
+  const downloadCoverDocxBtn = document.getElementById('downloadCoverDocxBtn');
+  const repairSummary = document.getElementById('repairSummary');
+  const coverScore = document.getElementById('coverScore');
+  const coverBlocked = document.getElementById('coverBlocked');
+  const coverFlagsSection = document.getElementById('coverFlagsSection');
 
   // Show status area
   statusArea.classList.add('visible');
 
+  // Summarize strict-mode repairs
+  const repairRounds = data.repairHistory || [];
+  if (repairRounds.length > 0) {
+    const rewritten = new Set(repairRounds.flatMap(round => round.changes.map(change => change.bulletId))).size;
+    const lastRound = repairRounds[repairRounds.length - 1];
+    repairSummary.textContent = `Strict mode rewrote ${rewritten} bullet(s) in ${repairRounds.length} round(s); ` +
+      `${lastRound.unsupportedRemaining} unsupported remaining.`;
+    repairSummary.style.display = 'block';
+  } else {
+    repairSummary.style.display = 'none';
+  }
+
+  // Report what was changed to fit the resume on its page budget
+  displayPageFit(document.getElementById('pageFitSummary'), data.pageFit);
+
   // Display truth score
-  const score = data.truthScore || 0;
-  truthScoreValue.textContent = score;
-  truthScoreFill.style.width = `${score}%`;
+  displayScore(truthScoreValue, truthScoreFill, data.truthScore || 0);
 
-  // Update score color based on value
-  if (score >= 80) {
-    truthScoreValue.style.color = '#10b981';
-    truthScoreFill.style.background = '#10b981';
-  } else if (score >= 60) {
-    truthScoreValue.style.color = '#f59e0b';
-    truthScoreFill.style.background = '#f59e0b';
-  } else {
-    truthScoreValue.style.color = '#ef4444';
-    truthScoreFill.style.background = '#ef4444';
+  // Display the keyword match score next to it
+  const hasMatchScore = data.matchScore !== null && data.matchScore !== undefined;
+  document.getElementById('matchScore').style.display = hasMatchScore ? 'block' : 'none';
+  if (hasMatchScore) {
+    displayScore(document.getElementById('matchScoreValue'), document.getElementById('matchScoreFill'), data.matchScore);
   }
+  displayKeywords(document.getElementById('keywordCoverage'), document.getElementById('keywordList'), data.keywordCoverage);
 
-  // Display flags
-  if (data.flags && data.flags.length > 0) {
-    flagsSection.style.display = 'block';
-    flagsList.innerHTML = '';
-
-    data.flags.forEach(flag => {
-      const flagItem = document.createElement('div');
-      flagItem.className = 'flag-item';
-      
-      let flagHTML = `<div class="flag-status">${flag.status || 'FLAG'}</div>`;
-      if (flag.reason) {
-        flagHTML += `<div class="flag-reason">${escapeHtml(flag.reason)}</div>`;
-      }
-      if (flag.suggestedFix) {
-        flagHTML += `<div class="flag-suggested">Suggested: ${escapeHtml(flag.suggestedFix)}</div>`;
-      }
-      
-      flagItem.innerHTML = flagHTML;
-      flagsList.appendChild(flagItem);
-    });
-  } else {
-    flagsSection.style.display = 'none';
+  // Display flags, with apply fix / keep original / remove bullet actions on resume flags
+  displayFlags(flagsSection, flagsList, data.flags, data);
+
+  // Display the cover letter's own fact-check
+  const hasCoverScore = data.coverLetterTruthScore !== null && data.coverLetterTruthScore !== undefined;
+  coverScore.style.display = hasCoverScore ? 'block' : 'none';
+  if (hasCoverScore) {
+    displayScore(document.getElementById('coverScoreValue'), document.getElementById('coverScoreFill'), data.coverLetterTruthScore);
   }
+  coverBlocked.style.display = data.coverLetterBlocked ? 'block' : 'none';
+  displayFlags(coverFlagsSection, document.getElementById('coverFlagsList'), data.coverLetterFlags);
 
   // Display download buttons
   const hasResume = data.pdfUrl;
@@ -253,6 +426,143 @@ function displayResults(data) {
       downloadCoverBtn.style.display = 'none';
     }
   }
+
+  // Word versions of the same documents
+  if (data.docxUrl) {
+    downloadResumeDocxBtn.style.display = 'inline-block';
+    downloadResumeDocxBtn.onclick = () => downloadFile(data.docxUrl, 'resume.docx');
+  } else {
+    downloadResumeDocxBtn.style.display = 'none';
+  }
+  if (data.coverLetterDocxUrl) {
+    downloadCoverDocxBtn.style.display = 'inline-block';
+    downloadCoverDocxBtn.onclick = () => downloadFile(data.coverLetterDocxUrl, 'cover-letter.docx');
+  } else {
+    downloadCoverDocxBtn.style.display = 'none';
+  }
+
+  // Copy the resume as plain text, Markdown or LaTeX
+  setupCopyExport(document.getElementById('copyExport'), data.exportUrl);
+}
+
+// Show the page count and the layout changes / dropped bullets it took to get there
+function displayPageFit(element, pageFit) {
+  if (!pageFit || (pageFit.fits && pageFit.adjustments.length === 0)) {
+    element.style.display = 'none';
+    return;
+  }
+
+  const pages = `${pageFit.pageCount} page${pageFit.pageCount === 1 ? '' : 's'}`;
+  const heading = pageFit.fits
+    ? `Fit to ${pages}:`
+    : `Still ${pages} (target ${pageFit.targetPages}) after:`;
+  const adjustments = pageFit.adjustments.map(adjustment => `<li>${escapeHtml(adjustment)}</li>`);
+  const dropped = (pageFit.droppedBullets || []).map(bullet => `<li>"${escapeHtml(bullet.text)}"</li>`);
+
+  element.className = `page-fit-summary${pageFit.fits ? '' : ' over'}`;
+  element.innerHTML = `${escapeHtml(heading)}<ul>${adjustments.join('')}</ul>` +
+    (dropped.length > 0 ? `<ul title="Bullets left out of the PDF">${dropped.join('')}</ul>` : '');
+  element.style.display = 'block';
+}
+
+// Show a 0-100 score with a colored bar
+function displayScore(valueElement, fillElement, score) {
+  valueElement.textContent = score;
+  fillElement.style.width = `${score}%`;
+
+  // Update score color based on value
+  if (score >= 80) {
+    valueElement.style.color = '#10b981';
+    fillElement.style.background = '#10b981';
+  } else if (score >= 60) {
+    valueElement.style.color = '#f59e0b';
+    fillElement.style.background = '#f59e0b';
+  } else {
+    valueElement.style.color = '#ef4444';
+    fillElement.style.background = '#ef4444';
+  }
+}
+
+// Render covered and missing job keywords, hiding the section when the posting had none
+function displayKeywords(section, list, keywordCoverage) {
+  const covered = keywordCoverage?.coveredKeywords || [];
+  const missing = keywordCoverage?.missingKeywords || [];
+  if (covered.length === 0 && missing.length === 0) {
+    section.style.display = 'none';
+    return;
+  }
+
+  section.style.display = 'block';
+  list.innerHTML = '';
+  covered.forEach(item => {
+    const chip = document.createElement('span');
+    chip.className = 'keyword-chip';
+    chip.textContent = item.keyword;
+    chip.title = `Found in: ${item.sections.join(', ')}`;
+    list.appendChild(chip);
+  });
+  missing.forEach(item => {
+    const chip = document.createElement('span');
+    chip.className = 'keyword-chip missing';
+    chip.textContent = item.keyword;
+    chip.title = item.source === 'mustHave' ? 'Missing required keyword' : 'Missing keyword';
+    list.appendChild(chip);
+  });
+}
+
+// Render a list of flags, hiding the section when there are none
+function displayFlags(section, list, flags, generation = null) {
+  if (!flags || flags.length === 0) {
+    section.style.display = 'none';
+    return;
+  }
+
+  section.style.display = 'block';
+  list.innerHTML = '';
+  list.onclick = generation ? event => handleFlagActionClick(event, generation, applyFlagResult) : null;
+
+  flags.forEach(flag => {
+    const flagItem = document.createElement('div');
+    flagItem.className = 'flag-item';
+    
+    let flagHTML = `<div class="flag-status">${escapeHtml((flag.status || 'FLAG').replace(/_/g, ' '))}</div>`;
+    if (flag.figure) {
+      flagHTML += `<div class="flag-reason">Figure: ${escapeHtml(flag.figure)}</div>`;
+    }
+    if (flag.fieldLabel) {
+      flagHTML += `<div class="flag-reason">${escapeHtml(flag.fieldLabel)}: ${escapeHtml(flag.bulletText || '')}</div>`;
+    } else if (flag.section === 'cover' && flag.bulletText) {
+      flagHTML += `<div class="flag-reason">"${escapeHtml(flag.bulletText)}"</div>`;
+    }
+    if (flag.reason) {
+      flagHTML += `<div class="flag-reason">${escapeHtml(flag.reason)}</div>`;
+    }
+    if (flag.suggestedFix) {
+      flagHTML += `<div class="flag-suggested">Suggested: ${escapeHtml(flag.suggestedFix)}</div>`;
+    }
+    if (generation) {
+      flagHTML += flagActionsHTML(flag);
+    }
+    
+    flagItem.innerHTML = flagHTML;
+    list.appendChild(flagItem);
+  });
+}
+
+// Show the re-verified resume after a flag action
+function applyFlagResult(result) {
+  currentGeneration = {
+    ...currentGeneration,
+    revision: result.revision,
+    truthScore: result.truthScore,
+    flags: result.flags,
+    matchScore: result.matchScore,
+    keywordCoverage: result.keywordCoverage,
+    pageFit: result.pageFit,
+    // Freshly signed URL for the re-rendered PDF (signed URLs must not be modified)
+    pdfUrl: result.pdfUrl
+  };
+  displayResults(currentGeneration);
 }
 
 // Programmatic download function that doesn't close the popup
@@ -266,7 +576,7 @@ async function downloadFile(url, filename) {
     const fullUrl = url.startsWith('http') ? url : `${backendUrl}${url}`;
     
     // Fetch the file
-    const response = await fetch(fullUrl);
+    const response = await authFetch(fullUrl);
     if (!response.ok) {
       throw new Error(`Failed to download file: ${response.statusText}`);
     }
@@ -290,6 +600,44 @@ async function downloadFile(url, filename) {
   }
 }
 
+// Show the copy-to-clipboard row for a finished generation, remembering the chosen format
+async function setupCopyExport(container, exportUrl) {
+  if (!exportUrl) {
+    container.style.display = 'none';
+    return;
+  }
+  container.style.display = 'flex';
+
+  const formatSelect = document.getElementById('exportFormatSelect');
+  const copyBtn = document.getElementById('copyExportBtn');
+
+  const stored = await chrome.storage.local.get([EXPORT_FORMAT_KEY]);
+  if (stored[EXPORT_FORMAT_KEY]) {
+    formatSelect.value = stored[EXPORT_FORMAT_KEY];
+  }
+  formatSelect.onchange = () => chrome.storage.local.set({ [EXPORT_FORMAT_KEY]: formatSelect.value });
+
+  copyBtn.onclick = async () => {
+    copyBtn.disabled = true;
+    try {
+      const response = await authFetch(`${exportUrl}?format=${encodeURIComponent(formatSelect.value)}`);
+      if (!response.ok) {
+        throw new Error(`Export failed: ${response.statusText}`);
+      }
+      await navigator.clipboard.writeText(await response.text());
+      copyBtn.textContent = 'Copied!';
+    } catch (error) {
+      console.error('Error copying resume:', error);
+      copyBtn.textContent = 'Copy failed';
+    } finally {
+      setTimeout(() => {
+        copyBtn.textContent = 'Copy';
+        copyBtn.disabled = false;
+      }, 1500);
+    }
+  };
+}
+
 // Download both files simultaneously
 async function downloadBothFiles(resumeUrl, coverUrl) {
   // Download both files with a small delay between them
@@ -0,0 +1,81 @@
+// Named resume profiles shared by the options page and the popup
+// Profiles live in chrome.storage.local under RESUME_PROFILES_KEY as [{id, name, resumeText, updatedAt}].
+// The default profile's text is mirrored to the legacy 'resumeText' key so older readers (background.js) keep working.
+
+const RESUME_PROFILES_KEY = 'resumeProfiles';
+const DEFAULT_PROFILE_ID_KEY = 'defaultProfileId';
+const LEGACY_RESUME_KEY = 'resumeText';
+
+const MAX_PROFILE_NAME_LENGTH = 60;
+
+function createProfileId() {
+  return `profile_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+}
+
+/**
+ * Load all resume profiles, creating a "Default" profile from the legacy resumeText key on first run
+ * @returns {Promise<{profiles: Array<Object>, defaultProfileId: string|null}>} Profiles and the default profile id
+ */
+async function loadResumeProfiles() {
+  const result = await chrome.storage.local.get([RESUME_PROFILES_KEY, DEFAULT_PROFILE_ID_KEY, LEGACY_RESUME_KEY]);
+  let profiles = Array.isArray(result[RESUME_PROFILES_KEY]) ? result[RESUME_PROFILES_KEY] : null;
+  let defaultProfileId = result[DEFAULT_PROFILE_ID_KEY] || null;
+
+  if (!profiles) {
+    // Migrate the single saved resume into a profile
+    profiles = [];
+    if (result[LEGACY_RESUME_KEY]) {
+      profiles.push({ id: createProfileId(), name: 'Default', resumeText: result[LEGACY_RESUME_KEY], updatedAt: Date.now() });
+    }
+    defaultProfileId = profiles[0]?.id || null;
+    await saveResumeProfiles(profiles, defaultProfileId);
+  }
+
+  if (!profiles.some(profile => profile.id === defaultProfileId)) {
+    defaultProfileId = profiles[0]?.id || null;
+  }
+
+  return { profiles, defaultProfileId };
+}
+
+/**
+ * Save all resume profiles and mirror the default profile's text to the legacy resumeText key
+ * @param {Array<Object>} profiles - Resume profiles
+ * @param {string|null} defaultProfileId - Id of the default profile
+ */
+async function saveResumeProfiles(profiles, defaultProfileId) {
+  const defaultProfile = profiles.find(profile => profile.id === defaultProfileId);
+  await chrome.storage.local.set({
+    [RESUME_PROFILES_KEY]: profiles,
+    [DEFAULT_PROFILE_ID_KEY]: defaultProfile ? defaultProfile.id : null
+  });
+
+  if (defaultProfile) {
+    await chrome.storage.local.set({ [LEGACY_RESUME_KEY]: defaultProfile.resumeText });
+  } else {
+    await chrome.storage.local.remove(LEGACY_RESUME_KEY);
+  }
+}
+
+/**
+ * Check a profile name: non-empty, not too long and not used by another profile
+ * @returns {string|null} Error message, or null when the name is valid
+ */
+function validateProfileName(profiles, name, ignoreId = null) {
+  if (!name) return 'Profile name cannot be empty';
+  if (name.length > MAX_PROFILE_NAME_LENGTH) return `Profile name must be ${MAX_PROFILE_NAME_LENGTH} characters or fewer`;
+  const taken = profiles.some(profile => profile.id !== ignoreId && profile.name.toLowerCase() === name.toLowerCase());
+  return taken ? `A profile named "${name}" already exists` : null;
+}
+
+/**
+ * Name for a copy of a profile that no other profile uses ("Backend (copy)", "Backend (copy 2)")
+ */
+function copyProfileName(profiles, name) {
+  const base = name.substring(0, MAX_PROFILE_NAME_LENGTH - 12).trim();
+  let candidate = `${base} (copy)`;
+  for (let index = 2; validateProfileName(profiles, candidate); index++) {
+    candidate = `${base} (copy ${index})`;
+  }
+  return candidate;
+}
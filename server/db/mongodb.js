@@ -50,6 +50,9 @@ async function getCollections() {
   const database = await getDatabase();
   return {
     users: database.collection('users'),
+    sessions: database.collection('sessions'),
+    apiTokens: database.collection('apiTokens'),
+    shareLinks: database.collection('shareLinks'),
     generations: database.collection('generations'),
   };
 }
@@ -69,7 +72,7 @@ async function closeConnection() {
 // Create indexes on startup
 async function createIndexes() {
   try {
-    const { generations, users } = await getCollections();
+    const { generations, users, sessions, apiTokens, shareLinks } = await getCollections();
     
     // Indexes for generations collection
     await generations.createIndex({ userId: 1, createdAt: -1 });
@@ -78,6 +81,16 @@ async function createIndexes() {
     
     // Indexes for users collection
     await users.createIndex({ userId: 1 }, { unique: true });
+    await users.createIndex({ email: 1 }, { unique: true });
+
+    // Indexes for auth collections (sessions are removed by MongoDB once expiresAt passes)
+    await sessions.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await sessions.createIndex({ userId: 1 });
+    await apiTokens.createIndex({ tokenHash: 1 }, { unique: true });
+    await apiTokens.createIndex({ userId: 1, createdAt: -1 });
+
+    // Indexes for share links
+    await shareLinks.createIndex({ generationId: 1, createdAt: -1 });
     
     console.log('MongoDB indexes created');
   } catch (error) {
@@ -3,100 +3,58 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs').promises;
+const multer = require('multer');
 require('dotenv').config();
 
-const { generateResumePDF, generateCoverLetterPDF } = require('./utils/pdfGenerator');
-const { generateTailoredResume } = require('./services/geminiService');
-const { verifyBullets, calculateTruthScore, generateFlags } = require('./services/verifierService');
-const { generateInputSchema } = require('./schemas');
-const { connectToMongoDB, getCollections, createIndexes } = require('./db/mongodb');
-const { createGenerationDocument, formatGenerationForResponse } = require('./models/generationModel');
-
-/**
- * Extract company name from job text or cover letter text
- * @param {string} jobText - Job posting text
- * @param {string} coverLetterText - Generated cover letter text (may contain company name)
- * @returns {string} Extracted company name or 'Hiring Manager' as fallback
- */
-function extractCompanyName(jobText, coverLetterText = '') {
-  // First, try to extract from cover letter text (Gemini may have included it in the greeting)
-  if (coverLetterText) {
-    // Look for patterns like "Dear [Company] Team," or "Dear Hiring Manager at [Company],"
-    // or "[Company] is" or "at [Company]"
-    const patterns = [
-      /Dear\s+(?:Hiring\s+Manager\s+at\s+)?([A-Z][A-Za-z0-9\s&.,-]+?)(?:\s+Team|,)/i,
-      /Dear\s+([A-Z][A-Za-z0-9\s&.,-]+?)\s+Team[,.]/i,
-      /(?:at|with|from)\s+([A-Z][A-Za-z0-9\s&.,-]{2,50}?)(?:\s|$|,|\.|,)/i
-    ];
-    
-    for (const pattern of patterns) {
-      const match = coverLetterText.match(pattern);
-      if (match && match[1]) {
-        const company = match[1].trim();
-        // Filter out common false positives
-        if (company.length > 2 && 
-            !company.match(/^(Hiring Manager|Team|Sir|Madam|the|a|an)$/i) &&
-            company.length < 60) {
-          console.log('Extracted company name from cover letter:', company);
-          return company;
-        }
-      }
-    }
-  }
-
-  // Try to extract from job text using common patterns
-  if (jobText) {
-    // Pattern 1: "at [Company]" or "at [Company Name]" (most common)
-    const atCompanyMatch = jobText.match(/\b(?:at|with|from|joining)\s+([A-Z][A-Za-z0-9\s&.,-]{2,50}?)(?:\s|$|,|\.|\n|,)/i);
-    if (atCompanyMatch && atCompanyMatch[1]) {
-      const company = atCompanyMatch[1].trim();
-      if (company.length > 2 && company.length < 60) {
-        console.log('Extracted company name from job text (pattern 1):', company);
-        return company;
-      }
-    }
-
-    // Pattern 2: "Company:" or "Company Name:" or "About [Company]"
-    const companyLabelMatch = jobText.match(/(?:Company(?:\s+Name)?|About|Join)\s*:?\s*([A-Z][A-Za-z0-9\s&.,-]{2,50}?)(?:\n|$|,|\.|,)/i);
-    if (companyLabelMatch && companyLabelMatch[1]) {
-      const company = companyLabelMatch[1].trim();
-      if (company.length > 2 && company.length < 60) {
-        console.log('Extracted company name from job text (pattern 2):', company);
-        return company;
-      }
-    }
-
-    // Pattern 3: Look in the first few lines for company name patterns
-    const lines = jobText.split('\n').slice(0, 15); // Check first 15 lines
-    for (const line of lines) {
-      // Look for "Software Engineer at Google" or similar
-      const roleAtCompanyMatch = line.match(/(?:Engineer|Developer|Manager|Analyst|Designer|Lead|Director|Specialist)\s+(?:at|with|@)\s+([A-Z][A-Za-z0-9\s&.,-]{2,50}?)(?:\s|$|,|\.)/i);
-      if (roleAtCompanyMatch && roleAtCompanyMatch[1]) {
-        const company = roleAtCompanyMatch[1].trim();
-        if (company.length > 2 && company.length < 60) {
-          console.log('Extracted company name from job text (pattern 3):', company);
-          return company;
-        }
-      }
-      
-      // Look for capitalized company names at start of line
-      const capitalizedMatch = line.match(/^([A-Z][A-Za-z0-9\s&.,-]{2,40}?)(?:\s+(?:is|seeks|hiring|looking|offers))?/i);
-      if (capitalizedMatch && capitalizedMatch[1]) {
-        const potential = capitalizedMatch[1].trim();
-        // Filter out common false positives
-        if (potential.length > 2 && potential.length < 60 &&
-            !potential.match(/^(About|Job|Position|Role|We|The|Our|This|Join|Apply|Location|Remote|Full|Part|Contract|Software|Senior|Junior|Lead)$/i)) {
-          console.log('Extracted company name from job text (pattern 4):', potential);
-          return potential;
-        }
-      }
-    }
-  }
-
-  // Fallback
-  console.log('Could not extract company name, using fallback');
-  return 'Hiring Manager';
-}
+const {
+  generateInputSchema,
+  registerInputSchema,
+  loginInputSchema,
+  apiTokenInputSchema,
+  renderInputSchema,
+  resumePreviewInputSchema,
+  resumeEditInputSchema,
+  flagResolutionInputSchema,
+  shareLinkInputSchema,
+  jsonResumeSchema
+} = require('./schemas');
+const { connectToMongoDB, getCollections, createIndexes, closeConnection } = require('./db/mongodb');
+const {
+  TERMINAL_STATUSES,
+  isValidGenerationId,
+  formatGenerationForResponse,
+  formatGenerationStatus
+} = require('./models/generationModel');
+const { startGenerationJob, failInterruptedJobs } = require('./services/generationJob');
+const {
+  registerUser,
+  loginUser,
+  authenticateToken,
+  revokeCurrentToken,
+  getUser,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken
+} = require('./services/authService');
+const {
+  DOWNLOAD_FILES,
+  signDownloadPath,
+  verifyDownloadSignature,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  openShareLink
+} = require('./services/downloadLinks');
+const { subscribeToJob } = require('./services/jobEvents');
+const { MAX_UPLOAD_BYTES, extractResumeText } = require('./utils/resumeExtractor');
+const { toJsonResume, fromJsonResume, resumeToText } = require('./utils/jsonResume');
+const { DEFAULT_TEMPLATE, listTemplates, renderResumeHTML } = require('./templates');
+const { rerenderResume } = require('./services/resumeRenderer');
+const { editTailoredResume, resolveFlag } = require('./services/resumeEditor');
+const { buildResumeDiff } = require('./services/resumeDiff');
+const { generateResumeDOCX, generateCoverLetterDOCX } = require('./utils/docxGenerator');
+const { EXPORT_FORMATS } = require('./utils/resumeExport');
+const { getPoolStats, closeBrowserPool } = require('./utils/browserPool');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -118,140 +76,325 @@ app.use(express.json());
 
 // Health check endpoint
 app.post('/api/health', (req, res) => {
-  res.json({ status: 'OK' });
+  res.json({ status: 'OK', pdfBrowser: getPoolStats() });
 });
 
-// Generate endpoint
-app.post('/api/generate', async (req, res) => {
+// GET /api/templates - Resume templates available for generation and re-rendering
+app.get('/api/templates', (req, res) => {
+  res.json({ templates: listTemplates(), defaultTemplate: DEFAULT_TEMPLATE });
+});
+
+/**
+ * Require a session or API token in the Authorization header ("Bearer <token>")
+ * Sets req.auth to { userId, type, sessionId or tokenId }
+ */
+async function requireAuth(req, res, next) {
   try {
-    // Validate input with Zod
-    const validatedInput = generateInputSchema.parse(req.body);
-    const { jobText, resumeText, includeCoverLetter, userId, jobUrl } = validatedInput;
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    req.auth = await authenticateToken(scheme === 'Bearer' ? token : null);
+    next();
+  } catch (error) {
+    if (error.name === 'AuthenticationError') {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: error.message });
+    }
+
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+}
 
-    // Generate unique ID
-    const generationId = `gen_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+// POST /api/auth/register - Create an account; responds with a session token
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const input = registerInputSchema.parse(req.body || {});
+    const { user, token, expiresAt } = await registerUser(input);
 
-    // Create storage directory for this generation
-    const generationDir = path.join(STORAGE_DIR, generationId);
-    await fs.mkdir(generationDir, { recursive: true });
+    res.status(201).json({ user, token, expiresAt });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: error.issues.map(e => `${e.path.join('.')}: ${e.message}`)
+      });
+    }
+    if (error.name === 'AccountExistsError') {
+      return res.status(409).json({ error: error.message });
+    }
 
-    // Log job text for debugging
-    console.log('Job text received:', {
-      length: jobText?.length || 0,
-      preview: jobText?.substring(0, 200) || 'No job text',
-      includeCoverLetter: includeCoverLetter
-    });
-    
-    // Call Gemini to generate tailored resume
-    console.log('Calling Gemini API for generation...');
-    const geminiOutput = await generateTailoredResume(jobText, resumeText, includeCoverLetter);
-    
-    const { tailoredResumeJson, coverLetterText, claimMap, suggestedAdditions } = geminiOutput;
-
-    // Verify all bullets against original resumeText
-    console.log('Calling Gemini API for verification...');
-    const verifications = await verifyBullets(resumeText, tailoredResumeJson);
-
-    // Calculate truth score using verifier algorithm
-    // Start at 100, -0 for SUPPORTED, -8 for STRETCH, -20 for UNSUPPORTED
-    const truthScore = calculateTruthScore(verifications);
-
-    // Generate flags from verifications (STRETCH and UNSUPPORTED bullets)
-    const verificationFlags = generateFlags(verifications);
-
-    // Generate flags from suggestedAdditions (things job wants but resume doesn't have)
-    const missingRequirementFlags = (suggestedAdditions || []).map(suggestion => ({
-      bulletId: null,
-      bulletText: null,
-      status: 'MISSING_REQUIREMENT',
-      reason: suggestion.reason,
-      evidence: 'none',
-      suggestedFix: suggestion.suggestedText,
-      section: 'requirements',
-      type: 'missing_requirement',
-      requirement: suggestion.requirement
-    }));
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// POST /api/auth/login - Exchange email and password for a session token
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const input = loginInputSchema.parse(req.body || {});
+    const { user, token, expiresAt } = await loginUser(input);
+
+    res.json({ user, token, expiresAt });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: error.issues.map(e => `${e.path.join('.')}: ${e.message}`)
+      });
+    }
+    if (error.name === 'AuthenticationError') {
+      return res.status(401).json({ error: error.message });
+    }
+
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// POST /api/auth/logout - End the session, or revoke the API token, the request was made with
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await revokeCurrentToken(req.auth);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// GET /api/auth/me - The authenticated user
+app.get('/api/auth/me', requireAuth, async (req, res) => {
+  try {
+    const user = await getUser(req.auth.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Account no longer exists' });
+    }
+
+    res.json({ user, authType: req.auth.type });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// GET /api/auth/tokens - The user's API tokens (without the tokens themselves)
+app.get('/api/auth/tokens', requireAuth, async (req, res) => {
+  try {
+    res.json({ tokens: await listApiTokens(req.auth.userId) });
+  } catch (error) {
+    console.error('Error listing API tokens:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// POST /api/auth/tokens - Create an API token (the extension creates one per install when you log in)
+app.post('/api/auth/tokens', requireAuth, async (req, res) => {
+  try {
+    const { name } = apiTokenInputSchema.parse(req.body || {});
+    res.status(201).json(await createApiToken(req.auth.userId, name));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: error.issues.map(e => `${e.path.join('.')}: ${e.message}`)
+      });
+    }
+
+    console.error('Error creating API token:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// DELETE /api/auth/tokens/:tokenId - Revoke an API token
+app.delete('/api/auth/tokens/:tokenId', requireAuth, async (req, res) => {
+  try {
+    const revoked = await revokeApiToken(req.auth.userId, req.params.tokenId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// Generation IDs end up in storage paths, so anything that is not a generation ID is rejected up front
+app.param('id', (req, res, next, id) => {
+  if (!isValidGenerationId(id)) {
+    return res.status(400).json({ error: 'Invalid input', details: ['id: not a valid generation ID'] });
+  }
+  next();
+});
+
+/**
+ * Send one of a generation's rendered PDFs inline
+ * @param {Object} res - Express response
+ * @param {string} generationId - Validated generation ID
+ * @param {string} file - Key of DOWNLOAD_FILES
+ */
+async function sendGenerationPdf(res, generationId, file) {
+  const pdfPath = path.join(STORAGE_DIR, generationId, file);
+
+  try {
+    await fs.access(pdfPath);
+  } catch {
+    return res.status(404).json({ error: `${DOWNLOAD_FILES[file].label} not found` });
+  }
+
+  res.sendFile(path.resolve(pdfPath), {
+    headers: {
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${file}"`,
+      'Cache-Control': 'private, no-store'
+    }
+  });
+}
+
+// GET /api/download/:id/:file - Signed, expiring PDF link (no Authorization header, so it works in a browser tab)
+app.get('/api/download/:id/:file', async (req, res) => {
+  try {
+    const { id, file } = req.params;
+    if (!DOWNLOAD_FILES[file]) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    verifyDownloadSignature(id, file, req.query);
 
-    // Combine all flags
-    const flags = [...verificationFlags, ...missingRequirementFlags];
-
-    // Generate resume PDF from tailored resume JSON
-    const resumePdfPath = path.join(generationDir, 'resume.pdf');
-    await generateResumePDF(tailoredResumeJson, resumePdfPath);
-
-    // Generate cover letter PDF if requested
-    let coverLetterPdfPath = null;
-    if (includeCoverLetter && coverLetterText) {
-      coverLetterPdfPath = path.join(generationDir, 'cover.pdf');
-      
-      // Extract company name from job text or cover letter text
-      const companyName = extractCompanyName(jobText, coverLetterText);
-      
-      // Check if cover letter text already starts with a greeting
-      // If so, extract it; otherwise construct one
-      let greeting = 'Dear Hiring Manager,';
-      let bodyText = coverLetterText;
-      
-      // Try to extract greeting from cover letter text (Gemini may have included it)
-      const greetingMatch = coverLetterText.match(/^(Dear\s+[^,\n]+(?:,\s*|\n))/i);
-      if (greetingMatch) {
-        greeting = greetingMatch[1].trim();
-        // Remove the greeting from body text
-        bodyText = coverLetterText.substring(greetingMatch[0].length).trim();
-        console.log('Extracted greeting from cover letter:', greeting);
-      } else {
-        // Construct greeting with company name
-        if (companyName && companyName !== 'Hiring Manager') {
-          greeting = `Dear ${companyName} Team,`;
-        }
-      }
-      
-      const coverLetterData = {
-        date: new Date().toLocaleDateString(),
-        recipientName: companyName === 'Hiring Manager' ? 'Hiring Manager' : `${companyName} Hiring Team`,
-        company: companyName === 'Hiring Manager' ? null : companyName,
-        greeting: greeting,
-        body: bodyText,
-        closing: 'Thank you for considering my application. I look forward to the opportunity to discuss how I can contribute to your team.',
-        senderName: tailoredResumeJson.basics.name,
-        senderTitle: tailoredResumeJson.experience[0]?.title || 'Professional'
-      };
-      await generateCoverLetterPDF(coverLetterData, coverLetterPdfPath);
-    }
-
-    // Save to MongoDB
     const { generations: generationsCollection } = await getCollections();
-    const generationDoc = createGenerationDocument({
-      generationId,
-      userId: userId || 'anonymous',
-      jobText,
-      jobUrl: jobUrl || null,
-      resumeText,
-      includeCoverLetter: includeCoverLetter || false,
-      tailoredResumeJson,
-      claimMap,
-      suggestedAdditions,
-      verifications,
-      truthScore,
-      flags,
-      pdfPath: resumePdfPath,
-      coverPdfPath: coverLetterPdfPath
+    const generation = await generationsCollection.findOne({ _id: id });
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+
+    await sendGenerationPdf(res, id, file);
+  } catch (error) {
+    if (error.name === 'DownloadLinkError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Error serving signed download:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// GET /api/share/:shareId - Long-lived share link created by the generation's owner
+app.get('/api/share/:shareId', async (req, res) => {
+  try {
+    const link = await openShareLink(req.params.shareId);
+
+    const { generations: generationsCollection } = await getCollections();
+    const generation = await generationsCollection.findOne({ _id: link.generationId, userId: link.userId });
+    if (!generation) {
+      return res.status(410).json({ error: 'The shared generation no longer exists' });
+    }
+
+    await sendGenerationPdf(res, link.generationId, link.file);
+  } catch (error) {
+    if (error.name === 'DownloadLinkError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Error serving share link:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// Generations belong to the user who started them: every generation route requires a token, and
+// generations of other users are reported as not found
+app.use('/api/generate', requireAuth);
+app.use('/api/generations', requireAuth);
+app.use('/api/generation', requireAuth);
+
+// Resume uploads are kept in memory only long enough to extract their text
+const uploadResume = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+}).single('resume');
+
+// POST /api/resume/extract - Extract text from an uploaded PDF, DOCX or .txt resume for review
+app.post('/api/resume/extract', async (req, res) => {
+  try {
+    await new Promise((resolve, reject) => {
+      uploadResume(req, res, (error) => (error ? reject(error) : resolve()));
     });
 
-    await generationsCollection.insertOne(generationDoc);
+    if (!req.file) {
+      return res.status(400).json({ error: 'Invalid input', details: ['resume: upload a file in the "resume" field'] });
+    }
+
+    const { text, format, pageCount, warnings } = await extractResumeText(req.file);
 
-    // Response
     res.json({
+      fileName: req.file.originalname,
+      format,
+      pageCount,
+      text,
+      charCount: text.length,
+      warnings
+    });
+  } catch (error) {
+    console.error('Error in /api/resume/extract:', error);
+
+    if (error.name === 'MulterError') {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      const details = error.code === 'LIMIT_FILE_SIZE'
+        ? `File is larger than ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`
+        : error.message;
+      return res.status(status).json({ error: 'Invalid upload', details });
+    }
+    if (error.name === 'UnsupportedFileTypeError') {
+      return res.status(415).json({ error: 'Unsupported file type', details: error.message });
+    }
+
+    res.status(500).json({ error: 'Could not extract text from file', details: error.message });
+  }
+});
+
+// POST /api/resume/import - Convert a JSON Resume document into resume text for the extension to store
+app.post('/api/resume/import', async (req, res) => {
+  try {
+    const format = req.query.format || 'jsonresume';
+    if (format !== 'jsonresume') {
+      return res.status(400).json({ error: 'Invalid input', details: [`format: unsupported import format "${format}"`] });
+    }
+
+    const jsonResume = jsonResumeSchema.parse(req.body);
+    const { resume, warnings } = fromJsonResume(jsonResume);
+
+    res.json({
+      resumeText: resumeToText(resume),
+      resume,
+      warnings
+    });
+  } catch (error) {
+    console.error('Error in /api/resume/import:', error);
+
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: 'Invalid JSON Resume',
+        details: error.issues.map(e => `${e.path.join('.')}: ${e.message}`)
+      });
+    }
+
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// Generate endpoint - starts a generation job and returns immediately
+app.post('/api/generate', async (req, res) => {
+  try {
+    // Validate input with Zod
+    const validatedInput = generateInputSchema.parse(req.body);
+
+    const generationId = await startGenerationJob(validatedInput, { storageDir: STORAGE_DIR, userId: req.auth.userId });
+
+    // Response
+    res.status(202).json({
       generationId,
-      truthScore,
-      flags,
-      claimMap,
-      verifications, // Include full verification results
-      suggestedAdditions: suggestedAdditions || [],
-      pdfUrl: `${BASE_URL}/api/generation/${generationId}/resume.pdf`,
-      coverLetterPdfUrl: includeCoverLetter && coverLetterPdfPath
-        ? `${BASE_URL}/api/generation/${generationId}/cover.pdf`
-        : null
+      status: 'queued',
+      statusUrl: `${BASE_URL}/api/generation/${generationId}/status`,
+      eventsUrl: `${BASE_URL}/api/generation/${generationId}/events`
     });
   } catch (error) {
     console.error('Error in /api/generate:', error);
@@ -260,7 +403,7 @@ app.post('/api/generate', async (req, res) => {
     if (error.name === 'ZodError') {
       return res.status(400).json({ 
         error: 'Invalid input', 
-        details: error.errors.map(e => `${e.path.join('.')}: ${e.message}`)
+        details: error.issues.map(e => `${e.path.join('.')}: ${e.message}`)
       });
     }
     
@@ -268,25 +411,154 @@ app.post('/api/generate', async (req, res) => {
   }
 });
 
+// Relative download URLs in formatted generations, prefixed with BASE_URL before responding
+const DOWNLOAD_URL_FIELDS = ['pdfUrl', 'coverLetterPdfUrl', 'docxUrl', 'coverLetterDocxUrl', 'exportUrl'];
+
+// PDF URLs are opened in browser tabs, which cannot send the Authorization header, so they are signed instead
+const SIGNED_DOWNLOAD_FIELDS = { pdfUrl: 'resume.pdf', coverLetterPdfUrl: 'cover.pdf' };
+
+/**
+ * Signed, expiring download URL for one of a generation's PDFs
+ * @param {string} generationId - Generation ID
+ * @param {string} file - Key of DOWNLOAD_FILES
+ * @returns {string} Absolute URL
+ */
+function signedDownloadUrl(generationId, file) {
+  return `${BASE_URL}${signDownloadPath(generationId, file)}`;
+}
+
+/**
+ * Prefix the relative download URLs of a formatted generation with BASE_URL (PDF URLs are signed)
+ * @param {Object} formatted - Output of formatGenerationForResponse or a status result
+ * @param {string} generationId - Generation ID the URLs belong to
+ * @returns {Object} The same object with absolute URLs
+ */
+function absolutizeDownloadUrls(formatted, generationId) {
+  DOWNLOAD_URL_FIELDS.forEach(field => {
+    if (!formatted[field]) {
+      formatted[field] = null;
+    } else if (SIGNED_DOWNLOAD_FIELDS[field]) {
+      formatted[field] = signedDownloadUrl(generationId, SIGNED_DOWNLOAD_FIELDS[field]);
+    } else {
+      formatted[field] = `${BASE_URL}${formatted[field]}`;
+    }
+  });
+  return formatted;
+}
+
+/**
+ * Prefix the relative download URLs in a status payload with BASE_URL
+ * @param {Object} status - Status payload from formatGenerationStatus
+ * @returns {Object} Status payload with absolute URLs
+ */
+function withAbsoluteUrls(status) {
+  if (status && status.result) {
+    absolutizeDownloadUrls(status.result, status.generationId);
+  }
+  return status;
+}
+
+// GET /api/generation/:id/status - Poll generation progress
+app.get('/api/generation/:id/status', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { generations: generationsCollection } = await getCollections();
+    const generation = await generationsCollection.findOne({ _id: id, userId: req.auth.userId });
+
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+
+    res.json(withAbsoluteUrls(formatGenerationStatus(generation)));
+  } catch (error) {
+    console.error('Error fetching generation status:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// GET /api/generation/:id/events - Server-sent events stream of generation progress
+app.get('/api/generation/:id/events', async (req, res) => {
+  // Subscribe before reading the generation, so an event published in between (such as the final one) is
+  // held until the stream is open instead of being lost
+  let sendStatus = null;
+  const pending = [];
+  const unsubscribe = subscribeToJob(req.params.id, (status) => {
+    if (sendStatus) {
+      sendStatus(status);
+    } else {
+      pending.push(status);
+    }
+  });
+  let heartbeat = null;
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  try {
+    const { id } = req.params;
+
+    const { generations: generationsCollection } = await getCollections();
+    const generation = await generationsCollection.findOne({ _id: id, userId: req.auth.userId });
+
+    if (!generation) {
+      cleanup();
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+
+    let ended = false;
+    const writeStatus = (status) => {
+      if (ended) return;
+      res.write(`event: status\ndata: ${JSON.stringify(withAbsoluteUrls(status))}\n\n`);
+      if (TERMINAL_STATUSES.includes(status.status)) {
+        ended = true;
+        cleanup();
+        res.end();
+      }
+    };
+
+    // Keep proxies from closing an idle stream
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    req.on('close', cleanup);
+
+    // Send the current state first so late subscribers catch up (a finished job ends the stream here), then
+    // the events held while it was read that are not older than it
+    const current = formatGenerationStatus(generation);
+    writeStatus(current);
+    pending
+      .filter(status => TERMINAL_STATUSES.includes(status.status) || status.stageIndex >= current.stageIndex)
+      .forEach(writeStatus);
+    sendStatus = writeStatus;
+  } catch (error) {
+    cleanup();
+    console.error('Error streaming generation events:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal server error', details: error.message });
+    } else {
+      res.end();
+    }
+  }
+});
 
 // Serve PDF endpoint
 app.get('/api/generation/:id/resume.pdf', async (req, res) => {
   try {
     const { id } = req.params;
-    const pdfPath = path.join(STORAGE_DIR, id, 'resume.pdf');
-
-    // Check if file exists
-    try {
-      await fs.access(pdfPath);
-      res.sendFile(path.resolve(pdfPath), {
-        headers: {
-          'Content-Type': 'application/pdf',
-          'Content-Disposition': `inline; filename="resume.pdf"`
-        }
-      });
-    } catch {
-      res.status(404).json({ error: 'PDF not found' });
+
+    const { generations: generationsCollection } = await getCollections();
+    const generation = await generationsCollection.findOne({ _id: id, userId: req.auth.userId });
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found' });
     }
+
+    await sendGenerationPdf(res, id, 'resume.pdf');
   } catch (error) {
     console.error('Error serving PDF:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -297,30 +569,162 @@ app.get('/api/generation/:id/resume.pdf', async (req, res) => {
 app.get('/api/generation/:id/cover.pdf', async (req, res) => {
   try {
     const { id } = req.params;
-    const pdfPath = path.join(STORAGE_DIR, id, 'cover.pdf');
-
-    // Check if file exists
-    try {
-      await fs.access(pdfPath);
-      res.sendFile(path.resolve(pdfPath), {
-        headers: {
-          'Content-Type': 'application/pdf',
-          'Content-Disposition': `inline; filename="cover.pdf"`
-        }
-      });
-    } catch {
-      res.status(404).json({ error: 'Cover letter PDF not found' });
+
+    const { generations: generationsCollection } = await getCollections();
+    const generation = await generationsCollection.findOne({ _id: id, userId: req.auth.userId });
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found' });
     }
+
+    await sendGenerationPdf(res, id, 'cover.pdf');
   } catch (error) {
     console.error('Error serving cover letter PDF:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// GET /api/generations - List generations for a user
+// POST /api/generation/:id/shares - Create a long-lived, revocable share link for a PDF
+app.post('/api/generation/:id/shares', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const input = shareLinkInputSchema.parse(req.body || {});
+
+    const { generations: generationsCollection } = await getCollections();
+    const generation = await generationsCollection.findOne({ _id: id, userId: req.auth.userId });
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+
+    const link = await createShareLink(generation, input);
+    if (!link) {
+      return res.status(404).json({ error: `${DOWNLOAD_FILES[input.file].label} not found` });
+    }
+
+    console.log(`[${id}] Created share link ${link.shareId} for ${link.file}`);
+    res.status(201).json({ ...link, url: `${BASE_URL}${link.path}` });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: error.issues.map(e => `${e.path.join('.')}: ${e.message}`)
+      });
+    }
+
+    console.error('Error creating share link:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// GET /api/generation/:id/shares - List a generation's share links (revoked and expired ones have no URL)
+app.get('/api/generation/:id/shares', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { generations: generationsCollection } = await getCollections();
+    const generation = await generationsCollection.findOne({ _id: id, userId: req.auth.userId });
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+
+    const links = await listShareLinks(id);
+    res.json({
+      generationId: id,
+      shares: links.map(link => ({ ...link, url: link.path ? `${BASE_URL}${link.path}` : null }))
+    });
+  } catch (error) {
+    console.error('Error listing share links:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// DELETE /api/generation/:id/shares/:shareId - Revoke a share link
+app.delete('/api/generation/:id/shares/:shareId', async (req, res) => {
+  try {
+    const { id, shareId } = req.params;
+
+    const { generations: generationsCollection } = await getCollections();
+    const generation = await generationsCollection.findOne({ _id: id, userId: req.auth.userId });
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+
+    if (!(await revokeShareLink(id, shareId))) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    console.log(`[${id}] Revoked share link ${shareId}`);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// Word documents are built on demand from the stored JSON, so they always match the latest template
+const DOCX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// GET /api/generation/:id/resume.docx - Tailored resume as a Word document in the generation's template
+app.get('/api/generation/:id/resume.docx', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { generations: generationsCollection } = await getCollections();
+    const generation = await generationsCollection.findOne({ _id: id, userId: req.auth.userId });
+
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+    if (!generation.tailoredResumeJson) {
+      return res.status(404).json({ error: 'Tailored resume not available yet' });
+    }
+
+    const buffer = await generateResumeDOCX(generation.tailoredResumeJson, {
+      template: generation.template || DEFAULT_TEMPLATE
+    });
+
+    res.set({
+      'Content-Type': DOCX_CONTENT_TYPE,
+      'Content-Disposition': `attachment; filename="resume.docx"`
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error generating resume DOCX:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// GET /api/generation/:id/cover.docx - Cover letter as a Word document
+app.get('/api/generation/:id/cover.docx', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { generations: generationsCollection } = await getCollections();
+    const generation = await generationsCollection.findOne({ _id: id, userId: req.auth.userId });
+
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+    if (!generation.coverLetterData) {
+      return res.status(404).json({ error: 'Cover letter not available' });
+    }
+
+    const buffer = await generateCoverLetterDOCX(generation.coverLetterData);
+
+    res.set({
+      'Content-Type': DOCX_CONTENT_TYPE,
+      'Content-Disposition': `attachment; filename="cover.docx"`
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error generating cover letter DOCX:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// GET /api/generations - List the authenticated user's generations
 app.get('/api/generations', async (req, res) => {
   try {
-    const userId = req.query.userId || 'anonymous';
+    const { userId } = req.auth;
     const limit = parseInt(req.query.limit) || 50;
     const skip = parseInt(req.query.skip) || 0;
 
@@ -337,11 +741,28 @@ app.get('/api/generations', async (req, res) => {
       generationId: doc._id,
       createdAt: doc.createdAt,
       jobUrl: doc.jobUrl,
+      jobPosting: doc.jobPosting || null,
+      profileName: doc.profileName || null,
+      template: doc.template || DEFAULT_TEMPLATE,
+      pageFit: doc.pageFit || null,
+      status: doc.status || 'done',
+      stage: doc.stage || 'done',
+      error: doc.error || null,
       truthScore: doc.truthScore,
       flagsCount: doc.flags?.length || 0,
       flags: doc.flags || [], // Include full flags array
-      pdfUrl: doc.pdfPath ? `${BASE_URL}/api/generation/${doc._id}/resume.pdf` : null,
-      coverLetterPdfUrl: doc.coverPdfPath ? `${BASE_URL}/api/generation/${doc._id}/cover.pdf` : null,
+      revision: doc.revision || 0,
+      matchScore: doc.matchScore ?? null,
+      missingKeywords: doc.keywordCoverage?.missingKeywords || [],
+      coverLetterTruthScore: doc.coverLetterTruthScore ?? null,
+      coverLetterFlags: doc.coverLetterFlags || [],
+      coverLetterBlocked: doc.coverLetterBlocked || false,
+      pdfUrl: doc.pdfPath ? signedDownloadUrl(doc._id, 'resume.pdf') : null,
+      coverLetterPdfUrl: doc.coverPdfPath ? signedDownloadUrl(doc._id, 'cover.pdf') : null,
+      jsonResumeUrl: doc.tailoredResumeJson ? `${BASE_URL}/api/generation/${doc._id}/resume.json?format=jsonresume` : null,
+      docxUrl: doc.tailoredResumeJson ? `${BASE_URL}/api/generation/${doc._id}/resume.docx` : null,
+      exportUrl: doc.tailoredResumeJson ? `${BASE_URL}/api/generation/${doc._id}/export` : null,
+      coverLetterDocxUrl: doc.coverLetterData ? `${BASE_URL}/api/generation/${doc._id}/cover.docx` : null,
     }));
 
     res.json({
@@ -356,27 +777,261 @@ app.get('/api/generations', async (req, res) => {
   }
 });
 
+// GET /api/generation/:id/resume.json - Tailored resume as JSON (?format=jsonresume for a JSON Resume document)
+app.get('/api/generation/:id/resume.json', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = req.query.format || 'native';
+    if (format !== 'native' && format !== 'jsonresume') {
+      return res.status(400).json({ error: 'Invalid input', details: [`format: expected "native" or "jsonresume", got "${format}"`] });
+    }
+
+    const { generations: generationsCollection } = await getCollections();
+    const generation = await generationsCollection.findOne({ _id: id, userId: req.auth.userId });
+
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+    if (!generation.tailoredResumeJson) {
+      return res.status(404).json({ error: 'Tailored resume not available yet' });
+    }
+
+    res.set('Content-Disposition', `inline; filename="${format === 'jsonresume' ? 'resume.jsonresume.json' : 'resume.json'}"`);
+    res.json(format === 'jsonresume' ? toJsonResume(generation.tailoredResumeJson) : generation.tailoredResumeJson);
+  } catch (error) {
+    console.error('Error exporting resume JSON:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// GET /api/generation/:id/export?format=text|markdown|latex - Tailored resume as plain text, Markdown or LaTeX
+// Served inline for copying; ?download=1 sends it as an attachment
+app.get('/api/generation/:id/export', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = req.query.format || 'text';
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: [`format: expected one of ${Object.keys(EXPORT_FORMATS).map(name => `"${name}"`).join(', ')}, got "${format}"`]
+      });
+    }
+
+    const { generations: generationsCollection } = await getCollections();
+    const generation = await generationsCollection.findOne({ _id: id, userId: req.auth.userId });
+
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+    if (!generation.tailoredResumeJson) {
+      return res.status(404).json({ error: 'Tailored resume not available yet' });
+    }
+
+    const content = exportFormat.render(generation.tailoredResumeJson, {
+      template: generation.template || DEFAULT_TEMPLATE
+    });
+    const disposition = req.query.download === '1' ? 'attachment' : 'inline';
+
+    res.set({
+      'Content-Type': exportFormat.contentType,
+      'Content-Disposition': `${disposition}; filename="resume.${exportFormat.extension}"`
+    });
+    res.send(content);
+  } catch (error) {
+    console.error('Error exporting resume:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// GET /api/generation/:id/diff - Tailored resume compared with the original resume, bullet by bullet
+app.get('/api/generation/:id/diff', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { generations: generationsCollection } = await getCollections();
+    const generation = await generationsCollection.findOne({ _id: id, userId: req.auth.userId });
+
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+    if (!generation.tailoredResumeJson) {
+      return res.status(404).json({ error: 'Tailored resume not available yet' });
+    }
+
+    const diff = buildResumeDiff(generation);
+    if (!diff) {
+      return res.status(409).json({ error: 'Original resume is not stored for this generation' });
+    }
+
+    res.json({ generationId: id, revision: generation.revision || 0, ...diff });
+  } catch (error) {
+    console.error('Error building resume diff:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// POST /api/generation/:id/render - Re-render a finished generation's resume PDF with another template
+app.post('/api/generation/:id/render', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { template, targetPages } = renderInputSchema.parse(req.body || {});
+
+    const { generations: generationsCollection } = await getCollections();
+    const generation = await generationsCollection.findOne({ _id: id, userId: req.auth.userId });
+
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+    if ((generation.status || 'done') !== 'done' || !generation.tailoredResumeJson) {
+      return res.status(409).json({ error: 'Generation is not finished', details: `Current stage: ${generation.stage || generation.status}` });
+    }
+
+    const { pageFit, keywordCoverage } = await rerenderResume(generation, { template, targetPages, storageDir: STORAGE_DIR });
+
+    res.json({
+      generationId: id,
+      template,
+      pageFit,
+      matchScore: keywordCoverage.matchScore,
+      keywordCoverage,
+      pdfUrl: signedDownloadUrl(id, 'resume.pdf')
+    });
+  } catch (error) {
+    console.error('Error re-rendering resume:', error);
+
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: error.issues.map(e => `${e.path.join('.')}: ${e.message}`)
+      });
+    }
+
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// POST /api/generation/:id/preview - Resume HTML for an unsaved edit (the editor's live preview)
+app.post('/api/generation/:id/preview', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tailoredResumeJson, template } = resumePreviewInputSchema.parse(req.body || {});
+
+    const { generations: generationsCollection } = await getCollections();
+    const generation = await generationsCollection.findOne({ _id: id, userId: req.auth.userId });
+
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+
+    res.type('html').send(renderResumeHTML(tailoredResumeJson, template || generation.template));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: error.issues.map(e => `${e.path.join('.')}: ${e.message}`)
+      });
+    }
+
+    console.error('Error rendering resume preview:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// PATCH /api/generation/:id/resume - Save an edited tailored resume, re-verify changed bullets and re-render the PDF
+app.patch('/api/generation/:id/resume', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tailoredResumeJson, expectedRevision, note } = resumeEditInputSchema.parse(req.body || {});
+
+    const { generations: generationsCollection } = await getCollections();
+    const generation = await generationsCollection.findOne({ _id: id, userId: req.auth.userId });
+
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+    if ((generation.status || 'done') !== 'done' || !generation.tailoredResumeJson) {
+      return res.status(409).json({ error: 'Generation is not finished', details: `Current stage: ${generation.stage || generation.status}` });
+    }
+
+    const result = await editTailoredResume(generation, tailoredResumeJson, { storageDir: STORAGE_DIR, expectedRevision, note });
+
+    res.json({
+      generationId: id,
+      ...result,
+      pdfUrl: signedDownloadUrl(id, 'resume.pdf')
+    });
+  } catch (error) {
+    console.error('Error editing resume:', error);
+
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: error.issues.map(e => `${e.path.join('.')}: ${e.message}`)
+      });
+    }
+    if (error.name === 'ResumeEditConflictError') {
+      return res.status(409).json({ error: error.message, details: error.details });
+    }
+
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// POST /api/generation/:id/flags/resolve - Apply a flag's suggested fix, keep the bullet as written, or remove it
+app.post('/api/generation/:id/flags/resolve', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { bulletId, action, expectedRevision } = flagResolutionInputSchema.parse(req.body || {});
+
+    const { generations: generationsCollection } = await getCollections();
+    const generation = await generationsCollection.findOne({ _id: id, userId: req.auth.userId });
+
+    if (!generation) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+    if ((generation.status || 'done') !== 'done' || !generation.tailoredResumeJson) {
+      return res.status(409).json({ error: 'Generation is not finished', details: `Current stage: ${generation.stage || generation.status}` });
+    }
+
+    const result = await resolveFlag(generation, { bulletId, action, expectedRevision }, { storageDir: STORAGE_DIR });
+
+    res.json({
+      generationId: id,
+      ...result,
+      pdfUrl: signedDownloadUrl(id, 'resume.pdf')
+    });
+  } catch (error) {
+    console.error('Error resolving flag:', error);
+
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: error.issues.map(e => `${e.path.join('.')}: ${e.message}`)
+      });
+    }
+    if (error.name === 'ResumeEditConflictError') {
+      return res.status(409).json({ error: error.message, details: error.details });
+    }
+
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
 // GET /api/generation/:id - Get generation details
 app.get('/api/generation/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
     const { generations: generationsCollection } = await getCollections();
-    const generation = await generationsCollection.findOne({ _id: id });
+    const generation = await generationsCollection.findOne({ _id: id, userId: req.auth.userId });
 
     if (!generation) {
       return res.status(404).json({ error: 'Generation not found' });
     }
 
-    const formattedGeneration = formatGenerationForResponse(generation);
-    
     // Add full URLs
-    formattedGeneration.pdfUrl = formattedGeneration.pdfUrl 
-      ? `${BASE_URL}${formattedGeneration.pdfUrl}` 
-      : null;
-    formattedGeneration.coverLetterPdfUrl = formattedGeneration.coverLetterPdfUrl
-      ? `${BASE_URL}${formattedGeneration.coverLetterPdfUrl}`
-      : null;
+    const formattedGeneration = absolutizeDownloadUrls(formatGenerationForResponse(generation), generation._id);
 
     res.json(formattedGeneration);
   } catch (error) {
@@ -394,18 +1049,36 @@ async function startServer() {
     // Connect to MongoDB
     await connectToMongoDB();
     await createIndexes();
+    await failInterruptedJobs();
     
     // Start server
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Base URL: ${BASE_URL}`);
       console.log('MongoDB connected and ready');
     });
+
+    process.once('SIGINT', () => shutdown(server, 'SIGINT'));
+    process.once('SIGTERM', () => shutdown(server, 'SIGTERM'));
   } catch (error) {
     console.error('Error starting server:', error);
     process.exit(1);
   }
 }
 
+// Stop accepting requests, let PDF renders in progress finish, then close the browser and MongoDB
+async function shutdown(server, signal) {
+  console.log(`${signal} received, shutting down`);
+  try {
+    server.close();
+    await closeBrowserPool();
+    await closeConnection();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error during shutdown:', error);
+    process.exit(1);
+  }
+}
+
 startServer();
 
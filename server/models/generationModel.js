@@ -1,4 +1,56 @@
 const crypto = require('crypto');
+const { DEFAULT_TEMPLATE } = require('../templates');
+
+// Pipeline stages a generation job moves through, in order
+const GENERATION_STAGES = [
+  'queued',
+  'parsing_job',
+  'generating',
+  'verifying',
+  'repairing',
+  'checking_cover',
+  'rendering_resume',
+  'rendering_cover',
+  'done',
+  'failed',
+];
+
+// Human-readable stage labels for progress displays
+const STAGE_LABELS = {
+  queued: 'Queued',
+  parsing_job: 'Parsing job posting',
+  generating: 'Generating tailored resume',
+  verifying: 'Verifying claims',
+  repairing: 'Repairing flagged bullets',
+  checking_cover: 'Fact-checking cover letter',
+  rendering_resume: 'Rendering resume PDF',
+  rendering_cover: 'Rendering cover letter PDF',
+  done: 'Done',
+  failed: 'Failed',
+};
+
+// Stages after which a job will not change again
+const TERMINAL_STATUSES = ['done', 'failed'];
+
+// gen_<timestamp in ms>_<up to 9 base-36 characters>, as made by createGenerationId
+const GENERATION_ID_PATTERN = /^gen_\d{13}_[a-z0-9]{1,9}$/;
+
+/**
+ * Create a unique generation ID (also the name of the generation's storage directory)
+ * @returns {string} Generation ID
+ */
+function createGenerationId() {
+  return `gen_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Check that a value is a generation ID, so it is safe to use in storage paths
+ * @param {*} id - Value from a request
+ * @returns {boolean} Whether it matches GENERATION_ID_PATTERN
+ */
+function isValidGenerationId(id) {
+  return typeof id === 'string' && GENERATION_ID_PATTERN.test(id);
+}
 
 /**
  * Create a hash of resume text for storage
@@ -21,7 +73,11 @@ function createGenerationDocument(data) {
     jobText,
     jobUrl,
     resumeText,
+    profileName,
+    template,
     includeCoverLetter,
+    strictMode,
+    blockUnsupportedCoverLetter,
     tailoredResumeJson,
     claimMap,
     suggestedAdditions,
@@ -29,25 +85,55 @@ function createGenerationDocument(data) {
     truthScore,
     flags,
     pdfPath,
-    coverPdfPath
+    coverPdfPath,
+    status
   } = data;
 
+  const now = new Date();
+  const initialStatus = status || 'queued';
+
   return {
     _id: generationId,
     userId: userId || 'anonymous',
-    createdAt: new Date(),
+    createdAt: now,
+    updatedAt: now,
+    status: initialStatus,
+    stage: initialStatus,
+    stageHistory: [{ stage: initialStatus, at: now }],
+    error: null,
+    completedAt: null,
     jobUrl: jobUrl || null,
     jobText: jobText || '',
+    jobPosting: null,
+    masterResume: null,
     resumeTextHash: hashResumeText(resumeText || ''),
+    // Kept so edits to the tailored resume can be re-verified against it
+    resumeText: resumeText || '',
+    profileName: profileName || null,
+    template: template || DEFAULT_TEMPLATE,
     includeCoverLetter: includeCoverLetter || false,
+    strictMode: strictMode || false,
+    blockUnsupportedCoverLetter: blockUnsupportedCoverLetter || false,
+    repairHistory: [],
+    llmAttempts: [],
     tailoredResumeJson: tailoredResumeJson || null,
     claimMap: claimMap || [],
     suggestedAdditions: suggestedAdditions || [],
     verifications: verifications || [],
     truthScore: truthScore || 0,
     flags: flags || [],
+    matchScore: null,
+    keywordCoverage: null,
+    coverLetterVerifications: [],
+    coverLetterTruthScore: null,
+    coverLetterFlags: [],
+    coverLetterBlocked: false,
     pdfPath: pdfPath || null,
+    pageFit: null,
     coverPdfPath: coverPdfPath || null,
+    revision: 0,
+    revisions: [],
+    flagDecisions: [],
   };
 }
 
@@ -63,24 +149,111 @@ function formatGenerationForResponse(doc) {
     generationId: doc._id,
     userId: doc.userId,
     createdAt: doc.createdAt,
+    status: doc.status || 'done',
+    stage: doc.stage || 'done',
+    error: doc.error || null,
     jobUrl: doc.jobUrl,
     jobText: doc.jobText,
+    jobPosting: doc.jobPosting || null,
+    masterResume: doc.masterResume || null,
+    profileName: doc.profileName || null,
+    template: doc.template || DEFAULT_TEMPLATE,
     includeCoverLetter: doc.includeCoverLetter,
+    strictMode: doc.strictMode || false,
+    repairHistory: doc.repairHistory || [],
+    llmAttempts: doc.llmAttempts || [],
     tailoredResumeJson: doc.tailoredResumeJson,
     claimMap: doc.claimMap,
     suggestedAdditions: doc.suggestedAdditions,
     verifications: doc.verifications,
+    metricFindings: doc.metricFindings || [],
     truthScore: doc.truthScore,
     flags: doc.flags,
+    matchScore: doc.matchScore ?? null,
+    keywordCoverage: doc.keywordCoverage || null,
+    pageFit: doc.pageFit || null,
+    revision: doc.revision || 0,
+    revisions: doc.revisions || [],
+    flagDecisions: doc.flagDecisions || [],
+    coverLetterVerifications: doc.coverLetterVerifications || [],
+    coverLetterTruthScore: doc.coverLetterTruthScore ?? null,
+    coverLetterFlags: doc.coverLetterFlags || [],
+    coverLetterBlocked: doc.coverLetterBlocked || false,
     pdfUrl: doc.pdfPath ? `/api/generation/${doc._id}/resume.pdf` : null,
     coverLetterPdfUrl: doc.coverPdfPath ? `/api/generation/${doc._id}/cover.pdf` : null,
+    docxUrl: doc.tailoredResumeJson ? `/api/generation/${doc._id}/resume.docx` : null,
+    exportUrl: doc.tailoredResumeJson ? `/api/generation/${doc._id}/export` : null,
+    coverLetterDocxUrl: doc.coverLetterData ? `/api/generation/${doc._id}/cover.docx` : null,
   };
 }
 
+/**
+ * Format the progress of a generation job for the status endpoint and event stream
+ * Results are only included once the job is done
+ * @param {Object} doc - MongoDB document
+ * @returns {Object} Status payload
+ */
+function formatGenerationStatus(doc) {
+  if (!doc) return null;
+
+  // Documents created before generation jobs existed have no status and are complete
+  const status = doc.status || 'done';
+  const stage = doc.stage || status;
+
+  const payload = {
+    generationId: doc._id,
+    status,
+    stage,
+    stageLabel: STAGE_LABELS[stage] || stage,
+    stageIndex: Math.max(0, GENERATION_STAGES.indexOf(stage)),
+    stageCount: GENERATION_STAGES.indexOf('done'),
+    stageHistory: doc.stageHistory || [],
+    error: doc.error || null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt || doc.createdAt,
+    completedAt: doc.completedAt || null,
+    result: null,
+  };
+
+  if (status === 'done') {
+    payload.result = {
+      jobPosting: doc.jobPosting || null,
+      truthScore: doc.truthScore,
+      flags: doc.flags || [],
+      matchScore: doc.matchScore ?? null,
+      keywordCoverage: doc.keywordCoverage || null,
+      claimMap: doc.claimMap || [],
+      verifications: doc.verifications || [],
+      suggestedAdditions: doc.suggestedAdditions || [],
+      repairHistory: doc.repairHistory || [],
+      llmAttempts: doc.llmAttempts || [],
+      coverLetterTruthScore: doc.coverLetterTruthScore ?? null,
+      coverLetterFlags: doc.coverLetterFlags || [],
+      coverLetterBlocked: doc.coverLetterBlocked || false,
+      template: doc.template || DEFAULT_TEMPLATE,
+      pageFit: doc.pageFit || null,
+      revision: doc.revision || 0,
+      pdfUrl: doc.pdfPath ? `/api/generation/${doc._id}/resume.pdf` : null,
+      coverLetterPdfUrl: doc.coverPdfPath ? `/api/generation/${doc._id}/cover.pdf` : null,
+      docxUrl: doc.tailoredResumeJson ? `/api/generation/${doc._id}/resume.docx` : null,
+      exportUrl: doc.tailoredResumeJson ? `/api/generation/${doc._id}/export` : null,
+      coverLetterDocxUrl: doc.coverLetterData ? `/api/generation/${doc._id}/cover.docx` : null,
+    };
+  }
+
+  return payload;
+}
+
 module.exports = {
+  GENERATION_STAGES,
+  STAGE_LABELS,
+  TERMINAL_STATUSES,
+  createGenerationId,
+  isValidGenerationId,
   hashResumeText,
   createGenerationDocument,
   formatGenerationForResponse,
+  formatGenerationStatus,
 };
 
 
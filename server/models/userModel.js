@@ -0,0 +1,61 @@
+/**
+ * Create a user document for MongoDB
+ * @param {Object} data - User data
+ * @param {string} data.userId - User ID (also the document _id)
+ * @param {string} data.email - Normalized email address
+ * @param {string} data.passwordHash - Hash from hashPassword
+ * @param {string} [data.name] - Display name
+ * @returns {Object} User document
+ */
+function createUserDocument({ userId, email, passwordHash, name }) {
+  const now = new Date();
+  return {
+    _id: userId,
+    userId,
+    email,
+    name: name || null,
+    passwordHash,
+    createdAt: now,
+    updatedAt: now,
+    lastLoginAt: null,
+  };
+}
+
+/**
+ * Format user document for API response (never includes the password hash)
+ * @param {Object} doc - MongoDB document
+ * @returns {Object} Formatted user object
+ */
+function formatUserForResponse(doc) {
+  if (!doc) return null;
+
+  return {
+    userId: doc.userId,
+    email: doc.email,
+    name: doc.name || null,
+    createdAt: doc.createdAt,
+  };
+}
+
+/**
+ * Format an API token document for API response (the token itself is only returned when it is created)
+ * @param {Object} doc - MongoDB document
+ * @returns {Object} Formatted token object
+ */
+function formatApiTokenForResponse(doc) {
+  if (!doc) return null;
+
+  return {
+    tokenId: doc._id,
+    name: doc.name,
+    prefix: doc.prefix,
+    createdAt: doc.createdAt,
+    lastUsedAt: doc.lastUsedAt || null,
+  };
+}
+
+module.exports = {
+  createUserDocument,
+  formatUserForResponse,
+  formatApiTokenForResponse,
+};
@@ -1,4 +1,5 @@
 const { z } = require('zod');
+const { TEMPLATE_IDS, DEFAULT_TEMPLATE } = require('./templates');
 
 // Basics schema
 const basicsSchema = z.object({
@@ -21,6 +22,7 @@ const skillSchema = z.string().min(1);
 const experienceBulletSchema = z.object({
   text: z.string().min(1),
   evidenceSnippet: z.string().optional(), // Snippet from original resumeText that supports this claim
+  hidden: z.boolean().optional(), // Hidden in the editor: kept in the JSON but left out of PDFs, exports and verification
 });
 
 // Experience role schema
@@ -31,6 +33,7 @@ const experienceRoleSchema = z.object({
   endDate: z.string().or(z.literal('Present')),
   bullets: z.array(experienceBulletSchema).min(1),
   location: z.string().optional(),
+  hidden: z.boolean().optional(),
 });
 
 // Project schema
@@ -40,6 +43,7 @@ const projectSchema = z.object({
   technologies: z.array(z.string()).optional(),
   url: z.string().optional(), // Will normalize to URL format after parsing
   bullets: z.array(experienceBulletSchema).optional(),
+  hidden: z.boolean().optional(),
 });
 
 // Education schema
@@ -49,6 +53,7 @@ const educationSchema = z.object({
   graduationDate: z.string().optional(),
   gpa: z.string().optional(),
   honors: z.array(z.string()).optional(),
+  hidden: z.boolean().optional(),
 });
 
 // Tailoring notes schema
@@ -77,6 +82,106 @@ const tailoredResumeSchema = z.object({
   tailoringNotes: tailoringNotesSchema,
 });
 
+// Salary range stated in a job posting
+const salaryRangeSchema = z.object({
+  min: z.number().nullable(),
+  max: z.number().nullable(),
+  currency: z.string().nullable(), // ISO code, e.g. "USD"
+  period: z.enum(['hour', 'day', 'week', 'month', 'year']).nullable(),
+});
+
+// Job posting schema - structured fields parsed from the raw job text
+const jobPostingSchema = z.object({
+  company: z.string().nullable(), // Hiring company, null when the posting does not name it
+  title: z.string().nullable(),
+  location: z.string().nullable(),
+  seniority: z.enum(['intern', 'entry', 'mid', 'senior', 'staff', 'principal', 'lead', 'manager', 'director', 'executive']).nullable(),
+  employmentType: z.enum(['full_time', 'part_time', 'contract', 'internship', 'temporary']).nullable(),
+  salaryRange: salaryRangeSchema.nullable(),
+  mustHaves: z.array(z.string()), // Required qualifications
+  niceToHaves: z.array(z.string()), // Preferred / bonus qualifications
+});
+
+// JSON Resume (jsonresume.org, v1.0.0) - the sections we import and export
+// Dates are ISO 8601 ("2021-01-15", "2021-01" or "2021"); a missing endDate means the entry is current
+const jsonResumeDateSchema = z.string().regex(/^\d{4}(-\d{2}(-\d{2})?)?$/, 'Expected an ISO 8601 date (YYYY, YYYY-MM or YYYY-MM-DD)');
+
+const jsonResumeSchema = z.object({
+  $schema: z.string().optional(),
+  basics: z.object({
+    name: z.string().min(1),
+    label: z.string().optional(),
+    image: z.string().optional(),
+    email: z.string().optional(),
+    phone: z.string().optional(),
+    url: z.string().optional(),
+    summary: z.string().optional(),
+    location: z.object({
+      address: z.string().optional(),
+      postalCode: z.string().optional(),
+      city: z.string().optional(),
+      countryCode: z.string().optional(),
+      region: z.string().optional(),
+    }).optional(),
+    profiles: z.array(z.object({
+      network: z.string().optional(),
+      username: z.string().optional(),
+      url: z.string().optional(),
+    })).optional(),
+  }),
+  work: z.array(z.object({
+    name: z.string().optional(),
+    position: z.string().optional(),
+    location: z.string().optional(),
+    url: z.string().optional(),
+    startDate: jsonResumeDateSchema.optional(),
+    endDate: jsonResumeDateSchema.optional(),
+    summary: z.string().optional(),
+    highlights: z.array(z.string()).optional(),
+  })).optional(),
+  projects: z.array(z.object({
+    name: z.string().min(1),
+    description: z.string().optional(),
+    highlights: z.array(z.string()).optional(),
+    keywords: z.array(z.string()).optional(),
+    startDate: jsonResumeDateSchema.optional(),
+    endDate: jsonResumeDateSchema.optional(),
+    url: z.string().optional(),
+  })).optional(),
+  education: z.array(z.object({
+    institution: z.string().optional(),
+    url: z.string().optional(),
+    area: z.string().optional(),
+    studyType: z.string().optional(),
+    startDate: jsonResumeDateSchema.optional(),
+    endDate: jsonResumeDateSchema.optional(),
+    score: z.string().optional(),
+    courses: z.array(z.string()).optional(),
+  })).optional(),
+  awards: z.array(z.object({
+    title: z.string().optional(),
+    date: jsonResumeDateSchema.optional(),
+    awarder: z.string().optional(),
+    summary: z.string().optional(),
+  })).optional(),
+  certificates: z.array(z.object({
+    name: z.string().min(1),
+    date: jsonResumeDateSchema.optional(),
+    issuer: z.string().optional(),
+    url: z.string().optional(),
+  })).optional(),
+  skills: z.array(z.object({
+    name: z.string().optional(),
+    level: z.string().optional(),
+    keywords: z.array(z.string()).optional(),
+  })).optional(),
+  meta: z.object({
+    canonical: z.string().optional(),
+    version: z.string().optional(),
+    lastModified: z.string().optional(),
+  }).optional(),
+});
+
 // Generator output schema
 const generatorOutputSchema = z.object({
   tailoredResumeJson: tailoredResumeSchema,
@@ -109,8 +214,63 @@ const generateInputSchema = z.object({
   jobText: z.string().min(1),
   resumeText: z.string().min(1),
   includeCoverLetter: z.boolean().optional().default(false),
-  userId: z.string().optional(),
   jobUrl: z.string().url().optional().or(z.literal('')),
+  profileName: z.string().trim().max(60).optional(), // Name of the extension resume profile the resumeText came from
+  template: z.enum(TEMPLATE_IDS).optional().default(DEFAULT_TEMPLATE), // Resume template from the template registry
+  targetPages: z.number().int().min(1).max(5).optional(), // Page budget for the resume PDF (default RESUME_TARGET_PAGES or 1)
+  strictMode: z.boolean().optional().default(false), // Apply suggested fixes and re-verify before rendering
+  maxRepairRounds: z.number().int().min(1).max(5).optional().default(3),
+  blockUnsupportedCoverLetter: z.boolean().optional().default(false), // Skip the cover PDF when it has UNSUPPORTED claims
+});
+
+// Registration input schema (POST /api/auth/register)
+const registerInputSchema = z.object({
+  email: z.string().trim().email().max(254),
+  password: z.string().min(8).max(200),
+  name: z.string().trim().max(100).optional(),
+});
+
+// Login input schema (POST /api/auth/login)
+const loginInputSchema = z.object({
+  email: z.string().trim().min(1),
+  password: z.string().min(1),
+});
+
+// API token input schema (POST /api/auth/tokens)
+const apiTokenInputSchema = z.object({
+  name: z.string().trim().min(1).max(60), // e.g. "Chrome on work laptop"
+});
+
+// Share link input schema (POST /api/generation/:id/shares)
+const shareLinkInputSchema = z.object({
+  file: z.enum(['resume.pdf', 'cover.pdf']).optional().default('resume.pdf'),
+  expiresInDays: z.number().int().min(1).max(365).optional(), // Default: until revoked
+});
+
+// Re-render input schema (POST /api/generation/:id/render)
+const renderInputSchema = z.object({
+  template: z.enum(TEMPLATE_IDS),
+  targetPages: z.number().int().min(1).max(5).optional(),
+});
+
+// Resume preview input schema (POST /api/generation/:id/preview)
+const resumePreviewInputSchema = z.object({
+  tailoredResumeJson: tailoredResumeSchema,
+  template: z.enum(TEMPLATE_IDS).optional(), // Defaults to the generation's template
+});
+
+// Resume edit input schema (PATCH /api/generation/:id/resume)
+const resumeEditInputSchema = z.object({
+  tailoredResumeJson: tailoredResumeSchema,
+  expectedRevision: z.number().int().min(0).optional(), // Reject the edit if someone else saved first
+  note: z.string().trim().max(200).optional(),
+});
+
+// Flag decision input schema (POST /api/generation/:id/flags/resolve)
+const flagResolutionInputSchema = z.object({
+  bulletId: z.string().min(1),
+  action: z.enum(['apply_fix', 'keep_original', 'remove_bullet']),
+  expectedRevision: z.number().int().min(0).optional(),
 });
 
 module.exports = {
@@ -123,8 +283,19 @@ module.exports = {
   tailoringNotesSchema,
   claimMapEntrySchema,
   tailoredResumeSchema,
+  salaryRangeSchema,
+  jobPostingSchema,
+  jsonResumeSchema,
   generatorOutputSchema,
   generateInputSchema,
+  registerInputSchema,
+  loginInputSchema,
+  apiTokenInputSchema,
+  shareLinkInputSchema,
+  renderInputSchema,
+  resumePreviewInputSchema,
+  resumeEditInputSchema,
+  flagResolutionInputSchema,
   bulletVerificationSchema,
   verifierOutputSchema,
 };
@@ -0,0 +1,115 @@
+// Compare PDF rendering latency with a new Chromium per document (the old behavior) against the shared browser pool
+// Each generation renders a resume and a cover letter, like a generation with a cover letter does
+//
+// Usage: node scripts/benchmarkPdf.js [generations=10] [concurrency=1]
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { chromium } = require('playwright');
+
+const {
+  generateResumeHTML,
+  generateCoverLetterHTML,
+  generateResumePDF,
+  generateCoverLetterPDF
+} = require('../utils/pdfGenerator');
+const { getPoolStats, closeBrowserPool } = require('../utils/browserPool');
+const fixture = require('../fixtures/llm/generator.json');
+
+const GENERATIONS = parseInt(process.argv[2], 10) || 10;
+const CONCURRENCY = parseInt(process.argv[3], 10) || 1;
+
+const resumeData = fixture.response.tailoredResumeJson;
+const coverLetterData = {
+  date: new Date().toLocaleDateString(),
+  company: 'Acme Corp',
+  greeting: 'Dear Hiring Manager,',
+  body: fixture.response.coverLetterText.replace(/^Dear[^\n]*\n+/, ''),
+  closing: 'Sincerely,',
+  senderName: resumeData.basics.name
+};
+
+/**
+ * The pre-pool renderer: launch Chromium, render one PDF, close it
+ */
+async function renderWithFreshBrowser(htmlContent, outputPath) {
+  const browser = await chromium.launch();
+  const page = await browser.newPage();
+  try {
+    await page.setContent(htmlContent, { waitUntil: 'networkidle' });
+    await page.pdf({ path: outputPath, format: 'Letter', printBackground: true, preferCSSPageSize: true });
+  } finally {
+    await browser.close();
+  }
+}
+
+async function freshBrowserGeneration(dir) {
+  await renderWithFreshBrowser(generateResumeHTML(resumeData), path.join(dir, 'resume.pdf'));
+  await renderWithFreshBrowser(generateCoverLetterHTML(coverLetterData), path.join(dir, 'cover.pdf'));
+}
+
+async function pooledGeneration(dir) {
+  await generateResumePDF(resumeData, path.join(dir, 'resume.pdf'));
+  await generateCoverLetterPDF(coverLetterData, path.join(dir, 'cover.pdf'));
+}
+
+/**
+ * Run `generations` generations, `concurrency` at a time, and time each one
+ * @returns {Promise<Array<number>>} Per-generation latency in ms
+ */
+async function run(label, generation, workDir) {
+  const timings = [];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < GENERATIONS) {
+      const index = next++;
+      const dir = path.join(workDir, `${label}_${index}`);
+      await fs.mkdir(dir, { recursive: true });
+
+      const start = process.hrtime.bigint();
+      await generation(dir);
+      timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+  };
+
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+  return timings;
+}
+
+function summarize(label, timings, totalMs) {
+  const sorted = [...timings].sort((a, b) => a - b);
+  const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  console.log(
+    `${label.padEnd(14)} mean ${mean.toFixed(0).padStart(6)}ms  p50 ${percentile(0.5).toFixed(0).padStart(6)}ms  ` +
+    `p95 ${percentile(0.95).toFixed(0).padStart(6)}ms  total ${totalMs.toFixed(0)}ms`
+  );
+  return mean;
+}
+
+async function main() {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-benchmark-'));
+  console.log(`${GENERATIONS} generations (resume + cover letter), ${CONCURRENCY} at a time\n`);
+
+  try {
+    let start = Date.now();
+    const fresh = await run('fresh', freshBrowserGeneration, workDir);
+    const freshMean = summarize('fresh browser', fresh, Date.now() - start);
+
+    start = Date.now();
+    const pooled = await run('pooled', pooledGeneration, workDir);
+    const pooledMean = summarize('browser pool', pooled, Date.now() - start);
+
+    console.log(`\nPool is ${(freshMean / pooledMean).toFixed(1)}x faster per generation (first pooled run includes the launch)`);
+    console.log('Pool stats:', getPoolStats());
+  } finally {
+    await closeBrowserPool();
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+main().catch(error => {
+  console.error('Benchmark failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,295 @@
+// User accounts and bearer tokens
+// Passwords are hashed with scrypt. Logging in creates a session token; each extension install gets its own
+// API token that lasts until it is revoked. Tokens are only returned when they are created: the sessions and
+// apiTokens collections store their SHA-256 hash.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const { getCollections } = require('../db/mongodb');
+const { createUserDocument, formatUserForResponse, formatApiTokenForResponse } = require('../models/userModel');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters, stored with each hash so they can be raised without invalidating old passwords
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+// Login sessions expire after SESSION_TTL_DAYS (default 30)
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// The prefix tells which collection a token belongs to
+const SESSION_TOKEN_PREFIX = 'sess_';
+const API_TOKEN_PREFIX = 'api_';
+
+// lastUsedAt on API tokens is refreshed at most this often
+const TOKEN_USAGE_WRITE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Error for a missing, unknown or expired token, or wrong login credentials (HTTP 401)
+ */
+class AuthenticationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * Error for registering an email address that already has an account (HTTP 409)
+ */
+class AccountExistsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AccountExistsError';
+  }
+}
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} "scrypt$N$r$p$salt$hash" (salt and hash base64)
+ */
+async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a hash from hashPassword
+ * @param {string} password - Plain text password
+ * @param {string} passwordHash - Stored hash
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+async function verifyPassword(password, passwordHash) {
+  const [scheme, N, r, p, salt, hash] = String(passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked when the email is unknown, so a failed login takes as long either way
+let unknownUserPasswordHash = null;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createToken(prefix) {
+  return `${prefix}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
+/**
+ * Start a login session
+ * @param {string} userId - User ID
+ * @returns {Promise<{token: string, expiresAt: Date}>} Session token and expiry
+ */
+async function createSession(userId) {
+  const { sessions } = await getCollections();
+  const token = createToken(SESSION_TOKEN_PREFIX);
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + SESSION_TTL_MS);
+
+  await sessions.insertOne({
+    _id: hashToken(token),
+    userId,
+    createdAt: now,
+    expiresAt,
+  });
+
+  return { token, expiresAt };
+}
+
+/**
+ * Create an account and log it in
+ * @param {Object} input - Validated registration input
+ * @param {string} input.email - Email address
+ * @param {string} input.password - Password
+ * @param {string} [input.name] - Display name
+ * @returns {Promise<{user: Object, token: string, expiresAt: Date}>} New user and session
+ */
+async function registerUser({ email, password, name }) {
+  const { users } = await getCollections();
+  const normalizedEmail = normalizeEmail(email);
+
+  if (await users.findOne({ email: normalizedEmail })) {
+    throw new AccountExistsError('An account with this email already exists');
+  }
+
+  const userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const user = createUserDocument({
+    userId,
+    email: normalizedEmail,
+    passwordHash: await hashPassword(password),
+    name,
+  });
+
+  try {
+    await users.insertOne(user);
+  } catch (error) {
+    // Registered by a concurrent request (unique index on email)
+    if (error.code === 11000) {
+      throw new AccountExistsError('An account with this email already exists');
+    }
+    throw error;
+  }
+
+  console.log(`[auth] Registered ${userId}`);
+  return { user: formatUserForResponse(user), ...(await createSession(userId)) };
+}
+
+/**
+ * Check credentials and start a session
+ * @param {Object} input - Validated login input
+ * @param {string} input.email - Email address
+ * @param {string} input.password - Password
+ * @returns {Promise<{user: Object, token: string, expiresAt: Date}>} User and session
+ */
+async function loginUser({ email, password }) {
+  const { users } = await getCollections();
+  const user = await users.findOne({ email: normalizeEmail(email) });
+
+  if (!user) {
+    unknownUserPasswordHash = unknownUserPasswordHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(password, unknownUserPasswordHash);
+    throw new AuthenticationError('Invalid email or password');
+  }
+  if (!(await verifyPassword(password, user.passwordHash))) {
+    throw new AuthenticationError('Invalid email or password');
+  }
+
+  await users.updateOne({ _id: user._id }, { $set: { lastLoginAt: new Date() } });
+  return { user: formatUserForResponse(user), ...(await createSession(user.userId)) };
+}
+
+/**
+ * Resolve a bearer token to the user it belongs to
+ * @param {string|null} token - Session or API token
+ * @returns {Promise<Object>} { userId, type: 'session' | 'api_token', sessionId or tokenId }
+ */
+async function authenticateToken(token) {
+  if (!token) {
+    throw new AuthenticationError('Authentication required');
+  }
+
+  const { sessions, apiTokens } = await getCollections();
+  const tokenHash = hashToken(token);
+
+  if (token.startsWith(SESSION_TOKEN_PREFIX)) {
+    const session = await sessions.findOne({ _id: tokenHash });
+    // The TTL index removes expired sessions, but not immediately
+    if (!session || session.expiresAt <= new Date()) {
+      throw new AuthenticationError('Session expired, log in again');
+    }
+    return { userId: session.userId, type: 'session', sessionId: session._id };
+  }
+
+  if (token.startsWith(API_TOKEN_PREFIX)) {
+    const apiToken = await apiTokens.findOne({ tokenHash });
+    if (!apiToken) {
+      throw new AuthenticationError('Invalid or revoked API token');
+    }
+
+    const now = new Date();
+    if (!apiToken.lastUsedAt || now - apiToken.lastUsedAt > TOKEN_USAGE_WRITE_INTERVAL_MS) {
+      await apiTokens.updateOne({ _id: apiToken._id }, { $set: { lastUsedAt: now } });
+    }
+    return { userId: apiToken.userId, type: 'api_token', tokenId: apiToken._id };
+  }
+
+  throw new AuthenticationError('Invalid token');
+}
+
+/**
+ * End the session or revoke the API token a request was made with
+ * @param {Object} auth - Result of authenticateToken
+ */
+async function revokeCurrentToken(auth) {
+  const { sessions, apiTokens } = await getCollections();
+  if (auth.type === 'session') {
+    await sessions.deleteOne({ _id: auth.sessionId });
+  } else {
+    await apiTokens.deleteOne({ _id: auth.tokenId, userId: auth.userId });
+  }
+}
+
+/**
+ * Get a user's account details
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Formatted user
+ */
+async function getUser(userId) {
+  const { users } = await getCollections();
+  return formatUserForResponse(await users.findOne({ _id: userId }));
+}
+
+/**
+ * Create a named API token, e.g. for one extension install
+ * @param {string} userId - User ID
+ * @param {string} name - Label shown in the token list
+ * @returns {Promise<Object>} Token details, with the token itself (only returned here)
+ */
+async function createApiToken(userId, name) {
+  const { apiTokens } = await getCollections();
+  const token = createToken(API_TOKEN_PREFIX);
+  const doc = {
+    _id: `tok_${crypto.randomBytes(8).toString('hex')}`,
+    userId,
+    name,
+    tokenHash: hashToken(token),
+    // Enough of the token to recognize it in the list
+    prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+    createdAt: new Date(),
+    lastUsedAt: null,
+  };
+
+  await apiTokens.insertOne(doc);
+  return { token, ...formatApiTokenForResponse(doc) };
+}
+
+/**
+ * List a user's API tokens, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} Formatted tokens (without the tokens themselves)
+ */
+async function listApiTokens(userId) {
+  const { apiTokens } = await getCollections();
+  const docs = await apiTokens.find({ userId }).sort({ createdAt: -1 }).toArray();
+  return docs.map(formatApiTokenForResponse);
+}
+
+/**
+ * Revoke one of a user's API tokens
+ * @param {string} userId - User ID
+ * @param {string} tokenId - Token ID from listApiTokens
+ * @returns {Promise<boolean>} Whether a token was revoked
+ */
+async function revokeApiToken(userId, tokenId) {
+  const { apiTokens } = await getCollections();
+  const { deletedCount } = await apiTokens.deleteOne({ _id: tokenId, userId });
+  return deletedCount > 0;
+}
+
+module.exports = {
+  AuthenticationError,
+  AccountExistsError,
+  hashPassword,
+  verifyPassword,
+  registerUser,
+  loginUser,
+  authenticateToken,
+  revokeCurrentToken,
+  getUser,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+};
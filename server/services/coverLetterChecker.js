@@ -0,0 +1,150 @@
+const {
+  INVENTED_METRIC_PENALTY,
+  verifyBulletList,
+  calculateTruthScore,
+  generateFlags
+} = require('./verifierService');
+
+// Titles and initials ("Dr.", "B.S.") never end a sentence
+const NON_TERMINAL_ABBREVIATIONS = /(?:\b(?:mr|mrs|ms|dr|prof|st)\.|(?:\b[a-z]\.){1,3})$/i;
+
+// These end a sentence only when a capitalized word follows ("at Acme Corp. Your team...")
+const TRAILING_ABBREVIATIONS = /(?:\b(?:inc|ltd|co|corp|jr|sr|vs|etc|approx)\.|\be\.g\.|\bi\.e\.)$/i;
+
+// Lines that open or close a letter rather than say anything about the candidate
+const GREETING_PATTERN = /^(dear|hello|hi|to whom it may concern)\b/i;
+const SIGN_OFF_PATTERN = /^(sincerely|best regards|kind regards|warm regards|regards|best|respectfully|yours truly|yours sincerely|thank you|thanks)\b[^.!?]*,?$/i;
+
+// The candidate as subject or owner ("I built", "my work"); "your mission inspires me" says nothing about experience
+const FIRST_PERSON_PATTERN = /\b(i|i'm|i've|i'd|i'll|my|myself)\b/i;
+
+// Sentences that only express interest or courtesy
+const MOTIVATION_PATTERN = /\b(excited|eager|thrilled|delighted|look(?:ing)? forward|thank you|grateful|appreciate|welcome the opportunity|would (?:love|welcome)|(?:am|i'm) writing|to apply|applying for|interested in|your consideration)\b/i;
+
+// Wording that makes even a courteous sentence a statement about past work, skills or credentials
+const ACCOMPLISHMENT_PATTERN = /\b(built|led|developed|designed|managed|created|delivered|implemented|launched|shipped|improved|reduced|increased|automated|migrated|mentored|owned|skilled|proficient|expert|graduated|certified)\b/i;
+
+/**
+ * Split cover letter text into sentences with their character offsets
+ * Paragraph and line breaks always end a sentence; abbreviations ("Dr.", "B.S.") do not
+ * @param {string} text - Cover letter text
+ * @returns {Array<{text: string, start: number, end: number}>} Sentences in order
+ */
+function splitSentences(text) {
+  const sentences = [];
+  if (!text) return sentences;
+
+  const pushSentence = (start, end) => {
+    const raw = text.substring(start, end);
+    const leading = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (trimmed) {
+      sentences.push({ text: trimmed, start: start + leading, end: start + leading + trimmed.length });
+    }
+  };
+
+  let sentenceStart = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '\n') {
+      pushSentence(sentenceStart, i);
+      sentenceStart = i + 1;
+      continue;
+    }
+
+    if (char === '.' || char === '!' || char === '?') {
+      const next = text[i + 1];
+      if (next !== undefined && !/\s/.test(next)) continue;
+      if (char === '.') {
+        const sentenceSoFar = text.substring(sentenceStart, i + 1);
+        const nextWord = text.substring(i + 1).trimStart();
+        if (NON_TERMINAL_ABBREVIATIONS.test(sentenceSoFar)) continue;
+        if (TRAILING_ABBREVIATIONS.test(sentenceSoFar) && !/^[A-Z]/.test(nextWord)) continue;
+      }
+      pushSentence(sentenceStart, i + 1);
+      sentenceStart = i + 1;
+    }
+  }
+  pushSentence(sentenceStart, text.length);
+
+  return sentences;
+}
+
+/**
+ * Whether a sentence makes a checkable claim about the candidate
+ * @param {string} sentence - Sentence text
+ * @returns {boolean} True for first-person statements of experience, skills or results
+ */
+function isCandidateClaim(sentence) {
+  if (GREETING_PATTERN.test(sentence) || SIGN_OFF_PATTERN.test(sentence)) {
+    return false;
+  }
+  if (!FIRST_PERSON_PATTERN.test(sentence)) {
+    return false;
+  }
+
+  // "I am excited to apply" is not a claim; "I am excited to bring my 3 years of Node.js experience" is
+  return !MOTIVATION_PATTERN.test(sentence) || ACCOMPLISHMENT_PATTERN.test(sentence) || /\d/.test(sentence);
+}
+
+/**
+ * Extract the sentences of a cover letter that make claims about the candidate
+ * bulletIds are cover_<sentence index>, counting every sentence of the letter
+ * @param {string} coverLetterText - Cover letter text
+ * @returns {Array<Object>} Claims in the shape returned by extractAllBullets
+ */
+function extractCoverLetterClaims(coverLetterText) {
+  return splitSentences(coverLetterText)
+    .map((sentence, sentenceIndex) => ({ ...sentence, sentenceIndex }))
+    .filter(sentence => isCandidateClaim(sentence.text))
+    .map(sentence => ({
+      bulletText: sentence.text,
+      section: 'cover',
+      sectionIndex: 0,
+      bulletIndex: sentence.sentenceIndex,
+      bulletId: `cover_${sentence.sentenceIndex}`,
+      start: sentence.start,
+      end: sentence.end
+    }));
+}
+
+/**
+ * Fact-check a cover letter against the original resume
+ * @param {string} resumeText - Original resume text
+ * @param {string} coverLetterText - Generated cover letter text
+ * @param {Object} options - Optional settings
+ * @param {Array} options.metricFindings - Invented figures found in the cover letter
+ * @param {Array} options.attemptLog - Receives structured LLM attempt entries
+ * @returns {Promise<{verifications: Array, truthScore: number, flags: Array, unsupportedCount: number}>}
+ *   Claim verifications, the cover letter's own truth score and flags
+ */
+async function verifyCoverLetter(resumeText, coverLetterText, options = {}) {
+  const metricFindings = options.metricFindings || [];
+  const claims = extractCoverLetterClaims(coverLetterText);
+
+  console.log(`Cover letter: ${claims.length} claim sentence(s) to verify`);
+  const verifications = await verifyBulletList(resumeText, claims, {
+    purpose: 'cover_verifier',
+    attemptLog: options.attemptLog
+  });
+
+  // A letter without claims about the candidate has nothing to lose points on
+  const truthScore = verifications.length === 0
+    ? Math.max(0, 100 - metricFindings.length * INVENTED_METRIC_PENALTY)
+    : calculateTruthScore(verifications, metricFindings);
+
+  return {
+    verifications,
+    truthScore,
+    flags: generateFlags(verifications, metricFindings),
+    unsupportedCount: verifications.filter(verification => verification.status === 'UNSUPPORTED').length
+  };
+}
+
+module.exports = {
+  splitSentences,
+  isCandidateClaim,
+  extractCoverLetterClaims,
+  verifyCoverLetter,
+};
@@ -0,0 +1,192 @@
+// Download links for generated PDFs that work without an Authorization header
+// Signed URLs are HMAC-signed with DOWNLOAD_URL_SECRET and expire after DOWNLOAD_URL_TTL_MINUTES; every API
+// response carries freshly signed ones. Share links last until they are revoked (or an optional expiry): their
+// ID is 128 random bits, looked up in the shareLinks collection, so they do not depend on the secret.
+const crypto = require('crypto');
+
+const { getCollections } = require('../db/mongodb');
+
+// Files a link can point to, with the generation field that says the file was rendered
+const DOWNLOAD_FILES = {
+  'resume.pdf': { pathField: 'pdfPath', label: 'Resume PDF' },
+  'cover.pdf': { pathField: 'coverPdfPath', label: 'Cover letter PDF' },
+};
+
+const DOWNLOAD_URL_TTL_MS = (parseInt(process.env.DOWNLOAD_URL_TTL_MINUTES) || 60) * 60 * 1000;
+
+// Share link IDs are the only secret in the link, so they carry 128 random bits
+const SHARE_ID_BYTES = 16;
+const SHARE_ID_PATTERN = /^shr_[a-f0-9]{32}$/;
+
+// Without a configured secret, signed download URLs only stay valid until the server restarts (API responses
+// carry fresh ones, so a reload fixes them)
+const DOWNLOAD_URL_SECRET = process.env.DOWNLOAD_URL_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.DOWNLOAD_URL_SECRET) {
+  console.warn('DOWNLOAD_URL_SECRET is not set; signed download URLs will stop working when the server restarts');
+}
+
+/**
+ * Error for a download or share link that is malformed, expired or revoked (HTTP 403, or 410 when gone)
+ */
+class DownloadLinkError extends Error {
+  constructor(message, status = 403) {
+    super(message);
+    this.name = 'DownloadLinkError';
+    this.status = status;
+  }
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', DOWNLOAD_URL_SECRET).update(payload).digest('base64url');
+}
+
+function signatureMatches(payload, signature) {
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(String(signature || ''));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Signed, expiring download path for one of a generation's PDFs
+ * @param {string} generationId - Generation ID
+ * @param {string} file - Key of DOWNLOAD_FILES
+ * @returns {string} Path with expires and signature query parameters (relative to BASE_URL)
+ */
+function signDownloadPath(generationId, file) {
+  const expires = Math.floor((Date.now() + DOWNLOAD_URL_TTL_MS) / 1000);
+  const signature = sign(`download/${generationId}/${file}/${expires}`);
+  return `/api/download/${generationId}/${file}?expires=${expires}&signature=${signature}`;
+}
+
+/**
+ * Check the query of a signed download URL
+ * @param {string} generationId - Generation ID from the path
+ * @param {string} file - File name from the path
+ * @param {Object} query - Request query with expires and signature
+ * @throws {DownloadLinkError} When the signature does not match or the link has expired
+ */
+function verifyDownloadSignature(generationId, file, { expires, signature }) {
+  if (!/^\d+$/.test(String(expires || '')) || !signatureMatches(`download/${generationId}/${file}/${expires}`, signature)) {
+    throw new DownloadLinkError('Invalid download link');
+  }
+  if (Number(expires) * 1000 < Date.now()) {
+    throw new DownloadLinkError('Download link has expired; reload the page for a new one');
+  }
+}
+
+/**
+ * Format a share link document for API response
+ * Links created with the earlier 64-bit, signed IDs can no longer be opened and are listed as inactive
+ * @param {Object} doc - MongoDB document
+ * @returns {Object} Formatted share link, with its path (relative to BASE_URL) while it is active
+ */
+function formatShareLink(doc) {
+  const active = SHARE_ID_PATTERN.test(doc._id) && !doc.revokedAt && (!doc.expiresAt || doc.expiresAt > new Date());
+  return {
+    shareId: doc._id,
+    file: doc.file,
+    label: DOWNLOAD_FILES[doc.file].label,
+    path: active ? `/api/share/${doc._id}` : null,
+    active,
+    createdAt: doc.createdAt,
+    expiresAt: doc.expiresAt || null,
+    revokedAt: doc.revokedAt || null,
+    accessCount: doc.accessCount || 0,
+    lastAccessedAt: doc.lastAccessedAt || null,
+  };
+}
+
+/**
+ * Create a long-lived share link for one of a generation's PDFs
+ * @param {Object} generation - Generation document (already checked to belong to the user)
+ * @param {Object} options - Share options
+ * @param {string} options.file - Key of DOWNLOAD_FILES
+ * @param {number} [options.expiresInDays] - Expire after this many days (default: never)
+ * @returns {Promise<Object|null>} Formatted share link, or null when the file has not been rendered
+ */
+async function createShareLink(generation, { file, expiresInDays }) {
+  if (!generation[DOWNLOAD_FILES[file].pathField]) {
+    return null;
+  }
+
+  const { shareLinks } = await getCollections();
+  const now = new Date();
+  const doc = {
+    _id: `shr_${crypto.randomBytes(SHARE_ID_BYTES).toString('hex')}`,
+    generationId: generation._id,
+    userId: generation.userId,
+    file,
+    createdAt: now,
+    expiresAt: expiresInDays ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+    revokedAt: null,
+    accessCount: 0,
+    lastAccessedAt: null,
+  };
+
+  await shareLinks.insertOne(doc);
+  return formatShareLink(doc);
+}
+
+/**
+ * List a generation's share links, newest first (revoked and expired ones included)
+ * @param {string} generationId - Generation ID
+ * @returns {Promise<Array<Object>>} Formatted share links
+ */
+async function listShareLinks(generationId) {
+  const { shareLinks } = await getCollections();
+  const docs = await shareLinks.find({ generationId }).sort({ createdAt: -1 }).toArray();
+  return docs.map(formatShareLink);
+}
+
+/**
+ * Revoke a share link; the link stops working immediately
+ * @param {string} generationId - Generation ID the link belongs to
+ * @param {string} shareId - Share link ID
+ * @returns {Promise<boolean>} Whether an active link was revoked
+ */
+async function revokeShareLink(generationId, shareId) {
+  const { shareLinks } = await getCollections();
+  const { modifiedCount } = await shareLinks.updateOne(
+    { _id: shareId, generationId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return modifiedCount > 0;
+}
+
+/**
+ * Resolve an opened share link and count the access
+ * @param {string} shareId - Share link ID from the path
+ * @returns {Promise<Object>} Share link document
+ * @throws {DownloadLinkError} When the link is unknown (404), revoked or expired (410)
+ */
+async function openShareLink(shareId) {
+  if (!SHARE_ID_PATTERN.test(shareId)) {
+    throw new DownloadLinkError('Share link not found', 404);
+  }
+
+  const { shareLinks } = await getCollections();
+  const doc = await shareLinks.findOne({ _id: shareId });
+  if (!doc) {
+    throw new DownloadLinkError('Share link not found', 404);
+  }
+  if (doc.revokedAt) {
+    throw new DownloadLinkError('Share link has been revoked', 410);
+  }
+  if (doc.expiresAt && doc.expiresAt <= new Date()) {
+    throw new DownloadLinkError('Share link has expired', 410);
+  }
+
+  await shareLinks.updateOne({ _id: shareId }, { $inc: { accessCount: 1 }, $set: { lastAccessedAt: new Date() } });
+  return doc;
+}
+
+module.exports = {
+  DOWNLOAD_FILES,
+  DownloadLinkError,
+  signDownloadPath,
+  verifyDownloadSignature,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  openShareLink,
+};
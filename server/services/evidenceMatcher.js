@@ -0,0 +1,306 @@
+// Deterministic (non-LLM) evidence matching: locate each bullet's evidenceSnippet in resumeText
+
+// Minimum share of snippet tokens a resume window must contain to count as a fuzzy match
+const FUZZY_MATCH_THRESHOLD = 0.8;
+
+// Below this share of bullet content tokens found in the evidence, the bullet claims more than its evidence
+const LOW_BULLET_OVERLAP = 0.3;
+
+// Ordering used when combining statuses - the more severe status wins
+const STATUS_SEVERITY = {
+  SUPPORTED: 0,
+  STRETCH: 1,
+  UNSUPPORTED: 2,
+};
+
+// Words that carry no evidence on their own
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it',
+  'its', 'of', 'on', 'or', 'our', 'that', 'the', 'their', 'to', 'using', 'via', 'was', 'were',
+  'with', 'within', 'across', 'over', 'per', 'i', 'my', 'we'
+]);
+
+// Typographic characters mapped to their plain equivalents before comparing
+const CHARACTER_MAP = {
+  '‘': "'", '’': "'", '“': '"', '”': '"',
+  '–': '-', '—': '-', '−': '-',
+  '•': ' ', '▸': ' ', '▪': ' ', '●': ' ', ' ': ' '
+};
+
+/**
+ * Normalize text for comparison while remembering where each character came from
+ * Lowercases, maps typographic characters, drops bullet glyphs and collapses whitespace
+ * @param {string} text - Original text
+ * @returns {{normalized: string, offsets: Array<number>}} Normalized text and, for each of its
+ *   characters, the index of the source character in the original text
+ */
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+  let pendingSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    let char = CHARACTER_MAP[text[i]] || text[i];
+    char = char.toLowerCase();
+
+    if (/\s/.test(char)) {
+      pendingSpace = normalized.length > 0;
+      continue;
+    }
+
+    if (pendingSpace) {
+      normalized += ' ';
+      offsets.push(i);
+      pendingSpace = false;
+    }
+
+    normalized += char;
+    offsets.push(i);
+  }
+
+  return { normalized, offsets };
+}
+
+/**
+ * Split text into lowercase word tokens with their character offsets
+ * @param {string} text - Text to tokenize
+ * @returns {Array<{token: string, start: number, end: number}>} Tokens
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /[a-z0-9]+(?:['.][a-z0-9]+)*/gi;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({
+      token: match[0].toLowerCase(),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return tokens;
+}
+
+/**
+ * Content tokens of a text (stopwords removed)
+ * @param {string} text - Text
+ * @returns {Array<string>} Tokens
+ */
+function contentTokens(text) {
+  return tokenize(text || '')
+    .map(t => t.token)
+    .filter(token => !STOPWORDS.has(token));
+}
+
+/**
+ * Share of the tokens in `source` that also appear in `target`
+ * @param {string} source - Text whose tokens are checked
+ * @param {string} target - Text the tokens are looked up in
+ * @returns {number} Overlap ratio between 0 and 1 (1 when source has no content tokens)
+ */
+function tokenOverlap(source, target) {
+  const sourceTokens = contentTokens(source);
+  if (sourceTokens.length === 0) {
+    return 1;
+  }
+
+  const targetTokens = new Set(contentTokens(target));
+  const found = sourceTokens.filter(token => targetTokens.has(token)).length;
+  return found / sourceTokens.length;
+}
+
+/**
+ * Locate a snippet in the resume text using exact, then fuzzy, matching
+ * @param {string} resumeText - Original resume text
+ * @param {string} snippet - Evidence snippet to locate
+ * @returns {Object} Match result:
+ *   matchType - 'exact' | 'fuzzy' | 'none' | 'missing'
+ *   start/end - character offsets of the matched span in resumeText (null when not found)
+ *   matchedText - the matched span of resumeText
+ *   similarity - share of snippet tokens found in the matched span (0-1)
+ */
+function locateSnippet(resumeText, snippet) {
+  if (!snippet || !snippet.trim()) {
+    return { matchType: 'missing', start: null, end: null, matchedText: null, similarity: 0 };
+  }
+
+  // 1. Exact match after normalization
+  const resume = normalizeWithOffsets(resumeText);
+  const needle = normalizeWithOffsets(snippet).normalized;
+  // A snippet of only glyphs or punctuation is no evidence (and a glyph-only one normalizes to nothing,
+  // which would "match" at offset 0)
+  if (!/[\p{L}\p{N}]/u.test(needle)) {
+    return { matchType: 'none', start: null, end: null, matchedText: null, similarity: 0 };
+  }
+  const exactIndex = resume.normalized.indexOf(needle);
+
+  if (exactIndex !== -1) {
+    const start = resume.offsets[exactIndex];
+    const end = resume.offsets[exactIndex + needle.length - 1] + 1;
+    return {
+      matchType: 'exact',
+      start,
+      end,
+      matchedText: resumeText.substring(start, end),
+      similarity: 1
+    };
+  }
+
+  // 2. Fuzzy match - best window of resume tokens the same length as the snippet
+  const snippetTokens = tokenize(snippet).map(t => t.token);
+  const resumeTokens = tokenize(resumeText);
+
+  if (snippetTokens.length === 0 || resumeTokens.length === 0) {
+    return { matchType: 'none', start: null, end: null, matchedText: null, similarity: 0 };
+  }
+
+  const windowSize = Math.min(snippetTokens.length, resumeTokens.length);
+  let best = { score: 0, from: 0, to: 0 };
+
+  for (let i = 0; i + windowSize <= resumeTokens.length; i++) {
+    // Multiset overlap so repeated words are only counted as often as they occur
+    const remaining = new Map();
+    snippetTokens.forEach(token => remaining.set(token, (remaining.get(token) || 0) + 1));
+
+    let found = 0;
+    let firstHit = -1;
+    let lastHit = -1;
+    for (let j = i; j < i + windowSize; j++) {
+      const token = resumeTokens[j].token;
+      if (remaining.get(token) > 0) {
+        remaining.set(token, remaining.get(token) - 1);
+        found++;
+        if (firstHit === -1) firstHit = j;
+        lastHit = j;
+      }
+    }
+
+    const score = found / snippetTokens.length;
+    if (score > best.score) {
+      best = { score, from: firstHit, to: lastHit };
+    }
+  }
+
+  if (best.score < FUZZY_MATCH_THRESHOLD) {
+    return { matchType: 'none', start: null, end: null, matchedText: null, similarity: best.score };
+  }
+
+  const start = resumeTokens[best.from].start;
+  const end = resumeTokens[best.to].end;
+  return {
+    matchType: 'fuzzy',
+    start,
+    end,
+    matchedText: resumeText.substring(start, end),
+    similarity: best.score
+  };
+}
+
+/**
+ * Match a single extracted bullet's evidence against the resume
+ * @param {string} resumeText - Original resume text
+ * @param {Object} bullet - Bullet from extractAllBullets
+ * @returns {Object} Evidence match (see locateSnippet) plus bulletOverlap
+ */
+function matchBulletEvidence(resumeText, bullet) {
+  // The summary and cover letter sentences have no evidence snippet in the schema
+  if (bullet.section === 'summary' || bullet.section === 'cover') {
+    return { matchType: 'not_applicable', start: null, end: null, matchedText: null, similarity: null, bulletOverlap: null };
+  }
+
+  const match = locateSnippet(resumeText, bullet.evidenceSnippet);
+
+  // How much of the bullet is backed by the evidence actually found in the resume
+  const bulletOverlap = match.matchedText ? tokenOverlap(bullet.bulletText, match.matchedText) : 0;
+
+  return {
+    ...match,
+    similarity: Math.round(match.similarity * 100) / 100,
+    bulletOverlap: Math.round(bulletOverlap * 100) / 100
+  };
+}
+
+/**
+ * Combine an LLM verification with its deterministic evidence match
+ * A missing snippet caps the bullet at STRETCH, a snippet that is not in the resume makes it UNSUPPORTED,
+ * and a bullet that shares little with its evidence is capped at STRETCH
+ * @param {Object} verification - LLM verification
+ * @param {Object} evidenceMatch - Result of matchBulletEvidence
+ * @returns {Object} Verification with the combined status, llmStatus and evidenceMatch
+ */
+function combineWithEvidence(verification, evidenceMatch) {
+  let matcherStatus = 'SUPPORTED';
+  let matcherReason = null;
+
+  if (evidenceMatch.matchType === 'missing') {
+    matcherStatus = 'STRETCH';
+    matcherReason = 'No evidence snippet was provided for this bullet.';
+  } else if (evidenceMatch.matchType === 'none') {
+    matcherStatus = 'UNSUPPORTED';
+    matcherReason = 'The evidence snippet does not appear in the original resume.';
+  } else if (evidenceMatch.bulletOverlap !== null && evidenceMatch.bulletOverlap < LOW_BULLET_OVERLAP) {
+    matcherStatus = 'STRETCH';
+    matcherReason = 'The bullet shares little wording with its evidence in the original resume.';
+  }
+
+  const combined = {
+    ...verification,
+    llmStatus: verification.status,
+    evidenceMatch
+  };
+
+  if (STATUS_SEVERITY[matcherStatus] > STATUS_SEVERITY[verification.status]) {
+    combined.status = matcherStatus;
+    combined.reason = `${matcherReason} ${verification.reason}`.trim();
+  }
+
+  // Prefer the located resume text as evidence when the LLM had none
+  if ((!combined.evidence || combined.evidence === 'none') && evidenceMatch.matchedText) {
+    combined.evidence = evidenceMatch.matchedText;
+  }
+
+  return combined;
+}
+
+/**
+ * Run the evidence matcher over every verified bullet and combine the results
+ * Bullets the LLM returned no verification for are added as UNSUPPORTED, so they are still matched and flagged
+ * @param {string} resumeText - Original resume text
+ * @param {Array} bullets - Bullets from extractAllBullets
+ * @param {Array} verifications - LLM verifications with bulletIds
+ * @returns {Array} Combined verifications
+ */
+function applyEvidenceMatches(resumeText, bullets, verifications) {
+  const bulletsById = new Map(bullets.map(bullet => [bullet.bulletId, bullet]));
+  const verifiedIds = new Set(verifications.map(verification => verification.bulletId));
+
+  const unverified = bullets
+    .filter(bullet => !verifiedIds.has(bullet.bulletId))
+    .map(bullet => ({
+      bulletId: bullet.bulletId,
+      bulletText: bullet.bulletText,
+      status: 'UNSUPPORTED',
+      reason: 'The verifier returned no result for this bullet.',
+      evidence: 'none'
+    }));
+
+  return [...verifications, ...unverified].map(verification => {
+    const bullet = bulletsById.get(verification.bulletId);
+    if (!bullet) {
+      return verification;
+    }
+    return combineWithEvidence(verification, matchBulletEvidence(resumeText, bullet));
+  });
+}
+
+module.exports = {
+  STATUS_SEVERITY,
+  normalizeWithOffsets,
+  tokenize,
+  tokenOverlap,
+  locateSnippet,
+  matchBulletEvidence,
+  combineWithEvidence,
+  applyEvidenceMatches,
+};
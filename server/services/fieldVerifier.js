@@ -0,0 +1,574 @@
+// Deterministic verification of structured resume fields (titles, companies, dates, skills,
+// project technologies and education) against the original resumeText
+const { normalizeWithOffsets, locateSnippet } = require('./evidenceMatcher');
+const { parseResumeText, entryLineRanges } = require('../utils/resumeParser');
+
+const MONTHS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4, may: 5,
+  jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+
+const MONTH_PATTERN = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+
+// A date mention: "Jan 2020", "January, 2020", "01/2020", "2020-01" or a bare year
+const DATE_PATTERN = new RegExp(
+  '(?<![A-Za-z0-9])(?:' +
+    `(?<monthName>${MONTH_PATTERN})\\.?,?\\s+(?<yearAfterName>(?:19|20)\\d{2})` +
+    '|(?<monthNum>0?[1-9]|1[0-2])[/.-](?<yearAfterNum>(?:19|20)\\d{2})' +
+    '|(?<yearFirst>(?:19|20)\\d{2})[/.-](?<monthAfterYear>0?[1-9]|1[0-2])(?![0-9])' +
+    '|(?<year>(?:19|20)\\d{2})' +
+  ')(?![A-Za-z0-9])',
+  'gi'
+);
+
+const PRESENT_PATTERN = /(?<![a-z])(present|current|currently|now|today|ongoing)(?![a-z])/gi;
+
+// "Present" as the end of a date range ("Jan 2021 - Present", "2021 to now"); the word alone in a bullet
+// ("the current system") does not make a role current
+const PRESENT_RANGE_END_PATTERN = /(?:[-–—]|(?<![a-z])(?:to|until))\s*(?<present>present|current|now|today|ongoing)(?![a-z])/gi;
+
+// Common degree abbreviations and the words they stand for
+const DEGREE_ABBREVIATIONS = [
+  ['bs', 'bachelor of science'],
+  ['bsc', 'bachelor of science'],
+  ['ba', 'bachelor of arts'],
+  ['beng', 'bachelor of engineering'],
+  ['ms', 'master of science'],
+  ['msc', 'master of science'],
+  ['ma', 'master of arts'],
+  ['meng', 'master of engineering'],
+  ['mba', 'master of business administration'],
+  ['phd', 'doctor of philosophy']
+];
+
+/**
+ * Canonical form used for field comparison: normalized text with dots and hyphens inside words removed,
+ * so "Node.js", "NodeJS" and "node-js" compare equal
+ * @param {string} text - Original text
+ * @returns {{text: string, offsets: Array<number>}} Canonical text and source offsets per character
+ */
+function canonicalWithOffsets(text) {
+  const { normalized, offsets } = normalizeWithOffsets(text || '');
+  let canonical = '';
+  const canonicalOffsets = [];
+
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+    const joinsWord = (char === '.' || char === '-') &&
+      /[a-z0-9]/.test(normalized[i - 1] || '') &&
+      /[a-z0-9]/.test(normalized[i + 1] || '');
+    if (joinsWord) continue;
+
+    canonical += char;
+    canonicalOffsets.push(offsets[i]);
+  }
+
+  return { text: canonical, offsets: canonicalOffsets };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find every whole-word occurrence of a value in the resume
+ * @param {Object} resume - Result of canonicalWithOffsets for the resume
+ * @param {string} resumeText - Original resume text
+ * @param {string} value - Value to look for
+ * @returns {Array<{start: number, end: number, matchedText: string}>} Occurrences with original offsets
+ */
+function findOccurrences(resume, resumeText, value) {
+  const needle = canonicalWithOffsets(value).text.trim();
+  if (!needle) return [];
+
+  const pattern = new RegExp(`(?<![a-z0-9])${escapeRegExp(needle)}(?![a-z0-9])`, 'g');
+  const occurrences = [];
+  let match;
+
+  while ((match = pattern.exec(resume.text)) !== null) {
+    const start = resume.offsets[match.index];
+    const end = resume.offsets[match.index + match[0].length - 1] + 1;
+    occurrences.push({ start, end, matchedText: resumeText.substring(start, end) });
+  }
+
+  return occurrences;
+}
+
+/**
+ * Spelling variants of a degree ("B.S. Computer Science" <-> "Bachelor of Science Computer Science")
+ */
+function degreeVariants(degree) {
+  const canonical = canonicalWithOffsets(degree).text;
+  const variants = new Set([degree]);
+
+  DEGREE_ABBREVIATIONS.forEach(([abbreviation, expansion]) => {
+    const abbreviationPattern = new RegExp(`(?<![a-z0-9])${abbreviation}(?![a-z0-9])`);
+    if (abbreviationPattern.test(canonical)) {
+      variants.add(canonical.replace(abbreviationPattern, expansion));
+    }
+    if (canonical.includes(expansion)) {
+      variants.add(canonical.replace(expansion, abbreviation));
+    }
+  });
+
+  // "Bachelor of Science in X" and "Bachelor of Science, X" are the same degree
+  Array.from(variants).forEach(variant => {
+    variants.add(variant.replace(/\s+in\s+/i, ' '));
+  });
+
+  return Array.from(variants);
+}
+
+/**
+ * Whether an occurrence falls inside any of the entry contexts
+ */
+function inContext(occurrence, contexts) {
+  return contexts.some(context => occurrence.start < context.end && occurrence.end > context.start);
+}
+
+/**
+ * Line layout of the original resume: where each line starts, the entries parseResumeText finds in
+ * each section, the entries found without section headings, and which lines are bullets
+ * @param {Object} resume - Canonical resume
+ * @param {string} resumeText - Original resume text
+ * @returns {Object} Layout passed to entryContexts
+ */
+function resumeLayout(resume, resumeText) {
+  const lineStarts = [0];
+  const newline = /\r?\n/g;
+  let match;
+  while ((match = newline.exec(resumeText)) !== null) {
+    lineStarts.push(match.index + match[0].length);
+  }
+
+  const looseEntries = entryLineRanges(resumeText);
+  const bulletLines = new Set();
+  looseEntries.flatMap(entry => entry.bullets).forEach(bullet => {
+    for (let line = bullet.start; line < bullet.end; line++) bulletLines.add(line);
+  });
+
+  return {
+    resume,
+    resumeText,
+    lineStarts,
+    bulletLines,
+    parsed: parseResumeText(resumeText),
+    looseEntryLines: looseEntries.map(entry => entry.lines),
+    lineAt: offset => {
+      let line = 0;
+      while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) line++;
+      return line;
+    }
+  };
+}
+
+/**
+ * Occurrences of an entry's anchor (company, project name, school) outside bullets, falling back to a
+ * fuzzy match when it is not written exactly
+ */
+function anchorOccurrences(layout, anchor, { fuzzy = false } = {}) {
+  if (!anchor) return [];
+
+  const occurrences = findOccurrences(layout.resume, layout.resumeText, anchor)
+    .filter(occurrence => !layout.bulletLines.has(layout.lineAt(occurrence.start)));
+  if (occurrences.length > 0 || !fuzzy) return occurrences;
+
+  const match = locateSnippet(layout.resumeText, anchor);
+  return match.matchType === 'fuzzy' ? [{ start: match.start, end: match.end }] : [];
+}
+
+/**
+ * The part of the original resume that belongs to each occurrence of an entry's anchor: the lines
+ * parseResumeText grouped into that entry (or, outside a recognized section, the entry grouped
+ * without headings), cut at the line of any other entry's anchor.
+ * @param {Object} layout - Result of resumeLayout
+ * @param {string} anchor - Company, project name or school of the entry
+ * @param {Object} section - The entry's section
+ * @param {Array<{start: number, end: number}>} section.entryLines - Line ranges of the parsed entries
+ * @param {Array<string>} section.anchors - Anchors of every entry in the section, tailored and original
+ * @returns {Array<{start: number, end: number}>|null} Character ranges, or null when the anchor is not in the resume
+ */
+function entryContexts(layout, anchor, { entryLines, anchors }) {
+  const occurrences = anchorOccurrences(layout, anchor, { fuzzy: true });
+  if (occurrences.length === 0) return null;
+
+  const lineCount = layout.lineStarts.length;
+  const boundaries = new Set(anchors.flatMap(other => anchorOccurrences(layout, other))
+    .map(occurrence => layout.lineAt(occurrence.start)));
+
+  return occurrences.map(occurrence => {
+    const line = layout.lineAt(occurrence.start);
+    const contains = range => range.start <= line && line < range.end;
+    const entry = entryLines.find(contains) || layout.looseEntryLines.find(contains);
+    let start = entry ? entry.start : line;
+    let end = entry ? entry.end : lineCount;
+
+    boundaries.forEach(boundary => {
+      if (boundary < line && boundary >= start) start = boundary + 1;
+      if (boundary > line && boundary < end) end = boundary;
+    });
+
+    return {
+      start: layout.lineStarts[start],
+      end: end < lineCount ? layout.lineStarts[end] : layout.resumeText.length
+    };
+  });
+}
+
+/**
+ * Build a field verification entry in the same shape as a bullet verification
+ */
+function fieldVerification({ bulletId, field, fieldLabel, value, status, reason, evidence, suggestedFix, suggestedFixSource }) {
+  return {
+    bulletId,
+    bulletText: value,
+    status,
+    reason,
+    evidence: evidence || 'none',
+    suggestedFix: suggestedFix || undefined,
+    // 'entry' when the fix is text written with the same role, project or school in the original resume
+    suggestedFixSource: suggestedFix ? suggestedFixSource : undefined,
+    field,
+    fieldLabel
+  };
+}
+
+/**
+ * Verify a free-text field (title, company, skill, technology, degree, school, honor)
+ * @param {Object} resume - Canonical resume
+ * @param {string} resumeText - Original resume text
+ * @param {Object} params - Field description
+ * @param {string} params.value - Tailored value
+ * @param {Array<string>} params.variants - Alternative spellings to accept (optional)
+ * @param {Array|null} params.contexts - Windows the value should appear in (null to accept anywhere)
+ * @param {string} params.contextName - Name of the entry the contexts belong to, for reasons
+ * @returns {{status: string, reason: string, evidence: string|null}} Result
+ */
+function verifyText(resume, resumeText, { value, variants, contexts, contextName, fieldLabel }) {
+  const occurrences = (variants || [value]).flatMap(variant => findOccurrences(resume, resumeText, variant));
+
+  if (occurrences.length > 0) {
+    if (!contexts) {
+      return { status: 'SUPPORTED', reason: `${fieldLabel} "${value}" appears in the original resume.`, evidence: occurrences[0].matchedText };
+    }
+
+    const local = occurrences.find(occurrence => inContext(occurrence, contexts));
+    if (local) {
+      return { status: 'SUPPORTED', reason: `${fieldLabel} "${value}" appears with ${contextName} in the original resume.`, evidence: local.matchedText };
+    }
+
+    return {
+      status: 'STRETCH',
+      reason: `${fieldLabel} "${value}" appears in the original resume, but not with ${contextName}.`,
+      evidence: occurrences[0].matchedText
+    };
+  }
+
+  // Reordered or lightly reworded values (e.g. "Engineer, Software") are worth a look but not a rejection
+  const fuzzy = locateSnippet(resumeText, value);
+  if (fuzzy.matchType === 'fuzzy') {
+    return {
+      status: 'STRETCH',
+      reason: `${fieldLabel} "${value}" is worded differently in the original resume.`,
+      evidence: fuzzy.matchedText
+    };
+  }
+
+  return { status: 'UNSUPPORTED', reason: `${fieldLabel} "${value}" does not appear in the original resume.`, evidence: null };
+}
+
+/**
+ * Parse a resume-style date ("Jan 2020", "01/2020", "2020-01", "2020", "Present")
+ * @param {string} text - Date text
+ * @returns {{year: number|null, month: number|null, present: boolean}|null} Parsed date or null if unparseable
+ */
+function parseDate(text) {
+  if (!text || !text.trim()) return null;
+
+  PRESENT_PATTERN.lastIndex = 0;
+  if (PRESENT_PATTERN.test(text)) {
+    return { year: null, month: null, present: true };
+  }
+
+  const mentions = extractDateMentions(text);
+  if (mentions.length === 0) return null;
+
+  const { year, month } = mentions[0];
+  return { year, month, present: false };
+}
+
+/**
+ * Find every date mention in text
+ * @param {string} text - Text to scan
+ * @returns {Array<{year: number, month: number|null, start: number, end: number, raw: string}>} Mentions
+ */
+function extractDateMentions(text) {
+  const mentions = [];
+  DATE_PATTERN.lastIndex = 0;
+  let match;
+
+  while ((match = DATE_PATTERN.exec(text)) !== null) {
+    const groups = match.groups;
+    let year;
+    let month = null;
+
+    if (groups.monthName) {
+      month = MONTHS[groups.monthName.toLowerCase()];
+      year = groups.yearAfterName;
+    } else if (groups.monthNum) {
+      month = parseInt(groups.monthNum, 10);
+      year = groups.yearAfterNum;
+    } else if (groups.yearFirst) {
+      month = parseInt(groups.monthAfterYear, 10);
+      year = groups.yearFirst;
+    } else {
+      year = groups.year;
+    }
+
+    mentions.push({
+      year: parseInt(year, 10),
+      month,
+      start: match.index,
+      end: match.index + match[0].length,
+      raw: match[0]
+    });
+  }
+
+  return mentions;
+}
+
+/**
+ * Verify a date field against the date mentions in its entry
+ * @param {string} resumeText - Original resume text
+ * @param {Object} params - Field description
+ * @returns {{status: string, reason: string, evidence: string|null}} Result
+ */
+function verifyDate(resumeText, { value, contexts, contextName, fieldLabel }) {
+  const date = parseDate(value);
+  if (!date) {
+    return { status: 'STRETCH', reason: `${fieldLabel} "${value}" is not a recognizable date.`, evidence: null };
+  }
+
+  const describe = (occurrences, exactReason) => {
+    // Prefer a mention written the same way (a bare year for a bare year)
+    const ordered = occurrences.slice().sort((a, b) => (b.month === date.month) - (a.month === date.month));
+    const local = contexts ? ordered.find(occurrence => inContext(occurrence, contexts)) : ordered[0];
+    if (local) {
+      return { status: 'SUPPORTED', reason: exactReason, evidence: local.raw };
+    }
+    return {
+      status: 'STRETCH',
+      reason: `${fieldLabel} "${value}" appears in the original resume, but not with ${contextName}.`,
+      evidence: ordered[0].raw
+    };
+  };
+
+  if (date.present) {
+    const occurrences = [];
+    PRESENT_RANGE_END_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = PRESENT_RANGE_END_PATTERN.exec(resumeText)) !== null) {
+      const start = match.index + match[0].length - match.groups.present.length;
+      occurrences.push({ start, end: match.index + match[0].length, raw: match.groups.present });
+    }
+
+    if (occurrences.length === 0) {
+      return { status: 'UNSUPPORTED', reason: `The original resume does not show ${contextName} as a current position.`, evidence: null };
+    }
+    return describe(occurrences, `The original resume shows ${contextName} as current.`);
+  }
+
+  const mentions = extractDateMentions(resumeText).filter(mention => mention.year === date.year);
+  if (mentions.length === 0) {
+    return { status: 'UNSUPPORTED', reason: `${fieldLabel} "${value}" does not appear in the original resume.`, evidence: null };
+  }
+
+  // A month only matches the same month; a bare year matches any mention of that year
+  const exact = mentions.filter(mention => date.month === null || mention.month === date.month);
+  if (exact.length > 0) {
+    return describe(exact, `${fieldLabel} "${value}" matches the original resume.`);
+  }
+
+  // Only a mention inside this entry says what the date should be; another entry's date in the same year is not evidence
+  const closest = contexts ? mentions.find(mention => inContext(mention, contexts)) : null;
+  if (!closest) {
+    return {
+      status: 'UNSUPPORTED',
+      reason: `${fieldLabel} "${value}" does not appear with ${contextName} in the original resume.`,
+      evidence: null,
+      suggestedFix: null
+    };
+  }
+
+  // The resume only gives the year, so the month was added
+  if (closest.month === null) {
+    return {
+      status: 'STRETCH',
+      reason: `The original resume only gives the year (${closest.raw}); the month in "${value}" is not stated.`,
+      evidence: closest.raw,
+      suggestedFix: closest.raw,
+      suggestedFixSource: 'entry'
+    };
+  }
+
+  return {
+    status: 'UNSUPPORTED',
+    reason: `${fieldLabel} "${value}" does not match the original resume (${closest.raw}).`,
+    evidence: closest.raw,
+    suggestedFix: closest.raw,
+    suggestedFixSource: 'entry'
+  };
+}
+
+/**
+ * Verify a GPA: the number must appear in the original resume, ideally in the school's entry
+ */
+function verifyGpa(resumeText, { value, contexts, contextName, fieldLabel }) {
+  const numbers = value.match(/\d+(?:\.\d+)?/g);
+  if (!numbers) {
+    return { status: 'STRETCH', reason: `${fieldLabel} "${value}" has no number to check.`, evidence: null };
+  }
+
+  // The first number is the GPA itself; a scale ("/ 4.0") is not a claim
+  const pattern = new RegExp(`(?<![0-9.])${escapeRegExp(numbers[0])}(?![0-9]|\\.[0-9])`, 'g');
+  const occurrences = [];
+  let match;
+  while ((match = pattern.exec(resumeText)) !== null) {
+    occurrences.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  if (occurrences.length === 0) {
+    return { status: 'UNSUPPORTED', reason: `${fieldLabel} ${numbers[0]} does not appear in the original resume.`, evidence: null };
+  }
+
+  const local = contexts ? occurrences.find(occurrence => inContext(occurrence, contexts)) : occurrences[0];
+  const evidenceOf = occurrence => resumeText.substring(Math.max(0, occurrence.start - 10), occurrence.end).trim();
+  if (local) {
+    return { status: 'SUPPORTED', reason: `${fieldLabel} ${numbers[0]} matches the original resume.`, evidence: evidenceOf(local) };
+  }
+
+  return {
+    status: 'STRETCH',
+    reason: `${numbers[0]} appears in the original resume, but not with ${contextName}.`,
+    evidence: evidenceOf(occurrences[0])
+  };
+}
+
+/**
+ * Verify every structured field of the tailored resume against the original resume
+ * bulletIds (every <...> is an index into the tailored resume's arrays):
+ *   experience_<role>_title | _company | _startDate | _endDate
+ *   skills_<skill>
+ *   projects_<project>_tech_<technology>
+ *   education_<entry>_degree | _school | _graduationDate | _gpa
+ *   education_<entry>_honors_<honor>
+ * @param {string} resumeText - Original resume text
+ * @param {Object} tailoredResumeJson - Tailored resume JSON
+ * @returns {Array<Object>} Verifications in the same shape as bullet verifications, plus field and fieldLabel
+ */
+function verifyStructuredFields(resumeText, tailoredResumeJson) {
+  const resume = canonicalWithOffsets(resumeText);
+  const layout = resumeLayout(resume, resumeText);
+  const verifications = [];
+
+  const visible = items => (items || []).filter(item => !item.hidden);
+  const section = (parsedEntries, anchorOf, tailoredEntries) => ({
+    entryLines: parsedEntries.map(entry => entry.lines),
+    anchors: [...parsedEntries.map(anchorOf), ...visible(tailoredEntries).map(anchorOf)].filter(Boolean)
+  });
+  const experienceSection = section(layout.parsed.experience, role => role.company, tailoredResumeJson.experience);
+  const projectSection = section(layout.parsed.projects, project => project.name, tailoredResumeJson.projects);
+  const educationSection = section(layout.parsed.education, education => education.school, tailoredResumeJson.education);
+
+  const add = (entry, result) => {
+    verifications.push(fieldVerification({ ...entry, ...result }));
+  };
+
+  // Experience: company anchors the role; title and dates must appear in its entry
+  (tailoredResumeJson.experience || []).forEach((role, roleIndex) => {
+    if (role.hidden) return;
+    const contexts = entryContexts(layout, role.company, experienceSection);
+    const contextName = role.company || 'this role';
+    const prefix = `experience_${roleIndex}`;
+
+    const company = { bulletId: `${prefix}_company`, field: 'company', fieldLabel: 'Company', value: role.company };
+    add(company, verifyText(resume, resumeText, { ...company, contexts: null }));
+
+    const title = { bulletId: `${prefix}_title`, field: 'title', fieldLabel: 'Job title', value: role.title };
+    add(title, verifyText(resume, resumeText, { ...title, contexts, contextName }));
+
+    [['startDate', 'Start date'], ['endDate', 'End date']].forEach(([field, fieldLabel]) => {
+      if (!role[field]) return;
+      const entry = { bulletId: `${prefix}_${field}`, field, fieldLabel, value: role[field] };
+      add(entry, verifyDate(resumeText, { ...entry, contexts, contextName }));
+    });
+  });
+
+  // Skills: anywhere in the resume
+  (tailoredResumeJson.skills || []).forEach((skill, skillIndex) => {
+    const entry = { bulletId: `skills_${skillIndex}`, field: 'skill', fieldLabel: 'Skill', value: skill };
+    add(entry, verifyText(resume, resumeText, { ...entry, contexts: null }));
+  });
+
+  // Project technologies: in the project's entry
+  (tailoredResumeJson.projects || []).forEach((project, projectIndex) => {
+    if (project.hidden) return;
+    const contexts = entryContexts(layout, project.name, projectSection);
+    const contextName = project.name || 'this project';
+
+    (project.technologies || []).forEach((technology, technologyIndex) => {
+      const entry = {
+        bulletId: `projects_${projectIndex}_tech_${technologyIndex}`,
+        field: 'technology',
+        fieldLabel: 'Technology',
+        value: technology
+      };
+      add(entry, verifyText(resume, resumeText, { ...entry, contexts, contextName }));
+    });
+  });
+
+  // Education: school anchors the entry
+  (tailoredResumeJson.education || []).forEach((education, educationIndex) => {
+    if (education.hidden) return;
+    const contexts = entryContexts(layout, education.school, educationSection);
+    const contextName = education.school || 'this school';
+    const prefix = `education_${educationIndex}`;
+
+    const school = { bulletId: `${prefix}_school`, field: 'school', fieldLabel: 'School', value: education.school };
+    add(school, verifyText(resume, resumeText, { ...school, contexts: null }));
+
+    const degree = { bulletId: `${prefix}_degree`, field: 'degree', fieldLabel: 'Degree', value: education.degree };
+    add(degree, verifyText(resume, resumeText, {
+      ...degree,
+      variants: degreeVariants(education.degree),
+      contexts,
+      contextName
+    }));
+
+    if (education.graduationDate) {
+      const entry = { bulletId: `${prefix}_graduationDate`, field: 'graduationDate', fieldLabel: 'Graduation date', value: education.graduationDate };
+      add(entry, verifyDate(resumeText, { ...entry, contexts, contextName }));
+    }
+
+    if (education.gpa) {
+      const entry = { bulletId: `${prefix}_gpa`, field: 'gpa', fieldLabel: 'GPA', value: education.gpa };
+      add(entry, verifyGpa(resumeText, { ...entry, contexts, contextName }));
+    }
+
+    (education.honors || []).forEach((honor, honorIndex) => {
+      const entry = { bulletId: `${prefix}_honors_${honorIndex}`, field: 'honor', fieldLabel: 'Honor', value: honor };
+      add(entry, verifyText(resume, resumeText, { ...entry, contexts, contextName }));
+    });
+  });
+
+  return verifications;
+}
+
+module.exports = {
+  canonicalWithOffsets,
+  parseDate,
+  extractDateMentions,
+  degreeVariants,
+  verifyStructuredFields,
+};
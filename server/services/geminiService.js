@@ -1,160 +1,48 @@
-const { GoogleGenAI } = require('@google/genai');
 const { generatorOutputSchema } = require('../schemas');
-
-require('dotenv').config();
-
-// New SDK automatically gets API key from GEMINI_API_KEY environment variable
-const ai = new GoogleGenAI({});
-
-// Model names to try in order (using new SDK model names)
-const modelNames = [
-  'gemini-2.5-flash',  // Latest model from new SDK
-  'gemini-1.5-flash',
-  'gemini-1.5-pro',
-  'gemini-pro'
-];
+const { generateStructured } = require('./structuredOutput');
+const { buildGreeting } = require('./jobParser');
 
 /**
- * Generate tailored resume using Gemini with strict fact-checking rules
+ * Generate tailored resume using the configured LLM provider with strict fact-checking rules
  * @param {string} jobText - Job posting text
  * @param {string} resumeText - Original resume text
  * @param {boolean} includeCoverLetter - Whether to generate cover letter
+ * @param {Object} options - Optional settings
+ * @param {Array} options.attemptLog - Receives one entry per structured LLM call ({purpose, attempts, model, errors})
+ * @param {Object} options.jobPosting - Parsed job posting from parseJobPosting
+ * @param {Object} options.masterResume - Original resume parsed by parseResumeText
  * @returns {Promise<Object>} Validated generator output
  */
-async function generateTailoredResume(jobText, resumeText, includeCoverLetter = false) {
-  const prompt = buildGeneratorPrompt(jobText, resumeText, includeCoverLetter);
-
-  let response, text;
-  
-  // Try models in order until one works
-  for (let i = 0; i < modelNames.length; i++) {
-    try {
-      console.log(`Attempting to use model: ${modelNames[i]}`);
-      
-      // New SDK API structure
-      response = await ai.models.generateContent({
-        model: modelNames[i],
-        contents: prompt
-      });
-      
-      text = response.text;
-      
-      if (!text) {
-        console.error('Response text is empty or undefined');
-        console.error('Response object:', JSON.stringify(response, null, 2));
-        throw new Error('Empty response from Gemini API');
-      }
-      
-      console.log(`✓ Successfully using model: ${modelNames[i]}`);
-      console.log(`Response text length: ${text.length} characters`);
-      break; // Success, exit loop
-      
-    } catch (modelError) {
-      // If this is the last model, throw the error
-      if (i === modelNames.length - 1) {
-        throw modelError;
-      }
-      // Otherwise, try next model
-      console.log(`Model ${modelNames[i]} failed, trying next...`);
-      continue;
-    }
-  }
+async function generateTailoredResume(jobText, resumeText, includeCoverLetter = false, options = {}) {
+  const prompt = buildGeneratorPrompt(jobText, resumeText, includeCoverLetter, options.jobPosting, options.masterResume);
 
   try {
-
-    // Parse JSON from response - handle multiple formats
-    let parsedOutput;
-    
-    // Try to extract JSON from markdown code blocks first
-    const jsonCodeBlockMatch = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-    if (jsonCodeBlockMatch) {
-      try {
-        parsedOutput = JSON.parse(jsonCodeBlockMatch[1].trim());
-      } catch (e) {
-        // Fall through to other methods
-      }
-    }
-    
-    // If not found, try to find JSON object in text
-    if (!parsedOutput) {
-      const jsonObjectMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonObjectMatch) {
-        try {
-          parsedOutput = JSON.parse(jsonObjectMatch[0]);
-        } catch (e) {
-          // Fall through
+    const { data: validatedOutput, attempts, model, errors } = await generateStructured({
+      prompt,
+      schema: generatorOutputSchema,
+      purpose: 'generator',
+      preprocess: parsedOutput => {
+        // Convert null to undefined for optional fields
+        if (parsedOutput && parsedOutput.coverLetterText === null) {
+          parsedOutput.coverLetterText = undefined;
         }
+        return parsedOutput;
       }
-    }
-    
-    // Last resort: try parsing the whole text
-    if (!parsedOutput) {
-      try {
-        parsedOutput = JSON.parse(text.trim());
-      } catch (parseError) {
-        console.error('Failed to parse JSON from Gemini response:', text.substring(0, 500));
-        throw new Error(`Failed to parse JSON from Gemini response: ${parseError.message}`);
-      }
-    }
+    });
 
-    // Log parsed output for debugging
-    if (!parsedOutput) {
-      console.error('ERROR: parsedOutput is null or undefined');
-      console.error('Response text (first 1000 chars):', text.substring(0, 1000));
-      throw new Error('Failed to parse JSON from Gemini response - parsedOutput is null');
-    }
-    
-    console.log('Parsed output type:', typeof parsedOutput);
-    console.log('Parsed output keys:', Object.keys(parsedOutput || {}));
-    console.log('Parsed output sample:', JSON.stringify(parsedOutput, null, 2).substring(0, 500));
-    
-    // Preprocess: convert null to undefined for optional fields
-    if (parsedOutput.coverLetterText === null) {
-      parsedOutput.coverLetterText = undefined;
-    }
-    
-    // Validate with Zod schema
-    try {
-      const validatedOutput = generatorOutputSchema.parse(parsedOutput);
-      console.log('✓ Schema validation passed');
-      
-      // Normalize URLs (add https:// if missing)
-      normalizeUrls(validatedOutput);
-      
-      return validatedOutput;
-    } catch (zodError) {
-      console.error('Schema validation failed');
-      console.error('Error name:', zodError?.name);
-      console.error('Error message:', zodError?.message);
-      console.error('Error object keys:', Object.keys(zodError || {}));
-      
-      // Check if it's a ZodError with the standard structure
-      if (zodError && typeof zodError === 'object') {
-        // Try to access errors in different ways
-        const errors = zodError.errors || zodError.issues || zodError.details || [];
-        
-        if (Array.isArray(errors) && errors.length > 0) {
-          const errorMessages = errors.map(e => {
-            const path = (e && e.path && Array.isArray(e.path)) ? e.path.join('.') : 'unknown';
-            const message = (e && e.message) ? e.message : 'validation failed';
-            return `${path}: ${message}`;
-          });
-          throw new Error(`Invalid output structure: ${errorMessages.join(', ')}`);
-        }
-      }
-      
-      // Fallback error message
-      console.error('Parsed output structure:', JSON.stringify(parsedOutput, null, 2).substring(0, 1000));
-      throw new Error(`Schema validation failed: ${zodError?.message || 'Unknown validation error. Check server logs for details.'}`);
+    if (options.attemptLog) {
+      options.attemptLog.push({ purpose: 'generator', attempts, model, errors });
     }
+
+    // Normalize URLs (add https:// if missing)
+    normalizeUrls(validatedOutput);
+
+    return validatedOutput;
   } catch (error) {
-    // Log the actual error for debugging
-    console.error('Error in generateTailoredResume:', error);
-    console.error('Error name:', error.name);
-    console.error('Error message:', error.message);
-    if (error.stack) {
-      console.error('Error stack:', error.stack);
+    if (options.attemptLog && error.attempts) {
+      options.attemptLog.push({ purpose: 'generator', attempts: error.attempts, model: null, errors: [error.message] });
     }
+    console.error('Error in generateTailoredResume:', error.message);
     throw error;
   }
 }
@@ -189,10 +77,60 @@ function normalizeUrls(output) {
   }
 }
 
+/**
+ * Summarize a parsed job posting for the generator prompt
+ */
+function formatJobPostingForPrompt(jobPosting) {
+  if (!jobPosting) {
+    return 'Not available - use the job posting text above.';
+  }
+
+  const lines = [
+    `Company: ${jobPosting.company || 'not stated'}`,
+    `Title: ${jobPosting.title || 'not stated'}`,
+    `Location: ${jobPosting.location || 'not stated'}`,
+    `Seniority: ${jobPosting.seniority || 'not stated'}`
+  ];
+
+  lines.push('Must-have requirements:');
+  lines.push(...(jobPosting.mustHaves.length > 0 ? jobPosting.mustHaves.map(item => `- ${item}`) : ['- none listed']));
+  lines.push('Nice-to-have requirements:');
+  lines.push(...(jobPosting.niceToHaves.length > 0 ? jobPosting.niceToHaves.map(item => `- ${item}`) : ['- none listed']));
+
+  return lines.join('\n');
+}
+
+/**
+ * Format the parsed original resume's entries for the generator prompt
+ * Titles, companies, dates, schools and certifications as the canonical values to copy
+ */
+function formatMasterResumeForPrompt(masterResume) {
+  if (!masterResume) {
+    return 'Not available - use the original resume text below.';
+  }
+
+  const lines = ['Experience:'];
+  lines.push(...(masterResume.experience.length > 0
+    ? masterResume.experience.map(role => `- ${role.title} | ${role.company} | ${role.startDate} - ${role.endDate}`)
+    : ['- none found']));
+  lines.push('Education:');
+  lines.push(...(masterResume.education.length > 0
+    ? masterResume.education.map(education => `- ${education.degree} | ${education.school}${education.graduationDate ? ` | ${education.graduationDate}` : ''}`)
+    : ['- none found']));
+  if (masterResume.certifications.length > 0) {
+    lines.push('Certifications:');
+    lines.push(...masterResume.certifications.map(certification => `- ${certification.name}${certification.issuer ? ` | ${certification.issuer}` : ''}`));
+  }
+
+  return lines.join('\n');
+}
+
 /**
  * Build the generator prompt with strict rules
  */
-function buildGeneratorPrompt(jobText, resumeText, includeCoverLetter) {
+function buildGeneratorPrompt(jobText, resumeText, includeCoverLetter, jobPosting = null, masterResume = null) {
+  const greeting = buildGreeting(jobPosting);
+
   return `You are a resume tailoring assistant. Your task is to create a tailored resume based on the job posting and the user's original resume.
 
 CRITICAL RULES - YOU MUST FOLLOW THESE STRICTLY:
@@ -202,6 +140,7 @@ CRITICAL RULES - YOU MUST FOLLOW THESE STRICTLY:
    - DO NOT invent, estimate, or infer any metrics (e.g., "increased revenue by 20%" is only valid if "20%" appears in resumeText)
    - DO NOT add skills, technologies, or experiences that are not mentioned in resumeText
    - If a metric is not present, DO NOT include it - use qualitative descriptions instead
+   - Copy job titles, company names, dates, degrees and schools exactly as listed under PARSED ORIGINAL RESUME (check them against the resume text if an entry looks wrong)
 
 2. JOB REQUIREMENTS:
    - If the job asks for something NOT in the resume, DO NOT claim the user has it
@@ -216,6 +155,7 @@ CRITICAL RULES - YOU MUST FOLLOW THESE STRICTLY:
 4. TAILORING:
    - Reorder and emphasize experiences/skills that match the job
    - Use keywords from the job posting in the tailored resume
+   - Prioritize the must-have requirements listed under PARSED JOB POSTING, then the nice-to-haves
    - Note all targeted keywords in "tailoringNotes.keywordsTargeted"
    - Keep all original facts intact, just rephrase for better alignment
 
@@ -226,17 +166,21 @@ CRITICAL RULES - YOU MUST FOLLOW THESE STRICTLY:
 JOB POSTING:
 ${jobText}
 
+PARSED JOB POSTING:
+${formatJobPostingForPrompt(jobPosting)}
+
+PARSED ORIGINAL RESUME:
+${formatMasterResumeForPrompt(masterResume)}
+
 ORIGINAL RESUME TEXT:
 ${resumeText}
 
 Generate a tailored resume JSON. ${includeCoverLetter ? `Also generate a cover letter. 
 
 CRITICAL COVER LETTER REQUIREMENTS:
-- The cover letter must be tailored to the specific company mentioned in the job posting
-- Extract the company name from the job posting text above
-- Start the cover letter with a greeting that includes the actual company name (e.g., "Dear [Company Name] Team," or "Dear Hiring Manager at [Company Name],")
-- Do NOT use placeholder text like "Company Name", "Company", or generic "Dear Hiring Manager," 
-- If you cannot identify the company name from the job posting, use "Dear Hiring Manager," as a last resort
+- The cover letter must be tailored to ${jobPosting?.company ? `${jobPosting.company}` : 'the company in the job posting'}${jobPosting?.title ? ` and the ${jobPosting.title} role` : ''}
+- Start the cover letter with exactly this greeting: "${greeting}"
+- Do NOT use placeholder text like "Company Name" or "[Company]"
 - The cover letter should be professional, tailored to the job requirements, and highlight relevant experience from the resume` : ''}
 
 Return a JSON object with this structure:
@@ -300,7 +244,7 @@ Return a JSON object with this structure:
       "jobRequirementsNotMatched": ["array of requirements not in resume"]
     }
   },
-  "coverLetterText": "${includeCoverLetter ? 'string - tailored cover letter that includes the actual company name in the greeting (e.g., "Dear [Company Name] Team," or "Dear Hiring Manager at [Company Name],"). Do NOT use placeholders.' : 'null or omit'}",
+  "coverLetterText": "${includeCoverLetter ? `string - tailored cover letter starting with "${greeting}". Do NOT use placeholders.` : 'null or omit'}",
   "claimMap": [
     {
       "bulletText": "string - exact bullet text",
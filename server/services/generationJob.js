@@ -0,0 +1,320 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+const { generateCoverLetterPDF } = require('../utils/pdfGenerator');
+const { generateTailoredResume } = require('./geminiService');
+const { verifyBullets, calculateTruthScore, generateFlags, generateMissingRequirementFlags } = require('./verifierService');
+const { findInventedMetrics } = require('./metricGuard');
+const { verifyStructuredFields } = require('./fieldVerifier');
+const { repairFlaggedBullets } = require('./repairService');
+const { verifyCoverLetter } = require('./coverLetterChecker');
+const { parseJobPosting, buildGreeting } = require('./jobParser');
+const { computeKeywordCoverage } = require('./keywordMatcher');
+const { parseResumeText } = require('../utils/resumeParser');
+const { renderResumeToFit } = require('./resumeRenderer');
+const { getCollections } = require('../db/mongodb');
+const {
+  STAGE_LABELS,
+  createGenerationId,
+  createGenerationDocument,
+  formatGenerationStatus,
+} = require('../models/generationModel');
+const { publishJobEvent } = require('./jobEvents');
+
+/**
+ * Build the data passed to the cover letter template
+ * The greeting and recipient block come from the parsed job posting
+ * @param {Object} jobPosting - Parsed job posting
+ * @param {string} coverLetterText - Generated cover letter text
+ * @param {Object} tailoredResumeJson - Tailored resume JSON (for the signature)
+ * @returns {Object} Cover letter data
+ */
+function buildCoverLetterData(jobPosting, coverLetterText, tailoredResumeJson) {
+  const company = jobPosting?.company || null;
+
+  // The template renders the greeting itself, so drop any greeting the model wrote
+  let bodyText = coverLetterText;
+  const greetingMatch = coverLetterText.match(/^(Dear\s+[^,\n]+(?:,\s*|\n))/i);
+  if (greetingMatch) {
+    bodyText = coverLetterText.substring(greetingMatch[0].length).trim();
+  }
+
+  return {
+    date: new Date().toLocaleDateString(),
+    recipientName: company ? `${company} Hiring Team` : 'Hiring Manager',
+    recipientTitle: jobPosting?.title ? `Re: ${jobPosting.title}` : null,
+    company,
+    address: jobPosting?.location || null,
+    greeting: buildGreeting(jobPosting),
+    body: bodyText,
+    closing: 'Thank you for considering my application. I look forward to the opportunity to discuss how I can contribute to your team.',
+    senderName: tailoredResumeJson.basics.name,
+    senderTitle: tailoredResumeJson.experience[0]?.title || 'Professional'
+  };
+}
+
+/**
+ * Record a stage transition on the generation document and notify subscribers
+ * @param {string} generationId - Generation ID
+ * @param {string} stage - New stage (see GENERATION_STAGES)
+ * @param {Object} fields - Extra fields to set on the document
+ */
+async function setStage(generationId, stage, fields = {}) {
+  const { generations: generationsCollection } = await getCollections();
+  const now = new Date();
+  const status = stage === 'done' || stage === 'failed' ? stage : 'running';
+
+  await generationsCollection.updateOne(
+    { _id: generationId },
+    {
+      $set: { ...fields, status, stage, updatedAt: now },
+      $push: { stageHistory: { stage, at: now } }
+    }
+  );
+
+  console.log(`[${generationId}] ${STAGE_LABELS[stage] || stage}`);
+
+  const doc = await generationsCollection.findOne({ _id: generationId });
+  publishJobEvent(generationId, formatGenerationStatus(doc));
+}
+
+/**
+ * Append a strict-mode repair round to the generation document and notify subscribers
+ * @param {string} generationId - Generation ID
+ * @param {Object} roundEntry - Round history entry from repairFlaggedBullets
+ */
+async function recordRepairRound(generationId, roundEntry) {
+  const { generations: generationsCollection } = await getCollections();
+
+  await generationsCollection.updateOne(
+    { _id: generationId },
+    {
+      $set: { updatedAt: new Date() },
+      $push: { repairHistory: roundEntry }
+    }
+  );
+
+  const doc = await generationsCollection.findOne({ _id: generationId });
+  publishJobEvent(generationId, formatGenerationStatus(doc));
+}
+
+/**
+ * Create a generation document and run the pipeline in the background
+ * @param {Object} input - Validated generate input
+ * @param {Object} options - Job options
+ * @param {string} options.storageDir - Root directory for generated files
+ * @param {string} options.userId - Authenticated user the generation belongs to
+ * @returns {Promise<string>} Generation ID
+ */
+async function startGenerationJob(input, { storageDir, userId }) {
+  const { jobText, resumeText, profileName, template, includeCoverLetter, jobUrl, strictMode, blockUnsupportedCoverLetter } = input;
+
+  // Generate unique ID
+  const generationId = createGenerationId();
+
+  const { generations: generationsCollection } = await getCollections();
+  await generationsCollection.insertOne(createGenerationDocument({
+    generationId,
+    userId,
+    jobText,
+    jobUrl: jobUrl || null,
+    resumeText,
+    profileName,
+    template,
+    includeCoverLetter: includeCoverLetter || false,
+    strictMode: strictMode || false,
+    blockUnsupportedCoverLetter: blockUnsupportedCoverLetter || false,
+    status: 'queued'
+  }));
+
+  // Not awaited - the client follows progress through the status endpoint or event stream
+  runGenerationJob(generationId, input, { storageDir }).catch(error => {
+    console.error(`[${generationId}] Unhandled error in generation job:`, error);
+  });
+
+  return generationId;
+}
+
+/**
+ * Run the generation pipeline, recording each stage on the generation document
+ * @param {string} generationId - Generation ID
+ * @param {Object} input - Validated generate input
+ * @param {Object} options - Job options
+ * @param {string} options.storageDir - Root directory for generated files
+ * @returns {Promise<void>}
+ */
+async function runGenerationJob(generationId, input, { storageDir }) {
+  const { jobText, resumeText, includeCoverLetter, strictMode, maxRepairRounds, blockUnsupportedCoverLetter, template, targetPages } = input;
+
+  // One entry per structured LLM call, stored as llmAttempts
+  const attemptLog = [];
+
+  try {
+    // Create storage directory for this generation
+    const generationDir = path.join(storageDir, generationId);
+    await fs.mkdir(generationDir, { recursive: true });
+
+    // Log job text for debugging
+    console.log('Job text received:', {
+      length: jobText?.length || 0,
+      preview: jobText?.substring(0, 200) || 'No job text',
+      includeCoverLetter: includeCoverLetter
+    });
+
+    // Parse the posting into company, title, requirements, ...
+    await setStage(generationId, 'parsing_job');
+    const jobPosting = await parseJobPosting(jobText, { attemptLog });
+
+    // Structured copy of the original resume: the canonical titles, companies and dates
+    const masterResume = parseResumeText(resumeText);
+
+    // Generate tailored resume
+    await setStage(generationId, 'generating', { jobPosting, masterResume });
+    const geminiOutput = await generateTailoredResume(jobText, resumeText, includeCoverLetter, { attemptLog, jobPosting, masterResume });
+
+    const { coverLetterText, claimMap, suggestedAdditions } = geminiOutput;
+    let { tailoredResumeJson } = geminiOutput;
+
+    // Verify all bullets against original resumeText
+    await setStage(generationId, 'verifying', { tailoredResumeJson, claimMap, llmAttempts: attemptLog });
+    let verifications = await verifyBullets(resumeText, tailoredResumeJson, { attemptLog });
+
+    // Strict mode: put the suggested fixes into the resume and re-verify until nothing is UNSUPPORTED
+    if (strictMode) {
+      await setStage(generationId, 'repairing', { verifications });
+      const repaired = await repairFlaggedBullets({
+        resumeText,
+        tailoredResumeJson,
+        verifications,
+        maxRounds: maxRepairRounds,
+        onRound: (roundEntry) => recordRepairRound(generationId, roundEntry),
+        attemptLog
+      });
+      tailoredResumeJson = repaired.tailoredResumeJson;
+      verifications = repaired.verifications;
+    }
+
+    // Check titles, companies, dates, skills, project technologies and education against the original resume
+    verifications = [...verifications, ...verifyStructuredFields(resumeText, tailoredResumeJson)];
+
+    // Check every figure in the bullets, summary and cover letter against the original resume
+    const metricFindings = findInventedMetrics(resumeText, tailoredResumeJson, coverLetterText);
+    const resumeMetricFindings = metricFindings.filter(finding => finding.section !== 'cover');
+
+    // Calculate truth score using verifier algorithm
+    // Start at 100, -0 for SUPPORTED, -8 for STRETCH, -20 for UNSUPPORTED, -10 per invented figure
+    const truthScore = calculateTruthScore(verifications, resumeMetricFindings);
+
+    // Generate flags from verifications (STRETCH and UNSUPPORTED bullets) and invented figures
+    const verificationFlags = generateFlags(verifications, resumeMetricFindings);
+
+    // Generate flags from suggestedAdditions (things job wants but resume doesn't have)
+    const missingRequirementFlags = generateMissingRequirementFlags(suggestedAdditions);
+
+    // Combine all flags
+    const flags = [...verificationFlags, ...missingRequirementFlags];
+
+    // Fact-check the cover letter's claims about the candidate; it gets its own score and flags
+    let coverLetterCheck = null;
+    if (includeCoverLetter && coverLetterText) {
+      await setStage(generationId, 'checking_cover', { verifications, truthScore, flags });
+      coverLetterCheck = await verifyCoverLetter(resumeText, coverLetterText, {
+        metricFindings: metricFindings.filter(finding => finding.section === 'cover'),
+        attemptLog
+      });
+    }
+
+    const coverLetterBlocked = Boolean(blockUnsupportedCoverLetter && coverLetterCheck && coverLetterCheck.unsupportedCount > 0);
+
+    // Generate resume PDF from tailored resume JSON
+    await setStage(generationId, 'rendering_resume', {
+      tailoredResumeJson,
+      suggestedAdditions: suggestedAdditions || [],
+      verifications,
+      metricFindings,
+      truthScore,
+      flags,
+      coverLetterText: coverLetterText || null,
+      coverLetterVerifications: coverLetterCheck ? coverLetterCheck.verifications : [],
+      coverLetterTruthScore: coverLetterCheck ? coverLetterCheck.truthScore : null,
+      coverLetterFlags: coverLetterCheck ? coverLetterCheck.flags : [],
+      coverLetterBlocked,
+      llmAttempts: attemptLog
+    });
+    const resumePdfPath = path.join(generationDir, 'resume.pdf');
+    const { renderedResumeJson, ...pageFit } = await renderResumeToFit(tailoredResumeJson, resumePdfPath, { template, targetPages, jobText, jobPosting });
+    console.log(`[${generationId}] Resume PDF: ${pageFit.pageCount} page(s), target ${pageFit.targetPages}${pageFit.adjustments.length > 0 ? ` (${pageFit.adjustments.join('; ')})` : ''}`);
+
+    // Measure which of the posting's key terms the PDF actually contains (independent of what the model claims);
+    // bullets left out to fit the page budget do not count
+    const keywordCoverage = computeKeywordCoverage(jobText, jobPosting, renderedResumeJson);
+    console.log(`[${generationId}] Match score: ${keywordCoverage.matchScore ?? 'n/a'} (${keywordCoverage.coveredKeywords.length} covered, ${keywordCoverage.missingKeywords.length} missing)`);
+    const rendered = { pdfPath: resumePdfPath, pageFit, renderedResumeJson, matchScore: keywordCoverage.matchScore, keywordCoverage };
+
+    // Generate cover letter PDF if requested
+    let coverLetterPdfPath = null;
+    let coverLetterData = null;
+    if (coverLetterBlocked) {
+      console.log(`[${generationId}] Cover letter PDF blocked: ${coverLetterCheck.unsupportedCount} UNSUPPORTED claim(s)`);
+    } else if (includeCoverLetter && coverLetterText) {
+      await setStage(generationId, 'rendering_cover', rendered);
+      coverLetterPdfPath = path.join(generationDir, 'cover.pdf');
+      coverLetterData = buildCoverLetterData(jobPosting, coverLetterText, tailoredResumeJson);
+      await generateCoverLetterPDF(coverLetterData, coverLetterPdfPath);
+    }
+
+    await setStage(generationId, 'done', {
+      ...rendered,
+      coverPdfPath: coverLetterPdfPath,
+      coverLetterData,
+      completedAt: new Date()
+    });
+  } catch (error) {
+    console.error(`[${generationId}] Generation failed:`, error);
+    try {
+      await setStage(generationId, 'failed', {
+        error: error.message || 'Generation failed',
+        llmAttempts: attemptLog,
+        completedAt: new Date()
+      });
+    } catch (updateError) {
+      console.error(`[${generationId}] Could not record failure:`, updateError);
+    }
+  }
+}
+
+/**
+ * Fail jobs that were still running when the server last stopped
+ * Called on startup; jobs run in-process so they cannot survive a restart
+ * @returns {Promise<number>} Number of jobs marked as failed
+ */
+async function failInterruptedJobs() {
+  const { generations: generationsCollection } = await getCollections();
+  const now = new Date();
+
+  const result = await generationsCollection.updateMany(
+    { status: { $in: ['queued', 'running'] } },
+    {
+      $set: {
+        status: 'failed',
+        stage: 'failed',
+        error: 'Server restarted before the generation finished. Please generate again.',
+        updatedAt: now,
+        completedAt: now
+      },
+      $push: { stageHistory: { stage: 'failed', at: now } }
+    }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Marked ${result.modifiedCount} interrupted generation(s) as failed`);
+  }
+  return result.modifiedCount;
+}
+
+module.exports = {
+  startGenerationJob,
+  runGenerationJob,
+  failInterruptedJobs,
+  buildCoverLetterData,
+};
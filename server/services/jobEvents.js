@@ -0,0 +1,30 @@
+const { EventEmitter } = require('events');
+
+// In-process bus for generation progress; the SSE endpoint subscribes per generationId
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * Publish a progress event for a generation job
+ * @param {string} generationId - Generation ID
+ * @param {Object} event - Status payload (see formatGenerationStatus)
+ */
+function publishJobEvent(generationId, event) {
+  emitter.emit(generationId, event);
+}
+
+/**
+ * Subscribe to progress events for a generation job
+ * @param {string} generationId - Generation ID
+ * @param {Function} listener - Called with each status payload
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeToJob(generationId, listener) {
+  emitter.on(generationId, listener);
+  return () => emitter.off(generationId, listener);
+}
+
+module.exports = {
+  publishJobEvent,
+  subscribeToJob,
+};
@@ -0,0 +1,169 @@
+const { jobPostingSchema } = require('../schemas');
+const { generateStructured } = require('./structuredOutput');
+
+// Values a model sometimes puts in `company` that do not name a company
+const NOT_A_COMPANY = /^(remote|hybrid|on-?site|hiring manager|hiring team|the company|company|company name|confidential|undisclosed|n\/?a|none|unknown|null)$/i;
+
+/**
+ * A job posting with nothing known about it
+ * Used when the posting cannot be parsed so the rest of the pipeline still runs
+ * @returns {Object} Job posting
+ */
+function emptyJobPosting() {
+  return {
+    company: null,
+    title: null,
+    location: null,
+    seniority: null,
+    employmentType: null,
+    salaryRange: null,
+    mustHaves: [],
+    niceToHaves: []
+  };
+}
+
+/**
+ * Turn empty strings into null and drop blank requirements before validation
+ */
+function preprocessJobPosting(parsedOutput) {
+  if (!parsedOutput || typeof parsedOutput !== 'object') {
+    return parsedOutput;
+  }
+
+  ['company', 'title', 'location', 'seniority', 'employmentType'].forEach(field => {
+    if (typeof parsedOutput[field] === 'string' && !parsedOutput[field].trim()) {
+      parsedOutput[field] = null;
+    }
+  });
+
+  ['mustHaves', 'niceToHaves'].forEach(field => {
+    if (Array.isArray(parsedOutput[field])) {
+      parsedOutput[field] = parsedOutput[field].filter(item => typeof item !== 'string' || item.trim());
+    } else if (parsedOutput[field] === null || parsedOutput[field] === undefined) {
+      parsedOutput[field] = [];
+    }
+  });
+
+  return parsedOutput;
+}
+
+/**
+ * Deterministic checks on a validated posting
+ * A company name must be an actual name that appears in the job text
+ * @param {Object} jobPosting - Validated job posting
+ * @param {string} jobText - Job posting text
+ * @returns {Object} Cleaned job posting
+ */
+function sanitizeJobPosting(jobPosting, jobText) {
+  const cleaned = { ...jobPosting };
+
+  if (cleaned.company) {
+    const company = cleaned.company.trim();
+    const inText = (jobText || '').toLowerCase().includes(company.toLowerCase());
+    if (NOT_A_COMPANY.test(company) || !inText) {
+      console.log(`Discarding parsed company "${company}" (${inText ? 'not a company name' : 'not in job text'})`);
+      cleaned.company = null;
+    } else {
+      cleaned.company = company;
+    }
+  }
+
+  if (cleaned.title) {
+    cleaned.title = cleaned.title.trim();
+  }
+
+  cleaned.mustHaves = cleaned.mustHaves.map(item => item.trim());
+  cleaned.niceToHaves = cleaned.niceToHaves.map(item => item.trim());
+
+  return cleaned;
+}
+
+/**
+ * Parse raw job text into a structured job posting
+ * Never throws - a posting that cannot be parsed comes back empty so generation can continue
+ * @param {string} jobText - Job posting text
+ * @param {Object} options - Optional settings
+ * @param {Array} options.attemptLog - Receives one entry per structured LLM call ({purpose, attempts, model, errors})
+ * @returns {Promise<Object>} Job posting (see jobPostingSchema)
+ */
+async function parseJobPosting(jobText, options = {}) {
+  if (!jobText || !jobText.trim()) {
+    return emptyJobPosting();
+  }
+
+  try {
+    const { data, attempts, model, errors } = await generateStructured({
+      prompt: buildJobParserPrompt(jobText),
+      schema: jobPostingSchema,
+      purpose: 'job_parser',
+      preprocess: preprocessJobPosting
+    });
+
+    if (options.attemptLog) {
+      options.attemptLog.push({ purpose: 'job_parser', attempts, model, errors });
+    }
+
+    const jobPosting = sanitizeJobPosting(data, jobText);
+    console.log('Parsed job posting:', {
+      company: jobPosting.company,
+      title: jobPosting.title,
+      mustHaves: jobPosting.mustHaves.length,
+      niceToHaves: jobPosting.niceToHaves.length
+    });
+    return jobPosting;
+  } catch (error) {
+    if (options.attemptLog && error.attempts) {
+      options.attemptLog.push({ purpose: 'job_parser', attempts: error.attempts, model: null, errors: [error.message] });
+    }
+    console.error('Error in parseJobPosting, continuing without a parsed posting:', error.message);
+    return emptyJobPosting();
+  }
+}
+
+/**
+ * Cover letter greeting for a posting
+ * @param {Object} jobPosting - Job posting
+ * @returns {string} Greeting line
+ */
+function buildGreeting(jobPosting) {
+  return jobPosting?.company ? `Dear ${jobPosting.company} Hiring Team,` : 'Dear Hiring Manager,';
+}
+
+/**
+ * Build the job parser prompt
+ */
+function buildJobParserPrompt(jobText) {
+  return `You are a job posting parser. Extract structured information from the job posting below.
+
+RULES:
+- Only use information stated in the posting. Use null for anything that is not stated.
+- "company" is the name of the hiring company exactly as written in the posting (not a location, team, recruiter or job board). Use null if the posting does not name it.
+- "title" is the job title being hired for, without location or team suffixes.
+- "seniority" is one of: intern, entry, mid, senior, staff, principal, lead, manager, director, executive (or null).
+- "employmentType" is one of: full_time, part_time, contract, internship, temporary (or null).
+- "salaryRange" uses plain numbers (e.g. 120000, not "120k"), an ISO currency code and a pay period; null if no pay is stated.
+- "mustHaves" are the required qualifications; "niceToHaves" are the preferred, bonus or "plus" qualifications. Keep each item short (one skill or requirement per item).
+
+JOB POSTING:
+${jobText}
+
+Return a JSON object with this structure:
+{
+  "company": "string or null",
+  "title": "string or null",
+  "location": "string or null",
+  "seniority": "string or null",
+  "employmentType": "string or null",
+  "salaryRange": { "min": "number or null", "max": "number or null", "currency": "string or null", "period": "hour | day | week | month | year | null" } or null,
+  "mustHaves": ["array of strings"],
+  "niceToHaves": ["array of strings"]
+}
+
+Return ONLY valid JSON.`;
+}
+
+module.exports = {
+  emptyJobPosting,
+  parseJobPosting,
+  buildGreeting,
+};
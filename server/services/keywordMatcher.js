@@ -0,0 +1,344 @@
+// Local ATS-style keyword coverage: which key terms from the job posting actually appear in the tailored resume
+const { withoutHiddenItems } = require('../utils/resumeBullets');
+
+// Weight of a term in the match score by where it came from
+const SOURCE_WEIGHTS = {
+  mustHave: 2,
+  niceToHave: 1,
+  jobText: 1
+};
+
+// Most terms pulled from the job text itself (must-haves and nice-to-haves are always kept)
+const MAX_JOB_TEXT_TERMS = 25;
+
+// Phrases longer than this are covered when most of their words appear, not the exact phrase
+const MAX_EXACT_PHRASE_TOKENS = 3;
+const PARTIAL_PHRASE_COVERAGE = 0.6;
+
+// Multi-word spellings rewritten to one token before tokenizing
+const PHRASE_ALIASES = [
+  [/\bamazon web services\b/g, 'aws'],
+  [/\bgoogle cloud(?: platform)?\b/g, 'gcp'],
+  [/\bmicrosoft azure\b/g, 'azure'],
+  [/\bci\s*\/\s*cd\b|\bcontinuous integration(?: and continuous (?:delivery|deployment))?\b/g, 'cicd'],
+  [/\bmachine learning\b/g, 'ml'],
+  [/\bartificial intelligence\b/g, 'ai'],
+  [/\bnatural language processing\b/g, 'nlp'],
+  [/\bobject[- ]oriented programming\b/g, 'oop'],
+  [/\bnode\s+js\b/g, 'nodejs'],
+  [/\bc\s*sharp\b/g, 'c#']
+];
+
+// How an aliased phrase is shown when it is pulled from the job text (default: upper case)
+const PHRASE_DISPLAY = {
+  cicd: 'CI/CD',
+  nodejs: 'Node.js'
+};
+
+// Single-token spellings mapped to one canonical form
+const TOKEN_ALIASES = {
+  js: 'javascript',
+  ecmascript: 'javascript',
+  ts: 'typescript',
+  node: 'nodejs',
+  'node.js': 'nodejs',
+  'react.js': 'react',
+  reactjs: 'react',
+  'vue.js': 'vue',
+  vuejs: 'vue',
+  'next.js': 'nextjs',
+  'express.js': 'express',
+  expressjs: 'express',
+  postgres: 'postgresql',
+  psql: 'postgresql',
+  mongo: 'mongodb',
+  k8s: 'kubernetes',
+  golang: 'go',
+  csharp: 'c#',
+  cpp: 'c++',
+  dotnet: '.net',
+  html5: 'html',
+  css3: 'css',
+  restful: 'rest',
+  apis: 'api',
+  'ci/cd': 'cicd'
+};
+
+const CANONICAL_TOKENS = new Set(Object.values(TOKEN_ALIASES));
+
+// Words that are never key terms on their own
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it', 'its', 'of', 'on',
+  'or', 'our', 'that', 'the', 'their', 'to', 'using', 'via', 'was', 'were', 'with', 'within', 'you', 'your',
+  'we', 'us', 'will', 'can', 'this', 'who', 'what', 'how', 'all', 'any', 'have', 'has', 'other', 'such',
+  'experience', 'years', 'year', 'strong', 'solid', 'knowledge', 'ability', 'plus', 'preferred', 'required',
+  'etc', 'including', 'work', 'working', 'team', 'teams', 'role', 'skills', 'understanding', 'familiarity'
+]);
+
+// Capitalized words in job postings that are not skills
+const NON_TERM_CAPITALIZED = new Set([
+  'we', 'you', 'our', 'your', 'the', 'this', 'join', 'apply', 'about', 'benefits', 'equal', 'opportunity',
+  'employer', 'remote', 'hybrid', 'onsite', 'team', 'company', 'responsibilities', 'requirements',
+  'qualifications', 'preferred', 'required', 'bonus', 'plus', 'salary', 'location', 'united', 'states',
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october',
+  'november', 'december', 'monday', 'friday', 'i', 'senior', 'junior', 'lead', 'staff', 'engineer',
+  'developer', 'manager', 'full', 'part', 'time', 'contract', 'us', 'usa'
+]);
+
+// Filler at the start of a requirement ("5+ years of hands-on experience with ...")
+const REQUIREMENT_FILLER = /^(?:\d+\+?\s*(?:years?|yrs?)\s*(?:of\s+)?)?(?:professional\s+|hands-on\s+|production\s+)?(?:strong|solid|deep|proven|excellent|good|working|demonstrated|extensive)?\s*(?:experience|knowledge|understanding|familiarity|proficiency|background|expertise|skills?)?\s*(?:with|in|of|using|building)?\s+/i;
+
+// Sections of the tailored resume, in the order they are rendered
+const RESUME_SECTIONS = ['summary', 'skills', 'experience', 'projects', 'education'];
+
+/**
+ * Light stemmer so "APIs"/"API" and "deploying"/"deployed" compare equal
+ */
+function stem(token) {
+  if (CANONICAL_TOKENS.has(token) || !/^[a-z]+$/.test(token) || token.length <= 4) {
+    return token;
+  }
+  if (token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.endsWith('ing') && token.length > 6) return token.slice(0, -3);
+  if (token.endsWith('ed') && token.length > 5) return token.slice(0, -2);
+  if (/(ss|us|is)$/.test(token)) return token;
+  if (/(s|x|ch|sh)es$/.test(token)) return token.slice(0, -2);
+  if (token.endsWith('s')) return token.slice(0, -1);
+  return token;
+}
+
+/**
+ * Tokenize text into canonical, stemmed tokens
+ * Keeps technology spellings intact ("node.js", "c++", "c#", "ci/cd") and applies aliases
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Canonical tokens
+ */
+function canonicalTokens(text) {
+  let lowered = (text || '').toLowerCase();
+  PHRASE_ALIASES.forEach(([pattern, replacement]) => {
+    lowered = lowered.replace(pattern, replacement);
+  });
+
+  const tokens = lowered.match(/\.?[a-z0-9][a-z0-9+#]*(?:[./-][a-z0-9+#]+)*/g) || [];
+  return tokens.map(token => {
+    const cleaned = token.replace(/\.$/, '');
+    return stem(TOKEN_ALIASES[cleaned] || cleaned);
+  });
+}
+
+/**
+ * Canonical tokens of a term without stopwords
+ */
+function termTokens(term) {
+  return canonicalTokens(term).filter(token => !STOPWORDS.has(token));
+}
+
+/**
+ * Split a requirement ("Node.js, MongoDB or PostgreSQL") into short key terms
+ * @param {string} requirement - Requirement text from the parsed job posting
+ * @returns {Array<string>} Key terms
+ */
+function termsFromRequirement(requirement) {
+  return requirement
+    .replace(REQUIREMENT_FILLER, '')
+    .split(/\s*(?:,|;|\/(?!\s*cd\b)|\bor\b|\band\b)\s*/i)
+    .map(part => part.replace(REQUIREMENT_FILLER, '').replace(/[.()]+$/, '').trim())
+    .filter(part => termTokens(part).length > 0);
+}
+
+/**
+ * Pull technology-looking terms straight from the job text
+ * Acronyms, capitalized words mid-sentence, and spellings with digits or symbols ("Node.js", "C++", "S3")
+ * @param {string} jobText - Job posting text
+ * @param {Object} jobPosting - Parsed job posting (its company and location are not key terms)
+ * @returns {Array<string>} Terms, most frequent first
+ */
+function termsFromJobText(jobText, jobPosting) {
+  const excluded = new Set([
+    ...canonicalTokens(jobPosting?.company || ''),
+    ...canonicalTokens(jobPosting?.location || '')
+  ]);
+  const counts = new Map();
+  const pattern = /[A-Za-z][A-Za-z0-9+#]*(?:[./-][A-Za-z0-9+#]+)*[+#]*/g;
+  let match;
+
+  // "Amazon Web Services" is one term, not three capitalized words
+  let text = jobText || '';
+  PHRASE_ALIASES.forEach(([alias, replacement]) => {
+    text = text.replace(new RegExp(alias.source, 'gi'), PHRASE_DISPLAY[replacement] || replacement.toUpperCase());
+  });
+
+  while ((match = pattern.exec(text)) !== null) {
+    const word = match[0];
+    const before = text.substring(0, match.index).trimEnd();
+    const sentenceStart = before.length === 0 || /[.!?\n•*-]$/.test(before);
+
+    const technical = /[0-9+#./]/.test(word.slice(1));
+    const acronym = /^[A-Z]{2,6}s?$/.test(word);
+    const capitalized = /^[A-Z][a-z]+[A-Za-z]*$/.test(word) && !sentenceStart;
+    if (!technical && !acronym && !capitalized) continue;
+
+    const lowered = word.toLowerCase();
+    if (NON_TERM_CAPITALIZED.has(lowered) || STOPWORDS.has(lowered)) continue;
+
+    const tokens = termTokens(word);
+    if (tokens.length === 0 || tokens.some(token => excluded.has(token))) continue;
+
+    const key = tokens.join(' ');
+    const entry = counts.get(key) || { term: word, count: 0, firstIndex: match.index };
+    entry.count++;
+    counts.set(key, entry);
+  }
+
+  return Array.from(counts.values())
+    .sort((a, b) => b.count - a.count || a.firstIndex - b.firstIndex)
+    .slice(0, MAX_JOB_TEXT_TERMS)
+    .map(entry => entry.term);
+}
+
+/**
+ * Collect the key terms of a job posting, deduplicated by canonical form
+ * @param {string} jobText - Job posting text
+ * @param {Object} jobPosting - Parsed job posting (optional)
+ * @returns {Array<{keyword: string, tokens: Array<string>, source: string, weight: number}>} Key terms
+ */
+function extractJobKeywords(jobText, jobPosting = null) {
+  const keywords = [];
+  const seen = new Set();
+
+  const add = (term, source) => {
+    const tokens = termTokens(term);
+    const key = tokens.join(' ');
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    keywords.push({ keyword: term, tokens, source, weight: SOURCE_WEIGHTS[source] });
+  };
+
+  (jobPosting?.mustHaves || []).forEach(requirement => {
+    termsFromRequirement(requirement).forEach(term => add(term, 'mustHave'));
+  });
+  (jobPosting?.niceToHaves || []).forEach(requirement => {
+    termsFromRequirement(requirement).forEach(term => add(term, 'niceToHave'));
+  });
+  termsFromJobText(jobText, jobPosting).forEach(term => add(term, 'jobText'));
+
+  return keywords;
+}
+
+/**
+ * Text of each rendered resume section
+ * @param {Object} tailoredResumeJson - Tailored resume JSON
+ * @returns {Object} Section name to text
+ */
+function resumeSectionTexts(tailoredResumeJson) {
+  const resume = withoutHiddenItems(tailoredResumeJson || {});
+
+  return {
+    summary: resume.summary || '',
+    skills: (resume.skills || []).join(', '),
+    experience: (resume.experience || []).map(role => [
+      role.title,
+      role.company,
+      ...(role.bullets || []).map(bullet => bullet.text)
+    ].join('\n')).join('\n'),
+    projects: (resume.projects || []).map(project => [
+      project.name,
+      project.description,
+      (project.technologies || []).join(', '),
+      ...(project.bullets || []).map(bullet => bullet.text)
+    ].filter(Boolean).join('\n')).join('\n'),
+    education: (resume.education || []).map(education => [
+      education.degree,
+      education.school,
+      ...(education.honors || [])
+    ].join('\n')).join('\n')
+  };
+}
+
+/**
+ * Whether a term's tokens appear in a section's tokens
+ * Short terms must appear as a contiguous phrase; long ones need most of their words
+ */
+function sectionCovers(sectionTokens, sectionTokenSet, tokens) {
+  if (tokens.length > MAX_EXACT_PHRASE_TOKENS) {
+    const found = tokens.filter(token => sectionTokenSet.has(token)).length;
+    return found / tokens.length >= PARTIAL_PHRASE_COVERAGE;
+  }
+
+  for (let i = 0; i + tokens.length <= sectionTokens.length; i++) {
+    if (tokens.every((token, offset) => sectionTokens[i + offset] === token)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Weighted relevance of one piece of text (a bullet) to a posting's key terms
+ * @param {string} text - Text to score
+ * @param {Array<Object>} keywords - Key terms from extractJobKeywords
+ * @returns {number} Sum of the weights of the terms the text covers
+ */
+function textRelevance(text, keywords) {
+  const tokens = canonicalTokens(text);
+  const tokenSet = new Set(tokens);
+  return keywords
+    .filter(keyword => sectionCovers(tokens, tokenSet, keyword.tokens))
+    .reduce((total, keyword) => total + keyword.weight, 0);
+}
+
+/**
+ * Compute the keyword coverage and ATS-style match score of a tailored resume
+ * @param {string} jobText - Job posting text
+ * @param {Object} jobPosting - Parsed job posting (optional)
+ * @param {Object} tailoredResumeJson - Tailored resume JSON
+ * @returns {{matchScore: number|null, coveredKeywords: Array, missingKeywords: Array, bySection: Object}}
+ *   Weighted share of key terms covered (0-100, null when the posting has no key terms), the covered and
+ *   missing terms, and which terms each section covers
+ */
+function computeKeywordCoverage(jobText, jobPosting, tailoredResumeJson) {
+  const keywords = extractJobKeywords(jobText, jobPosting);
+  const sectionTexts = resumeSectionTexts(tailoredResumeJson);
+
+  const sections = RESUME_SECTIONS.map(section => {
+    const tokens = canonicalTokens(sectionTexts[section]);
+    return { section, tokens, tokenSet: new Set(tokens) };
+  });
+
+  const coveredKeywords = [];
+  const missingKeywords = [];
+  const bySection = Object.fromEntries(RESUME_SECTIONS.map(section => [section, []]));
+  let totalWeight = 0;
+  let coveredWeight = 0;
+
+  keywords.forEach(({ keyword, tokens, source, weight }) => {
+    totalWeight += weight;
+    const foundIn = sections
+      .filter(section => sectionCovers(section.tokens, section.tokenSet, tokens))
+      .map(section => section.section);
+
+    if (foundIn.length > 0) {
+      coveredWeight += weight;
+      coveredKeywords.push({ keyword, source, sections: foundIn });
+      foundIn.forEach(section => bySection[section].push(keyword));
+    } else {
+      missingKeywords.push({ keyword, source });
+    }
+  });
+
+  return {
+    matchScore: totalWeight > 0 ? Math.round((coveredWeight / totalWeight) * 100) : null,
+    coveredKeywords,
+    missingKeywords,
+    bySection
+  };
+}
+
+module.exports = {
+  SOURCE_WEIGHTS,
+  canonicalTokens,
+  extractJobKeywords,
+  resumeSectionTexts,
+  textRelevance,
+  computeKeywordCoverage,
+};
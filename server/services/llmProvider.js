@@ -0,0 +1,76 @@
+const { createGeminiProvider } = require('./providers/geminiProvider');
+const { createOpenAICompatibleProvider } = require('./providers/openaiCompatibleProvider');
+const { createFixtureProvider, withFixtureRecording } = require('./providers/fixtureProvider');
+
+require('dotenv').config();
+
+/**
+ * LLM provider interface shared by the generator and verifier services.
+ *
+ * A provider is a plain object:
+ *   {
+ *     name: string,
+ *     generate({ prompt, purpose, responseSchema }) => Promise<{ text: string, model: string }>
+ *   }
+ *
+ * `purpose` identifies the caller ('generator', 'verifier', ...) and is used for
+ * logging and for locating fixture files. `responseSchema` is an optional JSON Schema;
+ * providers that support structured output constrain the response to it.
+ */
+
+const providerFactories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  fixture: createFixtureProvider,
+};
+
+let activeProvider = null;
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name (gemini | openai | fixture)
+ * @param {Object} options - Provider-specific options
+ * @returns {Object} LLM provider
+ */
+function createLLMProvider(name, options = {}) {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+  }
+
+  const provider = factory(options);
+
+  // Record live responses so they can be replayed later with LLM_PROVIDER=fixture
+  if (process.env.LLM_RECORD_FIXTURES === 'true' && name !== 'fixture') {
+    return withFixtureRecording(provider);
+  }
+
+  return provider;
+}
+
+/**
+ * Get the provider selected by LLM_PROVIDER (defaults to gemini)
+ * @returns {Object} LLM provider
+ */
+function getLLMProvider() {
+  if (!activeProvider) {
+    const name = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+    activeProvider = createLLMProvider(name);
+    console.log(`Using LLM provider: ${activeProvider.name}`);
+  }
+  return activeProvider;
+}
+
+/**
+ * Override the active provider (useful for scripts that drive the services directly)
+ * @param {Object|null} provider - Provider to use, or null to reset to LLM_PROVIDER
+ */
+function setLLMProvider(provider) {
+  activeProvider = provider;
+}
+
+module.exports = {
+  createLLMProvider,
+  getLLMProvider,
+  setLLMProvider,
+};
@@ -0,0 +1,344 @@
+const { extractAllBullets } = require('./verifierService');
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+  sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+const SCALE_WORDS = {
+  hundred: 100,
+  thousand: 1e3,
+  million: 1e6,
+  billion: 1e9
+};
+
+// Abbreviated scales that may follow a digit ("1.2M", "$50k", "3bn")
+const SCALE_SUFFIXES = {
+  k: 1e3,
+  m: 1e6,
+  mm: 1e6,
+  b: 1e9,
+  bn: 1e9
+};
+
+const DURATION_UNITS = 'years?|yrs?|months?|mos?|weeks?|wks?|days?|hours?|hrs?|minutes?|mins?|seconds?|secs?|milliseconds?|ms';
+
+const NUMBER_WORD_PATTERN = [...Object.keys(NUMBER_WORDS), ...Object.keys(SCALE_WORDS)].join('|');
+
+// A numeric expression: digits or number words, an optional scale, and an optional unit
+// Numbers glued to letters ("ES6", "5G"), after a word and a hyphen ("COVID-19") or around a slash ("24/7")
+// are part of a name, not a figure
+const FIGURE_PATTERN = new RegExp(
+  '(?<![A-Za-z0-9.,/])(?<![A-Za-z]-)' +
+  '(?<currency>[$€£])?\\s?' +
+  '(?:' +
+    '(?<digits>\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?)' +
+    '|' +
+    `(?<words>(?:${NUMBER_WORD_PATTERN})(?:[\\s-]+(?:and[\\s-]+)?(?:${NUMBER_WORD_PATTERN}))*)` +
+  ')' +
+  '(?:\\s?(?<scale>thousand|million|billion|mm|bn|k|m|b)(?![a-z]))?' +
+  '(?<plus>\\+)?' +
+  '(?:\\s?(?<unit>%|percent|per\\s?cent|x(?![a-z])|times|' + DURATION_UNITS + ')(?![a-z]))?' +
+  '(?![A-Za-z0-9]|/\\d)',
+  'gi'
+);
+
+// Names that contain a number and a scale-like suffix ("401k", "403b")
+const NON_METRIC_PATTERN = /^(?:401\s?k|403\s?b)$/i;
+
+// A number after one of these is a version ("Python 3", "OAuth 2.0", "v2")
+const VERSIONED_NAMES = new Set([
+  'python', 'java', 'php', 'perl', 'ruby', 'rails', 'node', 'angular', 'vue', 'react', 'django', 'spring',
+  'swift', 'kotlin', 'scala', 'go', 'c#', 'c++', '.net', 'es', 'ecmascript', 'html', 'css', 'http', 'tls', 'ssl',
+  'oauth', 'ipv', 'web', 'windows', 'ubuntu', 'debian', 'android', 'ios', 'macos', 'excel', 'office',
+  'postgres', 'postgresql', 'mysql', 'sql', 'vite', 'webpack', 'bootstrap', 'unity', 'unreal', 'v', 'ver',
+  'version', 'release'
+]);
+
+// Canonical duration units, so "12 yrs" matches "12 years" but not "12 minutes"
+const DURATION_UNIT_NAMES = [
+  [/^(?:years?|yrs?)$/, 'year'],
+  [/^(?:months?|mos?)$/, 'month'],
+  [/^(?:weeks?|wks?)$/, 'week'],
+  [/^(?:days?)$/, 'day'],
+  [/^(?:hours?|hrs?)$/, 'hour'],
+  [/^(?:minutes?|mins?)$/, 'minute'],
+  [/^(?:seconds?|secs?)$/, 'second'],
+  [/^(?:milliseconds?|ms)$/, 'millisecond']
+];
+
+// A bare number after one of these is the size of the group ("a team of 12")
+const GROUP_SIZE_PATTERN = /\b(?:team|group|staff|crew|squad|department|organization|org|class|cohort|fleet|portfolio|pool|community|base)\s+of\s+(?:about\s+|over\s+|nearly\s+|up\s+to\s+)?$/i;
+
+// Resume text that holds numbers but no claims: contact details and dates (checked as fields instead)
+const CONTACT_LINE_PATTERN = /^.*(?:@|https?:\/\/|www\.|linkedin\.com|github\.com).*$/gim;
+const PHONE_PATTERN = /(?:\+?\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g;
+const DATE_PATTERN = new RegExp(
+  '\\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?\\s+(?:\\d{1,2}(?:st|nd|rd|th)?,?\\s+)?(?:19|20)\\d{2}\\b' +
+  '|\\b\\d{1,2}[/.-]\\d{1,2}[/.-](?:\\d{4}|\\d{2})\\b|\\b\\d{1,2}/(?:19|20)\\d{2}\\b',
+  'gi'
+);
+
+// Words after a bare number that are not what it counts ("Python 3 and Go", "from 30 to 40")
+const NON_NOUN_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'to', 'of', 'in', 'on', 'at', 'by', 'for', 'with', 'from', 'into', 'as', 'is',
+  'was', 'were', 'are', 'be', 'via', 'per', 'than', 'while', 'across', 'over', 'under', 'within', 'using',
+  'including', 'through', 'after', 'before', 'during',
+  // Dates and date ranges ("2020 - Dec 2021", "2019 – Present")
+  'present', 'current', 'now', 'today', 'jan', 'january', 'feb', 'february', 'mar', 'march', 'apr', 'april',
+  'may', 'jun', 'june', 'jul', 'july', 'aug', 'august', 'sep', 'sept', 'september', 'oct', 'october', 'nov',
+  'november', 'dec', 'december'
+]);
+
+/**
+ * Convert a run of number words ("twenty five", "two hundred thousand") to a number
+ * @param {string} words - Number words
+ * @returns {number|null} Value or null when the words do not form a number
+ */
+function parseNumberWords(words) {
+  let total = 0;
+  let current = 0;
+  let seen = false;
+
+  for (const word of words.toLowerCase().split(/[\s-]+/)) {
+    if (word === 'and') continue;
+
+    if (word in NUMBER_WORDS) {
+      current += NUMBER_WORDS[word];
+      seen = true;
+    } else if (word === 'hundred') {
+      current = (current || 1) * 100;
+      seen = true;
+    } else if (word in SCALE_WORDS) {
+      total += (current || 1) * SCALE_WORDS[word];
+      current = 0;
+      seen = true;
+    } else {
+      return null;
+    }
+  }
+
+  return seen ? total + current : null;
+}
+
+/**
+ * Classify a figure from its unit and surrounding syntax
+ */
+function classifyFigure(groups, value) {
+  const unit = (groups.unit || '').toLowerCase().replace(/\s/g, '');
+
+  if (unit === '%' || unit === 'percent') {
+    return 'percent';
+  }
+  if (groups.currency) {
+    return 'currency';
+  }
+  if (unit === 'x' || unit === 'times') {
+    return 'multiplier';
+  }
+  if (unit) {
+    return 'duration';
+  }
+  if (groups.digits && !groups.scale && /^(19|20)\d{2}$/.test(groups.digits)) {
+    return 'year';
+  }
+  if (groups.plus || Number.isInteger(value)) {
+    return 'count';
+  }
+  return 'number';
+}
+
+/**
+ * Whether a bare number is a version of the name before it ("Python 3", "OAuth 2.0", "Java 17")
+ * Besides the known names, a capitalized word in mid-sentence or a mixed-case one ("OAuth", "iOS") counts
+ */
+function isVersionNumber(text, start) {
+  const before = text.slice(0, start);
+  const nameMatch = before.match(/([A-Za-z.][A-Za-z0-9.+#]*)\s?$/);
+  if (!nameMatch) return false;
+
+  const name = nameMatch[1];
+  if (VERSIONED_NAMES.has(name.toLowerCase())) return true;
+  if (/[A-Z]/.test(name.slice(1)) && /[a-z]/.test(name)) return true;
+
+  const sentenceStart = /(?:^|[.!?;:\n•])\s*$/.test(before.slice(0, before.length - nameMatch[0].length));
+  return /^[A-Z][a-z]/.test(name) && !sentenceStart;
+}
+
+/**
+ * Unit two figures of the same kind must share to match ('%', the currency symbol, 'x' or a duration unit)
+ */
+function figureUnit(groups, kind) {
+  if (kind === 'percent') return '%';
+  if (kind === 'currency') return groups.currency;
+  if (kind === 'multiplier') return 'x';
+  if (kind === 'duration') {
+    const unit = groups.unit.toLowerCase();
+    const named = DURATION_UNIT_NAMES.find(([pattern]) => pattern.test(unit));
+    return named ? named[1] : unit;
+  }
+  return null;
+}
+
+/**
+ * Resume text with contact lines, phone numbers and dates blanked out, so they cannot support a figure
+ */
+function withoutContactsAndDates(resumeText) {
+  return resumeText
+    .replace(CONTACT_LINE_PATTERN, ' ')
+    .replace(PHONE_PATTERN, ' ')
+    .replace(DATE_PATTERN, ' ');
+}
+
+/**
+ * Whether a bare number is followed by the thing it counts ("12 engineers", "3 production services")
+ */
+function isFollowedByNoun(text, end) {
+  const next = text.slice(end).match(/^[\s-]+([A-Za-z][A-Za-z'-]*)/);
+  return Boolean(next) && !NON_NOUN_WORDS.has(next[1].toLowerCase());
+}
+
+/**
+ * Extract the numbers, percentages, currency amounts, durations and counts from text
+ * A number needs a metric signal to count: a percent sign, currency, a multiplier or duration unit, a scale
+ * ("1.2M"), a noun after it ("40 services") or a group before it ("a team of 12"). Years are dates, which are
+ * verified as fields, and are skipped unless a noun follows. Versions and names are skipped.
+ * @param {string} text - Text to scan
+ * @param {Object} options - Extraction options
+ * @param {boolean} options.requireSignal - Skip bare numbers without a metric signal (default: true); turned off
+ *   for the original resume, where any mention of a number supports it
+ * @returns {Array<Object>} Figures with raw text, kind, normalized value and offsets
+ */
+function extractFigures(text, { requireSignal = true } = {}) {
+  const figures = [];
+  if (!text) return figures;
+
+  FIGURE_PATTERN.lastIndex = 0;
+  let match;
+
+  while ((match = FIGURE_PATTERN.exec(text)) !== null) {
+    const groups = match.groups;
+    let value;
+
+    if (groups.digits) {
+      value = parseFloat(groups.digits.replace(/,/g, ''));
+    } else {
+      value = parseNumberWords(groups.words);
+      // "one" alone is almost always an article-like word ("one of the"), not a claim
+      if (value === null || (value <= 1 && !groups.unit && !groups.scale && !/\s|-/.test(groups.words.trim()))) {
+        continue;
+      }
+    }
+
+    if (groups.scale) {
+      const scale = groups.scale.toLowerCase();
+      value *= SCALE_WORDS[scale] || SCALE_SUFFIXES[scale] || 1;
+    }
+
+    // A bare currency symbol or a lone "m"/"b" can match without a number
+    if (Number.isNaN(value)) continue;
+
+    const raw = match[0].trim();
+    const start = match.index + match[0].indexOf(raw);
+    const end = match.index + match[0].length;
+    let kind = classifyFigure(groups, value);
+    if (NON_METRIC_PATTERN.test(raw)) continue;
+
+    if (kind === 'year') {
+      if (!isFollowedByNoun(text, end)) continue;
+      kind = 'count';
+    }
+
+    const bare = (kind === 'count' || kind === 'number') && !groups.scale;
+    if (requireSignal && bare) {
+      if (groups.digits && isVersionNumber(text, start)) continue;
+      if (!isFollowedByNoun(text, end) && !GROUP_SIZE_PATTERN.test(text.slice(0, start))) continue;
+    }
+
+    figures.push({
+      raw,
+      kind,
+      unit: figureUnit(groups, kind),
+      value,
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return figures;
+}
+
+/**
+ * Whether two figures describe the same quantity
+ * Values must match, and so must kind and unit: "$30" is not "30 minutes", "12 years" is not "12 months".
+ * Counts and other bare numbers match each other.
+ */
+function figuresMatch(a, b) {
+  const tolerance = Math.max(Math.abs(a.value), Math.abs(b.value)) * 1e-9;
+  if (Math.abs(a.value - b.value) > tolerance) {
+    return false;
+  }
+
+  const bare = figure => figure.kind === 'count' || figure.kind === 'number';
+  if (bare(a) && bare(b)) {
+    return true;
+  }
+  return a.kind === b.kind && a.unit === b.unit;
+}
+
+/**
+ * Find figures in the tailored output that do not appear in the original resume
+ * Checks every tailored bullet, the summary and the cover letter
+ * @param {string} resumeText - Original resume text
+ * @param {Object} tailoredResumeJson - Tailored resume JSON
+ * @param {string} coverLetterText - Generated cover letter text (optional)
+ * @returns {Array<Object>} One finding per invented figure
+ */
+function findInventedMetrics(resumeText, tailoredResumeJson, coverLetterText = null) {
+  const resumeFigures = extractFigures(withoutContactsAndDates(resumeText), { requireSignal: false });
+
+  const locations = extractAllBullets(tailoredResumeJson).map(bullet => ({
+    bulletId: bullet.bulletId,
+    section: bullet.section,
+    text: bullet.bulletText
+  }));
+
+  if (coverLetterText) {
+    locations.push({
+      bulletId: 'cover_letter',
+      section: 'cover',
+      text: coverLetterText
+    });
+  }
+
+  const findings = [];
+
+  locations.forEach(location => {
+    extractFigures(location.text).forEach(figure => {
+      const supported = resumeFigures.some(resumeFigure => figuresMatch(figure, resumeFigure));
+      if (!supported) {
+        findings.push({
+          bulletId: location.bulletId,
+          section: location.section,
+          text: location.text,
+          figure: figure.raw,
+          kind: figure.kind,
+          value: figure.value,
+          start: figure.start,
+          end: figure.end
+        });
+      }
+    });
+  });
+
+  return findings;
+}
+
+module.exports = {
+  extractFigures,
+  parseNumberWords,
+  figuresMatch,
+  findInventedMetrics,
+};
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'llm');
+
+/**
+ * Hash a prompt into the key used for recorded fixture files
+ * @param {string} prompt - Prompt text
+ * @returns {string} Short SHA256 hex digest
+ */
+function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 16);
+}
+
+/**
+ * Read a fixture file and return the recorded response text
+ * Fixture files are JSON with either a raw "text" string or a "response" object
+ * @param {string} filePath - Fixture file path
+ * @returns {Promise<Object|null>} Fixture contents or null when the file does not exist
+ */
+async function readFixture(filePath) {
+  try {
+    const raw = await fs.readFile(filePath, 'utf8');
+    const fixture = JSON.parse(raw);
+    const text = typeof fixture.text === 'string'
+      ? fixture.text
+      : JSON.stringify(fixture.response);
+    return { text, model: fixture.model || 'fixture' };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create a provider that replays recorded responses instead of calling a model
+ *
+ * Lookup order for each call:
+ *   1. <fixturesDir>/<purpose>/<promptHash>.json - exact replay of a recorded prompt
+ *   2. <fixturesDir>/<purpose>.json              - default response for that purpose
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.fixturesDir - Directory holding fixture files
+ * @returns {Object} LLM provider
+ */
+function createFixtureProvider(options = {}) {
+  const fixturesDir = options.fixturesDir || process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+  // responseSchema is accepted but ignored - fixtures are returned as recorded
+  async function generate({ prompt, purpose = 'llm' }) {
+    const recordedPath = path.join(fixturesDir, purpose, `${hashPrompt(prompt)}.json`);
+    const defaultPath = path.join(fixturesDir, `${purpose}.json`);
+
+    const fixture = (await readFixture(recordedPath)) || (await readFixture(defaultPath));
+    if (!fixture) {
+      throw new Error(`No LLM fixture found for purpose "${purpose}" in ${fixturesDir}`);
+    }
+
+    console.log(`[${purpose}] Replaying fixture response (${fixture.text.length} characters)`);
+    return fixture;
+  }
+
+  return {
+    name: 'fixture',
+    generate,
+  };
+}
+
+/**
+ * Wrap a provider so every response is written as a replayable fixture
+ * @param {Object} provider - Provider to wrap
+ * @param {Object} options - Recording options
+ * @param {string} options.fixturesDir - Directory to write fixtures into
+ * @returns {Object} LLM provider
+ */
+function withFixtureRecording(provider, options = {}) {
+  const fixturesDir = options.fixturesDir || process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+  async function generate(request) {
+    const result = await provider.generate(request);
+    const purpose = request.purpose || 'llm';
+
+    try {
+      const purposeDir = path.join(fixturesDir, purpose);
+      await fs.mkdir(purposeDir, { recursive: true });
+      const filePath = path.join(purposeDir, `${hashPrompt(request.prompt)}.json`);
+      await fs.writeFile(filePath, JSON.stringify({
+        purpose,
+        model: result.model,
+        recordedAt: new Date().toISOString(),
+        text: result.text,
+      }, null, 2));
+      console.log(`[${purpose}] Recorded fixture: ${filePath}`);
+    } catch (error) {
+      // Recording is best effort - never fail a generation because of it
+      console.error('Error recording LLM fixture:', error);
+    }
+
+    return result;
+  }
+
+  return {
+    name: `${provider.name}+recording`,
+    generate,
+  };
+}
+
+module.exports = {
+  createFixtureProvider,
+  withFixtureRecording,
+  hashPrompt,
+};
@@ -0,0 +1,102 @@
+const { GoogleGenAI } = require('@google/genai');
+
+require('dotenv').config();
+
+// Model names to try in order (using new SDK model names)
+const DEFAULT_MODEL_NAMES = [
+  'gemini-2.5-flash',  // Latest model from new SDK
+  'gemini-1.5-flash',
+  'gemini-1.5-pro',
+  'gemini-pro'
+];
+
+/**
+ * Create a Gemini provider that falls back through a list of models
+ * @param {Object} options - Provider options
+ * @param {Array<string>} options.modelNames - Models to try in order (defaults to GEMINI_MODELS or the built-in list)
+ * @returns {Object} LLM provider
+ */
+function createGeminiProvider(options = {}) {
+  const modelNames = options.modelNames || parseModelList(process.env.GEMINI_MODELS) || DEFAULT_MODEL_NAMES;
+
+  // Created lazily so the server can boot without GEMINI_API_KEY when another provider is selected
+  let ai = null;
+  function getClient() {
+    if (!ai) {
+      // New SDK automatically gets API key from GEMINI_API_KEY environment variable
+      ai = new GoogleGenAI({});
+    }
+    return ai;
+  }
+
+  /**
+   * Generate text from a prompt
+   * @param {Object} request - Generation request
+   * @param {string} request.prompt - Prompt text
+   * @param {string} request.purpose - Caller label used for logging (e.g. 'generator', 'verifier')
+   * @param {Object} request.responseSchema - JSON Schema for structured output (optional)
+   * @returns {Promise<{text: string, model: string}>}
+   */
+  async function generate({ prompt, purpose = 'llm', responseSchema }) {
+    // Structured-output mode: the model must return JSON matching the schema
+    const config = responseSchema
+      ? { responseMimeType: 'application/json', responseJsonSchema: responseSchema }
+      : undefined;
+
+    // Try models in order until one works
+    for (let i = 0; i < modelNames.length; i++) {
+      try {
+        console.log(`[${purpose}] Attempting to use model: ${modelNames[i]}`);
+
+        // New SDK API structure
+        const response = await getClient().models.generateContent({
+          model: modelNames[i],
+          contents: prompt,
+          config
+        });
+
+        const text = response.text;
+
+        if (!text) {
+          console.error('Response text is empty or undefined');
+          console.error('Response object:', JSON.stringify(response, null, 2));
+          throw new Error('Empty response from Gemini API');
+        }
+
+        console.log(`✓ [${purpose}] Successfully using model: ${modelNames[i]}`);
+        console.log(`Response text length: ${text.length} characters`);
+        return { text, model: modelNames[i] };
+      } catch (modelError) {
+        // If this is the last model, throw the error
+        if (i === modelNames.length - 1) {
+          throw modelError;
+        }
+        // Otherwise, try next model
+        console.log(`[${purpose}] Model ${modelNames[i]} failed, trying next...`);
+      }
+    }
+
+    throw new Error('No Gemini models configured');
+  }
+
+  return {
+    name: 'gemini',
+    generate,
+  };
+}
+
+/**
+ * Parse a comma-separated model list from an environment variable
+ * @param {string} value - Raw env value
+ * @returns {Array<string>|null} Model names or null when unset
+ */
+function parseModelList(value) {
+  if (!value) return null;
+  const models = value.split(',').map(model => model.trim()).filter(Boolean);
+  return models.length > 0 ? models : null;
+}
+
+module.exports = {
+  createGeminiProvider,
+  DEFAULT_MODEL_NAMES,
+};
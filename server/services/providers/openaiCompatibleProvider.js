@@ -0,0 +1,88 @@
+require('dotenv').config();
+
+const DEFAULT_BASE_URL = 'http://localhost:8080/v1';
+
+/**
+ * Create a provider for any server that speaks the OpenAI chat completions API
+ * (OpenAI itself, llama.cpp server, Ollama, vLLM, LM Studio, ...)
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - API base URL including the /v1 prefix
+ * @param {string} options.apiKey - Bearer token (optional for most local servers)
+ * @param {string} options.model - Model name to request
+ * @param {number} options.timeoutMs - Request timeout in milliseconds
+ * @returns {Object} LLM provider
+ */
+function createOpenAICompatibleProvider(options = {}) {
+  const baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const apiKey = options.apiKey || process.env.OPENAI_API_KEY || '';
+  const model = options.model || process.env.OPENAI_MODEL;
+  const timeoutMs = options.timeoutMs || parseInt(process.env.OPENAI_TIMEOUT_MS) || 120000;
+  // Some local servers reject response_format; set OPENAI_STRUCTURED_OUTPUT=false for those
+  const structuredOutput = options.structuredOutput ?? process.env.OPENAI_STRUCTURED_OUTPUT !== 'false';
+
+  if (!model) {
+    throw new Error('OPENAI_MODEL is not set in environment variables');
+  }
+
+  /**
+   * Generate text from a prompt
+   * @param {Object} request - Generation request
+   * @param {string} request.prompt - Prompt text
+   * @param {string} request.purpose - Caller label used for logging
+   * @param {Object} request.responseSchema - JSON Schema for structured output (optional)
+   * @returns {Promise<{text: string, model: string}>}
+   */
+  async function generate({ prompt, purpose = 'llm', responseSchema }) {
+    console.log(`[${purpose}] Calling ${baseUrl} with model: ${model}`);
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const body = {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0.2,
+    };
+
+    if (responseSchema && structuredOutput) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: purpose, schema: responseSchema },
+      };
+    }
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw new Error(`LLM server returned ${response.status}: ${errorText.substring(0, 500)}`);
+    }
+
+    const data = await response.json();
+    const text = data?.choices?.[0]?.message?.content;
+
+    if (!text) {
+      console.error('Response object:', JSON.stringify(data, null, 2).substring(0, 1000));
+      throw new Error('Empty response from LLM server');
+    }
+
+    console.log(`✓ [${purpose}] Response text length: ${text.length} characters`);
+    return { text, model: data.model || model };
+  }
+
+  return {
+    name: 'openai',
+    generate,
+  };
+}
+
+module.exports = {
+  createOpenAICompatibleProvider,
+};
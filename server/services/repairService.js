@@ -0,0 +1,128 @@
+const { verifyBulletList, extractAllBullets } = require('./verifierService');
+const { getBullet, setBulletText } = require('../utils/resumeBullets');
+
+// Default and hard limits for strict-mode repair rounds
+const DEFAULT_MAX_REPAIR_ROUNDS = 3;
+const MAX_REPAIR_ROUNDS = 5;
+
+/**
+ * Count verifications by status
+ * @param {Array} verifications - Bullet verifications
+ * @returns {{unsupported: number, stretch: number}} Counts
+ */
+function countFlagged(verifications) {
+  return {
+    unsupported: verifications.filter(v => v.status === 'UNSUPPORTED').length,
+    stretch: verifications.filter(v => v.status === 'STRETCH').length
+  };
+}
+
+/**
+ * Strict mode: apply the verifier's suggested fixes to flagged bullets and re-verify only those bullets,
+ * repeating until no UNSUPPORTED bullets remain, no fix changes anything, or the round limit is hit
+ * @param {Object} params - Repair parameters
+ * @param {string} params.resumeText - Original resume text
+ * @param {Object} params.tailoredResumeJson - Tailored resume JSON (not mutated)
+ * @param {Array} params.verifications - Verifications for tailoredResumeJson
+ * @param {number} params.maxRounds - Round limit
+ * @param {Function} params.onRound - Called with each round's history entry (optional)
+ * @param {Array} params.attemptLog - Receives structured LLM attempt entries (optional)
+ * @returns {Promise<{tailoredResumeJson: Object, verifications: Array, rounds: Array}>} Repaired resume,
+ *   merged verifications and per-round history
+ */
+async function repairFlaggedBullets({
+  resumeText,
+  tailoredResumeJson,
+  verifications,
+  maxRounds = DEFAULT_MAX_REPAIR_ROUNDS,
+  onRound,
+  attemptLog
+}) {
+  const roundLimit = Math.min(Math.max(1, maxRounds), MAX_REPAIR_ROUNDS);
+  const repairedJson = structuredClone(tailoredResumeJson);
+  let currentVerifications = verifications.slice();
+  const rounds = [];
+
+  for (let round = 1; round <= roundLimit; round++) {
+    if (countFlagged(currentVerifications).unsupported === 0) {
+      break;
+    }
+
+    // Flagged bullets with a fix that would actually change the text
+    const fixable = currentVerifications.filter(verification => {
+      if (verification.status !== 'UNSUPPORTED' && verification.status !== 'STRETCH') return false;
+      const bullet = getBullet(repairedJson, verification.bulletId);
+      const fix = verification.suggestedFix?.trim();
+      return bullet && fix && fix !== bullet.text;
+    });
+
+    if (fixable.length === 0) {
+      console.log(`Repair round ${round}: no applicable suggested fixes, stopping`);
+      break;
+    }
+
+    const changes = fixable.map(verification => {
+      const before = getBullet(repairedJson, verification.bulletId).text;
+      const after = verification.suggestedFix.trim();
+
+      // The verifier's evidence is a quote from resumeText - use it as the new bullet's evidence
+      const evidenceSnippet = verification.evidence && verification.evidence !== 'none'
+        ? verification.evidence
+        : undefined;
+      setBulletText(repairedJson, verification.bulletId, after, evidenceSnippet);
+
+      return {
+        bulletId: verification.bulletId,
+        before,
+        after,
+        statusBefore: verification.status
+      };
+    });
+
+    // Re-verify only the bullets that changed
+    const changedIds = new Set(changes.map(change => change.bulletId));
+    const changedBullets = extractAllBullets(repairedJson).filter(bullet => changedIds.has(bullet.bulletId));
+    const reverified = await verifyBulletList(resumeText, changedBullets, { attemptLog });
+    const reverifiedById = new Map(
+      reverified
+        .filter(verification => changedIds.has(verification.bulletId))
+        .map(verification => [verification.bulletId, verification])
+    );
+
+    currentVerifications = currentVerifications.map(verification =>
+      reverifiedById.get(verification.bulletId) || verification
+    );
+
+    changes.forEach(change => {
+      change.statusAfter = reverifiedById.get(change.bulletId)?.status || change.statusBefore;
+    });
+
+    const remaining = countFlagged(currentVerifications);
+    const roundEntry = {
+      round,
+      changes,
+      unsupportedRemaining: remaining.unsupported,
+      stretchRemaining: remaining.stretch,
+      completedAt: new Date()
+    };
+    rounds.push(roundEntry);
+
+    console.log(`Repair round ${round}: ${changes.length} bullet(s) rewritten, ${remaining.unsupported} UNSUPPORTED remaining`);
+
+    if (onRound) {
+      await onRound(roundEntry);
+    }
+  }
+
+  return {
+    tailoredResumeJson: repairedJson,
+    verifications: currentVerifications,
+    rounds
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_REPAIR_ROUNDS,
+  MAX_REPAIR_ROUNDS,
+  repairFlaggedBullets,
+};
@@ -0,0 +1,240 @@
+// Diff between the original resume and a generation's tailored resume, for the history page's change view
+// Tailored bullets are lined up with the original bullets their evidenceSnippet (or their own wording) came from,
+// then compared word by word. Original content no tailored bullet came from is reported as dropped.
+const { parseResumeText } = require('../utils/resumeParser');
+const { tokenOverlap } = require('./evidenceMatcher');
+
+// Share of an evidence snippet's content words an original bullet must contain to be its source
+const EVIDENCE_MATCH_THRESHOLD = 0.6;
+
+// Mutual word overlap a tailored bullet needs with an original bullet when its evidence does not settle it
+const TEXT_MATCH_THRESHOLD = 0.35;
+
+/**
+ * Words of a text, keeping punctuation attached so the diff can be shown as written
+ */
+function words(text) {
+  return String(text || '').split(/\s+/).filter(Boolean);
+}
+
+// Case and surrounding punctuation do not count as a wording change
+function comparableWord(word) {
+  return word.toLowerCase().replace(/^[^a-z0-9]+|[^a-z0-9%+#]+$/gi, '');
+}
+
+/**
+ * Word-level diff (longest common subsequence)
+ * @param {string} original - Original text
+ * @param {string} tailored - Tailored text
+ * @returns {Array<{type: 'equal'|'delete'|'insert', text: string}>} Runs of words; equal runs use the tailored wording
+ */
+function diffWords(original, tailored) {
+  const a = words(original);
+  const b = words(tailored);
+  const ak = a.map(comparableWord);
+  const bk = b.map(comparableWord);
+
+  // lengths[i][j] = LCS length of a[i:] and b[j:]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = ak[i] === bk[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (type, word) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+      last.text += ` ${word}`;
+    } else {
+      ops.push({ type, text: word });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (ak[i] === bk[j]) {
+      push('equal', b[j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+
+  return ops;
+}
+
+function similarity(a, b) {
+  return (tokenOverlap(a, b) + tokenOverlap(b, a)) / 2;
+}
+
+function normalizeName(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Pair tailored roles or projects with the original ones by name (company for roles)
+ * @returns {Array<number|null>} Original index for each tailored item
+ */
+function matchItems(tailoredItems, originalItems, keyOf) {
+  const used = new Set();
+  return tailoredItems.map(item => {
+    const key = keyOf(item);
+    const index = originalItems.findIndex((original, originalIndex) => !used.has(originalIndex) && key && keyOf(original) === key);
+    if (index === -1) return null;
+    used.add(index);
+    return index;
+  });
+}
+
+/**
+ * Whether each matched item moved relative to the other matched items
+ * @param {Array<number|null>} originalIndexes - Original index per tailored item
+ * @returns {Array<boolean>} moved flag per tailored item
+ */
+function reorderedFlags(originalIndexes) {
+  const matched = originalIndexes.filter(index => index !== null);
+  const sorted = [...matched].sort((x, y) => x - y);
+  return originalIndexes.map(index => index !== null && matched.indexOf(index) !== sorted.indexOf(index));
+}
+
+/**
+ * Find the original bullet a tailored bullet was written from
+ * Bullets of the matching original role or project are tried first, then every original bullet in the section
+ * @returns {{bullet: Object, key: string}|null} Original bullet and its key in the used set
+ */
+function findSourceBullet(bullet, candidates, usedKeys) {
+  let best = null;
+  candidates.forEach(candidate => {
+    const evidenceScore = bullet.evidenceSnippet ? tokenOverlap(bullet.evidenceSnippet, candidate.bullet.text) : 0;
+    const textScore = similarity(bullet.text, candidate.bullet.text);
+    const matches = evidenceScore >= EVIDENCE_MATCH_THRESHOLD || textScore >= TEXT_MATCH_THRESHOLD;
+    // Prefer original bullets not already used by another tailored bullet
+    const score = Math.max(evidenceScore, textScore) - (usedKeys.has(candidate.key) ? 0.5 : 0);
+    if (matches && (!best || score > best.score)) {
+      best = { ...candidate, score };
+    }
+  });
+  return best;
+}
+
+/**
+ * Diff the roles or projects of one section
+ */
+function diffSection(section, tailoredItems, originalItems, keyOf, usedKeys) {
+  const originalIndexes = matchItems(tailoredItems, originalItems, keyOf);
+  const moved = reorderedFlags(originalIndexes);
+
+  const allCandidates = originalItems.flatMap((item, itemIndex) =>
+    (item.bullets || []).map((bullet, bulletIndex) => ({ bullet, key: `${section}_${itemIndex}_${bulletIndex}` })));
+
+  return tailoredItems.map((item, itemIndex) => {
+    const originalIndex = originalIndexes[itemIndex];
+    const ownCandidates = originalIndex === null ? [] : allCandidates.filter(candidate => candidate.key.startsWith(`${section}_${originalIndex}_`));
+
+    const bullets = (item.bullets || []).map((bullet, bulletIndex) => {
+      const source = findSourceBullet(bullet, ownCandidates, usedKeys) || findSourceBullet(bullet, allCandidates, usedKeys);
+      if (source) usedKeys.add(source.key);
+
+      // Without a matching original bullet, show the evidence the generator cited
+      const original = source ? source.bullet.text : (bullet.evidenceSnippet || null);
+      return {
+        bulletId: `${section}_${itemIndex}_${bulletIndex}`,
+        tailored: bullet.text,
+        original,
+        source: source ? 'resume' : bullet.evidenceSnippet ? 'evidence' : null,
+        unchanged: Boolean(original) && normalizeName(original) === normalizeName(bullet.text),
+        changes: original ? diffWords(original, bullet.text) : [{ type: 'insert', text: bullet.text }],
+        hidden: Boolean(bullet.hidden || item.hidden)
+      };
+    });
+
+    return {
+      index: itemIndex,
+      originalIndex,
+      moved: moved[itemIndex],
+      hidden: Boolean(item.hidden),
+      ...(section === 'experience'
+        ? { title: item.title, company: item.company, startDate: item.startDate, endDate: item.endDate }
+        : { name: item.name }),
+      bullets
+    };
+  });
+}
+
+/**
+ * Compare a generation's tailored resume with its original resume
+ * @param {Object} generation - Generation document with tailoredResumeJson and masterResume or resumeText
+ * @returns {Object|null} Diff: summary, experience, projects, dropped content and counts (null without the original resume)
+ */
+function buildResumeDiff(generation) {
+  const original = generation.masterResume || (generation.resumeText ? parseResumeText(generation.resumeText) : null);
+  if (!original) {
+    return null;
+  }
+
+  const tailored = generation.tailoredResumeJson;
+  const usedKeys = new Set();
+
+  const experience = diffSection('experience', tailored.experience || [], original.experience || [], role => normalizeName(role.company), usedKeys);
+  const projects = diffSection('projects', tailored.projects || [], original.projects || [], project => normalizeName(project.name), usedKeys);
+
+  const matchedRoles = new Set(experience.map(role => role.originalIndex));
+  const matchedProjects = new Set(projects.map(project => project.originalIndex));
+
+  const droppedBullets = [];
+  [['experience', original.experience || []], ['projects', original.projects || []]].forEach(([section, items]) => {
+    const matchedItems = section === 'experience' ? matchedRoles : matchedProjects;
+    items.forEach((item, itemIndex) => {
+      // Bullets of a dropped role or project are reported with it
+      if (!matchedItems.has(itemIndex)) return;
+      (item.bullets || []).forEach((bullet, bulletIndex) => {
+        if (usedKeys.has(`${section}_${itemIndex}_${bulletIndex}`)) return;
+        droppedBullets.push({ section, item: section === 'experience' ? `${item.title} at ${item.company}` : item.name, text: bullet.text });
+      });
+    });
+  });
+
+  const tailoredSkills = new Set((tailored.skills || []).map(normalizeName));
+  const allBullets = [...experience, ...projects].flatMap(item => item.bullets);
+
+  return {
+    summary: {
+      original: original.summary || null,
+      tailored: tailored.summary || null,
+      // One insert (or delete) run when only one side has a summary; none when neither does
+      changes: diffWords(original.summary, tailored.summary)
+    },
+    experience,
+    projects,
+    dropped: {
+      roles: (original.experience || [])
+        .filter((_, index) => !matchedRoles.has(index))
+        .map(role => ({ title: role.title, company: role.company, startDate: role.startDate, endDate: role.endDate, bullets: (role.bullets || []).map(bullet => bullet.text) })),
+      projects: (original.projects || [])
+        .filter((_, index) => !matchedProjects.has(index))
+        .map(project => ({ name: project.name, bullets: (project.bullets || []).map(bullet => bullet.text) })),
+      bullets: droppedBullets,
+      skills: (original.skills || []).filter(skill => !tailoredSkills.has(normalizeName(skill)))
+    },
+    counts: {
+      unchanged: allBullets.filter(bullet => bullet.unchanged).length,
+      reworded: allBullets.filter(bullet => bullet.source === 'resume' && !bullet.unchanged).length,
+      new: allBullets.filter(bullet => bullet.source !== 'resume').length,
+      dropped: droppedBullets.length,
+      movedRoles: experience.filter(role => role.moved).length
+    }
+  };
+}
+
+module.exports = {
+  diffWords,
+  buildResumeDiff,
+};
@@ -0,0 +1,305 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+const {
+  verifyBulletList,
+  extractAllBullets,
+  calculateTruthScore,
+  generateFlags,
+  generateMissingRequirementFlags
+} = require('./verifierService');
+const { verifyStructuredFields } = require('./fieldVerifier');
+const { findInventedMetrics } = require('./metricGuard');
+const { computeKeywordCoverage } = require('./keywordMatcher');
+const { renderResumeToFit, DEFAULT_TARGET_PAGES } = require('./resumeRenderer');
+const { parseBulletId, setBulletText, setFieldValue } = require('../utils/resumeBullets');
+const { getCollections } = require('../db/mongodb');
+
+// Earlier revisions kept on a generation; the oldest are dropped beyond this
+const MAX_REVISIONS = 20;
+
+/**
+ * Error for edits that cannot be applied to the generation in its current state (HTTP 409)
+ */
+class ResumeEditConflictError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'ResumeEditConflictError';
+    this.details = details;
+  }
+}
+
+/**
+ * Mark flags the user chose to keep as written
+ * Kept decisions are matched by section and text, so they survive reordering but not rewording
+ * @param {Array} flags - Flags from generateFlags
+ * @param {Array} flagDecisions - Decisions logged on the generation
+ * @returns {Array} Flags, with resolution: 'kept_original' on kept ones
+ */
+function markKeptFlags(flags, flagDecisions) {
+  const kept = new Set((flagDecisions || [])
+    .filter(decision => decision.action === 'keep_original')
+    .map(decision => `${decision.section}:${decision.bulletText}`));
+
+  return flags.map(flag => (flag.bulletText && kept.has(`${flag.section}:${flag.bulletText}`)
+    ? { ...flag, resolution: 'kept_original' }
+    : flag));
+}
+
+/**
+ * Split an edited resume's bullets into those whose text already has a verification and those that need one
+ * Verifications are matched by text, so reordered bullets keep theirs under their new bulletId
+ * @param {Object} tailoredResumeJson - Edited resume JSON
+ * @param {Array} previousVerifications - Verifications of the current revision
+ * @returns {{reused: Array, changedBullets: Array}} Reused verifications and bullets to verify
+ */
+function matchPreviousVerifications(tailoredResumeJson, previousVerifications) {
+  const byText = new Map();
+  (previousVerifications || [])
+    .filter(verification => parseBulletId(verification.bulletId))
+    .forEach(verification => {
+      if (!byText.has(verification.bulletText)) byText.set(verification.bulletText, verification);
+    });
+
+  const reused = [];
+  const changedBullets = [];
+  extractAllBullets(tailoredResumeJson).forEach(bullet => {
+    const previous = byText.get(bullet.bulletText);
+    if (previous) {
+      reused.push({ ...previous, bulletId: bullet.bulletId });
+    } else {
+      changedBullets.push(bullet);
+    }
+  });
+
+  return { reused, changedBullets };
+}
+
+/**
+ * Replace a finished generation's tailored resume with an edited version
+ * Only new or changed bullets go to the verifier; field checks, invented figures, truth score, flags and
+ * keyword coverage (of what fits in the PDF) are recomputed for the whole resume, and the resume PDF is re-rendered. The previous
+ * resume and its scores are kept in `revisions`.
+ * @param {Object} generation - Generation document (must be done and have resumeText)
+ * @param {Object} tailoredResumeJson - Edited resume, validated against tailoredResumeSchema
+ * @param {Object} options - Edit options
+ * @param {string} options.storageDir - Root directory for generated files
+ * @param {number} options.expectedRevision - Reject the edit if the generation has moved past this revision (optional)
+ * @param {string} options.note - Short description stored with the revision (optional)
+ * @param {Object} options.decision - Flag decision to log with the revision (optional, from resolveFlag)
+ * @returns {Promise<Object>} Updated fields: revision, changedBulletIds, verifications, truthScore, flags,
+ *   matchScore, keywordCoverage, pageFit
+ */
+async function editTailoredResume(generation, tailoredResumeJson, { storageDir, expectedRevision, note, decision } = {}) {
+  const currentRevision = generation.revision || 0;
+  if (expectedRevision !== undefined && expectedRevision !== currentRevision) {
+    throw new ResumeEditConflictError('Generation was edited since it was loaded', `Current revision: ${currentRevision}`);
+  }
+  if (!generation.resumeText) {
+    throw new ResumeEditConflictError('Original resume text is not stored for this generation, so edits cannot be verified');
+  }
+
+  const { resumeText, jobText, jobPosting } = generation;
+  const attemptLog = [];
+
+  // Re-verify only bullets the verifier has not seen
+  const { reused, changedBullets } = matchPreviousVerifications(tailoredResumeJson, generation.verifications);
+  const reverified = await verifyBulletList(resumeText, changedBullets, { attemptLog });
+  const bulletVerifications = [...reused, ...reverified];
+
+  // Field checks and figure checks are deterministic, so run them on the whole resume
+  const verifications = [...bulletVerifications, ...verifyStructuredFields(resumeText, tailoredResumeJson)];
+  const metricFindings = findInventedMetrics(resumeText, tailoredResumeJson, generation.coverLetterText);
+  const resumeMetricFindings = metricFindings.filter(finding => finding.section !== 'cover');
+
+  const truthScore = calculateTruthScore(verifications, resumeMetricFindings);
+  const flags = markKeptFlags([
+    ...generateFlags(verifications, resumeMetricFindings),
+    ...generateMissingRequirementFlags(generation.suggestedAdditions)
+  ], generation.flagDecisions);
+
+  const generationDir = path.join(storageDir, generation._id);
+  await fs.mkdir(generationDir, { recursive: true });
+  const pdfPath = path.join(generationDir, 'resume.pdf');
+  // Render next to the current PDF and swap it in only once the revision-guarded update has matched, so an
+  // edit rejected as a conflict never replaces the PDF of the revision that won
+  const pendingPdfPath = path.join(generationDir, `resume.${Date.now()}.pending.pdf`);
+  const discardPendingPdf = async error => {
+    await fs.rm(pendingPdfPath, { force: true });
+    throw error;
+  };
+  const { renderedResumeJson, ...pageFit } = await renderResumeToFit(tailoredResumeJson, pendingPdfPath, {
+    template: generation.template,
+    targetPages: generation.pageFit?.targetPages || DEFAULT_TARGET_PAGES,
+    jobText,
+    jobPosting
+  }).catch(discardPendingPdf);
+  // Bullets left out to fit the page budget do not count towards the match score
+  const keywordCoverage = computeKeywordCoverage(jobText, jobPosting, renderedResumeJson);
+
+  const revision = currentRevision + 1;
+  const changedBulletIds = changedBullets.map(bullet => bullet.bulletId);
+  const previous = {
+    revision: currentRevision,
+    tailoredResumeJson: generation.tailoredResumeJson,
+    verifications: generation.verifications || [],
+    truthScore: generation.truthScore,
+    flags: generation.flags || [],
+    matchScore: generation.matchScore ?? null,
+    note: generation.revisionNote || null,
+    replacedAt: new Date()
+  };
+
+  const { generations: generationsCollection } = await getCollections();
+  const { matchedCount } = await generationsCollection.updateOne(
+    // Guard against another edit landing while this one was verifying or rendering
+    { _id: generation._id, revision: generation.revision ?? null },
+    {
+      $set: {
+        tailoredResumeJson,
+        verifications,
+        metricFindings,
+        truthScore,
+        flags,
+        matchScore: keywordCoverage.matchScore,
+        keywordCoverage,
+        pdfPath,
+        pageFit,
+        renderedResumeJson,
+        revision,
+        revisionNote: note || null,
+        updatedAt: new Date()
+      },
+      $push: {
+        revisions: { $each: [previous], $slice: -MAX_REVISIONS },
+        llmAttempts: { $each: attemptLog },
+        flagDecisions: { $each: decision ? [{ ...decision, revision }] : [] }
+      }
+    }
+  ).catch(discardPendingPdf);
+  if (matchedCount === 0) {
+    await discardPendingPdf(new ResumeEditConflictError('Generation was edited while this edit was being verified'));
+  }
+  await fs.rename(pendingPdfPath, pdfPath);
+
+  console.log(`[${generation._id}] Resume edited (revision ${revision}): ${changedBulletIds.length} bullet(s) re-verified, truth score ${truthScore}`);
+
+  return {
+    revision,
+    changedBulletIds,
+    verifications,
+    truthScore,
+    flags,
+    matchScore: keywordCoverage.matchScore,
+    keywordCoverage,
+    pageFit
+  };
+}
+
+/**
+ * Act on the flags of one bullet or field: apply the verifier's suggested fix, keep it as written, or remove the bullet
+ * Fixes and removals go through editTailoredResume (re-verify, re-score, re-render, new revision); keeping only
+ * marks the flags as resolved. Every decision is appended to the generation's flagDecisions.
+ * @param {Object} generation - Generation document (must be done and have resumeText)
+ * @param {Object} request - Decision
+ * @param {string} request.bulletId - bulletId of the flagged bullet or field
+ * @param {string} request.action - apply_fix, keep_original or remove_bullet
+ * @param {number} request.expectedRevision - Reject the decision if the generation has moved past this revision (optional)
+ * @param {Object} options - Edit options
+ * @param {string} options.storageDir - Root directory for generated files
+ * @returns {Promise<Object>} The logged decision plus the updated fields, as editTailoredResume returns them
+ */
+async function resolveFlag(generation, { bulletId, action, expectedRevision }, { storageDir } = {}) {
+  const currentRevision = generation.revision || 0;
+  if (expectedRevision !== undefined && expectedRevision !== currentRevision) {
+    throw new ResumeEditConflictError('Generation was edited since it was loaded', `Current revision: ${currentRevision}`);
+  }
+
+  const flags = (generation.flags || []).filter(flag => flag.bulletId === bulletId && flag.section !== 'requirements');
+  if (flags.length === 0) {
+    throw new ResumeEditConflictError('No flag for this bullet', `bulletId: ${bulletId}`);
+  }
+
+  const flag = flags.find(candidate => candidate.suggestedFix) || flags[0];
+  const decision = {
+    action,
+    bulletId,
+    section: flag.section,
+    bulletText: flag.bulletText,
+    statuses: flags.map(candidate => candidate.status),
+    suggestedFix: flag.suggestedFix || null,
+    decidedAt: new Date()
+  };
+
+  if (action === 'keep_original') {
+    const resolvedFlags = markKeptFlags(generation.flags, [decision]);
+
+    const { generations: generationsCollection } = await getCollections();
+    const { matchedCount } = await generationsCollection.updateOne(
+      { _id: generation._id, revision: generation.revision ?? null },
+      {
+        $set: { flags: resolvedFlags, updatedAt: new Date() },
+        $push: { flagDecisions: { ...decision, revision: currentRevision } }
+      }
+    );
+    if (matchedCount === 0) {
+      throw new ResumeEditConflictError('Generation was edited while this decision was being saved');
+    }
+
+    console.log(`[${generation._id}] Kept ${bulletId} as written`);
+    return {
+      decision,
+      revision: currentRevision,
+      changedBulletIds: [],
+      verifications: generation.verifications || [],
+      truthScore: generation.truthScore,
+      flags: resolvedFlags,
+      matchScore: generation.matchScore ?? null,
+      keywordCoverage: generation.keywordCoverage || null,
+      pageFit: generation.pageFit || null
+    };
+  }
+
+  const tailoredResumeJson = structuredClone(generation.tailoredResumeJson);
+  const bullet = parseBulletId(bulletId);
+
+  if (action === 'apply_fix') {
+    if (!flag.suggestedFix) {
+      throw new ResumeEditConflictError('This flag has no suggested fix', `bulletId: ${bulletId}`);
+    }
+    // A field fix is only applied when it was written with the same entry; older flags could carry another
+    // role's date from the same year
+    if (!bullet && flag.suggestedFixSource !== 'entry') {
+      throw new ResumeEditConflictError('This suggested fix does not come from the same entry in the original resume; edit the field instead', `bulletId: ${bulletId}`);
+    }
+    const applied = bullet
+      ? setBulletText(tailoredResumeJson, bulletId, flag.suggestedFix)
+      : setFieldValue(tailoredResumeJson, bulletId, flag.suggestedFix);
+    if (!applied) {
+      throw new ResumeEditConflictError('Flagged text is no longer in the resume', `bulletId: ${bulletId}`);
+    }
+  } else if (action === 'remove_bullet') {
+    if (!bullet || bullet.section === 'summary') {
+      throw new ResumeEditConflictError('Only experience and project bullets can be removed', `bulletId: ${bulletId}`);
+    }
+    const item = tailoredResumeJson[bullet.section]?.[bullet.sectionIndex];
+    if (!item?.bullets?.[bullet.bulletIndex]) {
+      throw new ResumeEditConflictError('Flagged text is no longer in the resume', `bulletId: ${bulletId}`);
+    }
+    if (bullet.section === 'experience' && item.bullets.length === 1) {
+      throw new ResumeEditConflictError('A role needs at least one bullet; hide the role in the editor instead', `bulletId: ${bulletId}`);
+    }
+    item.bullets.splice(bullet.bulletIndex, 1);
+  }
+
+  const note = action === 'apply_fix' ? `Applied suggested fix to ${bulletId}` : `Removed ${bulletId}`;
+  const result = await editTailoredResume(generation, tailoredResumeJson, { storageDir, expectedRevision, note, decision });
+  return { decision, ...result };
+}
+
+module.exports = {
+  MAX_REVISIONS,
+  ResumeEditConflictError,
+  editTailoredResume,
+  resolveFlag,
+};
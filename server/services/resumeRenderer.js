@@ -0,0 +1,178 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+const { generateResumePDF } = require('../utils/pdfGenerator');
+const { extractJobKeywords, textRelevance, computeKeywordCoverage } = require('./keywordMatcher');
+const { getCollections } = require('../db/mongodb');
+
+// Page budget for rendered resumes unless a generation asks for another
+const DEFAULT_TARGET_PAGES = parseInt(process.env.RESUME_TARGET_PAGES, 10) || 1;
+
+// Bullets dropped at most to fit the page budget, and bullets every role or project keeps
+const MAX_DROPPED_BULLETS = 8;
+const MIN_BULLETS_PER_ITEM = 1;
+
+// Ties on relevance drop project bullets before experience bullets
+const DROP_ORDER = { projects: 0, experience: 1 };
+
+/**
+ * Copy of a resume without the given bullets (bulletIds refer to the original resume)
+ * @param {Object} resumeJson - Tailored resume JSON
+ * @param {Set<string>} droppedIds - bulletIds to leave out
+ * @returns {Object} Resume JSON
+ */
+function withoutBullets(resumeJson, droppedIds) {
+  const copy = { ...resumeJson };
+  ['experience', 'projects'].forEach(section => {
+    if (!Array.isArray(resumeJson[section])) return;
+    copy[section] = resumeJson[section].map((item, itemIndex) => ({
+      ...item,
+      bullets: (item.bullets || []).filter((_, bulletIndex) => !droppedIds.has(`${section}_${itemIndex}_${bulletIndex}`))
+    }));
+  });
+  return copy;
+}
+
+/**
+ * Pick the least relevant bullet that can still be dropped
+ * Lowest keyword relevance first; ties go to projects, then older roles, then later bullets
+ * @param {Object} resumeJson - Tailored resume JSON
+ * @param {Array<Object>} keywords - Key terms from extractJobKeywords
+ * @param {Set<string>} droppedIds - bulletIds already dropped
+ * @returns {{bulletId: string, text: string, relevance: number}|null} Bullet to drop, or null if none can be
+ */
+function leastRelevantBullet(resumeJson, keywords, droppedIds) {
+  const candidates = [];
+
+  ['experience', 'projects'].forEach(section => {
+    (resumeJson[section] || []).forEach((item, itemIndex) => {
+      if (item.hidden) return;
+      const bullets = item.bullets || [];
+      const remaining = bullets.filter((bullet, bulletIndex) => !bullet.hidden && !droppedIds.has(`${section}_${itemIndex}_${bulletIndex}`)).length;
+      if (remaining <= MIN_BULLETS_PER_ITEM) return;
+
+      bullets.forEach((bullet, bulletIndex) => {
+        const bulletId = `${section}_${itemIndex}_${bulletIndex}`;
+        if (bullet.hidden || droppedIds.has(bulletId)) return;
+        candidates.push({ bulletId, section, itemIndex, bulletIndex, text: bullet.text, relevance: textRelevance(bullet.text, keywords) });
+      });
+    });
+  });
+
+  candidates.sort((a, b) =>
+    a.relevance - b.relevance ||
+    DROP_ORDER[a.section] - DROP_ORDER[b.section] ||
+    b.itemIndex - a.itemIndex ||
+    b.bulletIndex - a.bulletIndex
+  );
+
+  if (candidates.length === 0) return null;
+  const { bulletId, text, relevance } = candidates[0];
+  return { bulletId, text, relevance };
+}
+
+/**
+ * Render a resume PDF within a page budget
+ * Fit presets (spacing, text size, margins) are tried first; if the resume still runs over, the least relevant
+ * bullets for the job are left out of the PDF one at a time. The stored resume JSON is not changed; the JSON
+ * that went into the PDF is returned as renderedResumeJson, for anything that describes the PDF (the match score).
+ * @param {Object} resumeJson - Tailored resume JSON
+ * @param {string} outputPath - Full path where the PDF should be saved
+ * @param {Object} options - Render options
+ * @param {string} options.template - Template id
+ * @param {number} options.targetPages - Page budget (defaults to RESUME_TARGET_PAGES or 1)
+ * @param {string} options.jobText - Job posting text (for bullet relevance)
+ * @param {Object} options.jobPosting - Parsed job posting (for bullet relevance)
+ * @returns {Promise<Object>} Page fit report (targetPages, pageCount, fits, presets, droppedBullets, adjustments)
+ *   and renderedResumeJson
+ */
+async function renderResumeToFit(resumeJson, outputPath, { template, targetPages = DEFAULT_TARGET_PAGES, jobText = '', jobPosting = null } = {}) {
+  let result = await generateResumePDF(resumeJson, outputPath, { template, targetPages });
+
+  const droppedBullets = [];
+  let renderedResumeJson = resumeJson;
+  if (!result.fits) {
+    const keywords = extractJobKeywords(jobText, jobPosting);
+    const droppedIds = new Set();
+
+    while (!result.fits && droppedBullets.length < MAX_DROPPED_BULLETS) {
+      const bullet = leastRelevantBullet(resumeJson, keywords, droppedIds);
+      if (!bullet) break;
+
+      droppedIds.add(bullet.bulletId);
+      droppedBullets.push(bullet);
+      renderedResumeJson = withoutBullets(resumeJson, droppedIds);
+      result = await generateResumePDF(renderedResumeJson, outputPath, {
+        template,
+        targetPages,
+        startLevel: result.fitLevel
+      });
+    }
+  }
+
+  const adjustments = result.presets.map(preset => preset.label);
+  if (droppedBullets.length > 0) {
+    adjustments.push(`Left out ${droppedBullets.length} least relevant bullet${droppedBullets.length === 1 ? '' : 's'}`);
+  }
+
+  return {
+    targetPages,
+    pageCount: result.pageCount,
+    fits: result.fits,
+    presets: result.presets.map(preset => preset.id),
+    droppedBullets,
+    adjustments,
+    renderedResumeJson
+  };
+}
+
+/**
+ * Re-render the resume PDF of a finished generation with another template
+ * The PDF is replaced in place, so existing download URLs serve the new version
+ * @param {Object} generation - Generation document (must have tailoredResumeJson)
+ * @param {Object} options - Render options
+ * @param {string} options.template - Template id from the template registry
+ * @param {number} options.targetPages - Page budget (defaults to the generation's)
+ * @param {string} options.storageDir - Root directory for generated files
+ * @returns {Promise<{pdfPath: string, template: string, pageFit: Object, keywordCoverage: Object}>} Rendered PDF path,
+ *   template, page fit report and the keyword coverage of what made it into the PDF
+ */
+async function rerenderResume(generation, { template, targetPages, storageDir }) {
+  const generationDir = path.join(storageDir, generation._id);
+  await fs.mkdir(generationDir, { recursive: true });
+
+  const pdfPath = path.join(generationDir, 'resume.pdf');
+  const { renderedResumeJson, ...pageFit } = await renderResumeToFit(generation.tailoredResumeJson, pdfPath, {
+    template,
+    targetPages: targetPages || generation.pageFit?.targetPages || DEFAULT_TARGET_PAGES,
+    jobText: generation.jobText,
+    jobPosting: generation.jobPosting
+  });
+  // Another template can fit a different number of bullets
+  const keywordCoverage = computeKeywordCoverage(generation.jobText, generation.jobPosting, renderedResumeJson);
+
+  const { generations: generationsCollection } = await getCollections();
+  await generationsCollection.updateOne(
+    { _id: generation._id },
+    {
+      $set: {
+        template,
+        pdfPath,
+        pageFit,
+        renderedResumeJson,
+        matchScore: keywordCoverage.matchScore,
+        keywordCoverage,
+        updatedAt: new Date()
+      }
+    }
+  );
+
+  console.log(`[${generation._id}] Resume re-rendered with the ${template} template (${pageFit.pageCount} page(s))`);
+  return { pdfPath, template, pageFit, keywordCoverage };
+}
+
+module.exports = {
+  DEFAULT_TARGET_PAGES,
+  renderResumeToFit,
+  rerenderResume,
+};
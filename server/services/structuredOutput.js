@@ -0,0 +1,161 @@
+const { z } = require('zod');
+const { getLLMProvider } = require('./llmProvider');
+
+require('dotenv').config();
+
+// Total attempts per structured call (first try + retries with validation feedback)
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.LLM_MAX_ATTEMPTS) || 3;
+
+// Cap on how many validation issues are sent back to the model
+const MAX_FEEDBACK_ISSUES = 20;
+
+// Cap on how much of the rejected response is quoted back in the retry prompt
+const MAX_PREVIOUS_RESPONSE_CHARS = 12000;
+
+/**
+ * Error thrown when the model never produced output matching the schema
+ */
+class StructuredOutputError extends Error {
+  constructor(message, attempts) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Convert a Zod schema into the JSON Schema sent to the model's structured-output mode
+ * @param {Object} schema - Zod schema
+ * @returns {Object} JSON Schema
+ */
+function toResponseSchema(schema) {
+  const jsonSchema = z.toJSONSchema(schema, { unrepresentable: 'any' });
+  delete jsonSchema.$schema;
+  return jsonSchema;
+}
+
+/**
+ * Parse JSON from model output
+ * Structured-output mode returns bare JSON; code fences and surrounding prose are tolerated
+ * for providers that ignore the response schema
+ * @param {string} text - Model response text
+ * @returns {*} Parsed JSON
+ */
+function parseJsonText(text) {
+  const trimmed = (text || '').trim();
+
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    const candidate = fenced ? fenced[1] : trimmed.match(/\{[\s\S]*\}/)?.[0];
+    if (!candidate) {
+      throw error;
+    }
+    return JSON.parse(candidate);
+  }
+}
+
+/**
+ * Format Zod issues as lines the model can act on
+ * @param {Array} issues - Zod issues
+ * @returns {string} One issue per line
+ */
+function formatIssues(issues) {
+  const lines = issues.slice(0, MAX_FEEDBACK_ISSUES).map(issue => {
+    const path = issue.path && issue.path.length > 0 ? issue.path.join('.') : '(root)';
+    return `- ${path}: ${issue.message}`;
+  });
+
+  if (issues.length > MAX_FEEDBACK_ISSUES) {
+    lines.push(`- ...and ${issues.length - MAX_FEEDBACK_ISSUES} more issue(s)`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build the retry prompt: the original prompt, the rejected answer (truncated) and what was wrong with it
+ * @param {string} prompt - Original prompt
+ * @param {string} previousResponse - Raw text of the rejected response
+ * @param {string} feedback - Validation or parse errors
+ * @returns {string} Retry prompt
+ */
+function buildRetryPrompt(prompt, previousResponse, feedback) {
+  const response = String(previousResponse || '');
+  const quoted = response.length > MAX_PREVIOUS_RESPONSE_CHARS
+    ? `${response.slice(0, MAX_PREVIOUS_RESPONSE_CHARS)}\n...[truncated, ${response.length - MAX_PREVIOUS_RESPONSE_CHARS} more characters]`
+    : response;
+
+  return `${prompt}
+
+YOUR PREVIOUS RESPONSE WAS REJECTED:
+<previous_response>
+${quoted}
+</previous_response>
+
+${feedback}
+
+Return the complete, corrected JSON object. Fix every problem listed above and keep all other content of your previous response unchanged.`;
+}
+
+/**
+ * Ask the active LLM provider for JSON matching a Zod schema
+ * Uses the provider's structured-output mode and retries with the specific validation issues
+ * @param {Object} params - Call parameters
+ * @param {string} params.prompt - Prompt text
+ * @param {Object} params.schema - Zod schema the output must satisfy
+ * @param {string} params.purpose - Caller label ('generator', 'verifier', ...)
+ * @param {Function} params.preprocess - Optional cleanup applied to parsed JSON before validation
+ * @param {number} params.maxAttempts - Attempt limit
+ * @returns {Promise<{data: Object, attempts: number, model: string, errors: Array<string>}>} Validated data
+ *   and how many attempts it took
+ */
+async function generateStructured({ prompt, schema, purpose, preprocess, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  const provider = getLLMProvider();
+  const responseSchema = toResponseSchema(schema);
+  const errors = [];
+  let currentPrompt = prompt;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const { text, model } = await provider.generate({ prompt: currentPrompt, purpose, responseSchema });
+
+    let feedback;
+    try {
+      let parsedOutput = parseJsonText(text);
+      if (preprocess) {
+        parsedOutput = preprocess(parsedOutput);
+      }
+
+      const result = schema.safeParse(parsedOutput);
+      if (result.success) {
+        console.log(`✓ [${purpose}] Schema validation passed on attempt ${attempt}`);
+        return { data: result.data, attempts: attempt, model, errors };
+      }
+
+      feedback = `It did not match the required JSON schema:\n${formatIssues(result.error.issues)}`;
+    } catch (parseError) {
+      console.error(`[${purpose}] Failed to parse JSON:`, (text || '').substring(0, 500));
+      feedback = `It was not valid JSON (${parseError.message}). Return only a JSON object, with no markdown or commentary.`;
+    }
+
+    console.error(`[${purpose}] Attempt ${attempt}/${maxAttempts} rejected: ${feedback}`);
+    errors.push(feedback);
+    currentPrompt = buildRetryPrompt(prompt, text, feedback);
+  }
+
+  throw new StructuredOutputError(
+    `${purpose} output failed validation after ${maxAttempts} attempt(s): ${errors[errors.length - 1]}`,
+    maxAttempts
+  );
+}
+
+module.exports = {
+  DEFAULT_MAX_ATTEMPTS,
+  StructuredOutputError,
+  toResponseSchema,
+  parseJsonText,
+  formatIssues,
+  buildRetryPrompt,
+  generateStructured,
+};
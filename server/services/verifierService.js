@@ -1,177 +1,95 @@
-const { GoogleGenAI } = require('@google/genai');
 const { verifierOutputSchema } = require('../schemas');
-
-require('dotenv').config();
-
-// New SDK automatically gets API key from GEMINI_API_KEY environment variable
-const ai = new GoogleGenAI({});
-
-// Model names to try in order
-const modelNames = [
-  'gemini-2.5-flash',
-  'gemini-1.5-flash',
-  'gemini-1.5-pro',
-  'gemini-pro'
-];
+const { generateStructured } = require('./structuredOutput');
+const { applyEvidenceMatches } = require('./evidenceMatcher');
 
 /**
  * Verify all bullets in the tailored resume against original resumeText
  * @param {string} resumeText - Original resume text
  * @param {Object} tailoredResumeJson - Generated tailored resume JSON
+ * @param {Object} options - Optional settings, passed to verifyBulletList
  * @returns {Promise<Array>} Array of bullet verifications
  */
-async function verifyBullets(resumeText, tailoredResumeJson) {
+async function verifyBullets(resumeText, tailoredResumeJson, options = {}) {
   // Extract all bullets from the tailored resume
   const bullets = extractAllBullets(tailoredResumeJson);
-  
+
+  return verifyBulletList(resumeText, bullets, options);
+}
+
+/**
+ * Verify a specific set of bullets against original resumeText
+ * Used directly when only some bullets changed (e.g. after a repair round)
+ * @param {string} resumeText - Original resume text
+ * @param {Array} bullets - Bullets in the shape returned by extractAllBullets
+ * @param {Object} options - Optional settings
+ * @param {Array} options.attemptLog - Receives one entry per structured LLM call ({purpose, attempts, model, errors})
+ * @param {string} options.purpose - Provider purpose label (default 'verifier')
+ * @returns {Promise<Array>} Array of bullet verifications
+ */
+async function verifyBulletList(resumeText, bullets, options = {}) {
   if (bullets.length === 0) {
     return [];
   }
 
-  const prompt = buildVerifierPrompt(resumeText, bullets);
+  const purpose = options.purpose || 'verifier';
 
-  let response, text;
-  
-  // Try models in order until one works
-  for (let i = 0; i < modelNames.length; i++) {
-    try {
-      console.log(`Verifier attempting model: ${modelNames[i]}`);
-      
-      // New SDK API structure
-      response = await ai.models.generateContent({
-        model: modelNames[i],
-        contents: prompt
-      });
-      
-      text = response.text;
-      console.log(`✓ Verifier using model: ${modelNames[i]}`);
-      break; // Success, exit loop
-      
-    } catch (modelError) {
-      // If this is the last model, throw the error
-      if (i === modelNames.length - 1) {
-        throw modelError;
-      }
-      // Otherwise, try next model
-      continue;
-    }
-  }
+  const prompt = buildVerifierPrompt(resumeText, bullets);
 
   try {
-
-    // Parse JSON from response
-    let parsedOutput;
-    
-    // Try to extract JSON from markdown code blocks first
-    const jsonCodeBlockMatch = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-    if (jsonCodeBlockMatch) {
-      try {
-        parsedOutput = JSON.parse(jsonCodeBlockMatch[1].trim());
-      } catch (e) {
-        // Fall through to other methods
-      }
-    }
-    
-    // If not found, try to find JSON object in text
-    if (!parsedOutput) {
-      const jsonObjectMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonObjectMatch) {
-        try {
-          parsedOutput = JSON.parse(jsonObjectMatch[0]);
-        } catch (e) {
-          // Fall through
+    const { data: validatedOutput, attempts, model, errors } = await generateStructured({
+      prompt,
+      schema: verifierOutputSchema,
+      purpose,
+      preprocess: parsedOutput => {
+        // Convert null to undefined for optional fields in verifications
+        if (parsedOutput && Array.isArray(parsedOutput.verifications)) {
+          parsedOutput.verifications.forEach(verification => {
+            if (verification && verification.suggestedFix === null) {
+              verification.suggestedFix = undefined;
+            }
+          });
         }
+        return parsedOutput;
       }
-    }
-    
-    // Last resort: try parsing the whole text
-    if (!parsedOutput) {
-      try {
-        parsedOutput = JSON.parse(text.trim());
-      } catch (parseError) {
-        console.error('Failed to parse JSON from verifier response:', text.substring(0, 500));
-        throw new Error(`Failed to parse JSON from verifier response: ${parseError.message}`);
-      }
-    }
+    });
 
-    // Log parsed output for debugging
-    if (!parsedOutput) {
-      console.error('ERROR: parsedOutput is null or undefined');
-      console.error('Response text (first 1000 chars):', text.substring(0, 1000));
-      throw new Error('Failed to parse JSON from verifier response - parsedOutput is null');
-    }
-    
-    console.log('Verifier parsed output keys:', Object.keys(parsedOutput || {}));
-    
-    // Preprocess: convert null to undefined for optional fields in verifications
-    if (parsedOutput.verifications && Array.isArray(parsedOutput.verifications)) {
-      parsedOutput.verifications = parsedOutput.verifications.map(verification => {
-        if (verification.suggestedFix === null) {
-          verification.suggestedFix = undefined;
-        }
-        return verification;
-      });
+    if (options.attemptLog) {
+      options.attemptLog.push({ purpose, attempts, model, errors });
     }
-    
-    // Validate with Zod schema
-    try {
-      const validatedOutput = verifierOutputSchema.parse(parsedOutput);
-
-      // Ensure all bullets have bulletId and match with original bullets
-      validatedOutput.verifications = validatedOutput.verifications.map((verification, index) => {
-        // Find matching bullet by text (in case order differs)
-        const matchingBullet = bullets.find(b => 
-          b.bulletText === verification.bulletText || 
-          b.bulletText.includes(verification.bulletText) ||
-          verification.bulletText.includes(b.bulletText)
-        ) || bullets[index];
-        
-        return {
-          ...verification,
-          bulletId: verification.bulletId || matchingBullet?.bulletId || `bullet_${index}`
-        };
-      });
 
-      return validatedOutput.verifications;
-    } catch (zodError) {
-      console.error('Verifier schema validation failed');
-      console.error('Error name:', zodError?.name);
-      console.error('Error message:', zodError?.message);
-      console.error('Error object keys:', Object.keys(zodError || {}));
-      
-      // Check if it's a ZodError with the standard structure
-      if (zodError && typeof zodError === 'object') {
-        // Try to access errors in different ways
-        const errors = zodError.errors || zodError.issues || zodError.details || [];
-        
-        if (Array.isArray(errors) && errors.length > 0) {
-          const errorMessages = errors.map(e => {
-            const path = (e && e.path && Array.isArray(e.path)) ? e.path.join('.') : 'unknown';
-            const message = (e && e.message) ? e.message : 'validation failed';
-            return `${path}: ${message}`;
-          });
-          throw new Error(`Invalid verifier output structure: ${errorMessages.join(', ')}`);
-        }
-      }
+    // Ensure all bullets have bulletId and match with original bullets
+    const knownIds = new Set(bullets.map(b => b.bulletId));
+    validatedOutput.verifications = validatedOutput.verifications.map((verification, index) => {
+      // Find matching bullet by text (in case order differs)
+      const matchingBullet = bullets.find(b => 
+        b.bulletText === verification.bulletText || 
+        b.bulletText.includes(verification.bulletText) ||
+        verification.bulletText.includes(b.bulletText)
+      ) || bullets[index];
       
-      // Fallback error message
-      console.error('Parsed output structure:', JSON.stringify(parsedOutput, null, 2).substring(0, 1000));
-      throw new Error(`Verifier schema validation failed: ${zodError?.message || 'Unknown validation error. Check server logs for details.'}`);
-    }
+      // Only trust an ID from the model if it is one we asked about
+      const bulletId = knownIds.has(verification.bulletId) ? verification.bulletId : matchingBullet?.bulletId;
+
+      return {
+        ...verification,
+        bulletId: bulletId || `bullet_${index}`
+      };
+    });
+
+    // Combine the LLM statuses with the deterministic evidence matcher
+    return applyEvidenceMatches(resumeText, bullets, validatedOutput.verifications);
   } catch (error) {
-    // Log the actual error for debugging
-    console.error('Error in verifyBullets:', error);
-    console.error('Error name:', error.name);
-    console.error('Error message:', error.message);
-    if (error.stack) {
-      console.error('Error stack:', error.stack);
+    if (options.attemptLog && error.attempts) {
+      options.attemptLog.push({ purpose, attempts: error.attempts, model: null, errors: [error.message] });
     }
+    console.error('Error in verifyBulletList:', error.message);
     throw error;
   }
 }
 
 /**
  * Extract all bullets from tailored resume with identifiers
+ * Bullets hidden in the editor (or under a hidden role or project) are skipped but keep their indices
  * @param {Object} tailoredResumeJson - Tailored resume JSON
  * @returns {Array} Array of bullets with IDs
  */
@@ -192,14 +110,16 @@ function extractAllBullets(tailoredResumeJson) {
   // Extract from experience
   if (tailoredResumeJson.experience) {
     tailoredResumeJson.experience.forEach((exp, expIndex) => {
-      if (exp.bullets) {
+      if (exp.bullets && !exp.hidden) {
         exp.bullets.forEach((bullet, bulletIndex) => {
+          if (bullet.hidden) return;
           bullets.push({
             bulletText: bullet.text,
             section: 'experience',
             sectionIndex: expIndex,
             bulletIndex: bulletIndex,
             bulletId: `experience_${expIndex}_${bulletIndex}`,
+            evidenceSnippet: bullet.evidenceSnippet,
             roleTitle: exp.title,
             company: exp.company
           });
@@ -211,14 +131,16 @@ function extractAllBullets(tailoredResumeJson) {
   // Extract from projects
   if (tailoredResumeJson.projects) {
     tailoredResumeJson.projects.forEach((project, projIndex) => {
-      if (project.bullets) {
+      if (project.bullets && !project.hidden) {
         project.bullets.forEach((bullet, bulletIndex) => {
+          if (bullet.hidden) return;
           bullets.push({
             bulletText: bullet.text,
             section: 'projects',
             sectionIndex: projIndex,
             bulletIndex: bulletIndex,
             bulletId: `projects_${projIndex}_${bulletIndex}`,
+            evidenceSnippet: bullet.evidenceSnippet,
             projectName: project.name
           });
         });
@@ -234,7 +156,7 @@ function extractAllBullets(tailoredResumeJson) {
  */
 function buildVerifierPrompt(resumeText, bullets) {
   const bulletsList = bullets.map((bullet, index) => {
-    let context = `Bullet ${index + 1}: "${bullet.bulletText}"`;
+    let context = `Bullet ${index + 1} [${bullet.bulletId}]: "${bullet.bulletText}"`;
     if (bullet.roleTitle) {
       context += `\n  Role: ${bullet.roleTitle} at ${bullet.company}`;
     }
@@ -284,7 +206,7 @@ For each bullet, return a JSON object with this structure:
       "reason": "brief explanation of why this status",
       "evidence": "exact quote from resumeText or 'none'",
       "suggestedFix": "rewritten bullet using only supported facts (required for STRETCH/UNSUPPORTED, optional for SUPPORTED)",
-      "bulletId": "bullet identifier (e.g., experience_0_1)"
+      "bulletId": "bullet identifier shown in brackets above (e.g., experience_0_1)"
     }
   ]
 }
@@ -292,12 +214,16 @@ For each bullet, return a JSON object with this structure:
 Return ONLY valid JSON. Verify all ${bullets.length} bullets.`;
 }
 
+// Truth score penalty for each figure that does not appear in the original resume
+const INVENTED_METRIC_PENALTY = 10;
+
 /**
  * Calculate truth score from verifications
  * @param {Array} verifications - Array of bullet verifications
+ * @param {Array} metricFindings - Invented figures from findInventedMetrics (optional)
  * @returns {number} Truth score (0-100)
  */
-function calculateTruthScore(verifications) {
+function calculateTruthScore(verifications, metricFindings = []) {
   if (!verifications || verifications.length === 0) {
     return 0;
   }
@@ -318,6 +244,9 @@ function calculateTruthScore(verifications) {
     }
   });
 
+  // Every invented number, percentage, amount or duration counts against the score
+  score -= (metricFindings || []).length * INVENTED_METRIC_PENALTY;
+
   // Clamp to 0-100
   return Math.max(0, Math.min(100, score));
 }
@@ -325,9 +254,10 @@ function calculateTruthScore(verifications) {
 /**
  * Generate flags from verifications
  * @param {Array} verifications - Array of bullet verifications
+ * @param {Array} metricFindings - Invented figures from findInventedMetrics (optional)
  * @returns {Array} Array of flag objects
  */
-function generateFlags(verifications) {
+function generateFlags(verifications, metricFindings = []) {
   const flags = [];
 
   verifications.forEach(verification => {
@@ -339,18 +269,64 @@ function generateFlags(verifications) {
         reason: verification.reason,
         evidence: verification.evidence,
         suggestedFix: verification.suggestedFix,
-        section: verification.bulletId.split('_')[0] // Extract section from bulletId
+        section: verification.bulletId.split('_')[0], // Extract section from bulletId
+        llmStatus: verification.llmStatus,
+        evidenceMatch: verification.evidenceMatch,
+        // Structured-field verifications (titles, dates, skills, ...) name the field they checked
+        ...(verification.field && {
+          field: verification.field,
+          fieldLabel: verification.fieldLabel,
+          suggestedFixSource: verification.suggestedFixSource
+        })
       });
     }
   });
 
+  // One flag per invented figure
+  (metricFindings || []).forEach(finding => {
+    flags.push({
+      bulletId: finding.bulletId,
+      bulletText: finding.text,
+      status: 'INVENTED_METRIC',
+      reason: `"${finding.figure}" does not appear in the original resume.`,
+      evidence: 'none',
+      suggestedFix: null,
+      section: finding.section,
+      type: 'invented_metric',
+      figure: finding.figure,
+      figureKind: finding.kind
+    });
+  });
+
   return flags;
 }
 
+/**
+ * Generate flags for job requirements the resume does not cover
+ * @param {Array} suggestedAdditions - Generator's suggestedAdditions
+ * @returns {Array} Array of MISSING_REQUIREMENT flags
+ */
+function generateMissingRequirementFlags(suggestedAdditions) {
+  return (suggestedAdditions || []).map(suggestion => ({
+    bulletId: null,
+    bulletText: null,
+    status: 'MISSING_REQUIREMENT',
+    reason: suggestion.reason,
+    evidence: 'none',
+    suggestedFix: suggestion.suggestedText,
+    section: 'requirements',
+    type: 'missing_requirement',
+    requirement: suggestion.requirement
+  }));
+}
+
 module.exports = {
+  INVENTED_METRIC_PENALTY,
   verifyBullets,
+  verifyBulletList,
   calculateTruthScore,
   generateFlags,
+  generateMissingRequirementFlags,
   extractAllBullets,
 };
 
@@ -0,0 +1,114 @@
+// ATS-safe theme: one column, standard section headings, plain bullets and no graphics
+// Avoids grids, columns and CSS-generated characters so applicant tracking systems read the text in order
+const { renderHeader, renderSections, renderDocument } = require('./shared');
+
+// Section order and titles (shared by the HTML and DOCX renderers)
+const SECTIONS = [
+  { key: 'summary', title: 'Summary' },
+  { key: 'experience', title: 'Experience' },
+  { key: 'projects', title: 'Projects' },
+  { key: 'education', title: 'Education' },
+  { key: 'skills', title: 'Skills' }
+];
+
+// Word equivalents of the CSS below, used by the DOCX export
+const DOCX_STYLE = {
+  bodyFont: 'Arial',
+  headingFont: 'Arial',
+  fontSize: 10.5,
+  nameSize: 18,
+  color: '000000',
+  headerAlignment: 'left',
+  contactSeparator: ' | ',
+  sectionRule: false,
+  uppercaseTitles: true,
+  skillsLayout: 'inline'
+};
+
+const CSS = `
+    @page {
+      margin: 0.6in;
+      size: letter;
+    }
+
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    body {
+      font-family: Arial, Helvetica, sans-serif;
+      font-size: 10.5pt;
+      line-height: 1.4;
+      color: #000;
+      background: white;
+    }
+
+    .resume-container {
+      max-width: 8.5in;
+      margin: 0 auto;
+      padding: 0.3in 0.5in;
+    }
+
+    .header {
+      margin-bottom: 0.16in;
+    }
+
+    .header h1 {
+      font-size: 18pt;
+      font-weight: 700;
+    }
+
+    .section {
+      margin-bottom: 0.16in;
+    }
+
+    .section-title {
+      font-size: 11pt;
+      font-weight: 700;
+      text-transform: uppercase;
+      margin-bottom: 0.06in;
+    }
+
+    .experience-item, .education-item, .project-item {
+      margin-bottom: 0.12in;
+    }
+
+    .item-title {
+      font-weight: 700;
+    }
+
+    .item-description ul {
+      list-style: disc;
+      padding-left: 0.25in;
+      margin-top: 0.04in;
+    }
+
+    .item-description li {
+      margin-bottom: 0.03in;
+    }
+`;
+
+/**
+ * Render a resume with the ATS-safe theme
+ * @param {Object} resumeData - Tailored resume JSON
+ * @returns {string} HTML content
+ */
+function render(resumeData) {
+  const body = [
+    renderHeader(resumeData.basics, { separator: DOCX_STYLE.contactSeparator }),
+    renderSections(resumeData, SECTIONS, { skillsLayout: 'inline' })
+  ].join('\n');
+
+  return renderDocument(CSS, body);
+}
+
+module.exports = {
+  id: 'ats',
+  name: 'ATS-safe',
+  description: 'Plain single column with standard headings for applicant tracking systems',
+  sections: SECTIONS,
+  docxStyle: DOCX_STYLE,
+  render,
+};
@@ -0,0 +1,258 @@
+// Classic theme: centered serif header, rule under each section title, three-column skills grid
+// This is the original resume layout and the default template
+const { renderHeader, renderSections, renderDocument } = require('./shared');
+
+// Section order and titles (shared by the HTML and DOCX renderers)
+const SECTIONS = [
+  { key: 'summary', title: 'Professional Summary' },
+  { key: 'experience', title: 'Professional Experience' },
+  { key: 'projects', title: 'Projects' },
+  { key: 'education', title: 'Education' },
+  { key: 'skills', title: 'Technical Skills' }
+];
+
+// Word equivalents of the CSS below, used by the DOCX export
+const DOCX_STYLE = {
+  bodyFont: 'Georgia',
+  headingFont: 'Arial',
+  fontSize: 10,
+  nameSize: 24,
+  color: '2C3E50',
+  headerAlignment: 'center',
+  contactSeparator: ' • ',
+  sectionRule: true,
+  uppercaseTitles: true,
+  skillsLayout: 'grid'
+};
+
+const CSS = `
+    @page {
+      margin: 0.5in;
+      size: letter;
+    }
+    
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+    
+    body {
+      font-family: 'Georgia', 'Times New Roman', serif;
+      font-size: 11pt;
+      line-height: 1.5;
+      color: #1a1a1a;
+      background: white;
+    }
+    
+    .resume-container {
+      max-width: 8.5in;
+      margin: 0 auto;
+      padding: 0.4in 0.5in;
+    }
+    
+    /* Header Section */
+    .header {
+      text-align: center;
+      margin-bottom: 0.3in;
+      padding-bottom: 0.15in;
+      border-bottom: 2pt solid #2c3e50;
+    }
+    
+    .header h1 {
+      font-size: 24pt;
+      font-weight: 700;
+      color: #2c3e50;
+      margin-bottom: 0.1in;
+      letter-spacing: 0.5pt;
+    }
+    
+    .header .contact-info {
+      display: flex;
+      justify-content: center;
+      flex-wrap: wrap;
+      gap: 0.15in;
+      font-size: 9.5pt;
+      color: #555;
+      font-family: 'Arial', sans-serif;
+    }
+    
+    .header .contact-info span {
+      padding: 0 0.08in;
+    }
+    
+    .header .contact-info span:not(:last-child)::after {
+      content: "•";
+      margin-left: 0.15in;
+      color: #999;
+    }
+    
+    /* Section Styling */
+    .section {
+      margin-bottom: 0.2in;
+      page-break-inside: avoid;
+    }
+    
+    .section-title {
+      font-size: 12pt;
+      font-weight: 700;
+      color: #2c3e50;
+      text-transform: uppercase;
+      letter-spacing: 1pt;
+      margin-bottom: 0.1in;
+      padding-bottom: 0.03in;
+      border-bottom: 1pt solid #bdc3c7;
+      font-family: 'Arial', sans-serif;
+    }
+    
+    /* Summary Section */
+    .summary {
+      font-size: 10.5pt;
+      line-height: 1.6;
+      text-align: justify;
+      margin-bottom: 0.15in;
+      color: #333;
+    }
+    
+    /* Experience/Education/Projects Items */
+    .experience-item, .education-item, .project-item {
+      margin-bottom: 0.15in;
+      page-break-inside: avoid;
+    }
+    
+    .item-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: flex-start;
+      margin-bottom: 0.05in;
+    }
+    
+    .item-left {
+      flex: 1;
+    }
+    
+    .item-title {
+      font-weight: 700;
+      font-size: 11pt;
+      color: #2c3e50;
+      margin-bottom: 0.02in;
+      font-family: 'Arial', sans-serif;
+    }
+    
+    .item-company, .item-school {
+      font-size: 10pt;
+      color: #555;
+      font-style: italic;
+      margin-bottom: 0.02in;
+    }
+    
+    .item-date {
+      font-size: 10pt;
+      color: #777;
+      white-space: nowrap;
+      font-family: 'Arial', sans-serif;
+      font-weight: 500;
+    }
+    
+    .item-description {
+      margin-top: 0.08in;
+      padding-left: 0.2in;
+    }
+    
+    .item-description ul {
+      list-style: none;
+      padding: 0;
+      margin: 0;
+    }
+    
+    .item-description li {
+      font-size: 10pt;
+      line-height: 1.6;
+      margin-bottom: 0.05in;
+      position: relative;
+      padding-left: 0.15in;
+      text-align: justify;
+    }
+    
+    .item-description li:before {
+      content: "▸";
+      position: absolute;
+      left: 0;
+      color: #2c3e50;
+      font-size: 8pt;
+      top: 0.02in;
+    }
+    
+    .item-description li:last-child {
+      margin-bottom: 0;
+    }
+    
+    /* Skills Grid */
+    .skills-grid {
+      display: grid;
+      grid-template-columns: repeat(3, 1fr);
+      gap: 0.08in 0.15in;
+      margin-top: 0.05in;
+    }
+    
+    .skill-item {
+      font-size: 10pt;
+      color: #333;
+      padding: 0.03in 0;
+      border-bottom: 0.5pt dotted #ddd;
+      font-family: 'Arial', sans-serif;
+    }
+    
+    /* Projects specific */
+    .project-tech {
+      font-size: 9.5pt;
+      color: #666;
+      font-style: italic;
+      margin-top: 0.02in;
+    }
+    
+    /* Education specific */
+    .education-honors {
+      font-size: 9.5pt;
+      color: #555;
+      margin-top: 0.02in;
+    }
+    
+    /* Optimize for 1 page */
+    @media print {
+      .section {
+        margin-bottom: 0.15in;
+      }
+      
+      .experience-item, .education-item, .project-item {
+        margin-bottom: 0.12in;
+      }
+      
+      .item-description li {
+        margin-bottom: 0.04in;
+      }
+    }
+`;
+
+/**
+ * Render a resume with the classic theme
+ * @param {Object} resumeData - Tailored resume JSON
+ * @returns {string} HTML content
+ */
+function render(resumeData) {
+  const body = [
+    renderHeader(resumeData.basics),
+    renderSections(resumeData, SECTIONS, { skillsLayout: 'grid' })
+  ].join('\n');
+
+  return renderDocument(CSS, body);
+}
+
+module.exports = {
+  id: 'classic',
+  name: 'Classic',
+  description: 'Centered serif header with ruled section titles',
+  sections: SECTIONS,
+  docxStyle: DOCX_STYLE,
+  render,
+};
@@ -0,0 +1,222 @@
+// Compact theme: two columns with contact details, skills and education in a sidebar
+// Small type and tight spacing to fit more on one page
+const { escapeHtml, contactItems, renderSections, renderDocument } = require('./shared');
+
+// Main column sections, then sidebar sections below the contact details (shared by the HTML and DOCX renderers)
+const SECTIONS = [
+  { key: 'summary', title: 'Summary' },
+  { key: 'experience', title: 'Experience' },
+  { key: 'projects', title: 'Projects' }
+];
+const SIDEBAR_SECTIONS = [
+  { key: 'skills', title: 'Skills' },
+  { key: 'education', title: 'Education' }
+];
+
+// Word equivalents of the CSS below, used by the DOCX export (the columns become a borderless two-cell table)
+const DOCX_STYLE = {
+  bodyFont: 'Calibri',
+  headingFont: 'Calibri',
+  fontSize: 9.5,
+  nameSize: 20,
+  color: '0F172A',
+  headerAlignment: 'left',
+  contactSeparator: null,
+  sectionRule: true,
+  uppercaseTitles: true,
+  skillsLayout: 'list',
+  sidebarWidth: 2.05
+};
+
+const CSS = `
+    @page {
+      margin: 0.4in;
+      size: letter;
+    }
+
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    body {
+      font-family: 'Calibri', 'Segoe UI', Arial, sans-serif;
+      font-size: 9.5pt;
+      line-height: 1.35;
+      color: #222;
+      background: white;
+    }
+
+    .resume-container {
+      max-width: 8.5in;
+      margin: 0 auto;
+      padding: 0.3in 0.4in;
+    }
+
+    .header {
+      margin-bottom: 0.14in;
+      padding-bottom: 0.08in;
+      border-bottom: 1.5pt solid #334155;
+    }
+
+    .header h1 {
+      font-size: 20pt;
+      font-weight: 700;
+      color: #0f172a;
+    }
+
+    /* Two columns: sidebar then main */
+    .columns {
+      display: grid;
+      grid-template-columns: 2.05in 1fr;
+      gap: 0.25in;
+    }
+
+    .sidebar {
+      padding-right: 0.15in;
+      border-right: 0.75pt solid #cbd5e1;
+    }
+
+    .contact-info {
+      display: flex;
+      flex-direction: column;
+      gap: 0.03in;
+      font-size: 8.5pt;
+      color: #334155;
+      word-break: break-word;
+    }
+
+    .section {
+      margin-bottom: 0.14in;
+      page-break-inside: avoid;
+    }
+
+    .section-title {
+      font-size: 9.5pt;
+      font-weight: 700;
+      color: #0f172a;
+      text-transform: uppercase;
+      letter-spacing: 0.8pt;
+      margin-bottom: 0.06in;
+      padding-bottom: 0.02in;
+      border-bottom: 0.75pt solid #cbd5e1;
+    }
+
+    .summary {
+      font-size: 9.5pt;
+      color: #333;
+    }
+
+    .experience-item, .education-item, .project-item {
+      margin-bottom: 0.1in;
+      page-break-inside: avoid;
+    }
+
+    .item-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: baseline;
+      gap: 0.1in;
+    }
+
+    .sidebar .item-header {
+      display: block;
+    }
+
+    .item-left {
+      flex: 1;
+    }
+
+    .item-title {
+      font-weight: 700;
+      font-size: 9.5pt;
+    }
+
+    .item-company, .item-school {
+      font-size: 9pt;
+      color: #475569;
+      font-style: italic;
+    }
+
+    .item-date {
+      font-size: 8.5pt;
+      color: #64748b;
+      white-space: nowrap;
+    }
+
+    .item-description {
+      margin-top: 0.03in;
+    }
+
+    .item-description ul {
+      padding-left: 0.16in;
+      margin: 0;
+    }
+
+    .item-description li {
+      font-size: 9pt;
+      margin-bottom: 0.02in;
+    }
+
+    .skills-list {
+      display: flex;
+      flex-direction: column;
+      gap: 0.02in;
+    }
+
+    .skill-item {
+      font-size: 8.5pt;
+      color: #334155;
+    }
+
+    .project-tech, .education-honors {
+      font-size: 8.5pt;
+      color: #64748b;
+    }
+`;
+
+/**
+ * Render a resume with the compact two-column theme
+ * @param {Object} resumeData - Tailored resume JSON
+ * @returns {string} HTML content
+ */
+function render(resumeData) {
+  const basics = resumeData.basics || {};
+
+  const sidebar = [
+    `
+    <div class="section">
+      <div class="section-title">Contact</div>
+      <div class="contact-info">
+        ${contactItems(basics).map(item => `<span>${escapeHtml(item)}</span>`).join('\n        ')}
+      </div>
+    </div>`,
+    renderSections(resumeData, SIDEBAR_SECTIONS, { skillsLayout: 'list' })
+  ].join('\n');
+
+  const main = renderSections(resumeData, SECTIONS);
+
+  const body = `
+    <div class="header">
+      <h1>${escapeHtml(basics.name || 'Your Name')}</h1>
+    </div>
+    <div class="columns">
+      <div class="sidebar">${sidebar}
+      </div>
+      <div class="main">${main}
+      </div>
+    </div>`;
+
+  return renderDocument(CSS, body);
+}
+
+module.exports = {
+  id: 'compact',
+  name: 'Compact (two-column)',
+  description: 'Dense two-column layout with contact, skills and education in a sidebar',
+  sections: SECTIONS,
+  sidebarSections: SIDEBAR_SECTIONS,
+  docxStyle: DOCX_STYLE,
+  render,
+};
@@ -0,0 +1,61 @@
+// Resume template registry
+// Each template module exports { id, name, description, render(resumeData) -> HTML }
+const classic = require('./classic');
+const modern = require('./modern');
+const compact = require('./compact');
+const ats = require('./ats');
+const { withoutHiddenItems } = require('../utils/resumeBullets');
+
+const DEFAULT_TEMPLATE = 'classic';
+
+const TEMPLATES = {
+  [classic.id]: classic,
+  [modern.id]: modern,
+  [compact.id]: compact,
+  [ats.id]: ats,
+};
+
+// Template ids in display order (used by the generate input schema)
+const TEMPLATE_IDS = Object.keys(TEMPLATES);
+
+/**
+ * Look up a template, falling back to the default for unknown or missing ids
+ * (generations created before templates existed have no template stored)
+ * @param {string} templateId - Template id
+ * @returns {Object} Template module
+ */
+function getTemplate(templateId) {
+  return TEMPLATES[templateId] || TEMPLATES[DEFAULT_TEMPLATE];
+}
+
+/**
+ * Templates available to clients
+ * @returns {Array<{id: string, name: string, description: string, isDefault: boolean}>} Template summaries
+ */
+function listTemplates() {
+  return TEMPLATE_IDS.map(id => ({
+    id,
+    name: TEMPLATES[id].name,
+    description: TEMPLATES[id].description,
+    isDefault: id === DEFAULT_TEMPLATE
+  }));
+}
+
+/**
+ * Render resume HTML with a template
+ * Items hidden in the editor are left out
+ * @param {Object} resumeData - Tailored resume JSON
+ * @param {string} templateId - Template id (defaults to classic)
+ * @returns {string} HTML content
+ */
+function renderResumeHTML(resumeData, templateId = DEFAULT_TEMPLATE) {
+  return getTemplate(templateId).render(withoutHiddenItems(resumeData));
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  TEMPLATE_IDS,
+  getTemplate,
+  listTemplates,
+  renderResumeHTML,
+};
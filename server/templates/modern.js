@@ -0,0 +1,211 @@
+// Modern theme: left-aligned sans-serif layout with an accent color and skill tags
+const { renderHeader, renderSections, renderDocument } = require('./shared');
+
+const ACCENT_COLOR = '#2563eb';
+
+// Section order and titles (shared by the HTML and DOCX renderers)
+const SECTIONS = [
+  { key: 'summary', title: 'Summary' },
+  { key: 'experience', title: 'Experience' },
+  { key: 'projects', title: 'Projects' },
+  { key: 'skills', title: 'Skills' },
+  { key: 'education', title: 'Education' }
+];
+
+// Word equivalents of the CSS below, used by the DOCX export
+const DOCX_STYLE = {
+  bodyFont: 'Arial',
+  headingFont: 'Arial',
+  fontSize: 10,
+  nameSize: 24,
+  color: ACCENT_COLOR.slice(1).toUpperCase(),
+  headerAlignment: 'left',
+  contactSeparator: '   ',
+  sectionRule: false,
+  uppercaseTitles: true,
+  // Skill tags become a single comma-separated line
+  skillsLayout: 'inline'
+};
+
+const CSS = `
+    @page {
+      margin: 0.5in;
+      size: letter;
+    }
+
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    body {
+      font-family: 'Helvetica Neue', 'Segoe UI', Arial, sans-serif;
+      font-size: 10.5pt;
+      line-height: 1.45;
+      color: #1f2937;
+      background: white;
+    }
+
+    .resume-container {
+      max-width: 8.5in;
+      margin: 0 auto;
+      padding: 0.35in 0.5in;
+    }
+
+    /* Header Section */
+    .header {
+      margin-bottom: 0.22in;
+      padding-left: 0.14in;
+      border-left: 4pt solid ${ACCENT_COLOR};
+    }
+
+    .header h1 {
+      font-size: 24pt;
+      font-weight: 700;
+      color: #111827;
+      letter-spacing: -0.3pt;
+      margin-bottom: 0.04in;
+    }
+
+    .header .contact-info {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.04in 0.18in;
+      font-size: 9pt;
+      color: #4b5563;
+    }
+
+    /* Section Styling */
+    .section {
+      margin-bottom: 0.18in;
+      page-break-inside: avoid;
+    }
+
+    .section-title {
+      font-size: 10pt;
+      font-weight: 700;
+      color: ${ACCENT_COLOR};
+      text-transform: uppercase;
+      letter-spacing: 1.2pt;
+      margin-bottom: 0.08in;
+    }
+
+    .summary {
+      font-size: 10pt;
+      line-height: 1.55;
+      color: #374151;
+    }
+
+    /* Experience/Education/Projects Items */
+    .experience-item, .education-item, .project-item {
+      margin-bottom: 0.13in;
+      page-break-inside: avoid;
+    }
+
+    .item-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: baseline;
+    }
+
+    .item-left {
+      flex: 1;
+    }
+
+    .item-title {
+      font-weight: 700;
+      font-size: 10.5pt;
+      color: #111827;
+    }
+
+    .item-company, .item-school {
+      font-size: 10pt;
+      color: #4b5563;
+    }
+
+    .item-date {
+      font-size: 9pt;
+      color: #6b7280;
+      white-space: nowrap;
+      font-weight: 600;
+    }
+
+    .item-description {
+      margin-top: 0.05in;
+    }
+
+    .item-description ul {
+      list-style: none;
+      padding: 0;
+      margin: 0;
+    }
+
+    .item-description li {
+      font-size: 10pt;
+      line-height: 1.5;
+      margin-bottom: 0.04in;
+      position: relative;
+      padding-left: 0.16in;
+    }
+
+    .item-description li:before {
+      content: "";
+      position: absolute;
+      left: 0.02in;
+      top: 0.07in;
+      width: 4pt;
+      height: 4pt;
+      border-radius: 50%;
+      background: ${ACCENT_COLOR};
+    }
+
+    /* Skills as tags */
+    .skills-grid {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.05in;
+    }
+
+    .skill-item {
+      font-size: 9pt;
+      color: #1e3a8a;
+      background: #eff6ff;
+      border: 0.75pt solid #bfdbfe;
+      border-radius: 3pt;
+      padding: 0.015in 0.07in;
+    }
+
+    .project-tech {
+      font-size: 9pt;
+      color: #6b7280;
+    }
+
+    .education-honors {
+      font-size: 9pt;
+      color: #4b5563;
+    }
+`;
+
+/**
+ * Render a resume with the modern theme
+ * @param {Object} resumeData - Tailored resume JSON
+ * @returns {string} HTML content
+ */
+function render(resumeData) {
+  const body = [
+    renderHeader(resumeData.basics),
+    renderSections(resumeData, SECTIONS, { skillsLayout: 'grid' })
+  ].join('\n');
+
+  return renderDocument(CSS, body);
+}
+
+module.exports = {
+  id: 'modern',
+  name: 'Modern',
+  description: 'Left-aligned sans-serif layout with an accent color and skill tags',
+  sections: SECTIONS,
+  docxStyle: DOCX_STYLE,
+  render,
+};
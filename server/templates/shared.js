@@ -0,0 +1,212 @@
+// Markup shared by the resume templates
+// Every template renders the same sections with the same class names; themes differ in CSS, section titles
+// and layout, so the text order a PDF parser sees stays the same across templates
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return String(text ?? '').replace(/[&<>"']/g, m => map[m]);
+}
+
+/**
+ * Contact details in display order (email, phone, location, then links)
+ * @param {Object} basics - Resume basics
+ * @returns {Array<string>} Non-empty contact details
+ */
+function contactItems(basics = {}) {
+  const links = basics.links || {};
+  return [basics.email, basics.phone, basics.location, links.linkedIn, links.github, links.portfolio, links.website]
+    .filter(Boolean);
+}
+
+/**
+ * Name and contact line
+ * @param {Object} basics - Resume basics
+ * @param {Object} options - Header options
+ * @param {string} options.separator - Text placed between contact details; by default each detail is its own span for CSS to space
+ */
+function renderHeader(basics = {}, { separator = null } = {}) {
+  const items = contactItems(basics).map(escapeHtml);
+  const contact = separator
+    ? items.join(escapeHtml(separator))
+    : items.map(item => `<span>${item}</span>`).join('\n        ');
+
+  return `
+    <div class="header">
+      <h1>${escapeHtml(basics.name || 'Your Name')}</h1>
+      <div class="contact-info">
+        ${contact}
+      </div>
+    </div>`;
+}
+
+function renderBullets(bullets) {
+  if (!bullets || bullets.length === 0) return '';
+  return `
+          <div class="item-description">
+            <ul>
+              ${bullets.map(bullet => `<li>${escapeHtml(bullet.text || '')}</li>`).join('')}
+            </ul>
+          </div>`;
+}
+
+function renderSummary(resumeData, title) {
+  if (!resumeData.summary) return '';
+  return `
+    <div class="section">
+      <div class="section-title">${title}</div>
+      <div class="summary">${escapeHtml(resumeData.summary)}</div>
+    </div>`;
+}
+
+function renderExperience(resumeData, title) {
+  if (!resumeData.experience || resumeData.experience.length === 0) return '';
+  return `
+    <div class="section">
+      <div class="section-title">${title}</div>
+      ${resumeData.experience.map(exp => `
+        <div class="experience-item">
+          <div class="item-header">
+            <div class="item-left">
+              <div class="item-title">${escapeHtml(exp.title || '')}</div>
+              <div class="item-company">${escapeHtml(exp.company || '')}${exp.location ? `, ${escapeHtml(exp.location)}` : ''}</div>
+            </div>
+            <div class="item-date">${escapeHtml(exp.startDate || '')} - ${escapeHtml(exp.endDate || 'Present')}</div>
+          </div>${renderBullets(exp.bullets)}
+        </div>
+      `).join('')}
+    </div>`;
+}
+
+function renderProjects(resumeData, title) {
+  if (!resumeData.projects || resumeData.projects.length === 0) return '';
+  return `
+    <div class="section">
+      <div class="section-title">${title}</div>
+      ${resumeData.projects.map(project => `
+        <div class="project-item">
+          <div class="item-header">
+            <div class="item-left">
+              <div class="item-title">${escapeHtml(project.name || '')}</div>
+              ${project.description ? `<div class="item-company">${escapeHtml(project.description)}</div>` : ''}
+              ${project.technologies && project.technologies.length > 0 ? `<div class="project-tech">${escapeHtml(project.technologies.join(' • '))}</div>` : ''}
+              ${project.url ? `<div class="project-tech">${escapeHtml(project.url)}</div>` : ''}
+            </div>
+          </div>${renderBullets(project.bullets)}
+        </div>
+      `).join('')}
+    </div>`;
+}
+
+function renderEducation(resumeData, title) {
+  if (!resumeData.education || resumeData.education.length === 0) return '';
+  return `
+    <div class="section">
+      <div class="section-title">${title}</div>
+      ${resumeData.education.map(edu => `
+        <div class="education-item">
+          <div class="item-header">
+            <div class="item-left">
+              <div class="item-title">${escapeHtml(edu.degree || '')}</div>
+              <div class="item-school">${escapeHtml(edu.school || '')}</div>
+              ${edu.honors && edu.honors.length > 0 ? `<div class="education-honors">${escapeHtml(edu.honors.join(', '))}</div>` : ''}
+            </div>
+            <div class="item-date">${escapeHtml(edu.graduationDate || '')}${edu.gpa ? ` | GPA: ${escapeHtml(edu.gpa)}` : ''}</div>
+          </div>
+        </div>
+      `).join('')}
+    </div>`;
+}
+
+/**
+ * Skills as a grid of cells ('grid'), one per line ('list') or a comma-separated paragraph ('inline')
+ */
+function renderSkills(resumeData, title, layout = 'grid') {
+  if (!resumeData.skills || resumeData.skills.length === 0) return '';
+
+  let content;
+  if (layout === 'inline') {
+    content = `<div class="skills-inline">${escapeHtml(resumeData.skills.join(', '))}</div>`;
+  } else {
+    const className = layout === 'list' ? 'skills-list' : 'skills-grid';
+    content = `<div class="${className}">
+        ${resumeData.skills.map(skill => `<div class="skill-item">${escapeHtml(skill)}</div>`).join('')}
+      </div>`;
+  }
+
+  return `
+    <div class="section">
+      <div class="section-title">${title}</div>
+      ${content}
+    </div>`;
+}
+
+const SECTION_RENDERERS = {
+  summary: renderSummary,
+  experience: renderExperience,
+  projects: renderProjects,
+  education: renderEducation,
+};
+
+/**
+ * Render a template's sections in order
+ * @param {Object} resumeData - Tailored resume JSON
+ * @param {Array<{key: string, title: string}>} sections - Section keys and titles
+ * @param {Object} options - Section options
+ * @param {string} options.skillsLayout - Skills layout ('grid', 'list' or 'inline')
+ * @returns {string} Section markup
+ */
+function renderSections(resumeData, sections, { skillsLayout = 'grid' } = {}) {
+  return sections
+    .map(({ key, title }) => (key === 'skills'
+      ? renderSkills(resumeData, title, skillsLayout)
+      : SECTION_RENDERERS[key](resumeData, title)))
+    .join('\n');
+}
+
+/**
+ * Wrap a template's CSS and body markup in a complete HTML document
+ */
+function renderDocument(css, body) {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Resume</title>
+  <style>
+${css}
+  </style>
+</head>
+<body>
+  <div class="resume-container">
+${body}
+  </div>
+</body>
+</html>
+  `;
+}
+
+module.exports = {
+  escapeHtml,
+  contactItems,
+  renderHeader,
+  renderSummary,
+  renderExperience,
+  renderProjects,
+  renderEducation,
+  renderSkills,
+  renderSections,
+  renderDocument,
+};
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { locateSnippet, applyEvidenceMatches } = require('../services/evidenceMatcher');
+
+const resumeText = 'Acme Corp\n- Built REST APIs in Node.js serving 2 million requests per day\n- Led migration to Kubernetes';
+
+test('locateSnippet finds no match for a snippet of only symbols', async (t) => {
+  for (const snippet of ['•••', '—', '...', '★ ★']) {
+    await t.test(JSON.stringify(snippet), () => {
+      const match = locateSnippet(resumeText, snippet);
+      assert.equal(match.matchType, 'none');
+      assert.equal(match.start, null);
+      assert.equal(match.end, null);
+    });
+  }
+});
+
+test('locateSnippet still finds an exact snippet', () => {
+  const match = locateSnippet(resumeText, 'Led migration to Kubernetes');
+  assert.equal(match.matchType, 'exact');
+  assert.equal(resumeText.slice(match.start, match.end), 'Led migration to Kubernetes');
+});
+
+test('applyEvidenceMatches flags a symbol-only snippet and bullets the LLM skipped', () => {
+  const bullets = [
+    { bulletId: 'experience_0_0', section: 'experience', bulletText: 'Built REST APIs in Node.js', evidenceSnippet: '•••' },
+    { bulletId: 'experience_0_1', section: 'experience', bulletText: 'Led migration to Kubernetes', evidenceSnippet: 'Led migration to Kubernetes' },
+  ];
+  const verifications = [
+    { bulletId: 'experience_0_0', bulletText: 'Built REST APIs in Node.js', status: 'SUPPORTED', reason: 'Stated.', evidence: '•••' },
+  ];
+
+  const combined = applyEvidenceMatches(resumeText, bullets, verifications);
+  assert.deepEqual(combined.map(verification => [verification.bulletId, verification.status]), [
+    ['experience_0_0', 'UNSUPPORTED'],
+    ['experience_0_1', 'UNSUPPORTED'],
+  ]);
+  assert.equal(combined[1].evidenceMatch.matchType, 'exact');
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { verifyStructuredFields } = require('../services/fieldVerifier');
+
+// Two roles whose dates share 2020
+const resumeText = [
+  'Acme Corp',
+  'Senior Backend Engineer',
+  'Jan 2021 - Present',
+  '- Led the migration of the order pipeline from a monolith to event-driven services on Kubernetes and Kafka.',
+  '- Built the internal deployment tooling used by every product team, with canary releases and automated rollback.',
+  '- Mentored new backend engineers through design reviews, pairing sessions and an onboarding curriculum.',
+  '- Owned the on-call rotation for the payments platform and wrote the incident review process.',
+  'Globex',
+  'Backend Engineer',
+  'Mar 2018 - Dec 2020',
+  '- Maintained the billing APIs and their integration tests.',
+].join('\n');
+
+function dateVerification(tailoredResumeJson, bulletId) {
+  return verifyStructuredFields(resumeText, tailoredResumeJson).find(verification => verification.bulletId === bulletId);
+}
+
+test('verifyDate does not suggest another role\'s date from the same year', () => {
+  const verification = dateVerification({
+    experience: [{ company: 'Acme Corp', title: 'Senior Backend Engineer', startDate: 'Jan 2020', endDate: 'Present' }],
+  }, 'experience_0_startDate');
+
+  assert.equal(verification.status, 'UNSUPPORTED');
+  assert.equal(verification.suggestedFix, undefined);
+  assert.equal(verification.suggestedFixSource, undefined);
+  assert.equal(verification.evidence, 'none');
+  assert.doesNotMatch(verification.reason, /Dec 2020/);
+});
+
+test('verifyDate suggests the date written with the role', () => {
+  const verification = dateVerification({
+    experience: [{ company: 'Globex', title: 'Backend Engineer', startDate: 'Mar 2018', endDate: 'Nov 2020' }],
+  }, 'experience_0_endDate');
+
+  assert.equal(verification.status, 'UNSUPPORTED');
+  assert.equal(verification.suggestedFix, 'Dec 2020');
+  assert.equal(verification.suggestedFixSource, 'entry');
+  assert.equal(verification.evidence, 'Dec 2020');
+});
+
+test('verifyDate supports a date that matches the role', () => {
+  const verification = dateVerification({
+    experience: [{ company: 'Acme Corp', title: 'Senior Backend Engineer', startDate: 'Jan 2021', endDate: 'Present' }],
+  }, 'experience_0_startDate');
+
+  assert.equal(verification.status, 'SUPPORTED');
+});
+
+test('adjacent one-line roles do not lend each other their titles and dates', () => {
+  const adjacentRoles = [
+    'EXPERIENCE',
+    'Software Engineer | Acme | Jan 2021 - Present',
+    'Data Analyst | Globex | Jun 2018 - Dec 2020',
+  ].join('\n');
+
+  const verifications = verifyStructuredFields(adjacentRoles, {
+    experience: [
+      { company: 'Acme', title: 'Data Analyst', startDate: 'Jun 2018', endDate: 'Dec 2020' },
+      { company: 'Globex', title: 'Software Engineer', startDate: 'Jan 2021', endDate: 'Present' },
+    ],
+  });
+
+  ['title', 'startDate', 'endDate'].forEach(field => {
+    [0, 1].forEach(roleIndex => {
+      const verification = verifications.find(item => item.bulletId === `experience_${roleIndex}_${field}`);
+      assert.notEqual(verification.status, 'SUPPORTED', `experience_${roleIndex}_${field}`);
+    });
+  });
+});
+
+test('adjacent one-line roles verify their own titles and dates', () => {
+  const adjacentRoles = [
+    'EXPERIENCE',
+    'Software Engineer | Acme | Jan 2021 - Present',
+    'Data Analyst | Globex | Jun 2018 - Dec 2020',
+  ].join('\n');
+
+  const verifications = verifyStructuredFields(adjacentRoles, {
+    experience: [
+      { company: 'Acme', title: 'Software Engineer', startDate: 'Jan 2021', endDate: 'Present' },
+      { company: 'Globex', title: 'Data Analyst', startDate: 'Jun 2018', endDate: 'Dec 2020' },
+    ],
+  });
+
+  assert.deepEqual(verifications.map(item => item.status), Array(verifications.length).fill('SUPPORTED'));
+});
+
+test('a current role needs "Present" as the end of its own date range', () => {
+  const verification = verifyStructuredFields([
+    'Acme',
+    'Backend Engineer, Mar 2018 - Dec 2020',
+    '- Replaced the current billing system and cut invoice errors.',
+  ].join('\n'), {
+    experience: [{ company: 'Acme', title: 'Backend Engineer', startDate: 'Mar 2018', endDate: 'Present' }],
+  }).find(item => item.bulletId === 'experience_0_endDate');
+
+  assert.notEqual(verification.status, 'SUPPORTED');
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractFigures, findInventedMetrics } = require('../services/metricGuard');
+
+const figures = text => extractFigures(text).map(({ raw, kind, value }) => ({ raw, kind, value }));
+const inventedFigures = (resumeText, bulletText) => findInventedMetrics(resumeText, {
+  experience: [{ company: 'Acme Corp', bullets: [{ text: bulletText }] }],
+}).map(finding => finding.figure);
+
+test('extractFigures skips versions, names and glued tokens', async (t) => {
+  const cases = [
+    'Migrated the billing service to Python 3',
+    'Implemented OAuth 2.0 login flows',
+    'Built a COVID-19 case tracking dashboard',
+    'Kept the platform running 24/7',
+    'Rolled out a 401k enrollment portal',
+    'Shipped ES6 modules for 5G devices',
+    'Upgraded Java 17 services',
+    'Led the platform team from Jan 2020 - Dec 2021',
+  ];
+
+  for (const text of cases) {
+    await t.test(text, () => {
+      assert.deepEqual(figures(text), []);
+    });
+  }
+});
+
+test('extractFigures keeps numbers with a metric signal', async (t) => {
+  const cases = [
+    ['Reduced latency by 35%', [{ raw: '35%', kind: 'percent', value: 35 }]],
+    ['Cut cloud costs by $50k', [{ raw: '$50k', kind: 'currency', value: 50000 }]],
+    ['Improved throughput 3x', [{ raw: '3x', kind: 'multiplier', value: 3 }]],
+    ['Over 5 years of experience', [{ raw: '5 years', kind: 'duration', value: 5 }]],
+    ['Led 5 engineers', [{ raw: '5', kind: 'count', value: 5 }]],
+    ['Served 2,000 customers', [{ raw: '2,000', kind: 'count', value: 2000 }]],
+    ['Grew to 1.2M users', [{ raw: '1.2M', kind: 'count', value: 1200000 }]],
+    ['Onboarded two hundred clients', [{ raw: 'two hundred', kind: 'count', value: 200 }]],
+    ['Wrote Python 3 scripts that processed 40 files', [{ raw: '40', kind: 'count', value: 40 }]],
+    ['Managed a team of 12', [{ raw: '12', kind: 'count', value: 12 }]],
+  ];
+
+  for (const [text, expected] of cases) {
+    await t.test(text, () => {
+      assert.deepEqual(figures(text), expected);
+    });
+  }
+});
+
+test('findInventedMetrics does not flag versions in honest bullets', () => {
+  const resumeText = 'Acme Corp\n- Migrated services to Python 3 and OAuth 2.0\n- Cut build time from 30 to 12 minutes';
+  const tailoredResumeJson = {
+    summary: 'Backend engineer with COVID-19 and 24/7 on-call experience',
+    experience: [{
+      company: 'Acme Corp',
+      bullets: [
+        { text: 'Migrated 30 services to Python 3 with OAuth 2.0' },
+        { text: 'Cut build time to 12 minutes' },
+        { text: 'Reduced error rate by 40%' },
+      ],
+    }],
+  };
+
+  const findings = findInventedMetrics(resumeText, tailoredResumeJson);
+  assert.deepEqual(findings.map(finding => finding.figure), ['40%']);
+});
+
+test('findInventedMetrics requires the same kind and unit', async (t) => {
+  const resumeText = 'Acme Corp\n- Cut deploy time to 30 minutes\n- Mentored 12 engineers over 12 months';
+  const cases = [
+    ['Saved $30 per deploy', ['$30']],
+    ['Brought 12 years of mentoring experience', ['12 years']],
+    ['Cut deploy time to 30 min', []],
+    ['Mentored a team of 12', []],
+  ];
+
+  for (const [bulletText, expected] of cases) {
+    await t.test(bulletText, () => {
+      assert.deepEqual(inventedFigures(resumeText, bulletText), expected);
+    });
+  }
+});
+
+test('findInventedMetrics ignores contact details and dates in the resume', async (t) => {
+  const resumeText = 'Jane Doe | (555) 123-4567 | jane@example.com\nAcme Corp, Jan 2020 - Dec 2021\n- Built billing APIs';
+  const cases = [
+    ['Onboarded 555 clients', ['555']],
+    ['Served 2020 customers', ['2020']],
+    ['Wrote 123 integration tests', ['123']],
+  ];
+
+  for (const [bulletText, expected] of cases) {
+    await t.test(bulletText, () => {
+      assert.deepEqual(inventedFigures(resumeText, bulletText), expected);
+    });
+  }
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { htmlToResumeText } = require('../utils/resumeExtractor');
+
+test('htmlToResumeText keeps a table row with paragraph-wrapped cells on one line', () => {
+  const text = htmlToResumeText('<table><tr><td><p>A</p></td><td><p>B</p></td></tr></table>');
+
+  assert.equal(text.trim(), 'A | B');
+});
+
+test('htmlToResumeText joins several paragraphs in one cell like separate cells', () => {
+  const text = htmlToResumeText(
+    '<p>EXPERIENCE</p><table><tr><td><p>Acme Corp</p><p>Backend Engineer</p></td><td><p>Jan 2020 - Present</p></td></tr></table>'
+  );
+
+  assert.deepEqual(text.trim().split('\n'), ['EXPERIENCE', 'Acme Corp | Backend Engineer | Jan 2020 - Present']);
+});
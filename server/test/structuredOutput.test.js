@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { z } = require('zod');
+
+const { setLLMProvider } = require('../services/llmProvider');
+const { buildRetryPrompt, generateStructured } = require('../services/structuredOutput');
+
+test('buildRetryPrompt quotes the rejected response with the errors', () => {
+  const prompt = buildRetryPrompt('Tailor this resume.', '{"summary": 42}', '- summary: Expected string');
+
+  assert.match(prompt, /^Tailor this resume\./);
+  assert.match(prompt, /<previous_response>\n\{"summary": 42\}\n<\/previous_response>/);
+  assert.match(prompt, /- summary: Expected string/);
+});
+
+test('buildRetryPrompt truncates a long rejected response', () => {
+  const prompt = buildRetryPrompt('Prompt', 'x'.repeat(20000), '- (root): Invalid');
+
+  assert.ok(prompt.length < 13000);
+  assert.match(prompt, /\[truncated, 8000 more characters\]/);
+});
+
+test('generateStructured sends the rejected response back on retry', async (t) => {
+  const prompts = [];
+  const responses = ['{"summary": 42, "skills": ["Node.js"]}', '{"summary": "Backend engineer", "skills": ["Node.js"]}'];
+  setLLMProvider({
+    name: 'scripted',
+    generate: async ({ prompt }) => {
+      prompts.push(prompt);
+      return { text: responses[prompts.length - 1], model: 'scripted' };
+    }
+  });
+  t.after(() => setLLMProvider(null));
+
+  const schema = z.object({ summary: z.string(), skills: z.array(z.string()) });
+  const { data, attempts } = await generateStructured({ prompt: 'Tailor this resume.', schema, purpose: 'test' });
+
+  assert.equal(attempts, 2);
+  assert.deepEqual(data, { summary: 'Backend engineer', skills: ['Node.js'] });
+  assert.ok(prompts[1].includes(responses[0]));
+  assert.match(prompts[1], /summary: /);
+});
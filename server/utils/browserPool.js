@@ -0,0 +1,271 @@
+const { chromium } = require('playwright');
+
+// One long-lived Chromium shared by every PDF render, with a bounded pool of pages
+// Each page lives in its own browser context so renders never share cookies, storage or caches
+
+// Renders allowed at once; further renders wait for a free page
+const MAX_PAGES = parseInt(process.env.PDF_MAX_PAGES, 10) || 2;
+
+// How long a render waits for a free page before failing
+const ACQUIRE_TIMEOUT_MS = parseInt(process.env.PDF_ACQUIRE_TIMEOUT_MS, 10) || 60000;
+
+// Pages are replaced after this many renders to keep memory from creeping up
+const MAX_RENDERS_PER_PAGE = 50;
+
+// How often the idle browser is checked, and how long the check may take
+const HEALTH_CHECK_INTERVAL_MS = parseInt(process.env.PDF_HEALTH_CHECK_MS, 10) || 30000;
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+// How long shutdown waits for renders in progress
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+let browser = null;
+let launching = null;
+let healthTimer = null;
+let healthCheckRunning = false;
+let shuttingDown = false;
+
+const idlePages = [];
+const waiting = [];
+let activeCount = 0;
+
+const stats = {
+  launches: 0,
+  relaunches: 0,
+  renders: 0,
+  failedRenders: 0,
+  pagesCreated: 0,
+  healthChecksFailed: 0,
+};
+
+/**
+ * Launch Chromium, or return the browser already running
+ * Concurrent callers share one launch
+ * @returns {Promise<Object>} Playwright browser
+ */
+async function getBrowser() {
+  if (browser && browser.isConnected()) return browser;
+  if (launching) return launching;
+
+  launching = (async () => {
+    const launched = await chromium.launch();
+    stats.launches++;
+    if (stats.launches > 1) stats.relaunches++;
+
+    launched.on('disconnected', () => {
+      if (browser !== launched) return;
+      browser = null;
+      idlePages.length = 0;
+      if (!shuttingDown) {
+        console.error('PDF browser disconnected; it will be relaunched on the next render');
+      }
+    });
+
+    browser = launched;
+    startHealthChecks();
+    console.log(`PDF browser launched (${stats.launches === 1 ? 'first launch' : `relaunch ${stats.relaunches}`})`);
+    return launched;
+  })();
+
+  try {
+    return await launching;
+  } finally {
+    launching = null;
+  }
+}
+
+async function createPage() {
+  const currentBrowser = await getBrowser();
+  const context = await currentBrowser.newContext();
+  const page = await context.newPage();
+  stats.pagesCreated++;
+  return { browser: currentBrowser, context, page, renders: 0 };
+}
+
+async function discardPage(slot) {
+  try {
+    await slot.context.close();
+  } catch {
+    // The context is gone already when the browser crashed
+  }
+}
+
+function isUsable(slot) {
+  return slot.browser === browser && slot.browser.isConnected() && !slot.page.isClosed();
+}
+
+/**
+ * Wait for a free slot in the pool
+ */
+function acquireSlot() {
+  if (activeCount < MAX_PAGES) {
+    activeCount++;
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+    waiter.timer = setTimeout(() => {
+      waiting.splice(waiting.indexOf(waiter), 1);
+      reject(new Error(`Timed out after ${ACQUIRE_TIMEOUT_MS}ms waiting for a PDF renderer`));
+    }, ACQUIRE_TIMEOUT_MS);
+    waiting.push(waiter);
+  });
+}
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) {
+    clearTimeout(next.timer);
+    next.resolve();
+  } else {
+    activeCount--;
+  }
+}
+
+/**
+ * Run a task with a page from the pool
+ * Pages are reused between renders; a page whose task throws is discarded. If the browser
+ * crashed during the task, it is relaunched and the task retried once.
+ * @param {Function} task - async (page) => result
+ * @returns {Promise<*>} Result of the task
+ */
+async function withPage(task) {
+  if (shuttingDown) {
+    throw new Error('PDF browser is shutting down');
+  }
+
+  await acquireSlot();
+  try {
+    for (let attempt = 1; ; attempt++) {
+      let slot = idlePages.pop();
+      while (slot && !isUsable(slot)) {
+        await discardPage(slot);
+        slot = idlePages.pop();
+      }
+      if (!slot) slot = await createPage();
+
+      try {
+        const result = await task(slot.page);
+        slot.renders++;
+        stats.renders++;
+
+        if (slot.renders >= MAX_RENDERS_PER_PAGE || !isUsable(slot)) {
+          await discardPage(slot);
+        } else {
+          idlePages.push(slot);
+        }
+        return result;
+      } catch (error) {
+        await discardPage(slot);
+
+        const browserCrashed = !slot.browser.isConnected();
+        if (browserCrashed && attempt === 1 && !shuttingDown) {
+          console.error('PDF browser crashed during a render; retrying with a new browser');
+          continue;
+        }
+        stats.failedRenders++;
+        throw error;
+      }
+    }
+  } finally {
+    releaseSlot();
+  }
+}
+
+/**
+ * Check that the browser still answers; close it if not so the next render relaunches it
+ * Only runs while no renders are in progress
+ */
+async function checkHealth() {
+  if (!browser || activeCount > 0 || launching || healthCheckRunning) return;
+
+  const checked = browser;
+  let timer;
+  healthCheckRunning = true;
+  try {
+    const probe = (async () => {
+      const context = await checked.newContext();
+      await context.close();
+    })();
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`no response within ${HEALTH_CHECK_TIMEOUT_MS}ms`)), HEALTH_CHECK_TIMEOUT_MS);
+    });
+    await Promise.race([probe, timeout]);
+  } catch (error) {
+    // A render or shutdown may have replaced the browser while the check ran
+    if (browser !== checked || shuttingDown) return;
+
+    stats.healthChecksFailed++;
+    console.error(`PDF browser health check failed (${error.message}); closing it`);
+    browser = null;
+    idlePages.length = 0;
+    checked.close().catch(() => {});
+  } finally {
+    clearTimeout(timer);
+    healthCheckRunning = false;
+  }
+}
+
+function startHealthChecks() {
+  if (healthTimer) return;
+  healthTimer = setInterval(() => {
+    checkHealth().catch(error => console.error('PDF browser health check error:', error));
+  }, HEALTH_CHECK_INTERVAL_MS);
+  // Health checks alone should not keep the process alive
+  healthTimer.unref();
+}
+
+/**
+ * Current pool state, for the health endpoint and the benchmark script
+ * @returns {Object} Pool counters
+ */
+function getPoolStats() {
+  return {
+    ...stats,
+    connected: Boolean(browser && browser.isConnected()),
+    maxPages: MAX_PAGES,
+    activePages: activeCount,
+    idlePages: idlePages.length,
+    waiting: waiting.length,
+  };
+}
+
+/**
+ * Wait for renders in progress (up to SHUTDOWN_TIMEOUT_MS), then close the browser
+ * New renders are rejected once shutdown starts
+ * @returns {Promise<void>}
+ */
+async function closeBrowserPool() {
+  shuttingDown = true;
+  clearInterval(healthTimer);
+  healthTimer = null;
+
+  waiting.splice(0).forEach(waiter => {
+    clearTimeout(waiter.timer);
+    waiter.reject(new Error('PDF browser is shutting down'));
+  });
+
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+  while (activeCount > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  if (launching) {
+    await launching.catch(() => {});
+  }
+  const closing = browser;
+  browser = null;
+  idlePages.length = 0;
+  if (closing) {
+    await closing.close().catch(() => {});
+    console.log('PDF browser closed');
+  }
+}
+
+module.exports = {
+  MAX_PAGES,
+  withPage,
+  getPoolStats,
+  closeBrowserPool,
+};
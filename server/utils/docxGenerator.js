@@ -0,0 +1,391 @@
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  Table,
+  TableRow,
+  TableCell,
+  TableBorders,
+  TableLayoutType,
+  WidthType,
+  AlignmentType,
+  TabStopType,
+  BorderStyle,
+  LevelFormat
+} = require('docx');
+const { DEFAULT_TEMPLATE, getTemplate } = require('../templates');
+const { contactItems } = require('../templates/shared');
+const { withoutHiddenItems } = require('./resumeBullets');
+
+// Word measures page geometry in twentieths of a point
+const TWIPS_PER_INCH = 1440;
+const PAGE_WIDTH_IN = 8.5;
+const PAGE_MARGIN_IN = 0.5;
+const CONTENT_WIDTH = (PAGE_WIDTH_IN - PAGE_MARGIN_IN * 2) * TWIPS_PER_INCH;
+
+// Space between columns and grid cells
+const CELL_PADDING = 0.12 * TWIPS_PER_INCH;
+
+const BULLET_REFERENCE = 'resume-bullets';
+const SKILL_GRID_COLUMNS = 3;
+const MUTED_COLOR = '555555';
+
+const NO_BORDER = { style: BorderStyle.NONE, size: 0, color: 'FFFFFF' };
+const RULE_COLOR = 'CBD5E1';
+
+/**
+ * Text run in the template's body font
+ * @param {Object} style - Template docxStyle
+ * @param {string} text - Run text
+ * @param {Object} options - Extra run options (bold, italics, color, size in points)
+ * @returns {TextRun}
+ */
+function textRun(style, text, { size = style.fontSize, ...options } = {}) {
+  return new TextRun({ text: String(text ?? ''), font: style.bodyFont, size: Math.round(size * 2), ...options });
+}
+
+function sectionTitle(style, title) {
+  return new Paragraph({
+    spacing: { before: 160, after: 60 },
+    keepNext: true,
+    border: style.sectionRule ? { bottom: { style: BorderStyle.SINGLE, size: 6, color: RULE_COLOR, space: 1 } } : undefined,
+    children: [
+      new TextRun({
+        text: style.uppercaseTitles ? title.toUpperCase() : title,
+        font: style.headingFont,
+        size: Math.round((style.fontSize + 1) * 2),
+        bold: true,
+        color: style.color,
+        characterSpacing: 20
+      })
+    ]
+  });
+}
+
+/**
+ * Bold item title with the date right-aligned on the same line
+ */
+function itemHeading(style, title, date, width) {
+  const children = [textRun(style, title, { bold: true })];
+  if (date) {
+    children.push(textRun(style, `\t${date}`, { size: style.fontSize - 1, color: MUTED_COLOR }));
+  }
+  return new Paragraph({
+    spacing: { before: 80 },
+    keepNext: true,
+    tabStops: [{ type: TabStopType.RIGHT, position: width }],
+    children
+  });
+}
+
+function detailLine(style, text, options = {}) {
+  return new Paragraph({
+    keepNext: true,
+    children: [textRun(style, text, { size: style.fontSize - 0.5, color: MUTED_COLOR, ...options })]
+  });
+}
+
+function bulletParagraphs(style, bullets) {
+  return (bullets || []).map(bullet => new Paragraph({
+    numbering: { reference: BULLET_REFERENCE, level: 0 },
+    spacing: { after: 20 },
+    children: [textRun(style, bullet.text || '')]
+  }));
+}
+
+function summarySection(resumeData, style, title) {
+  if (!resumeData.summary) return [];
+  return [
+    sectionTitle(style, title),
+    new Paragraph({ children: [textRun(style, resumeData.summary)] })
+  ];
+}
+
+function experienceSection(resumeData, style, title, width) {
+  if (!resumeData.experience || resumeData.experience.length === 0) return [];
+  return [
+    sectionTitle(style, title),
+    ...resumeData.experience.flatMap(exp => [
+      itemHeading(style, exp.title || '', `${exp.startDate || ''} - ${exp.endDate || 'Present'}`, width),
+      detailLine(style, `${exp.company || ''}${exp.location ? `, ${exp.location}` : ''}`, { italics: true }),
+      ...bulletParagraphs(style, exp.bullets)
+    ])
+  ];
+}
+
+function projectsSection(resumeData, style, title, width) {
+  if (!resumeData.projects || resumeData.projects.length === 0) return [];
+  return [
+    sectionTitle(style, title),
+    ...resumeData.projects.flatMap(project => [
+      itemHeading(style, project.name || '', null, width),
+      ...(project.description ? [detailLine(style, project.description, { italics: true })] : []),
+      ...(project.technologies && project.technologies.length > 0 ? [detailLine(style, project.technologies.join(' • '))] : []),
+      ...(project.url ? [detailLine(style, project.url)] : []),
+      ...bulletParagraphs(style, project.bullets)
+    ])
+  ];
+}
+
+function educationSection(resumeData, style, title, width) {
+  if (!resumeData.education || resumeData.education.length === 0) return [];
+  return [
+    sectionTitle(style, title),
+    ...resumeData.education.flatMap(edu => [
+      itemHeading(style, edu.degree || '', `${edu.graduationDate || ''}${edu.gpa ? ` | GPA: ${edu.gpa}` : ''}`, width),
+      detailLine(style, edu.school || '', { italics: true }),
+      ...(edu.honors && edu.honors.length > 0 ? [detailLine(style, edu.honors.join(', '))] : [])
+    ])
+  ];
+}
+
+/**
+ * Skills as a borderless table ('grid'), one paragraph per skill ('list') or a comma-separated line ('inline')
+ */
+function skillsSection(resumeData, style, title, width, layout) {
+  if (!resumeData.skills || resumeData.skills.length === 0) return [];
+
+  if (layout === 'list') {
+    return [sectionTitle(style, title), ...resumeData.skills.map(skill => new Paragraph({ children: [textRun(style, skill)] }))];
+  }
+  if (layout === 'inline') {
+    return [sectionTitle(style, title), new Paragraph({ children: [textRun(style, resumeData.skills.join(', '))] })];
+  }
+
+  const columnWidth = Math.floor(width / SKILL_GRID_COLUMNS);
+  const rows = [];
+  for (let i = 0; i < resumeData.skills.length; i += SKILL_GRID_COLUMNS) {
+    const cells = resumeData.skills.slice(i, i + SKILL_GRID_COLUMNS);
+    while (cells.length < SKILL_GRID_COLUMNS) cells.push('');
+    rows.push(new TableRow({
+      children: cells.map(skill => new TableCell({
+        width: { size: columnWidth, type: WidthType.DXA },
+        children: [new Paragraph({ children: [textRun(style, skill)] })]
+      }))
+    }));
+  }
+
+  return [
+    sectionTitle(style, title),
+    new Table({
+      rows,
+      width: { size: columnWidth * SKILL_GRID_COLUMNS, type: WidthType.DXA },
+      columnWidths: Array(SKILL_GRID_COLUMNS).fill(columnWidth),
+      layout: TableLayoutType.FIXED,
+      borders: TableBorders.NONE
+    })
+  ];
+}
+
+const SECTION_BUILDERS = {
+  summary: summarySection,
+  experience: experienceSection,
+  projects: projectsSection,
+  education: educationSection,
+};
+
+/**
+ * Paragraphs and tables for a template's sections, in the template's order
+ * @param {Object} resumeData - Tailored resume JSON
+ * @param {Object} style - Template docxStyle
+ * @param {Array<{key: string, title: string}>} sections - Section keys and titles
+ * @param {number} width - Available width in twips (for right-aligned dates and skill grids)
+ * @returns {Array<Paragraph|Table>}
+ */
+function buildSections(resumeData, style, sections, width) {
+  return sections.flatMap(({ key, title }) => (key === 'skills'
+    ? skillsSection(resumeData, style, title, width, style.skillsLayout)
+    : SECTION_BUILDERS[key](resumeData, style, title, width)));
+}
+
+function nameParagraph(style, name, options = {}) {
+  return new Paragraph({
+    alignment: style.headerAlignment === 'center' ? AlignmentType.CENTER : AlignmentType.LEFT,
+    children: [
+      new TextRun({ text: name || 'Your Name', font: style.headingFont, size: style.nameSize * 2, bold: true, color: style.color })
+    ],
+    ...options
+  });
+}
+
+/**
+ * Single-column body: name, contact line and sections
+ */
+function singleColumnBody(resumeData, template) {
+  const style = template.docxStyle;
+  const basics = resumeData.basics || {};
+
+  return [
+    nameParagraph(style, basics.name),
+    new Paragraph({
+      alignment: style.headerAlignment === 'center' ? AlignmentType.CENTER : AlignmentType.LEFT,
+      spacing: { after: 120 },
+      border: style.sectionRule ? { bottom: { style: BorderStyle.SINGLE, size: 12, color: style.color, space: 4 } } : undefined,
+      children: [textRun(style, contactItems(basics).join(style.contactSeparator || ' • '), { size: style.fontSize - 1, color: MUTED_COLOR })]
+    }),
+    ...buildSections(resumeData, style, template.sections, CONTENT_WIDTH)
+  ];
+}
+
+/**
+ * Two-column body: name across the page, then a borderless table with the sidebar
+ * (contact details and sidebar sections) beside the main sections
+ */
+function twoColumnBody(resumeData, template) {
+  const style = template.docxStyle;
+  const basics = resumeData.basics || {};
+  const sidebarWidth = Math.round(style.sidebarWidth * TWIPS_PER_INCH);
+  const mainWidth = CONTENT_WIDTH - sidebarWidth;
+
+  const sidebar = [
+    sectionTitle(style, 'Contact'),
+    ...contactItems(basics).map(item => new Paragraph({ children: [textRun(style, item, { size: style.fontSize - 1 })] })),
+    ...buildSections(resumeData, style, template.sidebarSections, sidebarWidth - CELL_PADDING * 2)
+  ];
+  const main = buildSections(resumeData, style, template.sections, mainWidth - CELL_PADDING * 2);
+
+  return [
+    nameParagraph(style, basics.name, {
+      spacing: { after: 120 },
+      border: { bottom: { style: BorderStyle.SINGLE, size: 12, color: style.color, space: 4 } }
+    }),
+    new Table({
+      width: { size: CONTENT_WIDTH, type: WidthType.DXA },
+      columnWidths: [sidebarWidth, mainWidth],
+      layout: TableLayoutType.FIXED,
+      borders: TableBorders.NONE,
+      rows: [
+        new TableRow({
+          children: [
+            new TableCell({
+              width: { size: sidebarWidth, type: WidthType.DXA },
+              margins: { right: CELL_PADDING },
+              borders: { top: NO_BORDER, bottom: NO_BORDER, left: NO_BORDER, right: { style: BorderStyle.SINGLE, size: 6, color: RULE_COLOR } },
+              children: sidebar
+            }),
+            new TableCell({
+              width: { size: mainWidth, type: WidthType.DXA },
+              margins: { left: CELL_PADDING * 2 },
+              children: main
+            })
+          ]
+        })
+      ]
+    })
+  ];
+}
+
+/**
+ * Document with Letter pages, the repo's page margins and the bullet list style
+ */
+function createDocument(style, title, children) {
+  return new Document({
+    title,
+    creator: 'Custom Resume Generator',
+    styles: {
+      default: {
+        document: { run: { font: style.bodyFont, size: Math.round(style.fontSize * 2) } }
+      }
+    },
+    numbering: {
+      config: [
+        {
+          reference: BULLET_REFERENCE,
+          levels: [
+            {
+              level: 0,
+              format: LevelFormat.BULLET,
+              text: '•',
+              alignment: AlignmentType.LEFT,
+              style: { paragraph: { indent: { left: 300, hanging: 200 } } }
+            }
+          ]
+        }
+      ]
+    },
+    sections: [
+      {
+        properties: {
+          page: {
+            size: { width: PAGE_WIDTH_IN * TWIPS_PER_INCH, height: 11 * TWIPS_PER_INCH },
+            margin: {
+              top: PAGE_MARGIN_IN * TWIPS_PER_INCH,
+              right: PAGE_MARGIN_IN * TWIPS_PER_INCH,
+              bottom: PAGE_MARGIN_IN * TWIPS_PER_INCH,
+              left: PAGE_MARGIN_IN * TWIPS_PER_INCH
+            }
+          }
+        },
+        children
+      }
+    ]
+  });
+}
+
+/**
+ * Generate a Word document for a resume
+ * Follows the selected template's section order, titles, fonts and layout (the compact template keeps its
+ * sidebar as a borderless two-column table). Items hidden in the editor are left out; every other bullet is included,
+ * since page fitting only applies to the PDF.
+ * @param {Object} resumeData - Tailored resume JSON
+ * @param {Object} options - Render options
+ * @param {string} options.template - Template id (defaults to classic)
+ * @returns {Promise<Buffer>} DOCX file contents
+ */
+async function generateResumeDOCX(resumeData, { template = DEFAULT_TEMPLATE } = {}) {
+  const selected = getTemplate(template);
+  const visible = withoutHiddenItems(resumeData);
+  const body = selected.sidebarSections
+    ? twoColumnBody(visible, selected)
+    : singleColumnBody(visible, selected);
+
+  const name = resumeData.basics?.name;
+  return Packer.toBuffer(createDocument(selected.docxStyle, name ? `${name} - Resume` : 'Resume', body));
+}
+
+/**
+ * Generate a Word document for a cover letter (same structure as the cover letter PDF)
+ * @param {Object} coverLetterData - Cover letter data
+ * @returns {Promise<Buffer>} DOCX file contents
+ */
+async function generateCoverLetterDOCX(coverLetterData) {
+  const style = { bodyFont: 'Segoe UI', fontSize: 11 };
+  const paragraph = (text, options = {}) => new Paragraph({
+    spacing: { after: 200, line: 360 },
+    children: [textRun(style, text, options.run)],
+    ...options.paragraph
+  });
+
+  const recipient = [
+    coverLetterData.recipientName && textRun(style, coverLetterData.recipientName, { bold: true }),
+    coverLetterData.recipientTitle && textRun(style, coverLetterData.recipientTitle),
+    coverLetterData.company && textRun(style, coverLetterData.company),
+    coverLetterData.address && textRun(style, coverLetterData.address)
+  ].filter(Boolean).map(run => new Paragraph({ children: [run] }));
+
+  const bodyParagraphs = coverLetterData.body
+    ? coverLetterData.body.split('\n\n').map(para => paragraph(para, { paragraph: { alignment: AlignmentType.JUSTIFIED } }))
+    : [];
+
+  const children = [
+    paragraph(coverLetterData.date || new Date().toLocaleDateString(), {
+      run: { color: '666666' },
+      paragraph: { alignment: AlignmentType.RIGHT }
+    }),
+    ...recipient,
+    new Paragraph({ spacing: { after: 200 }, children: [] }),
+    paragraph(coverLetterData.greeting || 'Dear Hiring Manager,'),
+    ...bodyParagraphs,
+    paragraph(coverLetterData.closing || 'Sincerely,'),
+    new Paragraph({ spacing: { before: 400 }, children: [textRun(style, coverLetterData.senderName || 'Your Name')] }),
+    ...(coverLetterData.senderTitle ? [new Paragraph({ children: [textRun(style, coverLetterData.senderTitle)] })] : [])
+  ];
+
+  return Packer.toBuffer(createDocument(style, 'Cover Letter', children));
+}
+
+module.exports = {
+  generateResumeDOCX,
+  generateCoverLetterDOCX
+};
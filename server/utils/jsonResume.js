@@ -0,0 +1,291 @@
+// Conversion between JSON Resume (jsonresume.org) and the tailoredResumeSchema shape
+const { jsonResumeSchema, tailoredResumeSchema } = require('../schemas');
+const { parseDate } = require('../services/fieldVerifier');
+const { withoutHiddenItems } = require('./resumeBullets');
+
+const JSON_RESUME_SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const MONTH_ABBREVIATIONS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Degree abbreviations that start a degree ("B.S. Computer Science", "MBA Finance")
+const DEGREE_ABBREVIATION = /^((?:[A-Z]\.?){1,2}(?:Sc|Eng|A)?\.?|Ph\.?\s?D\.?|MBA)\s+(.+)$/;
+
+/**
+ * Resume date ("Jan 2021", "01/2021", "2021") to ISO 8601 ("2021-01", "2021")
+ * @param {string} text - Date as written in the resume
+ * @returns {string|null} ISO date, or null for "Present" and unparseable dates
+ */
+function toIsoDate(text) {
+  const parsed = parseDate(text);
+  if (!parsed || parsed.present || !parsed.year) return null;
+  return parsed.month ? `${parsed.year}-${String(parsed.month).padStart(2, '0')}` : String(parsed.year);
+}
+
+/**
+ * ISO 8601 date ("2021-01-15", "2021-01", "2021") to resume style ("Jan 2021", "2021")
+ */
+function fromIsoDate(isoDate) {
+  if (!isoDate) return null;
+  const [year, month] = isoDate.split('-');
+  const monthIndex = parseInt(month, 10) - 1;
+  return MONTH_ABBREVIATIONS[monthIndex] ? `${MONTH_ABBREVIATIONS[monthIndex]} ${year}` : year;
+}
+
+/**
+ * Add https:// to bare links ("github.com/me") so they are valid URIs
+ */
+function toUrl(link) {
+  if (!link) return undefined;
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(link) ? link : `https://${link.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Profile entry for a link, with the username taken from the last path segment
+ */
+function toProfile(network, link) {
+  const url = toUrl(link);
+  const username = url.replace(/\/+$/, '').split('/').pop();
+  return { network, username, url };
+}
+
+/**
+ * Drop undefined, null and empty-string fields so the exported document only has what we know
+ */
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+/**
+ * Split "Austin, TX" into JSON Resume location fields
+ */
+function toJsonResumeLocation(location) {
+  if (!location) return undefined;
+  const parts = location.split(/\s*,\s*/);
+  if (parts.length === 2) {
+    return { city: parts[0], region: parts[1] };
+  }
+  return { address: location };
+}
+
+/**
+ * Split a degree into JSON Resume studyType and area ("B.S. in Computer Science" -> "B.S.", "Computer Science")
+ */
+function splitDegree(degree) {
+  const withIn = /^(.+?)\s+in\s+(.+)$/.exec(degree);
+  if (withIn) return { studyType: withIn[1], area: withIn[2] };
+
+  const abbreviated = DEGREE_ABBREVIATION.exec(degree);
+  if (abbreviated) return { studyType: abbreviated[1], area: abbreviated[2] };
+
+  return { studyType: degree };
+}
+
+/**
+ * Convert a tailored resume (tailoredResumeSchema shape) to a JSON Resume document
+ * Certifications from a parsed master resume are exported as certificates
+ * @param {Object} tailoredResume - Tailored resume JSON (items hidden in the editor are left out)
+ * @returns {Object} Validated JSON Resume document
+ */
+function toJsonResume(tailoredResume) {
+  const resume = withoutHiddenItems(tailoredResume);
+  const basics = resume.basics || {};
+  const links = basics.links || {};
+
+  const profiles = [];
+  if (links.linkedIn) profiles.push(toProfile('LinkedIn', links.linkedIn));
+  if (links.github) profiles.push(toProfile('GitHub', links.github));
+  if (links.portfolio && links.website) profiles.push(toProfile('Website', links.website));
+
+  const document = {
+    $schema: JSON_RESUME_SCHEMA_URL,
+    basics: compact({
+      name: basics.name,
+      email: basics.email,
+      phone: basics.phone,
+      url: toUrl(links.portfolio || links.website),
+      summary: resume.summary,
+      location: toJsonResumeLocation(basics.location),
+      profiles
+    }),
+    work: (resume.experience || []).map(role => compact({
+      name: role.company,
+      position: role.title,
+      location: role.location,
+      startDate: toIsoDate(role.startDate),
+      endDate: toIsoDate(role.endDate),
+      highlights: (role.bullets || []).map(bullet => bullet.text)
+    })),
+    projects: (resume.projects || []).map(project => compact({
+      name: project.name,
+      description: project.description,
+      url: toUrl(project.url),
+      keywords: project.technologies,
+      highlights: (project.bullets || []).map(bullet => bullet.text)
+    })),
+    education: (resume.education || []).map(education => compact({
+      institution: education.school,
+      ...splitDegree(education.degree),
+      endDate: toIsoDate(education.graduationDate),
+      score: education.gpa
+    })),
+    awards: (resume.education || []).flatMap(education => (education.honors || []).map(honor => compact({
+      title: honor,
+      awarder: education.school
+    }))),
+    certificates: (resume.certifications || []).map(certification => compact({
+      name: certification.name,
+      issuer: certification.issuer,
+      date: toIsoDate(certification.date)
+    })),
+    skills: (resume.skills || []).map(skill => ({ name: skill })),
+    meta: {
+      version: 'v1.0.0',
+      lastModified: new Date().toISOString()
+    }
+  };
+
+  return jsonResumeSchema.parse(document);
+}
+
+/**
+ * Convert a JSON Resume document to the tailoredResumeSchema shape (plus certifications)
+ * Anything the tailored resume schema would reject (no email, a role without highlights) is reported
+ * as a warning rather than dropped
+ * @param {Object} jsonResume - JSON Resume document (validated with jsonResumeSchema)
+ * @returns {{resume: Object, warnings: Array<string>}} Converted resume and warnings
+ */
+function fromJsonResume(jsonResume) {
+  const basics = jsonResume.basics;
+  const location = basics.location
+    ? [basics.location.city, basics.location.region].filter(Boolean).join(', ') || basics.location.address
+    : undefined;
+
+  const links = {};
+  (basics.profiles || []).forEach(profile => {
+    const network = (profile.network || '').toLowerCase();
+    const url = profile.url || (profile.username && network === 'github' ? `https://github.com/${profile.username}` : null);
+    if (!url) return;
+    if (network === 'linkedin') links.linkedIn = url;
+    else if (network === 'github') links.github = url;
+    else if (!links.website) links.website = url;
+  });
+  if (basics.url) links.portfolio = basics.url;
+
+  // Awards given by a school become that school's honors
+  const awards = jsonResume.awards || [];
+
+  const resume = {
+    basics: compact({
+      name: basics.name,
+      email: basics.email || '',
+      phone: basics.phone,
+      location,
+      links: Object.keys(links).length > 0 ? links : undefined
+    }),
+    summary: basics.summary || basics.label || '',
+    skills: (jsonResume.skills || []).flatMap(skill => (skill.keywords && skill.keywords.length > 0 ? skill.keywords : [skill.name]).filter(Boolean)),
+    experience: (jsonResume.work || []).map(work => compact({
+      title: work.position || '',
+      company: work.name || '',
+      startDate: fromIsoDate(work.startDate) || '',
+      endDate: fromIsoDate(work.endDate) || 'Present',
+      location: work.location,
+      bullets: (work.highlights && work.highlights.length > 0 ? work.highlights : [work.summary].filter(Boolean)).map(text => ({ text }))
+    })),
+    projects: (jsonResume.projects || []).map(project => compact({
+      name: project.name,
+      description: project.description,
+      technologies: project.keywords && project.keywords.length > 0 ? project.keywords : undefined,
+      url: project.url,
+      bullets: (project.highlights || []).map(text => ({ text }))
+    })),
+    education: (jsonResume.education || []).map(education => {
+      const honors = awards.filter(award => award.awarder && award.awarder === education.institution).map(award => award.title).filter(Boolean);
+      return compact({
+        degree: [education.studyType, education.area].filter(Boolean).join(' in ') || '',
+        school: education.institution || '',
+        graduationDate: fromIsoDate(education.endDate),
+        gpa: education.score,
+        honors: honors.length > 0 ? honors : undefined
+      });
+    }),
+    certifications: (jsonResume.certificates || []).map(certificate => compact({
+      name: certificate.name,
+      issuer: certificate.issuer,
+      date: fromIsoDate(certificate.date)
+    })),
+    tailoringNotes: { keywordsTargeted: [] }
+  };
+
+  const validation = tailoredResumeSchema.safeParse(resume);
+  const warnings = validation.success
+    ? []
+    : validation.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`);
+
+  return { resume, warnings };
+}
+
+/**
+ * Render a structured resume as plain resume text that parseResumeText reads back
+ * Used to store an imported resume as the extension's resumeText
+ * @param {Object} resume - Resume in the tailoredResumeSchema shape (plus optional certifications)
+ * @returns {string} Resume text
+ */
+function resumeToText(resume) {
+  const basics = resume.basics || {};
+  const links = basics.links || {};
+  const blocks = [];
+
+  const contact = [basics.email, basics.phone, basics.location, links.linkedIn, links.github, links.portfolio, links.website].filter(Boolean);
+  blocks.push([basics.name, contact.join(' | ')].filter(Boolean).join('\n'));
+
+  if (resume.summary) {
+    blocks.push(`Summary\n${resume.summary}`);
+  }
+
+  if (resume.experience && resume.experience.length > 0) {
+    const roles = resume.experience.map(role => {
+      const dates = [role.startDate, role.endDate].filter(Boolean).join(' - ');
+      const header = [role.title, role.company, role.location, dates].filter(Boolean).join(' | ');
+      return [header, ...(role.bullets || []).map(bullet => `• ${bullet.text}`)].join('\n');
+    });
+    blocks.push(`Experience\n${roles.join('\n\n')}`);
+  }
+
+  if (resume.projects && resume.projects.length > 0) {
+    const projects = resume.projects.map(project => {
+      let header = [project.name, project.description].filter(Boolean).join(' - ');
+      if (project.technologies && project.technologies.length > 0) header += ` (${project.technologies.join(', ')})`;
+      if (project.url) header += ` | ${project.url}`;
+      return [header, ...(project.bullets || []).map(bullet => `• ${bullet.text}`)].join('\n');
+    });
+    blocks.push(`Projects\n${projects.join('\n\n')}`);
+  }
+
+  if (resume.education && resume.education.length > 0) {
+    const education = resume.education.map(entry => {
+      const header = [entry.degree, entry.school, entry.graduationDate, entry.gpa ? `GPA: ${entry.gpa}` : null].filter(Boolean).join(' | ');
+      return [header, ...(entry.honors || []).map(honor => `• ${honor}`)].join('\n');
+    });
+    blocks.push(`Education\n${education.join('\n\n')}`);
+  }
+
+  if (resume.skills && resume.skills.length > 0) {
+    blocks.push(`Skills\n${resume.skills.join(', ')}`);
+  }
+
+  if (resume.certifications && resume.certifications.length > 0) {
+    const certifications = resume.certifications.map(certification => `• ${[certification.name, certification.issuer, certification.date].filter(Boolean).join(', ')}`);
+    blocks.push(`Certifications\n${certifications.join('\n')}`);
+  }
+
+  return blocks.join('\n\n');
+}
+
+module.exports = {
+  toIsoDate,
+  fromIsoDate,
+  toJsonResume,
+  fromJsonResume,
+  resumeToText,
+};
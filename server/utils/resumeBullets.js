@@ -0,0 +1,129 @@
+// Helpers for addressing bullets in a tailored resume by bulletId
+// bulletIds follow extractAllBullets: summary_0, experience_<role>_<bullet>, projects_<project>_<bullet>
+
+/**
+ * Split a bulletId into its parts
+ * @param {string} bulletId - Bullet identifier
+ * @returns {{section: string, sectionIndex: number, bulletIndex: number}|null} Parsed ID or null if malformed
+ */
+function parseBulletId(bulletId) {
+  if (bulletId === 'summary_0') {
+    return { section: 'summary', sectionIndex: 0, bulletIndex: 0 };
+  }
+
+  const match = /^(experience|projects)_(\d+)_(\d+)$/.exec(bulletId || '');
+  if (!match) {
+    return null;
+  }
+
+  return {
+    section: match[1],
+    sectionIndex: parseInt(match[2], 10),
+    bulletIndex: parseInt(match[3], 10)
+  };
+}
+
+/**
+ * Get the bullet object a bulletId points to
+ * @param {Object} resumeJson - Tailored resume JSON
+ * @param {string} bulletId - Bullet identifier
+ * @returns {Object|null} Bullet ({ text, evidenceSnippet }) or null when it does not exist
+ */
+function getBullet(resumeJson, bulletId) {
+  const parsed = parseBulletId(bulletId);
+  if (!parsed || !resumeJson) {
+    return null;
+  }
+
+  if (parsed.section === 'summary') {
+    return resumeJson.summary ? { text: resumeJson.summary } : null;
+  }
+
+  const item = resumeJson[parsed.section]?.[parsed.sectionIndex];
+  return item?.bullets?.[parsed.bulletIndex] || null;
+}
+
+/**
+ * Replace a bullet's text in place
+ * @param {Object} resumeJson - Tailored resume JSON (mutated)
+ * @param {string} bulletId - Bullet identifier
+ * @param {string} text - New bullet text
+ * @param {string} evidenceSnippet - New evidence snippet (optional; kept as-is when omitted)
+ * @returns {boolean} Whether the bullet existed and was updated
+ */
+function setBulletText(resumeJson, bulletId, text, evidenceSnippet) {
+  const parsed = parseBulletId(bulletId);
+  if (!parsed || !getBullet(resumeJson, bulletId)) {
+    return false;
+  }
+
+  if (parsed.section === 'summary') {
+    resumeJson.summary = text;
+    return true;
+  }
+
+  const bullet = resumeJson[parsed.section][parsed.sectionIndex].bullets[parsed.bulletIndex];
+  bullet.text = text;
+  if (evidenceSnippet !== undefined) {
+    bullet.evidenceSnippet = evidenceSnippet;
+  }
+  return true;
+}
+
+// Structured fields checked by verifyStructuredFields, addressed the same way (experience_0_title, skills_3, ...)
+const FIELD_ID_PATTERNS = [
+  [/^(experience)_(\d+)_(title|company|startDate|endDate)$/, match => [match[1], Number(match[2]), match[3]]],
+  [/^(education)_(\d+)_(school|degree|graduationDate|gpa)$/, match => [match[1], Number(match[2]), match[3]]],
+  [/^education_(\d+)_honors_(\d+)$/, match => ['education', Number(match[1]), 'honors', Number(match[2])]],
+  [/^projects_(\d+)_tech_(\d+)$/, match => ['projects', Number(match[1]), 'technologies', Number(match[2])]],
+  [/^skills_(\d+)$/, match => ['skills', Number(match[1])]]
+];
+
+/**
+ * Replace the value of a structured field (title, company, date, skill, technology, degree, ...) in place
+ * @param {Object} resumeJson - Tailored resume JSON (mutated)
+ * @param {string} fieldId - Field verification bulletId, e.g. experience_0_title or skills_3
+ * @param {string} value - New value
+ * @returns {boolean} Whether the field existed and was updated
+ */
+function setFieldValue(resumeJson, fieldId, value) {
+  for (const [pattern, toKeys] of FIELD_ID_PATTERNS) {
+    const match = pattern.exec(fieldId || '');
+    if (!match) continue;
+
+    const keys = toKeys(match);
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => (object == null ? object : object[key]), resumeJson);
+    if (parent == null || parent[last] === undefined) {
+      return false;
+    }
+    parent[last] = value;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Copy of a resume without the roles, projects, education entries and bullets hidden in the editor
+ * Hidden items keep their place in the stored JSON, so bulletIds always refer to the full resume
+ * @param {Object} resumeJson - Tailored resume JSON
+ * @returns {Object} Resume JSON as it is rendered
+ */
+function withoutHiddenItems(resumeJson) {
+  const copy = { ...resumeJson };
+  ['experience', 'projects', 'education'].forEach(section => {
+    if (!Array.isArray(resumeJson[section])) return;
+    copy[section] = resumeJson[section]
+      .filter(item => !item.hidden)
+      .map(item => (Array.isArray(item.bullets) ? { ...item, bullets: item.bullets.filter(bullet => !bullet.hidden) } : item));
+  });
+  return copy;
+}
+
+module.exports = {
+  parseBulletId,
+  getBullet,
+  setBulletText,
+  setFieldValue,
+  withoutHiddenItems,
+};
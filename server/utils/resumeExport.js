@@ -0,0 +1,258 @@
+// Text exports of a tailored resume: plain text, Markdown and LaTeX (moderncv)
+// Sections follow the generation's template order (the compact template's sidebar sections come last)
+// Items hidden in the editor are left out of every format
+const { DEFAULT_TEMPLATE, getTemplate } = require('../templates');
+const { contactItems } = require('../templates/shared');
+const { withoutHiddenItems } = require('./resumeBullets');
+
+// Typographic characters that paste badly into application forms
+const PLAIN_TEXT_REPLACEMENTS = [
+  [/[\u2018\u2019\u201a\u2032]/g, "'"],
+  [/[\u201c\u201d\u201e\u2033]/g, '"'],
+  [/[\u2013\u2014\u2212]/g, '-'],
+  [/[\u2022\u25aa\u25cf\u2023]/g, '-'],
+  [/\u2026/g, '...'],
+  [/[\u00a0\u2009\u202f]/g, ' '],
+  [/[\u200b-\u200d\ufeff]/g, '']
+];
+
+const LATEX_SPECIAL_CHARACTERS = {
+  '\\': '\\textbackslash{}',
+  '&': '\\&',
+  '%': '\\%',
+  '$': '\\$',
+  '#': '\\#',
+  '_': '\\_',
+  '{': '\\{',
+  '}': '\\}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}'
+};
+
+/**
+ * Sections in the order the template shows them
+ * @param {string} templateId - Template id
+ * @returns {Array<{key: string, title: string}>}
+ */
+function templateSections(templateId) {
+  const template = getTemplate(templateId);
+  return [...template.sections, ...(template.sidebarSections || [])];
+}
+
+function dateRange(item) {
+  return `${item.startDate || ''} - ${item.endDate || 'Present'}`;
+}
+
+function toPlainText(text) {
+  return PLAIN_TEXT_REPLACEMENTS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), String(text ?? ''));
+}
+
+/**
+ * Plain text for pasting into application forms and ATS text boxes
+ * ASCII punctuation, upper-case headings, "-" bullets and no layout that depends on a fixed-width font
+ * @param {Object} tailoredResume - Tailored resume JSON
+ * @param {Object} options - Export options
+ * @param {string} options.template - Template id (for section order and titles)
+ * @returns {string} Plain text resume
+ */
+function renderPlainText(tailoredResume, { template = DEFAULT_TEMPLATE } = {}) {
+  const resumeData = withoutHiddenItems(tailoredResume);
+  const basics = resumeData.basics || {};
+  const blocks = [[basics.name || 'Your Name', contactItems(basics).join(' | ')].filter(Boolean).join('\n')];
+
+  const renderers = {
+    summary: () => resumeData.summary,
+    experience: () => (resumeData.experience || []).map(exp => [
+      [exp.title, exp.company, exp.location].filter(Boolean).join(', '),
+      dateRange(exp),
+      ...(exp.bullets || []).map(bullet => `- ${bullet.text}`)
+    ].join('\n')).join('\n\n'),
+    projects: () => (resumeData.projects || []).map(project => [
+      [project.name, project.description].filter(Boolean).join(' - '),
+      project.technologies && project.technologies.length > 0 ? `Technologies: ${project.technologies.join(', ')}` : null,
+      project.url,
+      ...(project.bullets || []).map(bullet => `- ${bullet.text}`)
+    ].filter(Boolean).join('\n')).join('\n\n'),
+    education: () => (resumeData.education || []).map(edu => [
+      [edu.degree, edu.school].filter(Boolean).join(', '),
+      [edu.graduationDate, edu.gpa ? `GPA: ${edu.gpa}` : null].filter(Boolean).join(' | '),
+      edu.honors && edu.honors.length > 0 ? `Honors: ${edu.honors.join(', ')}` : null
+    ].filter(Boolean).join('\n')).join('\n\n'),
+    skills: () => (resumeData.skills || []).join(', ')
+  };
+
+  templateSections(template).forEach(({ key, title }) => {
+    const content = renderers[key]();
+    if (content) blocks.push(`${title.toUpperCase()}\n${content}`);
+  });
+
+  return `${toPlainText(blocks.join('\n\n'))}\n`;
+}
+
+/**
+ * Escape characters Markdown would treat as formatting
+ */
+function escapeMarkdown(text) {
+  return String(text ?? '')
+    .replace(/([\\`*_[\]<>|])/g, '\\$1')
+    .replace(/^(\s*)([#+-]|\d+\.)(\s)/, '$1\\$2$3');
+}
+
+/**
+ * Link target for a contact detail or project URL (bare domains get https://, emails mailto:)
+ */
+function markdownHref(url) {
+  const href = /^[a-z][a-z0-9+.-]*:/i.test(url) ? url : url.includes('@') ? `mailto:${url}` : `https://${url}`;
+  return href.replace(/[()\s]/g, encodeURIComponent);
+}
+
+function markdownLink(text, url) {
+  return `[${escapeMarkdown(text)}](${markdownHref(url)})`;
+}
+
+/**
+ * Markdown with the name as the title and one heading per section
+ * @param {Object} tailoredResume - Tailored resume JSON
+ * @param {Object} options - Export options
+ * @param {string} options.template - Template id (for section order and titles)
+ * @returns {string} Markdown resume
+ */
+function renderMarkdown(tailoredResume, { template = DEFAULT_TEMPLATE } = {}) {
+  const resumeData = withoutHiddenItems(tailoredResume);
+  const basics = resumeData.basics || {};
+  const links = basics.links || {};
+  const linkValues = [basics.email, links.linkedIn, links.github, links.portfolio, links.website];
+  const contact = contactItems(basics).map(item => (linkValues.includes(item) ? markdownLink(item, item) : escapeMarkdown(item)));
+  const bullets = item => (item.bullets || []).map(bullet => `- ${escapeMarkdown(bullet.text)}`);
+
+  const blocks = [`# ${escapeMarkdown(basics.name || 'Your Name')}`];
+  if (contact.length > 0) blocks.push(contact.join(' · '));
+
+  const renderers = {
+    summary: () => resumeData.summary && escapeMarkdown(resumeData.summary),
+    experience: () => (resumeData.experience || []).map(exp => [
+      `### ${escapeMarkdown(exp.title || '')}${exp.company ? ` — ${escapeMarkdown(exp.company)}` : ''}`,
+      `*${escapeMarkdown([exp.location, dateRange(exp)].filter(Boolean).join(' · '))}*`,
+      '',
+      ...bullets(exp)
+    ].join('\n')).join('\n\n'),
+    projects: () => (resumeData.projects || []).map(project => [
+      `### ${project.url ? markdownLink(project.name || project.url, project.url) : escapeMarkdown(project.name || '')}`,
+      project.description ? escapeMarkdown(project.description) : null,
+      project.technologies && project.technologies.length > 0 ? `*${escapeMarkdown(project.technologies.join(', '))}*` : null,
+      '',
+      ...bullets(project)
+    ].filter(line => line !== null).join('\n')).join('\n\n'),
+    education: () => (resumeData.education || []).map(edu => [
+      `**${escapeMarkdown(edu.degree || '')}**${edu.school ? `, ${escapeMarkdown(edu.school)}` : ''}`,
+      [edu.graduationDate, edu.gpa ? `GPA: ${edu.gpa}` : null].filter(Boolean).map(escapeMarkdown).join(' · '),
+      edu.honors && edu.honors.length > 0 ? `Honors: ${escapeMarkdown(edu.honors.join(', '))}` : null
+    ].filter(Boolean).join('  \n')).join('\n\n'),
+    skills: () => (resumeData.skills || []).map(escapeMarkdown).join(', ')
+  };
+
+  templateSections(template).forEach(({ key, title }) => {
+    const content = renderers[key]();
+    if (content) blocks.push(`## ${title}\n\n${content}`);
+  });
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+function escapeLatex(text) {
+  return String(text ?? '').replace(/[\\&%$#_{}~^]/g, character => LATEX_SPECIAL_CHARACTERS[character]);
+}
+
+/**
+ * Last path segment of a profile URL ("https://github.com/me" -> "me"), as moderncv's \social expects
+ */
+function profileHandle(url) {
+  const segments = String(url).replace(/[?#].*$/, '').split('/').filter(Boolean);
+  return segments.length > 1 ? segments[segments.length - 1] : null;
+}
+
+function latexItemize(bullets) {
+  if (!bullets || bullets.length === 0) return '';
+  return `\\begin{itemize}\n${bullets.map(bullet => `  \\item ${escapeLatex(bullet.text)}`).join('\n')}\n\\end{itemize}`;
+}
+
+/**
+ * LaTeX source using the moderncv class (classic style), ready for pdflatex, xelatex or Overleaf
+ * @param {Object} tailoredResume - Tailored resume JSON
+ * @param {Object} options - Export options
+ * @param {string} options.template - Template id (for section order and titles)
+ * @returns {string} LaTeX source
+ */
+function renderLatex(tailoredResume, { template = DEFAULT_TEMPLATE } = {}) {
+  const resumeData = withoutHiddenItems(tailoredResume);
+  const basics = resumeData.basics || {};
+  const links = basics.links || {};
+  const nameParts = (basics.name || 'Your Name').trim().split(/\s+/);
+  const lastName = nameParts.length > 1 ? nameParts.pop() : '';
+  const firstName = nameParts.join(' ');
+
+  const preamble = [
+    '\\documentclass[11pt,letterpaper,sans]{moderncv}',
+    '\\moderncvstyle{classic}',
+    '\\moderncvcolor{blue}',
+    '\\usepackage[utf8]{inputenc}',
+    '\\usepackage[T1]{fontenc}',
+    '\\usepackage[scale=0.8]{geometry}',
+    '',
+    `\\name{${escapeLatex(firstName)}}{${escapeLatex(lastName)}}`
+  ];
+  if (basics.location) preamble.push(`\\address{${escapeLatex(basics.location)}}{}{}`);
+  if (basics.phone) preamble.push(`\\phone[mobile]{${escapeLatex(basics.phone)}}`);
+  if (basics.email) preamble.push(`\\email{${escapeLatex(basics.email)}}`);
+  if (links.portfolio || links.website) preamble.push(`\\homepage{${escapeLatex(links.portfolio || links.website)}}`);
+  [['linkedin', links.linkedIn], ['github', links.github]].forEach(([network, url]) => {
+    const handle = url && profileHandle(url);
+    if (handle) preamble.push(`\\social[${network}]{${escapeLatex(handle)}}`);
+  });
+
+  const renderers = {
+    summary: () => resumeData.summary && `\\cvitem{}{${escapeLatex(resumeData.summary)}}`,
+    experience: () => (resumeData.experience || []).map(exp =>
+      `\\cventry{${escapeLatex(dateRange(exp))}}{${escapeLatex(exp.title)}}{${escapeLatex(exp.company)}}{${escapeLatex(exp.location)}}{}{%\n${latexItemize(exp.bullets)}}`
+    ).join('\n\n'),
+    projects: () => (resumeData.projects || []).map(project =>
+      `\\cventry{}{${escapeLatex(project.name)}}{${escapeLatex((project.technologies || []).join(', '))}}{${project.url ? `\\url{${project.url}}` : ''}}{${escapeLatex(project.description)}}{%\n${latexItemize(project.bullets)}}`
+    ).join('\n\n'),
+    education: () => (resumeData.education || []).map(edu =>
+      `\\cventry{${escapeLatex(edu.graduationDate)}}{${escapeLatex(edu.degree)}}{${escapeLatex(edu.school)}}{${edu.gpa ? `GPA: ${escapeLatex(edu.gpa)}` : ''}}{${escapeLatex((edu.honors || []).join(', '))}}{}`
+    ).join('\n'),
+    skills: () => resumeData.skills && resumeData.skills.length > 0 && `\\cvitem{}{${escapeLatex(resumeData.skills.join(', '))}}`
+  };
+
+  const body = [];
+  templateSections(template).forEach(({ key, title }) => {
+    const content = renderers[key]();
+    if (content) body.push(`\\section{${escapeLatex(title)}}\n${content}`);
+  });
+
+  return [
+    ...preamble,
+    '',
+    '\\begin{document}',
+    '\\makecvtitle',
+    '',
+    body.join('\n\n'),
+    '',
+    '\\end{document}',
+    ''
+  ].join('\n');
+}
+
+// Formats served by GET /api/generation/:id/export?format=...
+const EXPORT_FORMATS = {
+  text: { contentType: 'text/plain; charset=utf-8', extension: 'txt', render: renderPlainText },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md', render: renderMarkdown },
+  latex: { contentType: 'application/x-tex; charset=utf-8', extension: 'tex', render: renderLatex },
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  renderPlainText,
+  renderMarkdown,
+  renderLatex,
+};
@@ -0,0 +1,235 @@
+// Text extraction for uploaded resumes (PDF, DOCX, plain text)
+// Output keeps reading order, one line per visual line, bullets as "• " and blank lines before sections,
+// so it can be saved as resumeText and parsed by parseResumeText
+const path = require('path');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+
+// Largest upload accepted by the extract endpoint
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+const FORMATS = {
+  pdf: { extensions: ['.pdf'], mimeTypes: ['application/pdf'] },
+  docx: {
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+  },
+  txt: { extensions: ['.txt'], mimeTypes: ['text/plain'] }
+};
+
+// Glyphs PDFs and Word use for list bullets (including Symbol/Wingdings private-use characters)
+const BULLET_GLYPHS = /^[\u2022\u25cf\u25aa\u25e6\u2023\u2219\u00b7\u25a0\u25a1\u27a2\u2043\u25b8\u25ba\u27a4\u2713\u2714\u25c6\u2756\uf0b7\uf0a7\uf076\uf0d8\uf0fc]\s*/;
+
+// Points of horizontal gap that separate columns on one line ("Software Engineer        Jan 2021 - Present")
+const COLUMN_GAP = 20;
+
+class UnsupportedFileTypeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedFileTypeError';
+  }
+}
+
+/**
+ * Work out the format of an uploaded file from its extension, falling back to its MIME type
+ * @param {string} fileName - Original file name
+ * @param {string} mimeType - MIME type sent by the client
+ * @returns {string|null} 'pdf', 'docx', 'txt' or null
+ */
+function detectFormat(fileName, mimeType) {
+  const extension = path.extname(fileName || '').toLowerCase();
+  const byExtension = Object.keys(FORMATS).find(format => FORMATS[format].extensions.includes(extension));
+  if (byExtension) return byExtension;
+  return Object.keys(FORMATS).find(format => FORMATS[format].mimeTypes.includes(mimeType)) || null;
+}
+
+/**
+ * Tidy extracted text: normalize bullets, trim lines, collapse runs of blank lines
+ */
+function cleanExtractedText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u00a0/g, ' ')
+    .split('\n')
+    .map(line => line
+      .replace(/[ \t]+/g, ' ')
+      .trim()
+      .replace(BULLET_GLYPHS, '• ')
+      // Separator dots between contact details ("me@x.com • | Austin, TX •")
+      .replace(/\s*[•·]\s*(?=\||$)/g, ' ')
+      .trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Render one PDF page as text lines in reading order
+ * Text items are grouped into lines by baseline, sorted top to bottom and left to right; wide gaps become
+ * " | " and a larger-than-usual vertical gap becomes a blank line
+ * @param {Object} pageData - pdf.js page
+ * @returns {Promise<string>} Page text
+ */
+async function renderPdfPage(pageData) {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+
+  const lines = [];
+  textContent.items
+    .filter(item => item.str && item.str.trim())
+    .map(item => ({ text: item.str, x: item.transform[4], y: item.transform[5], width: item.width, height: item.height || Math.abs(item.transform[3]) }))
+    .sort((a, b) => b.y - a.y || a.x - b.x)
+    .forEach(item => {
+      const line = lines.find(candidate => Math.abs(candidate.y - item.y) < Math.max(2, item.height * 0.3));
+      if (line) {
+        line.items.push(item);
+      } else {
+        lines.push({ y: item.y, height: item.height, items: [item] });
+      }
+    });
+
+  lines.sort((a, b) => b.y - a.y);
+  const lineGaps = lines.slice(1).map((line, index) => lines[index].y - line.y).sort((a, b) => a - b);
+  const typicalGap = lineGaps.length > 0 ? lineGaps[Math.floor(lineGaps.length / 2)] : 0;
+
+  return lines.map((line, index) => {
+    const items = line.items.sort((a, b) => a.x - b.x);
+    let text = '';
+    items.forEach((item, itemIndex) => {
+      if (itemIndex > 0) {
+        const previous = items[itemIndex - 1];
+        const gap = item.x - (previous.x + previous.width);
+        if (gap > COLUMN_GAP) {
+          text += ' | ';
+        } else if (gap > 1 && !/\s$/.test(text) && !/^\s/.test(item.text)) {
+          text += ' ';
+        }
+      }
+      text += item.text;
+    });
+
+    const gapAbove = index > 0 ? lines[index - 1].y - line.y : 0;
+    return typicalGap > 0 && gapAbove > typicalGap * 1.6 ? `\n${text}` : text;
+  }).join('\n');
+}
+
+/**
+ * Extract text from a PDF
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<{text: string, pageCount: number, warnings: Array<string>}>} Extracted text
+ */
+async function extractPdfText(buffer) {
+  const result = await pdfParse(buffer, { pagerender: renderPdfPage });
+  const text = cleanExtractedText(result.text);
+  const warnings = [];
+
+  if (!text) {
+    warnings.push('No text found in the PDF. It may be a scanned image; paste the text instead.');
+  }
+
+  return { text, pageCount: result.numpages, warnings };
+}
+
+/**
+ * Decode the HTML entities mammoth emits
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Flatten the paragraphs mammoth wraps every table cell's content in, so a cell stays on its row's
+ * line; several paragraphs in one cell are joined with " | " like separate cells
+ */
+function flattenCellParagraphs(html) {
+  return html.replace(/(<t[dh][^>]*>)([\s\S]*?)(<\/t[dh]>)/gi, (_, open, content, close) => {
+    const paragraphs = content
+      .split(/<\/?p[^>]*>/i)
+      .map(paragraph => paragraph.trim())
+      .filter(Boolean);
+    return `${open}${paragraphs.join(' | ')}${close}`;
+  });
+}
+
+/**
+ * Turn mammoth's HTML into resume text: headings on their own line after a blank line,
+ * list items as "• " bullets, one line per table row with its cells joined with " | "
+ * @param {string} html - HTML from mammoth.convertToHtml
+ * @returns {string} Text
+ */
+function htmlToResumeText(html) {
+  const text = flattenCellParagraphs(html)
+    .replace(/<h[1-6][^>]*>/gi, '\n\n')
+    .replace(/<\/h[1-6]>/gi, '\n')
+    .replace(/([^>])<(ul|ol)[^>]*>/gi, '$1\n')
+    .replace(/<li[^>]*>/gi, '• ')
+    .replace(/<\/(li|p|ul|ol)>/gi, '\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' | ')
+    .replace(/<\/tr>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/(\s*\|\s*)+$/, ''))
+    .join('\n')
+    // Closing a nested list leaves blank lines between bullets of the same list
+    .replace(/(^• [^\n]*)\n(?:[ \t]*\n)+(?=• )/gm, '$1\n');
+}
+
+/**
+ * Extract text from a DOCX file
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<{text: string, pageCount: null, warnings: Array<string>}>} Extracted text
+ */
+async function extractDocxText(buffer) {
+  const result = await mammoth.convertToHtml({ buffer });
+  const warnings = result.messages
+    .filter(message => message.type === 'error')
+    .map(message => message.message);
+
+  return { text: cleanExtractedText(htmlToResumeText(result.value)), pageCount: null, warnings };
+}
+
+/**
+ * Extract resume text from an uploaded file
+ * @param {Object} file - Uploaded file
+ * @param {Buffer} file.buffer - File contents
+ * @param {string} file.originalname - Original file name
+ * @param {string} file.mimetype - MIME type sent by the client
+ * @returns {Promise<{text: string, format: string, pageCount: number|null, warnings: Array<string>}>} Extracted text
+ * @throws {UnsupportedFileTypeError} When the file is not a PDF, DOCX or text file
+ */
+async function extractResumeText(file) {
+  const format = detectFormat(file.originalname, file.mimetype);
+
+  let result;
+  if (format === 'pdf') {
+    result = await extractPdfText(file.buffer);
+  } else if (format === 'docx') {
+    result = await extractDocxText(file.buffer);
+  } else if (format === 'txt') {
+    result = { text: cleanExtractedText(file.buffer.toString('utf8')), pageCount: null, warnings: [] };
+  } else {
+    throw new UnsupportedFileTypeError(`Unsupported file type "${path.extname(file.originalname || '') || file.mimetype}". Upload a PDF, DOCX or .txt file.`);
+  }
+
+  // File names can identify the uploader, so only the format and sizes are logged
+  console.log(`Extracted ${result.text.length} characters from ${format} upload (${file.size} bytes)`);
+  return { format, ...result };
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  UnsupportedFileTypeError,
+  detectFormat,
+  htmlToResumeText,
+  extractResumeText,
+};
@@ -1,57 +1,504 @@
+// Deterministic parser for plain-text master resumes
+// Produces the tailoredResumeSchema shape (plus certifications) with the source lines of every item,
+// so tailored output can be diffed against a canonical structured copy of the original resume
+
+// Section headings and the section each one starts
+const SECTION_HEADINGS = [
+  ['summary', /^(summary|professional summary|profile|professional profile|about|about me|objective|career objective)$/],
+  ['experience', /^(experience|work experience|professional experience|employment|employment history|work history|career history|relevant experience)$/],
+  ['projects', /^(projects|personal projects|side projects|selected projects|technical projects|open source)$/],
+  ['education', /^(education|academic background|education and training)$/],
+  ['skills', /^(skills|technical skills|core skills|core competencies|competencies|technologies|tech stack|tools and technologies|skills and technologies)$/],
+  ['certifications', /^(certifications|certificates|licenses|licenses and certifications|certifications and licenses|licenses & certifications|certifications & licenses)$/]
+];
+
+// Bullet markers at the start of a line ("•", "-", "*", "1.")
+const BULLET_PATTERN = /^\s*(?:[•●▪◦‣∙·*–—▸►➤✓✔◆❖-]|\d{1,2}[.)])\s+/;
+
+const MONTH_NAMES = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+
+// A single date as written in resumes: "Jan 2021", "January, 2021", "01/2021", "2021"
+const DATE = `(?:(?:${MONTH_NAMES})\\.?,?\\s+(?:19|20)\\d{2}|(?:0?[1-9]|1[0-2])[/.-](?:19|20)\\d{2}|(?:19|20)\\d{2})`;
+
+// "Jan 2021 - Present", "2019 – 2020", "06/2019 to 12/2020"
+const DATE_RANGE_PATTERN = new RegExp(
+  `(?<![A-Za-z0-9])(${DATE})\\s*(?:-|–|—|to|until)\\s*(${DATE}|present|current|now|today)(?![A-Za-z0-9])`,
+  'i'
+);
+const SINGLE_DATE_PATTERN = new RegExp(`(?<![A-Za-z0-9/])(${DATE})(?![A-Za-z0-9/])`, 'gi');
+
+// Words that mark a job title rather than a company
+const TITLE_WORDS = /\b(engineer|developer|programmer|manager|intern|analyst|designer|scientist|lead|director|consultant|architect|specialist|administrator|officer|associate|coordinator|assistant|head|vp|vice president|president|founder|co-founder|researcher|technician|instructor|teacher|tutor|contractor|freelancer|owner|cto|ceo|sre|devops)\b/i;
+
+const SCHOOL_WORDS = /\b(university|college|institute|school|academy|polytechnic|conservatory|bootcamp)\b/i;
+const DEGREE_WORDS = /\b(bachelor|master|doctor|associate|diploma|certificate|b\.?\s?s\.?c?|b\.?\s?a\.?|b\.?\s?eng|m\.?\s?s\.?c?|m\.?\s?a\.?|m\.?\s?eng|mba|ph\.?\s?d|a\.?\s?a\.?|a\.?\s?s\.?)(?![a-z])/i;
+
+// "Austin, TX", "Toronto, Canada", "Remote"
+const LOCATION_PATTERN = /^(?:[Rr]emote|[Hh]ybrid|[A-Z][A-Za-z.' -]+,\s*(?:[A-Z]{2}|[A-Z][a-z]+(?:\s[A-Z][a-z]+)*))$/;
+
+const EMAIL_PATTERN = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/;
+const PHONE_PATTERN = /(?:\+?\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/;
+const URL_PATTERN = /\b(?:https?:\/\/)?(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}(?:\/[^\s|,]*)?/i;
+
+/**
+ * Heading a line introduces, if any ("WORK EXPERIENCE", "Skills:")
+ * @param {string} line - Trimmed line
+ * @returns {string|null} Section name
+ */
+function headingSection(line) {
+  if (line.length > 40) return null;
+  const heading = line.replace(/[:\s_=#*-]+$/, '').replace(/^[\s_=#*-]+/, '').toLowerCase().replace(/\s+/g, ' ');
+  const match = SECTION_HEADINGS.find(([, pattern]) => pattern.test(heading));
+  return match ? match[0] : null;
+}
+
+function hasDate(text) {
+  return new RegExp(SINGLE_DATE_PATTERN.source, 'i').test(text);
+}
+
+function isBullet(text) {
+  return BULLET_PATTERN.test(text);
+}
+
+function stripBullet(text) {
+  return text.replace(BULLET_PATTERN, '').trim();
+}
+
+/**
+ * Line range of a group of lines ({start, end}: 0-based index of the first line, index after the last)
+ */
+function lineRange(lines) {
+  return { start: lines[0].index, end: lines[lines.length - 1].index + 1 };
+}
+
+/**
+ * Split resume lines into the header (contact block) and sections
+ * @param {Array<{index: number, text: string}>} lines - Trimmed lines with their 0-based line numbers
+ * @returns {{header: Array, sections: Object}} Lines per section; blank lines are kept as separators
+ */
+function splitSections(lines) {
+  const header = [];
+  const sections = {};
+  let current = null;
+
+  lines.forEach(line => {
+    const section = line.text ? headingSection(line.text) : null;
+    if (section) {
+      current = section;
+      sections[current] = sections[current] || { headingLine: line.index, lines: [] };
+      return;
+    }
+    if (current) {
+      sections[current].lines.push(line);
+    } else {
+      header.push(line);
+    }
+  });
+
+  return { header, sections };
+}
+
+/**
+ * Group section lines into entries: header lines followed by bullets
+ * A non-bullet line after bullets or after a blank line starts a new entry, as does a dated line when the
+ * entry's header already has a date; a lowercase line right after a bullet continues it
+ * @param {Array} lines - Section lines
+ * @returns {Array<{headerLines: Array, bullets: Array<{text: string, lines: Array}>}>} Entries
+ */
+function groupEntries(lines) {
+  const entries = [];
+  let entry = null;
+  let previous = null;
+
+  lines.forEach(line => {
+    if (!line.text) {
+      previous = line;
+      return;
+    }
+
+    if (isBullet(line.text)) {
+      if (!entry) {
+        entry = { headerLines: [], bullets: [] };
+        entries.push(entry);
+      }
+      entry.bullets.push({ text: stripBullet(line.text), lines: [line] });
+    } else if (entry && entry.bullets.length > 0 && previous?.text && /^[a-z]/.test(line.text)) {
+      const bullet = entry.bullets[entry.bullets.length - 1];
+      // "high-" + "quality" is one hyphenated word broken across lines
+      bullet.text = /[a-z]-$/.test(bullet.text) ? `${bullet.text}${line.text}` : `${bullet.text} ${line.text}`;
+      bullet.lines.push(line);
+    } else if (!entry || entry.bullets.length > 0 || !previous?.text || (hasDate(line.text) && entry.headerLines.some(header => hasDate(header.text)))) {
+      entry = { headerLines: [line], bullets: [] };
+      entries.push(entry);
+    } else {
+      entry.headerLines.push(line);
+    }
+    previous = line;
+  });
+
+  return entries;
+}
+
+/**
+ * Pull a date range out of text
+ * @param {string} text - Entry header text
+ * @returns {{startDate: string, endDate: string, rest: string}|null} Dates as written ("Present" normalized) and the text without them
+ */
+function extractDateRange(text) {
+  const match = DATE_RANGE_PATTERN.exec(text);
+  if (!match) return null;
+
+  const endDate = /^(present|current|now|today)$/i.test(match[2]) ? 'Present' : match[2];
+  return {
+    startDate: match[1],
+    endDate,
+    rest: cleanSegmentText(text.substring(0, match.index) + ' ' + text.substring(match.index + match[0].length))
+  };
+}
+
+/**
+ * Pull the last single date out of text
+ * @returns {{date: string, rest: string}|null} Date as written and the text without it
+ */
+function extractSingleDate(text) {
+  const matches = Array.from(text.matchAll(SINGLE_DATE_PATTERN));
+  if (matches.length === 0) return null;
+
+  const match = matches[matches.length - 1];
+  return {
+    date: match[1],
+    rest: cleanSegmentText(text.substring(0, match.index) + ' ' + text.substring(match.index + match[0].length))
+  };
+}
+
+/**
+ * Remove empty brackets and dangling separators left behind after cutting something out of a line
+ */
+function cleanSegmentText(text) {
+  return text
+    .replace(/\(\s*\)|\[\s*\]/g, ' ')
+    .replace(/\s*([|,])\s*(?=[|,]|$)/g, '')
+    .replace(/^\s*[|,–—-]\s*/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split entry header text into its parts ("Title | Company | City, ST" or "Title, Company, City, ST")
+ * Keeps a trailing "City, ST" location together
+ * @param {string} text - Header text without dates
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.splitAt - Also split "Title at Company" (off for schools like "University of Texas at Austin")
+ * @returns {{segments: Array<string>, location: string|null}} Remaining segments and the location
+ */
+function splitHeaderSegments(text, options = {}) {
+  const separator = options.splitAt
+    ? /\s*(?:\||•|·|\t|\s[–—-]\s|\s@\s|\sat\s)\s*/
+    : /\s*(?:\||•|·|\t|\s[–—-]\s)\s*/;
+  let segments = text
+    .split(separator)
+    .map(segment => segment.trim())
+    .filter(Boolean);
+
+  let location = null;
+  const locationIndex = segments.findIndex(segment => LOCATION_PATTERN.test(segment));
+  if (locationIndex !== -1 && segments.length > 1) {
+    location = segments[locationIndex];
+    segments.splice(locationIndex, 1);
+  }
+
+  segments = segments.flatMap(segment => segment.split(/\s*,\s*/)).filter(Boolean);
+
+  // "Title, Company, Austin, TX": the last two comma parts are the location
+  if (!location && segments.length >= 3) {
+    const candidate = segments.slice(-2).join(', ');
+    if (LOCATION_PATTERN.test(candidate)) {
+      location = candidate;
+      segments = segments.slice(0, -2);
+    }
+  }
+
+  return { segments, location };
+}
+
+/**
+ * Parse an experience entry
+ */
+function parseExperienceEntry(entry) {
+  const headerText = entry.headerLines.map(line => line.text).join(' | ');
+  const range = extractDateRange(headerText);
+  const single = range ? null : extractSingleDate(headerText);
+  const { segments, location } = splitHeaderSegments(range ? range.rest : single ? single.rest : headerText, { splitAt: true });
+
+  // Whichever part reads like a job title is the title; the next other part is the company
+  let titleIndex = segments.findIndex(segment => TITLE_WORDS.test(segment));
+  if (titleIndex === -1) titleIndex = 0;
+  const title = segments[titleIndex] || '';
+  const company = segments.filter((_, index) => index !== titleIndex)[0] || '';
+
+  // Roles written as paragraphs have no bullet markers; their extra lines are the bullets
+  const bullets = entry.bullets.length > 0
+    ? entry.bullets
+    : entry.headerLines.slice(1)
+      .filter(line => line.text.length > 60 || /\.$/.test(line.text))
+      .map(line => ({ text: line.text, lines: [line] }));
+
+  const role = {
+    title,
+    company,
+    startDate: range ? range.startDate : single ? single.date : '',
+    endDate: range ? range.endDate : single ? single.date : '',
+    bullets: bullets.map(bullet => ({ text: bullet.text, lines: lineRange(bullet.lines) })),
+    lines: lineRange([...entry.headerLines, ...entry.bullets.flatMap(bullet => bullet.lines)])
+  };
+  if (location) {
+    role.location = location;
+  }
+  return role;
+}
+
+/**
+ * Parse a project entry ("Job Tracker - Personal tracker (Node.js, MongoDB) | github.com/me/tracker")
+ */
+function parseProjectEntry(entry) {
+  let headerText = entry.headerLines.map(line => line.text).join(' | ');
+  let technologies = [];
+
+  // "Tech: Node.js, MongoDB" on its own line or after a separator
+  const techLabel = /(?:^|\|)\s*(?:tech(?:nologies)?|tech stack|stack|built with|tools)\s*:\s*([^|]+)/i.exec(headerText);
+  if (techLabel) {
+    technologies = techLabel[1].split(/\s*[,;/]\s*/).filter(Boolean);
+    headerText = cleanSegmentText(headerText.replace(techLabel[0], ''));
+  }
+
+  // Trailing "(Node.js, MongoDB, Docker)"
+  const techParens = /\(([^()]+,[^()]+)\)\s*$/.exec(headerText) || /\(([^()]+,[^()]+)\)(?=\s*\|)/.exec(headerText);
+  if (technologies.length === 0 && techParens) {
+    technologies = techParens[1].split(/\s*,\s*/).filter(Boolean);
+    headerText = cleanSegmentText(headerText.replace(techParens[0], ''));
+  }
+
+  const urlMatch = URL_PATTERN.exec(headerText);
+  let url = null;
+  if (urlMatch && /[/.]/.test(urlMatch[0]) && !EMAIL_PATTERN.test(urlMatch[0])) {
+    url = urlMatch[0];
+    headerText = cleanSegmentText(headerText.replace(urlMatch[0], ''));
+  }
+
+  const range = extractDateRange(headerText);
+  if (range) {
+    headerText = range.rest;
+  }
+
+  const parts = headerText.split(/\s*(?:\||\s[–—-]\s|:\s)\s*/).map(part => part.trim()).filter(Boolean);
+  const project = {
+    name: parts[0] || '',
+    bullets: entry.bullets.map(bullet => ({ text: bullet.text, lines: lineRange(bullet.lines) })),
+    lines: lineRange([...entry.headerLines, ...entry.bullets.flatMap(bullet => bullet.lines)])
+  };
+  if (parts.length > 1) project.description = parts.slice(1).join(' - ');
+  if (technologies.length > 0) project.technologies = technologies;
+  if (url) project.url = url;
+  return project;
+}
+
+/**
+ * Parse an education entry ("B.S. Computer Science, University of Texas at Austin, 2019 | GPA 3.8")
+ */
+function parseEducationEntry(entry) {
+  let headerText = entry.headerLines.map(line => line.text).join(' | ');
+  const honors = [];
+
+  const gpaMatch = /\bGPA\s*:?\s*([0-9]\.[0-9]{1,2}(?:\s*\/\s*[0-9](?:\.[0-9]{1,2})?)?)/i.exec(headerText);
+  if (gpaMatch) {
+    headerText = cleanSegmentText(headerText.replace(gpaMatch[0], ''));
+  }
+
+  const honorsMatch = /(?:^|\|)\s*(?:honors|awards)\s*:\s*([^|]+)/i.exec(headerText);
+  if (honorsMatch) {
+    honors.push(...honorsMatch[1].split(/\s*[,;]\s*/).filter(Boolean));
+    headerText = cleanSegmentText(headerText.replace(honorsMatch[0], ''));
+  }
+
+  const range = extractDateRange(headerText);
+  const single = range ? null : extractSingleDate(headerText);
+  const { segments } = splitHeaderSegments(range ? range.rest : single ? single.rest : headerText);
+
+  const schoolIndex = segments.findIndex(segment => SCHOOL_WORDS.test(segment));
+  const degreeIndex = segments.findIndex((segment, index) => index !== schoolIndex && DEGREE_WORDS.test(segment));
+  const school = schoolIndex !== -1 ? segments[schoolIndex] : segments.find((_, index) => index !== degreeIndex) || '';
+  const degree = degreeIndex !== -1
+    ? segments.slice(degreeIndex).filter((_, offset) => degreeIndex + offset !== schoolIndex).join(', ')
+    : segments.find(segment => segment !== school) || '';
+
+  const education = {
+    degree,
+    school,
+    lines: lineRange([...entry.headerLines, ...entry.bullets.flatMap(bullet => bullet.lines)])
+  };
+  const graduationDate = range ? range.endDate : single ? single.date : null;
+  if (graduationDate) education.graduationDate = graduationDate;
+  if (gpaMatch) education.gpa = gpaMatch[1].replace(/\s+/g, '');
+  honors.push(...entry.bullets.map(bullet => bullet.text));
+  if (honors.length > 0) education.honors = honors;
+  return education;
+}
+
+/**
+ * Parse a certification line ("AWS Certified Developer - Associate, Amazon Web Services, 2022")
+ */
+function parseCertification(text, lines) {
+  const single = extractSingleDate(text);
+  const parts = (single ? single.rest : text).split(/\s*(?:,|\||\()\s*/).map(part => part.replace(/\)$/, '').trim()).filter(Boolean);
+
+  const certification = { name: parts[0] || text, lines: lineRange(lines) };
+  if (parts.length > 1) certification.issuer = parts.slice(1).join(', ');
+  if (single) certification.date = single.date;
+  return certification;
+}
+
+/**
+ * Split skill lines into individual skills, dropping category labels ("Languages: JavaScript, Python")
+ */
+function parseSkills(lines) {
+  const skills = [];
+  const seen = new Set();
+
+  lines.filter(line => line.text).forEach(line => {
+    const text = stripBullet(line.text).replace(/^[A-Za-z &/]{2,40}:\s*/, '');
+    text.split(/\s*(?:,|;|\||•|·)\s*/).forEach(skill => {
+      const cleaned = skill.replace(/\.$/, '').trim();
+      const key = cleaned.toLowerCase();
+      if (cleaned && !seen.has(key)) {
+        seen.add(key);
+        skills.push({ skill: cleaned, line: line.index });
+      }
+    });
+  });
+
+  return skills;
+}
+
+/**
+ * Parse the contact block above the first section heading
+ * Returns basics, any free text that is not contact details, and the lines used
+ */
+function parseHeader(headerLines) {
+  const basics = { name: '', email: '' };
+  const links = {};
+  const extraText = [];
+
+  headerLines.filter(line => line.text).forEach((line, position) => {
+    const pieces = line.text.split(/\s*(?:\||•|·|\t|\s{3,})\s*/).map(piece => piece.trim()).filter(Boolean);
+
+    pieces.forEach(piece => {
+      const email = EMAIL_PATTERN.exec(piece);
+      if (email && !basics.email) {
+        basics.email = email[0];
+        return;
+      }
+      if (/linkedin\.com/i.test(piece)) {
+        links.linkedIn = piece;
+        return;
+      }
+      if (/github\.com/i.test(piece)) {
+        links.github = piece;
+        return;
+      }
+      const phone = PHONE_PATTERN.exec(piece);
+      if (phone && !basics.phone && phone[0].replace(/\D/g, '').length >= 10) {
+        basics.phone = phone[0].trim();
+        return;
+      }
+      if (URL_PATTERN.test(piece) && !/\s/.test(piece)) {
+        if (!links.portfolio) links.portfolio = piece;
+        else links.website = piece;
+        return;
+      }
+      if (!basics.location && LOCATION_PATTERN.test(piece)) {
+        basics.location = piece;
+        return;
+      }
+      if (!basics.name && position === 0) {
+        basics.name = piece;
+        return;
+      }
+      extraText.push(piece);
+    });
+  });
+
+  if (Object.keys(links).length > 0) {
+    basics.links = links;
+  }
+  return { basics, extraText };
+}
+
 /**
  * Parse resume text into structured format
- * This is a simple parser - will be enhanced later with LLM
+ * Returns the tailoredResumeSchema shape plus certifications. Every role, project, education entry,
+ * certification and bullet carries `lines: {start, end}` (0-based line numbers, end exclusive) into
+ * resumeText; skills carry their line in `skillLines`, and `sections` holds each section's line range.
  * @param {string} resumeText - Raw resume text
  * @returns {Object} Structured resume data
  */
 function parseResumeText(resumeText) {
-  // For now, return a basic structure
-  // Later this will use LLM to extract structured data
-  const lines = resumeText.split('\n').filter(line => line.trim());
-  
-  // Basic parsing - extract name (first line usually)
-  const name = lines[0] || 'Your Name';
-  
-  // Extract email and phone (look for patterns)
-  const emailMatch = resumeText.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/);
-  const phoneMatch = resumeText.match(/(\+?\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/);
-  
-  // For MVP, return a simple structure
-  // The LLM will handle proper parsing later
+  const lines = (resumeText || '').split(/\r?\n/).map((text, index) => ({ index, text: text.trim() }));
+  const { header, sections } = splitSections(lines);
+  const { basics, extraText } = parseHeader(header);
+
+  const sectionLines = name => sections[name]?.lines || [];
+  const sectionRanges = {};
+  Object.entries(sections).forEach(([name, section]) => {
+    const contentLines = section.lines.filter(line => line.text);
+    sectionRanges[name] = {
+      start: section.headingLine,
+      end: contentLines.length > 0 ? contentLines[contentLines.length - 1].index + 1 : section.headingLine + 1
+    };
+  });
+
+  // Without a summary heading, a headline under the name is the summary
+  const summaryText = sectionLines('summary').filter(line => line.text).map(line => line.text).join(' ');
+  const summary = summaryText || extraText.join(' ');
+
+  const skillLines = parseSkills(sectionLines('skills'));
+
+  const certifications = groupEntries(sectionLines('certifications')).flatMap(entry => [
+    ...entry.headerLines.map(line => parseCertification(stripBullet(line.text), [line])),
+    ...entry.bullets.map(bullet => parseCertification(bullet.text, bullet.lines))
+  ]);
+
   return {
-    name: name,
-    email: emailMatch ? emailMatch[0] : '',
-    phone: phoneMatch ? phoneMatch[0] : '',
-    location: '',
-    linkedIn: '',
-    summary: 'Experienced professional with a strong background in software development and problem-solving.',
-    experience: [
-      {
-        title: 'Software Engineer',
-        company: 'Tech Company',
-        startDate: '2020',
-        endDate: 'Present',
-        description: [
-          'Developed and maintained web applications',
-          'Collaborated with cross-functional teams',
-          'Implemented best practices and coding standards'
-        ]
-      }
-    ],
-    education: [
-      {
-        degree: 'Bachelor of Science in Computer Science',
-        school: 'University',
-        graduationDate: '2020'
-      }
-    ],
-    skills: ['JavaScript', 'Node.js', 'React', 'Python', 'MongoDB']
+    basics,
+    summary,
+    skills: skillLines.map(item => item.skill),
+    skillLines,
+    experience: groupEntries(sectionLines('experience')).map(parseExperienceEntry),
+    projects: groupEntries(sectionLines('projects')).map(parseProjectEntry),
+    education: groupEntries(sectionLines('education')).map(parseEducationEntry),
+    certifications,
+    tailoringNotes: { keywordsTargeted: [] },
+    sections: sectionRanges
   };
 }
 
+/**
+ * Line ranges of the entries in resume text, grouped the same way as inside a section but without
+ * reading section headings, for text whose headings are missing or unrecognized
+ * @param {string} resumeText - Raw resume text
+ * @returns {Array<{lines: {start: number, end: number}, bullets: Array<{start: number, end: number}>}>} Entries
+ */
+function entryLineRanges(resumeText) {
+  const lines = (resumeText || '').split(/\r?\n/).map((text, index) => ({ index, text: text.trim() }));
+  return groupEntries(lines).map(entry => ({
+    lines: lineRange([...entry.headerLines, ...entry.bullets.flatMap(bullet => bullet.lines)]),
+    bullets: entry.bullets.map(bullet => lineRange(bullet.lines))
+  }));
+}
+
 module.exports = {
+  SECTION_HEADINGS,
+  headingSection,
+  extractDateRange,
+  entryLineRanges,
   parseResumeText
 };
-
-
-